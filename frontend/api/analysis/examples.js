@@ -3,7 +3,7 @@ export default async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
   
   // Handle preflight request
   if (req.method === 'OPTIONS') {
@@ -26,6 +26,7 @@ export default async function handler(req, res) {
       headers: {
         // Forward relevant headers
         ...(req.headers.authorization && { 'Authorization': req.headers.authorization }),
+        ...(req.headers['x-api-key'] && { 'X-API-Key': req.headers['x-api-key'] }),
         ...(req.headers['user-agent'] && { 'User-Agent': req.headers['user-agent'] }),
       }
     });
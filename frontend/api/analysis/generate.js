@@ -3,7 +3,7 @@ export default async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
   
   // Handle preflight request
   if (req.method === 'OPTIONS') {
@@ -26,12 +26,35 @@ export default async function handler(req, res) {
       headers: {
         'Content-Type': 'application/json',
         // Forward relevant headers
+        ...(req.headers.accept && { 'Accept': req.headers.accept }),
         ...(req.headers.authorization && { 'Authorization': req.headers.authorization }),
+        ...(req.headers['x-api-key'] && { 'X-API-Key': req.headers['x-api-key'] }),
         ...(req.headers['user-agent'] && { 'User-Agent': req.headers['user-agent'] }),
       },
       body: JSON.stringify(req.body)
     });
 
+    // Pass Server-Sent Events straight through without buffering
+    if ((response.headers.get('content-type') || '').includes('text/event-stream')) {
+      res.writeHead(response.status, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+
+      const reader = response.body.getReader();
+      req.on('close', () => reader.cancel().catch(() => {}));
+
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        res.write(value);
+      }
+      res.end();
+      return;
+    }
+
     const data = await response.json();
     
     // Forward the response status and data
@@ -39,6 +62,11 @@ export default async function handler(req, res) {
     
   } catch (error) {
     console.error('Proxy error:', error);
+    // The stream has already started; the client sees it end without a complete event
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
     res.status(500).json({ 
       error: 'Failed to connect to backend service',
       details: error.message 
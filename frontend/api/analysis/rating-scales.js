@@ -0,0 +1,46 @@
+// Vercel API route that proxies requests to Railway backend
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+  
+  // Handle preflight request
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+  // Only allow GET method
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const BACKEND_URL = process.env.VITE_API_URL || 'https://gen-safe-ai-production.up.railway.app';
+    
+    console.log('Proxying request to:', `${BACKEND_URL}/api/analysis/rating-scales`);
+    
+    // Forward the request to Railway backend
+    const response = await fetch(`${BACKEND_URL}/api/analysis/rating-scales`, {
+      method: 'GET',
+      headers: {
+        // Forward relevant headers
+        ...(req.headers.authorization && { 'Authorization': req.headers.authorization }),
+        ...(req.headers['x-api-key'] && { 'X-API-Key': req.headers['x-api-key'] }),
+        ...(req.headers['user-agent'] && { 'User-Agent': req.headers['user-agent'] }),
+      }
+    });
+
+    const data = await response.json();
+    
+    // Forward the response status and data
+    res.status(response.status).json(data);
+    
+  } catch (error) {
+    console.error('Proxy error:', error);
+    res.status(500).json({ 
+      error: 'Failed to connect to backend service',
+      details: error.message 
+    });
+  }
+}
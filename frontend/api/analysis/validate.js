@@ -3,7 +3,7 @@ export default async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
   
   // Handle preflight request
   if (req.method === 'OPTIONS') {
@@ -27,6 +27,7 @@ export default async function handler(req, res) {
         'Content-Type': 'application/json',
         // Forward relevant headers
         ...(req.headers.authorization && { 'Authorization': req.headers.authorization }),
+        ...(req.headers['x-api-key'] && { 'X-API-Key': req.headers['x-api-key'] }),
         ...(req.headers['user-agent'] && { 'User-Agent': req.headers['user-agent'] }),
       },
       body: JSON.stringify(req.body)
@@ -0,0 +1,54 @@
+// Vercel API route that proxies project requests (/api/projects/:id/...) to Railway backend
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+  
+  // Handle preflight request
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+  if (!['GET', 'POST', 'PUT', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const BACKEND_URL = process.env.VITE_API_URL || 'https://gen-safe-ai-production.up.railway.app';
+    // The catch-all segments are in `path`; every other query parameter (e.g. diff?from=&to=) is passed on
+    const { path = [], ...query } = req.query;
+    const segments = [].concat(path).map(encodeURIComponent).join('/');
+    const search = new URLSearchParams(
+      Object.entries(query).flatMap(([key, value]) => [].concat(value).map(item => [key, item]))
+    ).toString();
+    const target = `${BACKEND_URL}/api/projects/${segments}${search ? `?${search}` : ''}`;
+    
+    console.log('Proxying request to:', target);
+    
+    // Forward the request to Railway backend
+    const response = await fetch(target, {
+      method: req.method,
+      headers: {
+        'Content-Type': 'application/json',
+        // Forward relevant headers
+        ...(req.headers.authorization && { 'Authorization': req.headers.authorization }),
+        ...(req.headers['x-api-key'] && { 'X-API-Key': req.headers['x-api-key'] }),
+        ...(req.headers['user-agent'] && { 'User-Agent': req.headers['user-agent'] }),
+      },
+      body: ['POST', 'PUT'].includes(req.method) ? JSON.stringify(req.body) : undefined
+    });
+
+    const data = await response.json();
+    
+    // Forward the response status and data
+    res.status(response.status).json(data);
+    
+  } catch (error) {
+    console.error('Proxy error:', error);
+    res.status(500).json({ 
+      error: 'Failed to connect to backend service',
+      details: error.message 
+    });
+  }
+}
@@ -2,25 +2,115 @@ import React, { useState, useEffect } from 'react';
 import Header from './components/Header';
 import InputSection from './components/InputSection';
 import OutputSection from './components/OutputSection';
+import ProjectPicker from './components/ProjectPicker';
+import { postEventStream, requestJSON } from './api';
 import './App.css';
 
+// Standards the analysis understands, as the API spells them
+const SUPPORTED_STANDARDS = ['ISO 26262', 'MIL-STD-882E', 'IEC 61508', 'DO-178C', 'ARP4754A'];
+
+// Match a free-text standard name such as "mil-std-882e" or "ISO26262" to its API spelling
+const toSupportedStandard = (name) => {
+  const key = name.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return SUPPORTED_STANDARDS.find(standard => standard.replace(/[^A-Z0-9]/g, '') === key);
+};
+
 function App() {
   const [systemDescription, setSystemDescription] = useState('');
   const [analysisData, setAnalysisData] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [systemInfo, setSystemInfo] = useState({ systemName: '', description: '' });
+  const [progress, setProgress] = useState(null);
+  const [activeProject, setActiveProject] = useState(null);
+  const [activeRevision, setActiveRevision] = useState(null);
+  const [formData, setFormData] = useState(null);
+  const [loadedForm, setLoadedForm] = useState(null);
+  const [analysisOptions, setAnalysisOptions] = useState({ riskRanking: 'rpn', criticality: { mode: 'rpn', operatingTime: 1000 }, fmeda: { enabled: false, asil: 'D' }, hazop: false, stpa: false });
+
+  // Show a stored revision of a project as the current analysis
+  const showRevision = (project, number) => {
+    const revision = project.revisions.find(candidate => candidate.number === number);
+    setActiveRevision(revision ? revision.number : null);
+    setError(null);
+
+    if (!revision) {
+      setAnalysisData(null);
+      return;
+    }
+    setAnalysisData({
+      success: true,
+      input: revision.input,
+      results: revision.results,
+      metadata: revision.metadata,
+      project: { id: project.id, revision: revision.number }
+    });
+    setSystemInfo({
+      systemName: revision.request?.systemName || project.systemDescription?.systemName || '',
+      description: revision.request?.description || project.systemDescription?.description || ''
+    });
+  };
+
+  // Load a project's system information and its latest revision
+  const openProject = (project) => {
+    setActiveProject(project);
+    setLoadedForm(project.systemDescription);
+    showRevision(project, project.revisions.length);
+  };
 
-  // API URL configuration for different environments
-  const API_BASE_URL = (() => {
-    // In production (Vercel), use local API routes that proxy to Railway
-    // In development, connect directly to local backend
-    if (import.meta.env.PROD) {
-      return '/api';
+  const closeProject = () => {
+    setActiveProject(null);
+    setActiveRevision(null);
+  };
+
+  // Apply one streamed progress event to the partial results and the progress indicator
+  const handleStreamEvent = (event, data) => {
+    const updateResults = (update) => setAnalysisData(previous => ({
+      ...previous,
+      results: { ...previous.results, ...update(previous.results) }
+    }));
+
+    switch (event) {
+      case 'stage':
+        setProgress(previous => ({
+          ...previous,
+          [data.stage]: data.hazardId
+            ? { ...previous[data.stage], [data.hazardId]: data.status }
+            : data.status
+        }));
+        break;
+      case 'fmeca-row':
+        // A repair attempt rewrites the table from scratch
+        updateResults(results => {
+          const current = results.fmeca.attempt === data.attempt ? results.fmeca.fmecaTable : [];
+          return { fmeca: { attempt: data.attempt, fmecaTable: [...current, data.row] } };
+        });
+        break;
+      case 'fmeca':
+        updateResults(() => ({ fmeca: data }));
+        break;
+      case 'hazards':
+        updateResults(() => ({ fta: { hazards: data.hazards, provenance: data.provenance, trees: [] } }));
+        break;
+      case 'fta':
+        updateResults(() => ({ fta: data }));
+        break;
+      case 'hara':
+        updateResults(() => ({ hara: data }));
+        break;
+      case 'hazop':
+        updateResults(() => ({ hazop: data }));
+        break;
+      case 'stpa':
+        updateResults(() => ({ stpa: data }));
+        break;
+      case 'mil-std-882':
+        updateResults(() => ({ milStd882: data }));
+        break;
+      default:
+        break;
     }
-    // Local development - connect directly to local backend
-    return window.location.origin.replace(':5173', ':3000') + '/api';
-  })();
+  };
 
   // Generate analysis using the API
   const generateAnalysis = async (yamlDescription) => {
@@ -31,39 +121,78 @@ function App() {
 
     setIsLoading(true);
     setError(null);
+    setProgress({});
 
     try {
       // Parse the YAML description into structured data
       const requestBody = parseStructuredDescription(yamlDescription);
       
-      console.log('📤 Sending structured request:', requestBody);
+      requestBody.riskRanking = analysisOptions.riskRanking;
 
-      const response = await fetch(`${API_BASE_URL}/analysis/generate`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestBody)
-      });
+      // Quantitative criticality is opt-in; RPN only is the server default
+      if (analysisOptions.criticality.mode === 'quantitative') {
+        requestBody.criticality = {
+          mode: 'quantitative',
+          operatingTime: Number(analysisOptions.criticality.operatingTime) || undefined
+        };
+      }
 
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+      // FMEDA metrics are checked against the targets of the chosen ASIL
+      if (analysisOptions.fmeda.enabled) {
+        requestBody.fmeda = { asil: analysisOptions.fmeda.asil };
       }
 
-      const analysisResult = await response.json();
-      console.log('📥 Analysis result received:', analysisResult);
+      // The HAZOP study nodes are the connections, so it needs at least one
+      if (analysisOptions.hazop) {
+        if (!requestBody.connections?.length) {
+          throw new Error('A HAZOP study needs at least one connection between components');
+        }
+        requestBody.hazop = {};
+      }
+
+      // Control actions and feedback are the connections to and from the controllers
+      if (analysisOptions.stpa) {
+        if (!requestBody.connections?.length) {
+          throw new Error('An STPA needs at least one connection between components');
+        }
+        requestBody.stpa = {};
+      }
+
+      console.log('📤 Sending structured request:', requestBody);
 
-      setAnalysisData(analysisResult);
-      
       // Store system info for PDF exports
       setSystemInfo({
         systemName: requestBody.systemName || '',
         description: requestBody.description || ''
       });
 
+      // Keep the open project's system information in step and save the results to it
+      if (activeProject) {
+        const { project } = await requestJSON(`/projects/${activeProject.id}`, {
+          method: 'PUT',
+          body: { systemDescription: formData }
+        });
+        setActiveProject(project);
+        requestBody.projectId = project.id;
+      }
+
+      // Results fill in progressively while the analysis streams
+      setAnalysisData({ partial: true, results: { fmeca: { fmecaTable: [] } } });
+
+      const analysisResult = await postEventStream('/analysis/generate', requestBody, handleStreamEvent);
+      console.log('📥 Analysis result received:', analysisResult);
+
+      setAnalysisData(analysisResult);
+
+      if (analysisResult.project) {
+        const { project } = await requestJSON(`/projects/${analysisResult.project.id}`);
+        setActiveProject(project);
+        setActiveRevision(analysisResult.project.revision);
+      }
+
     } catch (error) {
       console.error('❌ API call failed:', error);
+      setAnalysisData(previous => (previous?.partial ? null : previous));
       
       if (error.name === 'TypeError' && error.message.includes('fetch')) {
         setError('Unable to connect to the analysis server. Please check your connection and try again.');
@@ -76,6 +205,7 @@ function App() {
       }
     } finally {
       setIsLoading(false);
+      setProgress(null);
     }
   };
 
@@ -86,6 +216,7 @@ function App() {
       const result = {};
       let currentSection = null;
       let currentComponent = null;
+      let currentConnection = null;
       
       for (const line of lines) {
         const trimmed = line.trim();
@@ -105,9 +236,33 @@ function App() {
         } else if (trimmed.startsWith('function:') && currentSection === 'components' && currentComponent) {
           const func = trimmed.split('function:')[1].trim().replace(/['"]/g, '');
           currentComponent.function = func;
+        } else if (trimmed === 'connections:') {
+          result.connections = [];
+          currentSection = 'connections';
+        } else if (trimmed.startsWith('- from:') && currentSection === 'connections') {
+          currentConnection = { from: trimmed.split('- from:')[1].trim().replace(/['"]/g, '') };
+          result.connections.push(currentConnection);
+        } else if ((trimmed.startsWith('to:') || trimmed.startsWith('type:')) && currentSection === 'connections' && currentConnection) {
+          const [key, ...rest] = trimmed.split(':');
+          currentConnection[key] = rest.join(':').trim().replace(/['"]/g, '');
+        } else if (trimmed === 'safetyStandards:') {
+          currentSection = 'safetyStandards';
+        } else if (trimmed.startsWith('- standard:') && currentSection === 'safetyStandards') {
+          // Only standards the API knows are sent; others stay documentation in the form
+          const standard = toSupportedStandard(trimmed.split('- standard:')[1].trim().replace(/['"]/g, ''));
+          if (standard) {
+            result.safetyStandards = [...new Set([...(result.safetyStandards || []), standard])];
+          }
         }
       }
       
+      // Connections the form left incomplete are placeholders, not part of the system
+      if (result.connections) {
+        result.connections = result.connections.filter(connection =>
+          ['from', 'to', 'type'].every(key => connection[key] && connection[key] !== 'Unknown'));
+        if (result.connections.length === 0) delete result.connections;
+      }
+
       // Validate required fields
       if (!result.systemName || !result.description) {
         throw new Error('System name and description are required');
@@ -140,19 +295,38 @@ function App() {
     <div className="app">
       <div className="container">
         <Header />
+        <ProjectPicker
+          activeProject={activeProject}
+          activeRevision={activeRevision}
+          currentDescription={formData}
+          unsavedResults={!activeProject && analysisData && !analysisData.partial ? analysisData.results : null}
+          onOpen={openProject}
+          onUpdate={setActiveProject}
+          onClose={closeProject}
+          onSelectRevision={(number) => showRevision(activeProject, number)}
+          disabled={isLoading}
+        />
         <InputSection 
           value={systemDescription}
           onChange={setSystemDescription}
+          onFormChange={setFormData}
+          loadedForm={loadedForm}
           onConvert={handleConvert}
+          analysisOptions={analysisOptions}
+          onOptionsChange={setAnalysisOptions}
           isLoading={isLoading}
           error={error}
         />
         {(analysisData || error) && (
           <OutputSection 
             analysisData={analysisData}
+            progress={progress}
             error={error}
             systemName={systemInfo.systemName}
             description={systemInfo.description}
+            structure={formData}
+            project={activeProject}
+            revision={activeRevision}
           />
         )}
       </div>
@@ -0,0 +1,89 @@
+// API URL configuration for different environments
+// In production (Vercel), use local API routes that proxy to Railway
+// In development, connect directly to local backend
+export const API_BASE_URL = import.meta.env.PROD
+  ? '/api'
+  : window.location.origin.replace(':5173', ':3000') + '/api';
+
+// Call the API with an optional JSON body and return the parsed response, throwing the server's error message on failure
+export const requestJSON = async (path, { method = 'GET', body } = {}) => {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    const error = new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+    // Validation problems, e.g. which rating scale field is wrong
+    error.details = Array.isArray(data.details) ? data.details : [];
+    throw error;
+  }
+  return data;
+};
+
+// POST JSON to the API and return the parsed response
+export const postJSON = (path, body) => requestJSON(path, { method: 'POST', body });
+
+// Parse one Server-Sent Events block ("event: name\ndata: {...}") into { event, data }
+const parseEventBlock = (block) => {
+  let event = 'message';
+  const dataLines = [];
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+  });
+  return dataLines.length > 0 ? { event, data: JSON.parse(dataLines.join('\n')) } : null;
+};
+
+// POST JSON and consume the Server-Sent Events response, calling onEvent(event, data) for each event.
+// Resolves with the data of the final "complete" event and rejects on an "error" event.
+export const postEventStream = async (path, body, onEvent) => {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream'
+    },
+    body: JSON.stringify(body)
+  });
+
+  // Validation and rate-limit errors arrive as plain JSON before any stream is opened
+  if (!(response.headers.get('content-type') || '').includes('text/event-stream')) {
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+    }
+    return data;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const parsed = parseEventBlock(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (!parsed) continue;
+
+      if (parsed.event === 'error') {
+        throw new Error(parsed.data.error || `HTTP ${parsed.data.statusCode}`);
+      }
+      if (parsed.event === 'complete') {
+        return parsed.data;
+      }
+      onEvent(parsed.event, parsed.data);
+    }
+  }
+
+  throw new Error('The analysis stream ended before the results were complete. Please try again.');
+};
@@ -0,0 +1,74 @@
+import React from 'react';
+import './AnalysisProgress.css';
+
+const STATUS_ICONS = {
+  started: '⏳',
+  repairing: '🔧',
+  completed: '✅'
+};
+
+// Live status of a streaming analysis
+const AnalysisProgress = ({ progress, analysisData }) => {
+  if (!progress) return null;
+
+  const rows = analysisData?.results?.fmeca?.fmecaTable?.length || 0;
+  const hazards = analysisData?.results?.fta?.hazards || [];
+  const treeStatuses = Object.values(progress.fta || {});
+  const treesDone = treeStatuses.filter(status => status === 'completed').length;
+
+  const steps = [
+    {
+      key: 'fmeca',
+      status: progress.fmeca,
+      label: progress.fmeca === 'repairing'
+        ? 'FMECA: fixing validation errors'
+        : `FMECA: ${rows} failure mode${rows === 1 ? '' : 's'}`
+    },
+    {
+      key: 'hazards',
+      status: hazards.length > 0 ? 'completed' : progress.hazards,
+      label: hazards.length > 0 ? `${hazards.length} hazard${hazards.length === 1 ? '' : 's'} identified` : 'Identifying hazards'
+    },
+    {
+      key: 'fta',
+      status: treeStatuses.length > 0 && treesDone === hazards.length ? 'completed' : (treeStatuses.length > 0 ? 'started' : undefined),
+      label: `Fault trees: ${treesDone}/${hazards.length || '?'}`
+    },
+    // Only present when ISO 26262 is selected
+    ...(progress.hara ? [{
+      key: 'hara',
+      status: progress.hara,
+      label: 'ISO 26262 HARA'
+    }] : []),
+    // Only present when a HAZOP study is requested
+    ...(progress.hazop ? [{
+      key: 'hazop',
+      status: progress.hazop,
+      label: 'HAZOP of the connections'
+    }] : []),
+    // Only present when an STPA is requested
+    ...(progress.stpa ? [{
+      key: 'stpa',
+      status: progress.stpa,
+      label: 'STPA of the control structure'
+    }] : []),
+    {
+      key: 'quantification',
+      status: progress.quantification,
+      label: 'Quantification, cut sets and importance'
+    }
+  ];
+
+  return (
+    <div className="analysis-progress" role="status" aria-live="polite">
+      {steps.map(step => (
+        <div key={step.key} className={`progress-step ${step.status || 'pending'}`}>
+          <span className="progress-icon">{STATUS_ICONS[step.status] || '○'}</span>
+          {step.label}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default AnalysisProgress;
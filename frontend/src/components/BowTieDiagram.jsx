@@ -0,0 +1,364 @@
+import React, { useRef, useState } from 'react';
+import jsPDF from 'jspdf';
+import html2canvas from 'html2canvas';
+import { postJSON } from '../api';
+import './BowTieDiagram.css';
+
+const OUTCOME_LABELS = {
+  controlled: 'Controlled',
+  degraded: 'Degraded',
+  unmitigated: 'Unmitigated'
+};
+
+const emptyBarrier = () => ({ name: '', failureProbability: '0.1', stopsOnSuccess: false });
+
+const formatFrequency = (value) => (value === 0 ? '0' : value.toExponential(2));
+
+// Hazards an event tree can start from: fault tree top events (with their tree) and FMECA end effects
+const hazardOptions = (fta, fmeca) => [
+  ...(fta?.trees || []).map(tree => ({
+    key: `fta:${tree.hazardId}`,
+    label: `${tree.hazardId ? `${tree.hazardId}: ` : ''}${tree.topEvent} (fault tree)`,
+    tree
+  })),
+  ...[...new Set((fmeca?.fmecaTable || []).map(row => row.endEffect))].map(endEffect => {
+    const rows = fmeca.fmecaTable.filter(row => row.endEffect === endEffect);
+    // Failure rate per hour of the modes leading to the end effect, when the FMECA quantified them
+    const rates = rows.map(row => (row.modeFailureRate ?? (row.partFailureRate > 0 ? row.partFailureRate * row.failureModeRatio * 1000 : null)));
+    return {
+      key: `fmeca:${endEffect}`,
+      label: `${endEffect} (FMECA end effect)`,
+      endEffect,
+      causes: rows.map(row => `${row.itemFunction}: ${row.failureMode}`),
+      frequency: rates.every(rate => typeof rate === 'number') ? rates.reduce((sum, rate) => sum + rate, 0) / 1e9 : null
+    };
+  })
+];
+
+// FMECA end effects start from the failure rate of their modes, per hour; fault trees from their top event probability
+const frequencyDefaults = (option) => (option?.frequency
+  ? { frequency: String(option.frequency), unit: 'per hour' }
+  : { frequency: '', unit: 'per year' });
+
+// Event tree and bow-tie of a hazard through the safety barriers that mitigate it
+const BowTieDiagram = ({ fta, fmeca, systemName, description }) => {
+  const options = hazardOptions(fta, fmeca);
+  const [hazardKey, setHazardKey] = useState(options[0]?.key || '');
+  const [frequency, setFrequency] = useState(() => frequencyDefaults(options[0]).frequency);
+  const [unit, setUnit] = useState(() => frequencyDefaults(options[0]).unit);
+  const [consequence, setConsequence] = useState('');
+  const [barriers, setBarriers] = useState([emptyBarrier()]);
+  const [result, setResult] = useState(null);
+  const [problems, setProblems] = useState([]);
+  const [isBusy, setIsBusy] = useState(false);
+  const containerRef = useRef(null);
+
+  // Fault trees still streaming in can change the list, so fall back to the first hazard
+  const hazard = options.find(option => option.key === hazardKey) || options[0];
+
+  const selectHazard = (key) => {
+    const defaults = frequencyDefaults(options.find(option => option.key === key));
+    setHazardKey(key);
+    setFrequency(defaults.frequency);
+    setUnit(defaults.unit);
+    setResult(null);
+  };
+
+  const updateBarrier = (index, changes) => {
+    setBarriers(barriers.map((barrier, i) => (i === index ? { ...barrier, ...changes } : barrier)));
+  };
+
+  const analyze = async () => {
+    setIsBusy(true);
+    setProblems([]);
+    try {
+      const body = {
+        barriers: barriers.map(barrier => ({ ...barrier, failureProbability: Number(barrier.failureProbability) }))
+      };
+      const initiatingEvent = {
+        ...(consequence.trim() && { consequence: consequence.trim() }),
+        ...(frequency !== '' && { frequency: Number(frequency), unit })
+      };
+      if (hazard.tree) {
+        const { events, gates, edges, topEvent, quantification } = hazard.tree;
+        body.faultTree = { events, gates, edges, topEvent };
+        if (quantification) body.quantification = { missionTime: quantification.missionTime, method: quantification.method };
+      } else {
+        initiatingEvent.description = hazard.endEffect;
+        initiatingEvent.causes = hazard.causes;
+      }
+      if (Object.keys(initiatingEvent).length > 0) body.initiatingEvent = initiatingEvent;
+
+      setResult(await postJSON('/analysis/event-tree', body));
+    } catch (analyzeError) {
+      setResult(null);
+      setProblems([analyzeError.message, ...(analyzeError.details || [])]);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const exportToPDF = async () => {
+    if (!containerRef.current) return;
+
+    try {
+      const canvas = await html2canvas(containerRef.current, {
+        scale: 2,
+        useCORS: true,
+        allowTaint: true,
+        backgroundColor: '#ffffff'
+      });
+
+      const pdf = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4' });
+      const pageWidth = pdf.internal.pageSize.getWidth();
+      const pageHeight = pdf.internal.pageSize.getHeight();
+
+      pdf.setFontSize(16);
+      pdf.setFont('helvetica', 'bold');
+      pdf.text('Event Tree and Bow-Tie Analysis', 20, 20);
+
+      let yPos = 30;
+      if (systemName) {
+        pdf.setFontSize(12);
+        pdf.text(`System Name: ${systemName}`, 20, yPos);
+        yPos += 8;
+      }
+      pdf.setFontSize(10);
+      pdf.setFont('helvetica', 'normal');
+      if (description) {
+        const descLines = pdf.splitTextToSize(`Description: ${description}`, pageWidth - 40);
+        pdf.text(descLines, 20, yPos);
+        yPos += descLines.length * 5;
+      }
+      pdf.text(`Generated on: ${new Date().toLocaleDateString()}`, 20, yPos);
+      yPos += 10;
+
+      // The hazard and its causes come from the model's analysis, so flag placeholder or salvaged data
+      const provenance = hazard?.tree ? hazard.tree.provenance : fmeca?.provenance;
+      if (provenance?.degraded) {
+        pdf.setTextColor(220, 38, 38);
+        pdf.setFont('helvetica', 'bold');
+        pdf.text(`WARNING: ${provenance.source === 'mock' ? 'Placeholder mock data' : 'Partially salvaged data'} - not a validated model analysis`, 20, yPos);
+        pdf.setTextColor(0, 0, 0);
+        pdf.setFont('helvetica', 'normal');
+        yPos += 10;
+      }
+
+      const imgData = canvas.toDataURL('image/png');
+      const maxWidth = pageWidth - 40;
+      const maxHeight = pageHeight - yPos - 15;
+      const scale = Math.min(maxWidth / canvas.width, maxHeight / canvas.height);
+      pdf.addImage(imgData, 'PNG', 20, yPos, canvas.width * scale, canvas.height * scale);
+
+      pdf.save('Bow-Tie-Analysis.pdf');
+    } catch (error) {
+      console.error('Error generating PDF:', error);
+      alert('Error generating PDF. Please try again.');
+    }
+  };
+
+  if (options.length === 0) {
+    return <div className="no-data">No hazards available: generate a fault tree or an FMECA first</div>;
+  }
+
+  const eventTree = result?.eventTree;
+  const bowTie = result?.bowTie;
+
+  return (
+    <div className="bow-tie-container">
+      <div className="bow-tie-form">
+        <label className="bow-tie-field bow-tie-hazard">
+          Hazard
+          <select value={hazard?.key} onChange={(e) => selectHazard(e.target.value)} disabled={isBusy}>
+            {options.map(option => <option key={option.key} value={option.key}>{option.label}</option>)}
+          </select>
+        </label>
+        <label className="bow-tie-field">
+          Frequency
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={frequency}
+            onChange={(e) => setFrequency(e.target.value)}
+            placeholder={hazard?.tree ? 'Top event probability' : 'Required'}
+            disabled={isBusy}
+          />
+        </label>
+        <label className="bow-tie-field">
+          Unit
+          <select value={unit} onChange={(e) => setUnit(e.target.value)} disabled={isBusy}>
+            <option value="per year">per year</option>
+            <option value="per hour">per hour</option>
+            <option value="per demand">per demand</option>
+          </select>
+        </label>
+        <label className="bow-tie-field bow-tie-consequence">
+          Worst credible consequence
+          <input
+            type="text"
+            value={consequence}
+            onChange={(e) => setConsequence(e.target.value)}
+            placeholder="When every barrier fails"
+            disabled={isBusy}
+          />
+        </label>
+      </div>
+
+      <div className="bow-tie-barriers">
+        <div className="bow-tie-barriers-header">
+          <span>Safety barriers, in the order they are demanded</span>
+          <button type="button" className="add-button" onClick={() => setBarriers([...barriers, emptyBarrier()])} disabled={isBusy || barriers.length >= 6}>
+            + Add barrier
+          </button>
+        </div>
+        {barriers.map((barrier, index) => (
+          <div key={index} className="bow-tie-barrier">
+            <input
+              type="text"
+              value={barrier.name}
+              onChange={(e) => updateBarrier(index, { name: e.target.value })}
+              placeholder="Barrier, e.g. Brake fluid level warning"
+              aria-label={`Barrier ${index + 1} name`}
+              disabled={isBusy}
+            />
+            <label>
+              PFD
+              <input
+                type="number"
+                min="0"
+                max="1"
+                step="any"
+                value={barrier.failureProbability}
+                onChange={(e) => updateBarrier(index, { failureProbability: e.target.value })}
+                aria-label={`Barrier ${index + 1} probability of failure on demand`}
+                disabled={isBusy}
+              />
+            </label>
+            <label title="When this barrier works, the barriers after it are not demanded">
+              <input
+                type="checkbox"
+                checked={barrier.stopsOnSuccess}
+                onChange={(e) => updateBarrier(index, { stopsOnSuccess: e.target.checked })}
+                disabled={isBusy}
+              />
+              Ends the sequence when it works
+            </label>
+            <button
+              type="button"
+              className="remove-button"
+              onClick={() => setBarriers(barriers.filter((_, i) => i !== index))}
+              disabled={isBusy || barriers.length === 1}
+            >
+              ×
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="bow-tie-actions">
+        <button
+          type="button"
+          className="bow-tie-analyze"
+          onClick={analyze}
+          disabled={isBusy || !hazard || barriers.some(barrier => !barrier.name.trim())}
+        >
+          {isBusy ? 'Building...' : 'Build event tree'}
+        </button>
+        {result && (
+          <button type="button" className="export-button" onClick={exportToPDF}>
+            Export PDF
+          </button>
+        )}
+      </div>
+      {problems.length > 0 && (
+        <ul className="bow-tie-problems">
+          {problems.map(problem => <li key={problem}>{problem}</li>)}
+        </ul>
+      )}
+
+      {result && (
+        <div className="bow-tie-results" ref={containerRef}>
+          <h4>Bow-tie</h4>
+          <div className="bow-tie">
+            <div className="bow-tie-side bow-tie-threats">
+              <div className="bow-tie-side-title">Causes</div>
+              {bowTie.threats.map(threat => (
+                <div key={threat.id} className={`bow-tie-threat ${threat.singlePointFailure ? 'single-point' : ''}`}>
+                  <span className="bow-tie-id">{threat.id}</span> {threat.descriptions.join(' AND ')}
+                  {typeof threat.probability === 'number' && <span className="bow-tie-value">P = {formatFrequency(threat.probability)}</span>}
+                </div>
+              ))}
+              {bowTie.threats.length === 0 && <div className="bow-tie-threat">No causes listed</div>}
+              {bowTie.omittedThreats > 0 && <div className="bow-tie-omitted">+ {bowTie.omittedThreats} less likely cut sets</div>}
+            </div>
+
+            <div className="bow-tie-knot">
+              <div className="bow-tie-hazard-label">{bowTie.hazard.description}</div>
+              <div className="bow-tie-value">{formatFrequency(bowTie.hazard.frequency)} {bowTie.hazard.unit}</div>
+            </div>
+
+            <div className="bow-tie-side bow-tie-barrier-column">
+              <div className="bow-tie-side-title">Mitigation barriers</div>
+              {bowTie.barriers.map(barrier => (
+                <div key={barrier.name} className="bow-tie-barrier-box">
+                  {barrier.name}
+                  <span className="bow-tie-value">PFD {barrier.failureProbability}</span>
+                </div>
+              ))}
+            </div>
+
+            <div className="bow-tie-side bow-tie-consequences">
+              <div className="bow-tie-side-title">Consequences</div>
+              {bowTie.consequences.map(entry => (
+                <div key={entry.consequence} className={`bow-tie-consequence-box outcome-${entry.outcome}`}>
+                  {entry.consequence}
+                  <span className="bow-tie-value">{formatFrequency(entry.frequency)} {bowTie.hazard.unit}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <h4>Event tree</h4>
+          <table className="event-tree-table">
+            <thead>
+              <tr>
+                <th>Sequence</th>
+                {eventTree.barriers.map(barrier => <th key={barrier.name}>{barrier.name}</th>)}
+                <th>Outcome</th>
+                <th>Consequence</th>
+                <th>Probability</th>
+                <th>Frequency ({eventTree.initiatingEvent.unit})</th>
+              </tr>
+            </thead>
+            <tbody>
+              {eventTree.sequences.map(sequence => (
+                <tr key={sequence.id} className={`outcome-${sequence.outcome}`}>
+                  <td>{sequence.id}</td>
+                  {eventTree.barriers.map((barrier, index) => {
+                    const state = sequence.path[index]?.state;
+                    return (
+                      <td key={barrier.name} className={`branch-${state || 'not-demanded'}`}>
+                        {state === 'success' ? 'Works' : state === 'failure' ? 'Fails' : '-'}
+                      </td>
+                    );
+                  })}
+                  <td>{OUTCOME_LABELS[sequence.outcome]}</td>
+                  <td>{sequence.consequence}</td>
+                  <td>{formatFrequency(sequence.probability)}</td>
+                  <td>{formatFrequency(sequence.frequency)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="event-tree-summary">
+            Unmitigated frequency {formatFrequency(eventTree.summary.frequencyByOutcome.unmitigated)} {eventTree.initiatingEvent.unit}
+            {eventTree.summary.riskReductionFactor !== null && ` · risk reduction factor ${Math.round(eventTree.summary.riskReductionFactor).toLocaleString()}`}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BowTieDiagram;
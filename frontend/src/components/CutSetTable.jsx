@@ -0,0 +1,66 @@
+import React from 'react';
+import './CutSetTable.css';
+
+const CutSetTable = ({ cutSets }) => {
+  if (!cutSets) return null;
+
+  const { sets, total, singlePointFailures, byOrder, truncated } = cutSets;
+
+  return (
+    <div className="cutset-panel">
+      <div className="cutset-header">
+        <h4>Minimal Cut Sets</h4>
+        <div className="cutset-summary">
+          <span>{total}{truncated ? '+' : ''} total</span>
+          {Object.entries(byOrder).map(([order, count]) => (
+            <span key={order}>Order {order}: {count}</span>
+          ))}
+        </div>
+      </div>
+
+      {singlePointFailures > 0 && (
+        <div className="cutset-warning" role="alert">
+          {singlePointFailures} single-point failure{singlePointFailures === 1 ? '' : 's'}: one basic event alone causes the top event
+        </div>
+      )}
+
+      {truncated && (
+        <div className="cutset-note">
+          Too many cut sets to list them all: only the {total} lowest-order and, within an order, most probable ones are shown
+        </div>
+      )}
+
+      <div className="cutset-table-wrapper">
+        <table>
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Basic Events</th>
+              <th>Order</th>
+              <th>Probability</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sets.map(cutSet => (
+              <tr key={cutSet.events.join('+')} className={cutSet.singlePointFailure ? 'single-point' : ''}>
+                <td>{cutSet.rank}</td>
+                <td>
+                  {cutSet.events.map((id, index) => (
+                    <div key={id} className="cutset-event">
+                      <span className="cutset-event-id">{id}</span> {cutSet.descriptions[index]}
+                    </div>
+                  ))}
+                  {cutSet.singlePointFailure && <span className="spf-badge">SPF</span>}
+                </td>
+                <td>{cutSet.order}</td>
+                <td>{cutSet.probability.toExponential(2)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default CutSetTable;
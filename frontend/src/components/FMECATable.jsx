@@ -1,25 +1,171 @@
 import React from 'react';
 import jsPDF from 'jspdf';
 import html2canvas from 'html2canvas';
+import RatingCriteriaAppendix from './RatingCriteriaAppendix';
+import {
+  RATING_DIMENSIONS,
+  DEFAULT_SEVERITY_BANDS,
+  DEFAULT_RPN_BANDS,
+  bandOf,
+  describeBands,
+  highRiskRPN
+} from '../ratingScales';
 import './FMECATable.css';
 
+// ISO 26262-5 fault classes of FMEDA rows
+const FAULT_CLASS_LABELS = {
+  safe: 'Safe',
+  'single-point': 'Single-point',
+  residual: 'Residual',
+  'multiple-point': 'Multiple-point'
+};
+
 const FMECATable = ({ data, systemName, description }) => {
   const fmecaData = data?.fmecaTable || [];
+  // MIL-STD-1629A quantitative criticality, present when requested with the analysis
+  const criticality = data?.criticality;
+  // ISO 26262-5 FMEDA and hardware architectural metrics, present when requested with the analysis
+  const fmeda = data?.fmeda;
+  // AIAG-VDA Action Priority replaces RPN as the risk ranking when the server computed it
+  const byActionPriority = data?.riskRanking?.method === 'action-priority';
+  // Rating scales the rows were rated on; their thresholds drive the colouring and legend
+  const ratingScales = data?.ratingScales;
+  const severityBands = ratingScales?.severityBands || DEFAULT_SEVERITY_BANDS;
+  const rpnBands = ratingScales?.rpnBands || DEFAULT_RPN_BANDS;
+  const criticalityBands = ratingScales?.criticalityBands || [];
+  const highRiskThreshold = highRiskRPN(rpnBands);
 
   // Helper function to get RPN risk class
-  const getRPNClass = (rpn) => {
-    if (rpn >= 200) return 'rpn-critical';
-    if (rpn >= 100) return 'rpn-high';
-    if (rpn >= 50) return 'rpn-medium';
-    return 'rpn-low';
-  };
+  const getRPNClass = (rpn) => `rpn-${bandOf(rpnBands, rpn).level}`;
+
+  const getActionPriorityClass = (priority) => `ap-${(priority || 'none').toLowerCase()}`;
 
   // Helper function to get severity class
-  const getSeverityClass = (severity) => {
-    if (severity >= 9) return 'severity-critical';
-    if (severity >= 7) return 'severity-high';
-    if (severity >= 5) return 'severity-medium';
-    return 'severity-low';
+  const getSeverityClass = (severity) => `severity-${bandOf(severityBands, severity).level}`;
+
+  // Mode criticality is only coloured when the rating scales define criticality thresholds
+  const getModeCriticalityClass = (value) => (
+    criticalityBands.length > 0 && Number.isFinite(value) ? ` cm-${bandOf(criticalityBands, value).level}` : ''
+  );
+
+  // Criticality numbers are per million, so small values need significant digits rather than decimals
+  const formatCriticality = (value) => {
+    if (value === null || value === undefined) return '–';
+    if (value === 0) return '0';
+    return value >= 0.01 ? Number(value.toPrecision(3)).toString() : value.toExponential(2);
+  };
+
+  const formatPercent = (value) => (value === null || value === undefined ? '–' : `${(value * 100).toFixed(2)} %`);
+
+  // Metrics against the ASIL targets: SPFM and LFM are minimums, PMHF a maximum
+  const renderFmedaMetrics = () => {
+    const metrics = [
+      { key: 'spfm', title: 'Single-Point Fault Metric (SPFM)', value: formatPercent(fmeda.metrics.spfm), target: `≥ ${formatPercent(fmeda.targets.spfm)}` },
+      { key: 'lfm', title: 'Latent Fault Metric (LFM)', value: formatPercent(fmeda.metrics.lfm), target: `≥ ${formatPercent(fmeda.targets.lfm)}` },
+      { key: 'pmhf', title: 'Probabilistic Metric for random Hardware Failures (PMHF)', value: `${formatCriticality(fmeda.metrics.pmhf)} FIT`, target: `< ${fmeda.targets.pmhf} FIT` }
+    ];
+
+    return (
+      <table className="fmeda-metrics">
+        <thead>
+          <tr>
+            <th>Metric</th>
+            <th>Value</th>
+            <th>ASIL {fmeda.asil} Target</th>
+            <th>Result</th>
+          </tr>
+        </thead>
+        <tbody>
+          {metrics.map(metric => (
+            <tr key={metric.key}>
+              <td>{metric.title}</td>
+              <td className="criticality-cell">{metric.value}</td>
+              <td className="criticality-cell">{metric.target}</td>
+              <td className={`criticality-cell ${fmeda.compliance[metric.key] ? 'fmeda-met' : 'fmeda-not-met'}`}>
+                {fmeda.compliance[metric.key] ? 'Met' : 'Not met'}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  };
+
+  const severityClassNames = Object.fromEntries(
+    (criticality?.matrix.severityClasses || []).map(({ id, name }) => [id, name])
+  );
+
+  // Criticality matrix: Cr bands top to bottom, severity classes IV (left) to I (right)
+  const renderCriticalityMatrix = () => {
+    const { bands, cells, severityClasses } = criticality.matrix;
+    const columns = [...severityClasses].reverse();
+    const cellItems = (band, severityClass) =>
+      cells.find(cell => cell.band === band && cell.severityClass === severityClass)?.items || [];
+
+    return (
+      <table className="criticality-matrix">
+        <thead>
+          <tr>
+            <th>Item Criticality (Cr)</th>
+            {columns.map(({ id, name }) => <th key={id}>{id}<br/>{name}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {bands.map((band, index) => (
+            <tr key={index}>
+              <td className="matrix-band">
+                {index === bands.length - 1 ? `< ${formatCriticality(band.max)}` : `${formatCriticality(band.min)} – ${formatCriticality(band.max)}`}
+              </td>
+              {columns.map(({ id }) => {
+                const items = cellItems(index, id);
+                return (
+                  <td key={id} className={`matrix-cell class-${id}${items.length > 0 ? ' occupied' : ''}`}>
+                    {items.map(({ item, criticality: value }) => (
+                      <div key={item}>{item} ({formatCriticality(value)})</div>
+                    ))}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  };
+
+  // Rating criteria appendix pages of the PDF export (plain ASCII, which the built-in PDF fonts cover)
+  const addRatingCriteriaPages = (pdf) => {
+    let y = 20;
+    const write = (text, { size = 9, bold = false, indent = 0 } = {}) => {
+      pdf.setFontSize(size);
+      pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+      const lines = pdf.splitTextToSize(text, 257 - indent);
+      if (y + lines.length * 4.5 > 195) {
+        pdf.addPage();
+        y = 20;
+      }
+      pdf.text(lines, 20 + indent, y);
+      y += lines.length * 4.5 + (bold ? 1.5 : 0);
+    };
+    const thresholds = (bands, options) => describeBands(bands, options)
+      .map(band => `${band.range.replace('≥', '>=')} ${band.label}`)
+      .join(', ');
+
+    pdf.addPage();
+    write(`Appendix: Rating Criteria${ratingScales.name ? ` - ${ratingScales.name}` : ''}`, { size: 14, bold: true });
+    y += 3;
+    RATING_DIMENSIONS.forEach(({ key, title }) => {
+      const { min, max, levels } = ratingScales[key];
+      write(`${title}, rated ${min}-${max}`, { size: 11, bold: true });
+      levels.forEach(level => write(`${level.value}  ${level.label}: ${level.criteria}`, { indent: 4 }));
+      y += 3;
+    });
+    write('Risk Thresholds', { size: 11, bold: true });
+    write(`Severity: ${thresholds(severityBands)}`, { indent: 4 });
+    write(`RPN: ${thresholds(rpnBands)}`, { indent: 4 });
+    if (criticalityBands.length > 0) {
+      write(`Mode criticality (Cm): ${thresholds(criticalityBands, { wholeNumbers: false })}`, { indent: 4 });
+    }
   };
 
   // Export FMECA as PDF
@@ -70,6 +216,16 @@ const FMECATable = ({ data, systemName, description }) => {
       pdf.text(`Generated on: ${new Date().toLocaleDateString()}`, 20, yPos);
       yPos += 10;
 
+      // Flag placeholder or salvaged data so it cannot be mistaken for a real analysis
+      if (data?.provenance?.degraded) {
+        pdf.setTextColor(220, 38, 38);
+        pdf.setFont('helvetica', 'bold');
+        pdf.text(`WARNING: ${data.provenance.source === 'mock' ? 'Placeholder mock data' : 'Partially salvaged data'} - not a validated model analysis`, 20, yPos);
+        pdf.setTextColor(0, 0, 0);
+        pdf.setFont('helvetica', 'normal');
+        yPos += 10;
+      }
+
       // Add the table image
       const imgData = canvas.toDataURL('image/png');
       const imgWidth = 250; // A4 landscape width minus margins
@@ -103,6 +259,10 @@ const FMECATable = ({ data, systemName, description }) => {
         pdf.addImage(imgData, 'PNG', 20, yPosition, imgWidth, imgHeight);
       }
 
+      if (ratingScales) {
+        addRatingCriteriaPages(pdf);
+      }
+
       // Save the PDF
       pdf.save('FMECA-Analysis.pdf');
     } catch (error) {
@@ -134,6 +294,13 @@ const FMECATable = ({ data, systemName, description }) => {
         <button className="export-button" onClick={exportToPDF}>
           Export PDF
         </button>
+        {data?.summary && (
+          <span className="risk-summary">
+            {data.summary.highRiskItems} high-risk item{data.summary.highRiskItems === 1 ? '' : 's'}
+            {byActionPriority && ' (Action Priority High)'}
+            {!byActionPriority && highRiskThreshold !== null && ` (RPN ≥ ${highRiskThreshold})`}
+          </span>
+        )}
       </div>
 
       <div id="fmeca-table-container" className="fmeca-table-wrapper">
@@ -146,6 +313,9 @@ const FMECATable = ({ data, systemName, description }) => {
               <th colSpan="3">Failure Effects</th>
               <th colSpan="3">Risk Assessment</th>
               <th rowSpan="2">RPN</th>
+              {byActionPriority && <th rowSpan="2">AP</th>}
+              {criticality && <th colSpan="6">Criticality (MIL-STD-1629A)</th>}
+              {fmeda && <th colSpan="8">FMEDA (ISO 26262-5)</th>}
               <th rowSpan="2">Recommended<br/>Actions</th>
             </tr>
             <tr>
@@ -155,6 +325,28 @@ const FMECATable = ({ data, systemName, description }) => {
               <th>S</th>
               <th>O</th>
               <th>D</th>
+              {criticality && (
+                <>
+                  <th>Class</th>
+                  <th>λp</th>
+                  <th>α</th>
+                  <th>β</th>
+                  <th>t (h)</th>
+                  <th>Cm</th>
+                </>
+              )}
+              {fmeda && (
+                <>
+                  <th>λ (FIT)</th>
+                  <th>Dist.</th>
+                  <th>Fault Class</th>
+                  <th>Safety Mechanism</th>
+                  <th>DC</th>
+                  <th>Latent Cov.</th>
+                  <th>λSPF/RF</th>
+                  <th>λMPF,L</th>
+                </>
+              )}
             </tr>
           </thead>
           <tbody>
@@ -175,7 +367,36 @@ const FMECATable = ({ data, systemName, description }) => {
                   <td className={getSeverityClass(row.severity)}>{row.severity || ''}</td>
                   <td>{row.occurrence || ''}</td>
                   <td>{row.detection || ''}</td>
-                  <td className={getRPNClass(rpn)}>{rpn}</td>
+                  <td className={byActionPriority ? 'rpn-neutral' : getRPNClass(rpn)}>{rpn}</td>
+                  {byActionPriority && (
+                    <td className={`ap-cell ${getActionPriorityClass(row.actionPriority)}`}>{row.actionPriority || '–'}</td>
+                  )}
+                  {criticality && (
+                    <>
+                      <td className={`criticality-cell class-${row.severityClass}`} title={severityClassNames[row.severityClass]}>
+                        {row.severityClass || ''}
+                      </td>
+                      <td className="criticality-cell">{formatCriticality(row.partFailureRate)}</td>
+                      <td className="criticality-cell">{row.failureModeRatio ?? '–'}</td>
+                      <td className="criticality-cell">{row.failureEffectProbability ?? '–'}</td>
+                      <td className="criticality-cell">{row.operatingTime ?? '–'}</td>
+                      <td className={`criticality-cell${getModeCriticalityClass(row.modeCriticality)}`}>{formatCriticality(row.modeCriticality)}</td>
+                    </>
+                  )}
+                  {fmeda && (
+                    <>
+                      <td className="criticality-cell">{formatCriticality(row.failureRate)}</td>
+                      <td className="criticality-cell">{row.failureModeDistribution ?? '–'}</td>
+                      <td className={`criticality-cell fault-${row.safetyRelated === false ? 'not-safety-related' : row.faultClass}`}>
+                        {row.safetyRelated === false ? 'Not safety-related' : (FAULT_CLASS_LABELS[row.faultClass] || '–')}
+                      </td>
+                      <td>{row.safetyMechanism || '–'}</td>
+                      <td className="criticality-cell">{formatPercent(row.diagnosticCoverage)}</td>
+                      <td className="criticality-cell">{formatPercent(row.latentFaultCoverage)}</td>
+                      <td className="criticality-cell">{formatCriticality(row.singlePointFaultRate)}</td>
+                      <td className="criticality-cell">{formatCriticality(row.latentFaultRate)}</td>
+                    </>
+                  )}
                   <td>{row.recommendedAction || ''}</td>
                 </tr>
               );
@@ -183,14 +404,108 @@ const FMECATable = ({ data, systemName, description }) => {
           </tbody>
         </table>
         
+        {byActionPriority ? (
+          <div className="rpn-legend">
+            <strong>Action Priority (AIAG-VDA FMEA Handbook):</strong>
+            <span className="ap-high">High: action required</span>
+            <span className="ap-medium">Medium: action should be taken</span>
+            <span className="ap-low">Low: action could be taken</span>
+            <br/>
+            Determined from S, O and D, severity first; RPN is shown for reference only.
+          </div>
+        ) : (
+          <div className="rpn-legend">
+            <strong>Risk Priority Number (RPN) Scale:</strong> 
+            {describeBands(rpnBands).map(band => (
+              <span key={band.min} className={`rpn-${band.level}`}>{band.range}: {band.label}</span>
+            ))}
+          </div>
+        )}
         <div className="rpn-legend">
-          <strong>Risk Priority Number (RPN) Scale:</strong> 
-          <span className="rpn-low">1-49: Low</span>
-          <span className="rpn-medium">50-99: Medium</span>
-          <span className="rpn-high">100-199: High</span>
-          <span className="rpn-critical">200+: Critical</span>
+          <strong>Severity:</strong>
+          {describeBands(severityBands).map(band => (
+            <span key={band.min} className={`severity-${band.level}`}>{band.range}: {band.label}</span>
+          ))}
         </div>
+
+        {criticality && (
+          <div className="criticality-section">
+            <div className="rpn-legend">
+              <strong>Severity Classes:</strong>
+              {criticality.matrix.severityClasses.map(({ id, name }) => (
+                <span key={id} className={`class-${id}`}>{id}: {name}</span>
+              ))}
+              <br/>
+              Cm = β × α × λp × t and Cr are in {criticality.units}; λp per million hours, t = {criticality.operatingTime} h.
+              {criticality.summary.unquantifiedRows > 0 && ` ${criticality.summary.unquantifiedRows} failure mode(s) lack λp, α or β and are not quantified.`}
+              {criticalityBands.length > 0 && (
+                <>
+                  <br/>
+                  <strong>Mode Criticality (Cm):</strong>
+                  {describeBands(criticalityBands, { wholeNumbers: false }).map(band => (
+                    <span key={band.min} className={`cm-${band.level}`}>{band.range}: {band.label}</span>
+                  ))}
+                </>
+              )}
+            </div>
+
+            <h4>Item Criticality</h4>
+            <table className="item-criticality">
+              <thead>
+                <tr>
+                  <th>Item/Function</th>
+                  <th>Severity Class</th>
+                  <th>Failure Modes</th>
+                  <th>Cr</th>
+                </tr>
+              </thead>
+              <tbody>
+                {criticality.itemCriticality.map(entry => (
+                  <tr key={`${entry.item}-${entry.severityClass}`}>
+                    <td>{entry.item}</td>
+                    <td className={`criticality-cell class-${entry.severityClass}`}>
+                      {entry.severityClass} – {severityClassNames[entry.severityClass]}
+                    </td>
+                    <td className="criticality-cell">{entry.failureModes}</td>
+                    <td className="criticality-cell">{formatCriticality(entry.criticality)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <h4>Criticality Matrix</h4>
+            {renderCriticalityMatrix()}
+          </div>
+        )}
+
+        {fmeda && (
+          <div className="criticality-section">
+            <h4>Hardware Architectural Metrics (ISO 26262-5)</h4>
+            <div className={`fmeda-verdict ${fmeda.met ? 'fmeda-met' : 'fmeda-not-met'}`}>
+              {fmeda.met ? `Meets the ASIL ${fmeda.asil} targets` : `Does not meet the ASIL ${fmeda.asil} targets`}
+            </div>
+            {renderFmedaMetrics()}
+            <div className="rpn-legend">
+              Safety-related failure rate {formatCriticality(fmeda.totals.safetyRelated)} FIT: safe {formatCriticality(fmeda.totals.safe)},
+              single-point {formatCriticality(fmeda.totals.singlePoint)}, residual {formatCriticality(fmeda.totals.residual)},
+              multiple-point {formatCriticality(fmeda.totals.multiplePoint)} of which latent {formatCriticality(fmeda.totals.latent)}.
+              λ = element FIT × distribution; the PMHF adds the dual-point faults of the latent faults over a vehicle lifetime of {fmeda.lifetime ?? 10000} h.
+              {fmeda.summary.unquantifiedRows > 0 && ` ${fmeda.summary.unquantifiedRows} failure mode(s) lack FMEDA inputs and are not counted.`}
+              {fmeda.summary.largestContributors.length > 0 && (
+                <>
+                  <br/>
+                  <strong>Largest single-point/residual contributors:</strong>{' '}
+                  {fmeda.summary.largestContributors
+                    .map(entry => `${entry.itemFunction} – ${entry.failureMode} (${formatCriticality(entry.singlePointFaultRate)} FIT)`)
+                    .join('; ')}
+                </>
+              )}
+            </div>
+          </div>
+        )}
       </div>
+
+      {ratingScales && <RatingCriteriaAppendix scales={ratingScales} />}
     </div>
   );
 };
@@ -2,9 +2,23 @@ import React, { useEffect, useRef, useState } from 'react';
 import mermaid from 'mermaid';
 import jsPDF from 'jspdf';
 import html2canvas from 'html2canvas';
+import { postJSON } from '../api';
+import CutSetTable from './CutSetTable';
+import ImportancePanel from './ImportancePanel';
 import './FTADiagram.css';
 
-const FTADiagram = ({ data, systemName, description }) => {
+const METHOD_LABELS = {
+  exact: 'Exact (BDD)',
+  'rare-event': 'Rare-event approximation'
+};
+
+const FTADiagram = ({ data: generatedData, systemName, description }) => {
+  // Re-evaluated quantification replaces the generated one until new analysis data arrives
+  const [evaluation, setEvaluation] = useState(null);
+  const data = evaluation ? { ...generatedData, ...evaluation } : generatedData;
+  const [missionTime, setMissionTime] = useState(generatedData?.quantification?.missionTime || 1);
+  const [method, setMethod] = useState(generatedData?.quantification?.method || 'exact');
+  const [isEvaluating, setIsEvaluating] = useState(false);
   const diagramRef = useRef(null);
   const containerRef = useRef(null);
   const [zoom, setZoom] = useState(1);
@@ -43,12 +57,46 @@ const FTADiagram = ({ data, systemName, description }) => {
     });
   }, []);
 
+  // Drop any re-evaluation when a new analysis arrives
+  useEffect(() => {
+    setEvaluation(null);
+    setMissionTime(generatedData?.quantification?.missionTime || 1);
+    setMethod(generatedData?.quantification?.method || 'exact');
+  }, [generatedData]);
+
   // Render diagram when data changes
   useEffect(() => {
     if (data?.mermaidDiagram && diagramRef.current) {
       renderDiagram();
     }
-  }, [data]);
+  }, [data?.mermaidDiagram]);
+
+  // Recompute probabilities for a different mission time or method
+  const recalculate = async () => {
+    setIsEvaluating(true);
+    try {
+      const result = await postJSON('/analysis/fta/evaluate', {
+        faultTree: {
+          events: generatedData.events,
+          gates: generatedData.gates,
+          edges: generatedData.edges
+        },
+        missionTime: Number(missionTime),
+        method
+      });
+      setEvaluation({
+        quantification: result.quantification,
+        cutSets: result.cutSets,
+        importance: result.importance,
+        mermaidDiagram: result.mermaidDiagram
+      });
+    } catch (error) {
+      console.error('Error evaluating fault tree:', error);
+      alert(`Error evaluating fault tree: ${error.message}`);
+    } finally {
+      setIsEvaluating(false);
+    }
+  };
 
   const renderDiagram = async () => {
     if (!diagramRef.current || !data?.mermaidDiagram) return;
@@ -246,6 +294,28 @@ const FTADiagram = ({ data, systemName, description }) => {
       pdf.text(`Generated on: ${new Date().toLocaleDateString()}`, 20, yPos);
       yPos += 10;
 
+      if (data.hazardId) {
+        pdf.setFont('helvetica', 'bold');
+        pdf.text(`Hazard ${data.hazardId}: ${data.topEvent}`, 20, yPos);
+        pdf.setFont('helvetica', 'normal');
+        yPos += 8;
+      }
+
+      if (data.quantification) {
+        pdf.text(`Top event probability: ${data.quantification.topEventProbability.toExponential(3)} (${METHOD_LABELS[data.quantification.method]}, mission time ${data.quantification.missionTime} h)`, 20, yPos);
+        yPos += 10;
+      }
+
+      // Flag placeholder or salvaged data so it cannot be mistaken for a real analysis
+      if (data?.provenance?.degraded) {
+        pdf.setTextColor(220, 38, 38);
+        pdf.setFont('helvetica', 'bold');
+        pdf.text(`WARNING: ${data.provenance.source === 'mock' ? 'Placeholder mock data' : 'Partially salvaged data'} - not a validated model analysis`, 20, yPos);
+        pdf.setTextColor(0, 0, 0);
+        pdf.setFont('helvetica', 'normal');
+        yPos += 10;
+      }
+
       // Add the diagram
       const imgData = canvas.toDataURL('image/png');
       const imgWidth = pageWidth - 40; // margins
@@ -264,7 +334,29 @@ const FTADiagram = ({ data, systemName, description }) => {
         pdf.addImage(imgData, 'PNG', 20, yPosition, imgWidth, imgHeight);
       }
 
-      pdf.save('FTA-Analysis.pdf');
+      if (data.cutSets?.sets.length) {
+        pdf.addPage('a4', 'portrait');
+        pdf.setFontSize(14);
+        pdf.setFont('helvetica', 'bold');
+        pdf.text('Minimal Cut Sets', 20, 20);
+        pdf.setFontSize(10);
+        pdf.setFont('helvetica', 'normal');
+        pdf.text(`${data.cutSets.total}${data.cutSets.truncated ? ' lowest-order, most probable' : ''} cut sets, ${data.cutSets.singlePointFailures} single-point failure(s)`, 20, 28);
+
+        let cutSetY = 38;
+        data.cutSets.sets.forEach(cutSet => {
+          const line = `${cutSet.rank}. [order ${cutSet.order}] P = ${cutSet.probability.toExponential(2)}${cutSet.singlePointFailure ? ' (SPF)' : ''}: ${cutSet.descriptions.join(' AND ')}`;
+          const lines = pdf.splitTextToSize(line, 170);
+          if (cutSetY + lines.length * 5 > 280) {
+            pdf.addPage('a4', 'portrait');
+            cutSetY = 20;
+          }
+          pdf.text(lines, 20, cutSetY);
+          cutSetY += lines.length * 5 + 2;
+        });
+      }
+
+      pdf.save(data.hazardId ? `FTA-Analysis-${data.hazardId}.pdf` : 'FTA-Analysis.pdf');
 
       // Restore original zoom
       setZoom(originalZoom);
@@ -309,26 +401,60 @@ const FTADiagram = ({ data, systemName, description }) => {
               Reset
             </button>
           </div>
+          {data.quantification && (
+            <div className="quantification-controls">
+              <label>
+                Mission time (h)
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={missionTime}
+                  onChange={(e) => setMissionTime(e.target.value)}
+                />
+              </label>
+              <select value={method} onChange={(e) => setMethod(e.target.value)}>
+                {Object.entries(METHOD_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <button className="zoom-btn" onClick={recalculate} disabled={isEvaluating || !(Number(missionTime) > 0)}>
+                {isEvaluating ? 'Calculating...' : 'Recalculate'}
+              </button>
+            </div>
+          )}
           <button className="export-button" onClick={exportToPDF}>
             Export PDF
           </button>
         </div>
 
-        <div 
-          ref={containerRef} 
-          className="diagram-container"
-          onMouseDown={handleMouseDown}
-          onMouseMove={handleMouseMove}
-          onMouseUp={handleMouseUp}
-          onMouseLeave={handleMouseLeave}
-          style={{
-            overflow: zoom > 1 ? 'hidden' : 'auto',
-            cursor: isDragging ? 'grabbing' : (zoom > 1 ? 'grab' : 'default')
-          }}
-        >
-          {isLoading && <div className="loading">Rendering diagram...</div>}
-          <div ref={diagramRef} className="mermaid-diagram"></div>
+        {data.quantification && (
+          <div className="quantification-summary">
+            <strong>Top event probability: {data.quantification.topEventProbability.toExponential(3)}</strong>
+            <span>{METHOD_LABELS[data.quantification.method]} · mission time {data.quantification.missionTime} h</span>
+          </div>
+        )}
+
+        <div className="fta-body">
+          <div 
+            ref={containerRef} 
+            className="diagram-container"
+            onMouseDown={handleMouseDown}
+            onMouseMove={handleMouseMove}
+            onMouseUp={handleMouseUp}
+            onMouseLeave={handleMouseLeave}
+            style={{
+              overflow: zoom > 1 ? 'hidden' : 'auto',
+              cursor: isDragging ? 'grabbing' : (zoom > 1 ? 'grab' : 'default')
+            }}
+          >
+            {isLoading && <div className="loading">Rendering diagram...</div>}
+            <div ref={diagramRef} className="mermaid-diagram"></div>
+          </div>
+          <CutSetTable cutSets={data.cutSets} />
         </div>
+
+        <ImportancePanel importance={data.importance} mitigations={data.mitigationRanking} />
       </div>
     </div>
   );
@@ -0,0 +1,110 @@
+import React from 'react';
+import './HARATable.css';
+
+const ASIL_ORDER = ['D', 'C', 'B', 'A', 'QM'];
+
+const AsilBadge = ({ asil }) => (
+  <span className={`asil-badge asil-${(asil || 'none').toLowerCase()}`}>{asil ? (asil === 'QM' ? 'QM' : `ASIL ${asil}`) : '–'}</span>
+);
+
+// ISO 26262-3 hazard analysis and risk assessment with its safety goals
+const HARATable = ({ data }) => {
+  if (!data?.hazardousEvents?.length) {
+    return <div className="no-data">No HARA data available</div>;
+  }
+
+  const { operationalSituations, hazardousEvents, safetyGoals, summary } = data;
+  const situationOf = (id) => operationalSituations.find(situation => situation.id === id);
+
+  return (
+    <div className="hara-container">
+      <div className="hara-header">
+        <h3>Hazard Analysis and Risk Assessment (ISO 26262-3)</h3>
+        <div className="hara-summary">
+          {ASIL_ORDER
+            .filter(asil => summary.hazardousEventsByAsil[asil] > 0)
+            .map(asil => (
+              <span key={asil}>
+                <AsilBadge asil={asil} /> × {summary.hazardousEventsByAsil[asil]}
+              </span>
+            ))}
+          <span>{summary.safetyGoals} safety goal{summary.safetyGoals === 1 ? '' : 's'}</span>
+        </div>
+      </div>
+
+      <div className="hara-body">
+        <h4>Operational Situations</h4>
+        <ul className="hara-situations">
+          {operationalSituations.map(situation => (
+            <li key={situation.id}><strong>{situation.id}</strong> {situation.description}</li>
+          ))}
+        </ul>
+
+        <h4>Hazardous Events</h4>
+        <table>
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th>Hazard</th>
+              <th>Operational Situation</th>
+              <th>Hazardous Event</th>
+              <th>S</th>
+              <th>E</th>
+              <th>C</th>
+              <th>ASIL</th>
+              <th>Safety Goal</th>
+            </tr>
+          </thead>
+          <tbody>
+            {hazardousEvents.map(event => (
+              <tr key={event.id}>
+                <td className="hara-id">{event.id}</td>
+                <td>{event.hazard}</td>
+                <td title={situationOf(event.operationalSituation)?.description}>
+                  {event.operationalSituation}: {situationOf(event.operationalSituation)?.description}
+                </td>
+                <td>{event.description}</td>
+                <td className="hara-rating" title={event.severityRationale}>{event.severity}</td>
+                <td className="hara-rating" title={event.exposureRationale}>{event.exposure}</td>
+                <td className="hara-rating" title={event.controllabilityRationale}>{event.controllability}</td>
+                <td className="hara-rating"><AsilBadge asil={event.asil} /></td>
+                <td className="hara-id">{event.safetyGoal}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="hara-note">
+          The ASIL is determined from S, E and C with ISO 26262-3 Table 4; hover a rating for its rationale.
+        </div>
+
+        <h4>Safety Goals</h4>
+        <table>
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th>Safety Goal</th>
+              <th>ASIL</th>
+              <th>Safe State</th>
+              <th>FTTI</th>
+              <th>Hazardous Events</th>
+            </tr>
+          </thead>
+          <tbody>
+            {safetyGoals.map(goal => (
+              <tr key={goal.id}>
+                <td className="hara-id">{goal.id}</td>
+                <td>{goal.description}</td>
+                <td className="hara-rating"><AsilBadge asil={goal.asil} /></td>
+                <td>{goal.safeState || '–'}</td>
+                <td>{goal.faultTolerantTimeInterval || '–'}</td>
+                <td>{goal.hazardousEvents.join(', ') || '–'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default HARATable;
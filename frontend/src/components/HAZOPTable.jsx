@@ -0,0 +1,147 @@
+import React from 'react';
+import jsPDF from 'jspdf';
+import './HAZOPTable.css';
+
+const COLUMNS = [
+  { key: 'causes', title: 'Causes' },
+  { key: 'consequences', title: 'Consequences' },
+  { key: 'safeguards', title: 'Safeguards' },
+  { key: 'recommendations', title: 'Recommendations' }
+];
+
+const ItemList = ({ items }) => (
+  items.length > 0
+    ? <ul>{items.map(item => <li key={item}>{item}</li>)}</ul>
+    : <span className="hazop-none">–</span>
+);
+
+const nodeTitle = (node) => `${node.id}: ${node.from} → ${node.to}${node.type ? ` (${node.type})` : ''}`;
+
+// HAZOP (IEC 61882) worksheet: the guideword deviations of every connection, grouped by study node
+const HAZOPTable = ({ data, systemName, description }) => {
+  if (!data?.nodes?.length) {
+    return <div className="no-data">No HAZOP data available</div>;
+  }
+
+  const { nodes, guidewords, deviations, summary } = data;
+
+  // Export the worksheet as text pages (plain ASCII, which the built-in PDF fonts cover)
+  const exportToPDF = () => {
+    try {
+      const pdf = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4' });
+      let y = 20;
+      const write = (text, { size = 9, bold = false, indent = 0 } = {}) => {
+        pdf.setFontSize(size);
+        pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+        const lines = pdf.splitTextToSize(text.replace(/→/g, '->').replace(/–/g, '-'), 257 - indent);
+        if (y + lines.length * 4.5 > 195) {
+          pdf.addPage();
+          y = 20;
+        }
+        pdf.text(lines, 20 + indent, y);
+        y += lines.length * 4.5 + (bold ? 1.5 : 0);
+      };
+
+      write('Hazard and Operability Study (HAZOP)', { size: 16, bold: true });
+      if (systemName) write(`System Name: ${systemName}`, { size: 12, bold: true });
+      if (description) write(`Description: ${description}`, { size: 10 });
+      write(`Generated on: ${new Date().toLocaleDateString()}`, { size: 10 });
+      write(`Guidewords: ${guidewords.join(', ')}`, { size: 10 });
+
+      // Flag placeholder or salvaged data so it cannot be mistaken for a real analysis
+      if (data.provenance?.degraded) {
+        pdf.setTextColor(220, 38, 38);
+        write(`WARNING: ${data.provenance.source === 'mock' ? 'Placeholder mock data' : 'Partially salvaged data'} - not a validated model analysis`, { size: 10, bold: true });
+        pdf.setTextColor(0, 0, 0);
+      }
+
+      nodes.forEach(node => {
+        y += 4;
+        write(`Node ${nodeTitle(node)}`, { size: 12, bold: true });
+        write(`Parameters: ${node.parameters.join(', ')}`, { indent: 4 });
+        const rows = deviations.filter(row => row.node === node.id);
+        if (rows.length === 0) write('No credible deviations', { indent: 4 });
+        rows.forEach(row => {
+          y += 2;
+          write(`${row.guideword} ${row.parameter}: ${row.deviation}`, { size: 10, bold: true, indent: 4 });
+          COLUMNS.forEach(({ key, title }) => {
+            write(`${title}: ${row[key].join('; ') || 'None'}`, { indent: 8 });
+          });
+        });
+      });
+
+      pdf.save('HAZOP-Worksheet.pdf');
+    } catch (error) {
+      console.error('Error generating PDF:', error);
+      alert('Error generating PDF. Please try again.');
+    }
+  };
+
+  return (
+    <div className="hazop-container">
+      <div className="hazop-header">
+        <h3>Hazard and Operability Study (HAZOP)</h3>
+        <div className="hazop-summary">
+          <span>{summary.nodes} node{summary.nodes === 1 ? '' : 's'}</span>
+          <span>{summary.deviations} deviation{summary.deviations === 1 ? '' : 's'}</span>
+          <span>{summary.recommendations} recommendation{summary.recommendations === 1 ? '' : 's'}</span>
+          {summary.unsafeguardedDeviations > 0 && (
+            <span className="hazop-warning">{summary.unsafeguardedDeviations} without safeguards</span>
+          )}
+        </div>
+      </div>
+
+      <div className="hazop-controls">
+        <button className="export-button" onClick={exportToPDF}>
+          Export PDF
+        </button>
+        <span className="hazop-guidewords">Guidewords: {guidewords.join(', ')}</span>
+      </div>
+
+      <div className="hazop-body">
+        <table>
+          <thead>
+            <tr>
+              <th>Parameter</th>
+              <th>Guideword</th>
+              <th>Deviation</th>
+              {COLUMNS.map(({ key, title }) => <th key={key}>{title}</th>)}
+            </tr>
+          </thead>
+          {nodes.map(node => {
+            const rows = deviations.filter(row => row.node === node.id);
+            return (
+              <tbody key={node.id}>
+                <tr className="hazop-node">
+                  <td colSpan={3 + COLUMNS.length}>
+                    <strong>{nodeTitle(node)}</strong>
+                    {node.description && <span className="hazop-node-description">{node.description}</span>}
+                    <span className="hazop-node-parameters">Parameters: {node.parameters.join(', ')}</span>
+                  </td>
+                </tr>
+                {rows.length === 0 && (
+                  <tr>
+                    <td colSpan={3 + COLUMNS.length} className="hazop-none">No credible deviations</td>
+                  </tr>
+                )}
+                {rows.map(row => (
+                  <tr key={`${row.parameter}-${row.guideword}`} className={row.safeguards.length === 0 ? 'unsafeguarded' : ''}>
+                    <td>{row.parameter}</td>
+                    <td className="hazop-guideword">{row.guideword}</td>
+                    <td>{row.deviation}</td>
+                    {COLUMNS.map(({ key }) => <td key={key}><ItemList items={row[key]} /></td>)}
+                  </tr>
+                ))}
+              </tbody>
+            );
+          })}
+        </table>
+        <div className="hazop-note">
+          Each connection is a study node; rows highlighted in red have no existing safeguard.
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HAZOPTable;
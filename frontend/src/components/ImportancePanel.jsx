@@ -0,0 +1,135 @@
+import React from 'react';
+import './ImportancePanel.css';
+
+const formatNumber = (value) => {
+  if (value === null || value === undefined) return '∞';
+  if (value === 0) return '0';
+  return Math.abs(value) >= 0.01 && Math.abs(value) < 1000 ? value.toFixed(3) : value.toExponential(2);
+};
+
+// Top event probability as each basic event moves from p / factor to p × factor
+const TornadoChart = ({ importance }) => {
+  const base = importance.topEventProbability;
+  const bars = importance.basicEvents
+    .map(event => ({
+      ...event,
+      below: base - event.sensitivity.topEventLow,
+      above: event.sensitivity.topEventHigh - base
+    }))
+    .sort((a, b) => (b.below + b.above) - (a.below + a.above));
+  const maxSwing = Math.max(...bars.map(bar => Math.max(bar.below, bar.above)), 0);
+
+  if (maxSwing === 0) {
+    return <div className="tornado-empty">No basic event changes the top event probability.</div>;
+  }
+
+  return (
+    <div className="tornado-chart">
+      <div className="tornado-axis">
+        <span>Lower (p ÷ {importance.sensitivityFactor})</span>
+        <span>Top event P = {base.toExponential(2)}</span>
+        <span>Higher (p × {importance.sensitivityFactor})</span>
+      </div>
+      {bars.map(bar => (
+        <div key={bar.id} className="tornado-row">
+          <div className="tornado-label" title={bar.description}>
+            <strong>{bar.id}</strong> {bar.description}
+          </div>
+          <div className="tornado-track">
+            <div className="tornado-half tornado-half-low">
+              <div
+                className="tornado-bar tornado-bar-low"
+                style={{ width: `${(bar.below / maxSwing) * 100}%` }}
+                title={`P(top) = ${bar.sensitivity.topEventLow.toExponential(2)} at p = ${bar.sensitivity.low.toExponential(2)}`}
+              />
+            </div>
+            <div className="tornado-half">
+              <div
+                className="tornado-bar tornado-bar-high"
+                style={{ width: `${(bar.above / maxSwing) * 100}%` }}
+                title={`P(top) = ${bar.sensitivity.topEventHigh.toExponential(2)} at p = ${bar.sensitivity.high.toExponential(2)}`}
+              />
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const ImportancePanel = ({ importance, mitigations }) => {
+  if (!importance?.basicEvents.length) return null;
+
+  // Re-rank against the current importance values (they change with mission time and method)
+  const fussellVesely = Object.fromEntries(importance.basicEvents.map(event => [event.id, event.fussellVesely]));
+  const rankedMitigations = (mitigations || [])
+    .map(item => ({ ...item, fussellVesely: item.basicEvent ? fussellVesely[item.basicEvent] ?? null : null }))
+    .sort((a, b) => (b.fussellVesely ?? -1) - (a.fussellVesely ?? -1) || (b.rpn || 0) - (a.rpn || 0));
+
+  return (
+    <div className="importance-panel">
+      <div className="importance-section">
+        <h4>Sensitivity (Tornado)</h4>
+        <TornadoChart importance={importance} />
+      </div>
+
+      <div className="importance-section">
+        <h4>Importance Measures</h4>
+        <table className="importance-table">
+          <thead>
+            <tr>
+              <th>Basic Event</th>
+              <th>P</th>
+              <th>Birnbaum</th>
+              <th>Fussell-Vesely</th>
+              <th>RAW</th>
+              <th>RRW</th>
+            </tr>
+          </thead>
+          <tbody>
+            {importance.basicEvents.map(event => (
+              <tr key={event.id}>
+                <td><strong>{event.id}</strong> {event.description}</td>
+                <td className="numeric">{formatNumber(event.probability)}</td>
+                <td className="numeric">{formatNumber(event.birnbaum)}</td>
+                <td className="numeric">{formatNumber(event.fussellVesely)}</td>
+                <td className="numeric">{formatNumber(event.riskAchievementWorth)}</td>
+                <td className="numeric">{formatNumber(event.riskReductionWorth)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {rankedMitigations.length > 0 && (
+        <div className="importance-section">
+          <h4>FMECA Mitigations Ranked by Top Event Impact</h4>
+          <table className="importance-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Recommended Action</th>
+                <th>Failure Mode</th>
+                <th>Basic Event</th>
+                <th>Fussell-Vesely</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rankedMitigations.map((item, index) => (
+                <tr key={`${item.failureMode}-${index}`} className={item.basicEvent ? '' : 'unmatched'}>
+                  <td>{index + 1}</td>
+                  <td>{item.recommendedAction}</td>
+                  <td>{item.itemFunction}: {item.failureMode}</td>
+                  <td>{item.basicEvent ? `${item.basicEvent} ${item.basicEventDescription}` : 'Not in fault tree'}</td>
+                  <td className="numeric">{item.basicEvent ? formatNumber(item.fussellVesely) : '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportancePanel;
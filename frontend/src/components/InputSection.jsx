@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
+import { API_BASE_URL } from '../api';
 import './InputSection.css';
 
-const InputSection = ({ value, onChange, onConvert, isLoading, error }) => {
+const InputSection = ({ value, onChange, onFormChange, loadedForm, onConvert, analysisOptions, onOptionsChange, isLoading, error }) => {
   // Always in AI-assisted mode now
   const [systemName, setSystemName] = useState('');
   const [description, setDescription] = useState('');
@@ -10,11 +11,46 @@ const InputSection = ({ value, onChange, onConvert, isLoading, error }) => {
   const [safetyStandards, setSafetyStandards] = useState([{ standard: '', requirement: '' }]);
   const [isGeneratingStructure, setIsGeneratingStructure] = useState(false);
 
+  // Fill the form from an opened project
+  useEffect(() => {
+    if (!loadedForm) return;
+    setSystemName(loadedForm.systemName || '');
+    setDescription(loadedForm.description || '');
+    setComponents(loadedForm.components?.length ? loadedForm.components : [{ name: '', function: '' }]);
+    setConnections(loadedForm.connections?.length ? loadedForm.connections : [{ from: '', to: '', type: '' }]);
+    setSafetyStandards(loadedForm.safetyStandards?.length ? loadedForm.safetyStandards : [{ standard: '', requirement: '' }]);
+  }, [loadedForm]);
+
   // Update parent component when form data changes
   useEffect(() => {
     const yamlData = generateYAML();
     onChange(yamlData);
-  }, [systemName, description, components, connections, safetyStandards, onChange]);
+    if (onFormChange) {
+      onFormChange({ systemName, description, components, connections, safetyStandards });
+    }
+  }, [systemName, description, components, connections, safetyStandards, onChange, onFormChange]);
+
+  const updateCriticality = (changes) => {
+    onOptionsChange({ ...analysisOptions, criticality: { ...analysisOptions.criticality, ...changes } });
+  };
+
+  // FMEDA and quantitative criticality ask for different worksheet columns, so only one can be on
+  const toggleCriticality = (quantitative) => {
+    onOptionsChange({
+      ...analysisOptions,
+      criticality: { ...analysisOptions.criticality, mode: quantitative ? 'quantitative' : 'rpn' },
+      fmeda: { ...analysisOptions.fmeda, enabled: analysisOptions.fmeda.enabled && !quantitative }
+    });
+  };
+
+  const updateFmeda = (changes) => {
+    const fmeda = { ...analysisOptions.fmeda, ...changes };
+    onOptionsChange({
+      ...analysisOptions,
+      fmeda,
+      criticality: fmeda.enabled ? { ...analysisOptions.criticality, mode: 'rpn' } : analysisOptions.criticality
+    });
+  };
 
   const generateYAML = () => {
     if (!systemName && !description && components.every(c => !c.name && !c.function)) {
@@ -131,17 +167,6 @@ const InputSection = ({ value, onChange, onConvert, isLoading, error }) => {
 
     setIsGeneratingStructure(true);
     try {
-      // Use the same API URL configuration as App.jsx
-      const API_BASE_URL = (() => {
-        // In production (Vercel), use local API routes that proxy to Railway
-        // In development, connect directly to local backend
-        if (import.meta.env.PROD) {
-          return '/api';
-        }
-        // Local development - connect directly to local backend
-        return window.location.origin.replace(':5173', ':3000') + '/api';
-      })();
-      
       const response = await fetch(`${API_BASE_URL}/analysis/generate-structure`, {
         method: 'POST',
         headers: {
@@ -375,6 +400,83 @@ const InputSection = ({ value, onChange, onConvert, isLoading, error }) => {
       </div>
 
       <div className="button-section">
+        {analysisOptions && (
+          <div className="analysis-options">
+            <label className="option-field">
+              Risk ranking
+              <select
+                value={analysisOptions.riskRanking}
+                onChange={(e) => onOptionsChange({ ...analysisOptions, riskRanking: e.target.value })}
+                disabled={isLoading}
+              >
+                <option value="rpn">RPN (S × O × D)</option>
+                <option value="action-priority">Action Priority (AIAG-VDA)</option>
+              </select>
+            </label>
+            <label className="option-toggle">
+              <input
+                type="checkbox"
+                checked={analysisOptions.criticality.mode === 'quantitative'}
+                onChange={(e) => toggleCriticality(e.target.checked)}
+                disabled={isLoading}
+              />
+              Quantitative criticality (MIL-STD-1629A)
+            </label>
+            {analysisOptions.criticality.mode === 'quantitative' && (
+              <label className="option-field">
+                Operating time (h)
+                <input
+                  type="number"
+                  min="1"
+                  value={analysisOptions.criticality.operatingTime}
+                  onChange={(e) => updateCriticality({ operatingTime: e.target.value })}
+                  disabled={isLoading}
+                />
+              </label>
+            )}
+            <label className="option-toggle">
+              <input
+                type="checkbox"
+                checked={analysisOptions.fmeda.enabled}
+                onChange={(e) => updateFmeda({ enabled: e.target.checked })}
+                disabled={isLoading}
+              />
+              FMEDA (ISO 26262-5)
+            </label>
+            {analysisOptions.fmeda.enabled && (
+              <label className="option-field">
+                Target ASIL
+                <select
+                  value={analysisOptions.fmeda.asil}
+                  onChange={(e) => updateFmeda({ asil: e.target.value })}
+                  disabled={isLoading}
+                >
+                  <option value="B">ASIL B</option>
+                  <option value="C">ASIL C</option>
+                  <option value="D">ASIL D</option>
+                </select>
+              </label>
+            )}
+            <label className="option-toggle">
+              <input
+                type="checkbox"
+                checked={analysisOptions.hazop}
+                onChange={(e) => onOptionsChange({ ...analysisOptions, hazop: e.target.checked })}
+                disabled={isLoading}
+              />
+              HAZOP of the connections
+            </label>
+            <label className="option-toggle">
+              <input
+                type="checkbox"
+                checked={analysisOptions.stpa}
+                onChange={(e) => onOptionsChange({ ...analysisOptions, stpa: e.target.checked })}
+                disabled={isLoading}
+              />
+              STPA of the control structure
+            </label>
+          </div>
+        )}
         <button 
           className={`convert-button ${isLoading ? 'loading' : ''}`}
           onClick={onConvert}
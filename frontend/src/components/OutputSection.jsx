@@ -1,10 +1,70 @@
 import React, { useState } from 'react';
 import FMECATable from './FMECATable';
 import FTADiagram from './FTADiagram';
+import AnalysisProgress from './AnalysisProgress';
+import RevisionDiff from './RevisionDiff';
+import RiskMatrix882 from './RiskMatrix882';
+import HARATable from './HARATable';
+import HAZOPTable from './HAZOPTable';
+import STPAAnalysis from './STPAAnalysis';
+import ReliabilityBlockDiagram from './ReliabilityBlockDiagram';
+import BowTieDiagram from './BowTieDiagram';
 import './OutputSection.css';
 
-const OutputSection = ({ analysisData, error, systemName, description }) => {
+const SOURCE_LABELS = {
+  model: 'Model output',
+  repaired: 'Model output, repaired after schema validation errors',
+  'fallback-parser': 'Partially salvaged from an invalid model response',
+  mock: 'Placeholder mock data, not an analysis of this system'
+};
+
+// One-line summary of where a result came from
+const ProvenanceDetails = ({ provenance }) => {
+  if (!provenance) return null;
+
+  const parts = [SOURCE_LABELS[provenance.source] || provenance.source];
+  if (provenance.provider) parts.push(`${provenance.provider} / ${provenance.model}`);
+  if (provenance.promptTemplate) parts.push(`prompt ${provenance.promptTemplate.id} v${provenance.promptTemplate.version}`);
+  if (provenance.temperature !== null && provenance.temperature !== undefined) parts.push(`temperature ${provenance.temperature}`);
+  if (provenance.usage?.totalTokens) parts.push(`${provenance.usage.totalTokens.toLocaleString()} tokens`);
+  if (provenance.completedAt) parts.push(`generated ${new Date(provenance.completedAt).toLocaleString()}`);
+
+  return (
+    <div className={`provenance-details ${provenance.degraded ? 'degraded' : ''}`}>
+      {parts.join(' · ')}
+    </div>
+  );
+};
+
+// Pick which hazard's fault tree is shown
+const HazardSelector = ({ hazards, trees, selectedId, onSelect }) => (
+  <div className="hazard-selector" role="tablist" aria-label="Hazards">
+    {hazards.map(hazard => {
+      const tree = trees.find(item => item.hazardId === hazard.id);
+      const probability = tree?.quantification?.topEventProbability;
+      return (
+        <button
+          key={hazard.id}
+          role="tab"
+          aria-selected={hazard.id === selectedId}
+          className={`hazard-option ${hazard.id === selectedId ? 'active' : ''}`}
+          onClick={() => onSelect(hazard.id)}
+          title={hazard.description}
+        >
+          <span className={`hazard-severity severity-${hazard.severity}`}>{hazard.severity}</span>
+          <span className="hazard-title">{hazard.id}: {hazard.title}</span>
+          {typeof probability === 'number' && (
+            <span className="hazard-probability">P = {probability.toExponential(2)}</span>
+          )}
+        </button>
+      );
+    })}
+  </div>
+);
+
+const OutputSection = ({ analysisData, progress, error, systemName, description, structure, project, revision }) => {
   const [activeTab, setActiveTab] = useState('fmeca');
+  const [selectedHazardId, setSelectedHazardId] = useState(null);
 
   if (error && !analysisData) {
     return (
@@ -25,30 +85,126 @@ const OutputSection = ({ analysisData, error, systemName, description }) => {
     return null;
   }
 
+  const fta = analysisData.results.fta;
+  const trees = fta?.trees || [];
+  // Falls back to the first (most severe) hazard when a new analysis replaces the old one
+  const selectedTree = trees.find(tree => tree.hazardId === selectedHazardId) || trees[0];
+  const sharedEvents = (fta?.sharedBasicEvents || [])
+    .filter(event => selectedTree && event.hazards.includes(selectedTree.hazardId));
+
+  // Revision history of the open project can be compared once there are two revisions
+  const canDiff = !analysisData.partial && project?.revisions?.length > 1;
+  const { hara, hazop, stpa, milStd882 } = analysisData.results;
+  // The reliability block diagram is built from the components entered in the form
+  const hasStructure = Boolean(structure?.components?.some(component => component.name?.trim()));
+  // Event trees start from a fault tree top event or an FMECA end effect
+  const hasHazards = trees.length > 0 || Boolean(analysisData.results.fmeca?.fmecaTable?.length);
+  const unavailable = { changes: !canDiff, hara: !hara, hazop: !hazop, stpa: !stpa, mil882: !milStd882, reliability: !hasStructure, bowtie: !hasHazards };
+  const tab = unavailable[activeTab] ? 'fmeca' : activeTab;
+
+  const degradedParts = [
+    ['FMECA', analysisData.results.fmeca],
+    ['Hazard identification', fta],
+    ...trees.map(tree => [`FTA ${tree.hazardId}`, tree]),
+    ['HARA', hara],
+    ['HAZOP', hazop],
+    ['STPA', stpa]
+  ].filter(([, result]) => result?.provenance?.degraded);
+
   return (
     <div className="output-section">
       <div className="output-header">
         <h2>🔬 Analysis Results</h2>
       </div>
+
+      <AnalysisProgress progress={progress} analysisData={analysisData} />
+
+      {degradedParts.length > 0 && (
+        <div className="provenance-banner" role="alert">
+          <strong>⚠️ These results are not a genuine model analysis. Do not use them for review or sign-off.</strong>
+          <ul>
+            {degradedParts.map(([name, result]) => (
+              <li key={name}>{name}: {SOURCE_LABELS[result.provenance.source]}</li>
+            ))}
+          </ul>
+        </div>
+      )}
       
       <div className="output-tabs">
         <button 
-          className={`tab-button ${activeTab === 'fmeca' ? 'active' : ''}`}
+          className={`tab-button ${tab === 'fmeca' ? 'active' : ''}`}
           onClick={() => setActiveTab('fmeca')}
         >
           FMECA
         </button>
         <button 
-          className={`tab-button ${activeTab === 'fta' ? 'active' : ''}`}
+          className={`tab-button ${tab === 'fta' ? 'active' : ''}`}
           onClick={() => setActiveTab('fta')}
         >
           FTA
         </button>
+        {hasStructure && (
+          <button 
+            className={`tab-button ${tab === 'reliability' ? 'active' : ''}`}
+            onClick={() => setActiveTab('reliability')}
+          >
+            Reliability
+          </button>
+        )}
+        {hasHazards && (
+          <button 
+            className={`tab-button ${tab === 'bowtie' ? 'active' : ''}`}
+            onClick={() => setActiveTab('bowtie')}
+          >
+            Event Tree / Bow-tie
+          </button>
+        )}
+        {hazop && (
+          <button 
+            className={`tab-button ${tab === 'hazop' ? 'active' : ''}`}
+            onClick={() => setActiveTab('hazop')}
+          >
+            HAZOP
+          </button>
+        )}
+        {stpa && (
+          <button 
+            className={`tab-button ${tab === 'stpa' ? 'active' : ''}`}
+            onClick={() => setActiveTab('stpa')}
+          >
+            STPA
+          </button>
+        )}
+        {hara && (
+          <button 
+            className={`tab-button ${tab === 'hara' ? 'active' : ''}`}
+            onClick={() => setActiveTab('hara')}
+          >
+            HARA
+          </button>
+        )}
+        {milStd882 && (
+          <button 
+            className={`tab-button ${tab === 'mil882' ? 'active' : ''}`}
+            onClick={() => setActiveTab('mil882')}
+          >
+            MIL-STD-882E
+          </button>
+        )}
+        {canDiff && (
+          <button 
+            className={`tab-button ${tab === 'changes' ? 'active' : ''}`}
+            onClick={() => setActiveTab('changes')}
+          >
+            Changes
+          </button>
+        )}
       </div>
 
       <div className="tab-content">
-        {activeTab === 'fmeca' && (
+        {tab === 'fmeca' && (
           <div className="tab-pane active">
+            <ProvenanceDetails provenance={analysisData.results.fmeca?.provenance} />
             <FMECATable 
               data={analysisData.results.fmeca} 
               systemName={systemName}
@@ -57,15 +213,93 @@ const OutputSection = ({ analysisData, error, systemName, description }) => {
           </div>
         )}
         
-        {activeTab === 'fta' && (
+        {tab === 'fta' && (
           <div className="tab-pane active">
-            <FTADiagram 
-              data={analysisData.results.fta}
+            {fta?.hazards?.length > 1 && (
+              <HazardSelector
+                hazards={fta.hazards}
+                trees={trees}
+                selectedId={selectedTree?.hazardId}
+                onSelect={setSelectedHazardId}
+              />
+            )}
+            <ProvenanceDetails provenance={selectedTree?.provenance} />
+            {sharedEvents.length > 0 && (
+              <div className="shared-events">
+                Shared with other hazards:{' '}
+                {sharedEvents.map(event => `${event.id} ${event.description} (${event.hazards.join(', ')})`).join('; ')}
+              </div>
+            )}
+            {analysisData.partial && !selectedTree ? (
+              <div className="pending-results">Fault trees are being generated...</div>
+            ) : (
+              <FTADiagram 
+                data={selectedTree}
+                systemName={systemName}
+                description={description}
+              />
+            )}
+          </div>
+        )}
+
+        {tab === 'reliability' && (
+          <div className="tab-pane active">
+            <ReliabilityBlockDiagram structure={structure} fmeca={analysisData.results.fmeca} />
+          </div>
+        )}
+
+        {tab === 'bowtie' && (
+          <div className="tab-pane active">
+            <BowTieDiagram
+              fta={fta}
+              fmeca={analysisData.results.fmeca}
               systemName={systemName}
               description={description}
             />
           </div>
         )}
+
+        {tab === 'hazop' && (
+          <div className="tab-pane active">
+            <ProvenanceDetails provenance={hazop.provenance} />
+            <HAZOPTable 
+              data={hazop}
+              systemName={systemName}
+              description={description}
+            />
+          </div>
+        )}
+
+        {tab === 'stpa' && (
+          <div className="tab-pane active">
+            <ProvenanceDetails provenance={stpa.provenance} />
+            <STPAAnalysis
+              data={stpa}
+              systemName={systemName}
+              description={description}
+            />
+          </div>
+        )}
+
+        {tab === 'hara' && (
+          <div className="tab-pane active">
+            <ProvenanceDetails provenance={hara.provenance} />
+            <HARATable data={hara} />
+          </div>
+        )}
+
+        {tab === 'mil882' && (
+          <div className="tab-pane active">
+            <RiskMatrix882 assessment={milStd882} />
+          </div>
+        )}
+
+        {tab === 'changes' && (
+          <div className="tab-pane active">
+            {/* Remount when another revision is shown so the comparison starts from it */}
+            <RevisionDiff key={`${project.id}-${revision}`} project={project} revision={revision} />
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import { requestJSON } from '../api';
+import RatingScalesEditor from './RatingScalesEditor';
+import './ProjectPicker.css';
+
+const formatDate = (iso) => new Date(iso).toLocaleString();
+
+// Open, create and delete saved projects, and pick which revision of the open project is shown
+const ProjectPicker = ({ activeProject, activeRevision, currentDescription, unsavedResults, onOpen, onUpdate, onClose, onSelectRevision, disabled }) => {
+  const [projects, setProjects] = useState([]);
+  const [showRatingScales, setShowRatingScales] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [error, setError] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  // Reload the list whenever the open project changes (new revision, rename, ...)
+  useEffect(() => {
+    let cancelled = false;
+    requestJSON('/projects')
+      .then(data => {
+        if (!cancelled) setProjects(data.projects);
+      })
+      .catch(loadError => {
+        if (!cancelled) setError(`Could not load projects: ${loadError.message}`);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [activeProject?.id, activeProject?.updatedAt]);
+
+  const run = async (action) => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (actionError) {
+      setError(actionError.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const openProject = (id) => run(async () => {
+    if (!id) {
+      onClose();
+      return;
+    }
+    const { project } = await requestJSON(`/projects/${id}`);
+    onOpen(project);
+  });
+
+  const createProject = (event) => {
+    event.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+
+    run(async () => {
+      let { project } = await requestJSON('/projects', {
+        method: 'POST',
+        body: { name, systemDescription: currentDescription || {} }
+      });
+
+      // Keep the analysis on screen as the project's first revision
+      if (unsavedResults) {
+        await requestJSON(`/projects/${project.id}/revisions`, {
+          method: 'POST',
+          body: {
+            results: { fmeca: unsavedResults.fmeca, fta: unsavedResults.fta },
+            note: 'Saved from an unsaved analysis'
+          }
+        });
+        ({ project } = await requestJSON(`/projects/${project.id}`));
+      }
+
+      setNewName('');
+      onOpen(project);
+    });
+  };
+
+  const deleteProject = () => {
+    if (!window.confirm(`Delete project "${activeProject.name}" and all of its revisions?`)) return;
+
+    run(async () => {
+      await requestJSON(`/projects/${activeProject.id}`, { method: 'DELETE' });
+      setProjects(previous => previous.filter(project => project.id !== activeProject.id));
+      onClose();
+    });
+  };
+
+  const revisions = activeProject?.revisions || [];
+  const isDisabled = disabled || isBusy;
+
+  return (
+    <div className="project-picker">
+      <div className="project-row">
+        <label htmlFor="project-select">Project:</label>
+        <select
+          id="project-select"
+          value={activeProject?.id || ''}
+          onChange={(e) => openProject(e.target.value)}
+          disabled={isDisabled}
+        >
+          <option value="">Unsaved analysis</option>
+          {projects.map(project => (
+            <option key={project.id} value={project.id}>
+              {project.name} ({project.revisionCount} revision{project.revisionCount === 1 ? '' : 's'})
+            </option>
+          ))}
+        </select>
+
+        {activeProject && revisions.length > 0 && (
+          <select
+            aria-label="Revision"
+            value={activeRevision || ''}
+            onChange={(e) => onSelectRevision(Number(e.target.value))}
+            disabled={isDisabled}
+          >
+            {revisions.slice().reverse().map(revision => (
+              <option key={revision.number} value={revision.number}>
+                #{revision.number} · {revision.source === 'edit' ? 'edited' : 'generated'} · {formatDate(revision.createdAt)}
+              </option>
+            ))}
+          </select>
+        )}
+
+        {activeProject && (
+          <button
+            type="button"
+            className="project-scales-btn"
+            onClick={() => setShowRatingScales(shown => !shown)}
+            aria-expanded={showRatingScales}
+          >
+            Rating scales
+          </button>
+        )}
+
+        {activeProject && (
+          <button type="button" className="project-delete-btn" onClick={deleteProject} disabled={isDisabled}>
+            Delete
+          </button>
+        )}
+
+        <form className="project-create" onSubmit={createProject}>
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="New project name"
+            maxLength={100}
+            disabled={isDisabled}
+          />
+          <button type="submit" className="project-create-btn" disabled={isDisabled || !newName.trim()}>
+            Save as project
+          </button>
+        </form>
+      </div>
+
+      {activeProject && (
+        <p className="project-hint">
+          New analyses are saved to <strong>{activeProject.name}</strong> as revisions.
+        </p>
+      )}
+      {activeProject && showRatingScales && (
+        <RatingScalesEditor project={activeProject} onSaved={onUpdate} disabled={isDisabled} />
+      )}
+      {error && <p className="project-error">{error}</p>}
+    </div>
+  );
+};
+
+export default ProjectPicker;
@@ -0,0 +1,79 @@
+import React, { useRef } from 'react';
+import { RATING_DIMENSIONS, describeBands } from '../ratingScales';
+import './RatingCriteriaAppendix.css';
+
+// Printable appendix with the rating criteria and risk thresholds an FMECA was rated against
+const RatingCriteriaAppendix = ({ scales }) => {
+  const appendixRef = useRef(null);
+  const thresholds = [
+    { title: 'Severity', bands: describeBands(scales.severityBands) },
+    { title: 'RPN', bands: describeBands(scales.rpnBands) },
+    ...(scales.criticalityBands?.length > 0
+      ? [{ title: 'Mode criticality (Cm)', bands: describeBands(scales.criticalityBands, { wholeNumbers: false }) }]
+      : [])
+  ];
+
+  // Print only the appendix: everything else is hidden by the print stylesheet while this class is set
+  const printAppendix = () => {
+    appendixRef.current.open = true;
+    document.body.classList.add('printing-rating-criteria');
+    window.print();
+    document.body.classList.remove('printing-rating-criteria');
+  };
+
+  return (
+    <details ref={appendixRef} className="rating-criteria-appendix">
+      <summary>
+        Appendix: Rating Criteria{scales.name ? ` – ${scales.name}` : ''}
+      </summary>
+
+      <button type="button" className="rating-criteria-print" onClick={printAppendix}>
+        Print criteria
+      </button>
+
+      {RATING_DIMENSIONS.map(({ key, title }) => (
+        <section key={key} className="rating-criteria-scale">
+          <h4>{title}, rated {scales[key].min}-{scales[key].max}</h4>
+          <table>
+            <thead>
+              <tr>
+                <th>Rating</th>
+                <th>Label</th>
+                <th>Criteria</th>
+              </tr>
+            </thead>
+            <tbody>
+              {scales[key].levels.map(level => (
+                <tr key={level.value}>
+                  <td className="rating-value">{level.value}</td>
+                  <td className="rating-label">{level.label}</td>
+                  <td>{level.criteria}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      ))}
+
+      <section className="rating-criteria-scale">
+        <h4>Risk Thresholds</h4>
+        <table>
+          <tbody>
+            {thresholds.map(({ title, bands }) => (
+              <tr key={title}>
+                <td className="rating-label">{title}</td>
+                <td>
+                  {bands.map(band => (
+                    <span key={band.min} className={`threshold threshold-${band.level}`}>{band.range}: {band.label}</span>
+                  ))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+    </details>
+  );
+};
+
+export default RatingCriteriaAppendix;
@@ -0,0 +1,90 @@
+import React, { useState, useEffect } from 'react';
+import { requestJSON } from '../api';
+import './RatingScalesEditor.css';
+
+// Edit the rating scales of a project as JSON: S/O/D ranges, labels and criteria per level, and risk thresholds
+const RatingScalesEditor = ({ project, onSaved, disabled }) => {
+  const [text, setText] = useState('');
+  const [problems, setProblems] = useState([]);
+  const [isBusy, setIsBusy] = useState(false);
+
+  // Start from the project's scales, or from the defaults for projects without their own
+  useEffect(() => {
+    let cancelled = false;
+    const load = project.ratingScales
+      ? Promise.resolve(project.ratingScales)
+      : requestJSON('/analysis/rating-scales').then(data => data.ratingScales);
+    load
+      .then(scales => {
+        if (!cancelled) setText(JSON.stringify(scales, null, 2));
+      })
+      .catch(loadError => {
+        if (!cancelled) setProblems([`Could not load rating scales: ${loadError.message}`]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [project.ratingScales]);
+
+  const save = async (ratingScales) => {
+    setIsBusy(true);
+    setProblems([]);
+    try {
+      const { project: updated } = await requestJSON(`/projects/${project.id}`, {
+        method: 'PUT',
+        body: { ratingScales }
+      });
+      onSaved(updated);
+    } catch (saveError) {
+      setProblems([saveError.message, ...(saveError.details || [])]);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const saveText = () => {
+    let ratingScales;
+    try {
+      ratingScales = JSON.parse(text);
+    } catch (parseError) {
+      setProblems([`Rating scales are not valid JSON: ${parseError.message}`]);
+      return;
+    }
+    save(ratingScales);
+  };
+
+  const isDisabled = disabled || isBusy;
+
+  return (
+    <div className="rating-scales-editor">
+      <p className="rating-scales-hint">
+        {project.ratingScales ? 'This project uses its own rating scales.' : 'This project uses the default 1-10 rating scales.'}
+        {' '}The criteria of every level go into the FMECA prompt, and the severity, RPN and criticality thresholds
+        colour the table. Changes apply to new analyses.
+      </p>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        spellCheck={false}
+        rows={16}
+        disabled={isDisabled}
+        aria-label="Rating scales (JSON)"
+      />
+      <div className="rating-scales-actions">
+        <button type="button" className="rating-scales-save" onClick={saveText} disabled={isDisabled || !text.trim()}>
+          Save rating scales
+        </button>
+        <button type="button" className="rating-scales-reset" onClick={() => save(null)} disabled={isDisabled || !project.ratingScales}>
+          Use defaults
+        </button>
+      </div>
+      {problems.length > 0 && (
+        <ul className="rating-scales-problems">
+          {problems.map(problem => <li key={problem}>{problem}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RatingScalesEditor;
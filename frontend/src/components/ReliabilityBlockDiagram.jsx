@@ -0,0 +1,232 @@
+import React, { useState, useEffect } from 'react';
+import { postJSON } from '../api';
+import './ReliabilityBlockDiagram.css';
+
+const PLOT = { width: 560, height: 240, padding: 44 };
+
+const GROUP_LABELS = { series: 'Series', parallel: 'Parallel' };
+
+// Failure rates per hour by item name, from the quantitative criticality (per 10^6 h) or the FMEDA (FIT)
+const failureRatesFrom = (fmeca) => {
+  const rates = {};
+  (fmeca?.fmecaTable || []).forEach(row => {
+    if (row.partFailureRate > 0) rates[row.itemFunction] = row.partFailureRate / 1e6;
+    else if (row.failureRate > 0) rates[row.itemFunction] = row.failureRate / 1e9;
+  });
+  return rates;
+};
+
+const formatReliability = (value) => value.toFixed(6);
+
+const formatHours = (value) => `${value.toLocaleString()} h`;
+
+// Failure data of a component as entered
+const describeFailureData = (block) => {
+  if (block.weibull) return `Weibull β = ${block.weibull.shape}, η = ${formatHours(block.weibull.scale)}`;
+  if (block.mtbf) return `MTBF ${formatHours(block.mtbf)}`;
+  if (block.failureRate) return `λ = ${block.failureRate.toExponential(2)} /h`;
+  return 'No failure data';
+};
+
+// One block of the diagram: a component box, or a series row / parallel column of its blocks
+const BlockView = ({ block, results }) => {
+  const result = results?.[block.id];
+
+  if (block.type === 'component') {
+    return (
+      <div className={`rbd-component ${block.failureRate || block.mtbf || block.weibull ? '' : 'missing-data'}`}>
+        <div className="rbd-block-name"><span className="rbd-block-id">{block.id}</span> {block.name}</div>
+        <div className="rbd-block-data">{describeFailureData(block)}</div>
+        {result && <div className="rbd-block-reliability">R = {formatReliability(result.reliability)}</div>}
+      </div>
+    );
+  }
+
+  const label = block.type === 'k-of-n' ? `${block.k}-of-${block.blocks.length}` : GROUP_LABELS[block.type];
+  return (
+    <div className={`rbd-group rbd-${block.type}`}>
+      <div className="rbd-group-label">
+        <span className="rbd-block-id">{block.id}</span> {label}{block.name ? ` · ${block.name}` : ''}
+        {result && <span className="rbd-block-reliability"> · R = {formatReliability(result.reliability)}</span>}
+      </div>
+      <div className="rbd-group-blocks">
+        {block.blocks.map(child => <BlockView key={child.id} block={child} results={results} />)}
+      </div>
+    </div>
+  );
+};
+
+// R(t) curve with the mission time marked
+const ReliabilityPlot = ({ curve, missionTime }) => {
+  const end = curve[curve.length - 1].time;
+  const x = (time) => PLOT.padding + (time / end) * (PLOT.width - 2 * PLOT.padding);
+  const y = (reliability) => PLOT.height - PLOT.padding - reliability * (PLOT.height - 2 * PLOT.padding);
+  const points = curve.map(point => `${x(point.time)},${y(point.reliability)}`).join(' ');
+
+  return (
+    <svg className="rbd-plot" viewBox={`0 0 ${PLOT.width} ${PLOT.height}`} role="img" aria-label="System reliability over time">
+      <line className="rbd-plot-axis" x1={x(0)} y1={y(0)} x2={x(end)} y2={y(0)} />
+      <line className="rbd-plot-axis" x1={x(0)} y1={y(0)} x2={x(0)} y2={y(1)} />
+      {[0, 0.5, 1].map(tick => (
+        <text key={tick} className="rbd-plot-tick" x={x(0) - 6} y={y(tick) + 4} textAnchor="end">{tick}</text>
+      ))}
+      <text className="rbd-plot-tick" x={x(0)} y={y(0) + 16} textAnchor="middle">0</text>
+      <text className="rbd-plot-tick" x={x(end)} y={y(0) + 16} textAnchor="middle">{formatHours(end)}</text>
+      <text className="rbd-plot-title" x={x(0)} y={y(1) - 12}>R(t)</text>
+      {missionTime <= end && (
+        <line className="rbd-plot-mission" x1={x(missionTime)} y1={y(0)} x2={x(missionTime)} y2={y(1)}>
+          <title>Mission time {formatHours(missionTime)}</title>
+        </line>
+      )}
+      <polyline className="rbd-plot-curve" points={points} />
+    </svg>
+  );
+};
+
+// Reliability block diagram of the system structure, editable as JSON, with R(t), MTBF and availability
+const ReliabilityBlockDiagram = ({ structure, fmeca }) => {
+  const [text, setText] = useState('');
+  const [diagram, setDiagram] = useState(null);
+  const [missionTime, setMissionTime] = useState(1000);
+  const [evaluation, setEvaluation] = useState(null);
+  const [problems, setProblems] = useState([]);
+  const [isBusy, setIsBusy] = useState(false);
+
+  // Structure and failure rates the default diagram is built from
+  const source = {
+    components: structure.components.filter(component => component.name?.trim()),
+    connections: (structure.connections || []).filter(connection => connection.from && connection.to),
+    failureRates: failureRatesFrom(fmeca)
+  };
+  // Built once when the tab opens and again on request, not while the form is being edited
+  const [buildRequest, setBuildRequest] = useState(source);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsBusy(true);
+    setProblems([]);
+    postJSON('/reliability/diagram', buildRequest)
+      .then(({ diagram: built }) => {
+        if (cancelled) return;
+        setDiagram(built);
+        setText(JSON.stringify(built, null, 2));
+        setEvaluation(null);
+      })
+      .catch(buildError => {
+        if (!cancelled) setProblems([buildError.message, ...(buildError.details || [])]);
+      })
+      .finally(() => {
+        if (!cancelled) setIsBusy(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [buildRequest]);
+
+  const calculate = async () => {
+    let edited;
+    try {
+      edited = JSON.parse(text);
+    } catch (parseError) {
+      setProblems([`The diagram is not valid JSON: ${parseError.message}`]);
+      return;
+    }
+
+    setIsBusy(true);
+    setProblems([]);
+    try {
+      const { reliability } = await postJSON('/reliability/evaluate', {
+        diagram: edited,
+        missionTime: Number(missionTime) || undefined
+      });
+      setDiagram(edited);
+      setEvaluation(reliability);
+    } catch (evaluateError) {
+      setEvaluation(null);
+      setProblems([evaluateError.message, ...(evaluateError.details || [])]);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <div className="reliability-block-diagram">
+      <p className="rbd-hint">
+        Blocks are components or <code>series</code>, <code>parallel</code> and <code>k-of-n</code> groups of blocks.
+        Give every component a <code>failureRate</code> (per hour), an <code>mtbf</code> or <code>weibull</code>{' '}
+        <code>{'{ shape, scale }'}</code> (hours), and optionally an <code>mttr</code> for the availability.
+      </p>
+
+      {diagram && (
+        <div className="rbd-diagram">
+          <BlockView block={diagram.root} results={evaluation?.blocks} />
+        </div>
+      )}
+
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        spellCheck={false}
+        rows={14}
+        disabled={isBusy}
+        aria-label="Reliability block diagram (JSON)"
+      />
+      <div className="rbd-actions">
+        <label className="rbd-mission-time">
+          Mission time (h)
+          <input
+            type="number"
+            min="1"
+            value={missionTime}
+            onChange={(e) => setMissionTime(e.target.value)}
+            disabled={isBusy}
+          />
+        </label>
+        <button type="button" className="rbd-calculate" onClick={calculate} disabled={isBusy || !text.trim()}>
+          Calculate
+        </button>
+        <button type="button" className="rbd-rebuild" onClick={() => setBuildRequest(source)} disabled={isBusy}>
+          Rebuild from structure
+        </button>
+      </div>
+      {problems.length > 0 && (
+        <ul className="rbd-problems">
+          {problems.map(problem => <li key={problem}>{problem}</li>)}
+        </ul>
+      )}
+
+      {evaluation && (
+        <div className="rbd-results">
+          <div className="rbd-metrics">
+            <div className="rbd-metric">
+              <span className="rbd-metric-label">R({formatHours(evaluation.missionTime)})</span>
+              <span className="rbd-metric-value">{formatReliability(evaluation.reliability)}</span>
+            </div>
+            <div className="rbd-metric">
+              <span className="rbd-metric-label">MTBF</span>
+              <span className="rbd-metric-value">{formatHours(evaluation.mtbf)}</span>
+            </div>
+            <div className="rbd-metric">
+              <span className="rbd-metric-label">Availability</span>
+              <span className="rbd-metric-value">{formatReliability(evaluation.availability)}</span>
+            </div>
+          </div>
+          <ReliabilityPlot curve={evaluation.curve} missionTime={evaluation.missionTime} />
+          <ul className="rbd-notes">
+            {evaluation.summary.weakestComponent && (
+              <li>
+                Weakest component: {evaluation.summary.weakestComponent.name}{' '}
+                (R = {formatReliability(evaluation.summary.weakestComponent.reliability)})
+              </li>
+            )}
+            {evaluation.summary.withoutRepairTime.length > 0 && (
+              <li>Counted as always available (no MTTR): {evaluation.summary.withoutRepairTime.join(', ')}</li>
+            )}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReliabilityBlockDiagram;
@@ -0,0 +1,226 @@
+import React, { useState, useEffect } from 'react';
+import { requestJSON } from '../api';
+import './RevisionDiff.css';
+
+const RATINGS = [
+  ['severity', 'S'],
+  ['occurrence', 'O'],
+  ['detection', 'D'],
+  ['rpn', 'RPN']
+];
+
+const formatDelta = (delta) => (delta > 0 ? `+${delta}` : `${delta}`);
+const formatProbability = (value) => (typeof value === 'number' ? value.toExponential(2) : '—');
+
+// One side of an FMECA row: item, failure mode and ratings, highlighting changed fields
+const RowSide = ({ row, changes = {} }) => {
+  if (!row) return <td colSpan={RATINGS.length + 1} className="diff-empty" />;
+  return (
+    <>
+      <td className={changes.recommendedAction ? 'diff-changed' : ''}>
+        <strong>{row.itemFunction}</strong>
+        <div className="diff-subtext">{row.failureMode}</div>
+      </td>
+      {RATINGS.map(([field]) => (
+        <td key={field} className={`diff-number ${changes[field] ? 'diff-changed' : ''}`}>{row[field]}</td>
+      ))}
+    </>
+  );
+};
+
+// Rating deltas of a modified row; RPN increases are shown as risk going up
+const DeltaCell = ({ deltas }) => (
+  <td className="diff-deltas">
+    {RATINGS.filter(([field]) => deltas[field] !== 0).map(([field, label]) => (
+      <span key={field} className={`diff-delta ${deltas[field] > 0 ? 'worse' : 'better'}`}>
+        {label} {formatDelta(deltas[field])}
+      </span>
+    ))}
+  </td>
+);
+
+const FMECADiff = ({ diff }) => {
+  const lines = [
+    ...diff.modified.map(change => ({ key: `m${change.index}`, status: 'modified', before: change.before, after: change.after, change, order: change.index })),
+    ...diff.added.map(({ row, index }) => ({ key: `a${index}`, status: 'added', after: row, order: index })),
+    ...diff.removed.map(({ row, index }) => ({ key: `r${index}`, status: 'removed', before: row, order: index + 0.5 }))
+  ].sort((a, b) => a.order - b.order);
+
+  const { summary } = diff;
+
+  return (
+    <div className="diff-block">
+      <div className="diff-summary">
+        <span className="diff-pill added">+{summary.added} added</span>
+        <span className="diff-pill removed">−{summary.removed} removed</span>
+        <span className="diff-pill modified">~{summary.modified} modified</span>
+        <span className="diff-pill">{summary.unchanged} unchanged</span>
+        <span>Total RPN {summary.totalRPN.before} → {summary.totalRPN.after} ({formatDelta(summary.totalRPN.delta)})</span>
+        <span>Max RPN {summary.maxRPN.before} → {summary.maxRPN.after}</span>
+      </div>
+
+      {lines.length === 0 ? (
+        <p className="diff-none">No FMECA rows changed.</p>
+      ) : (
+        <div className="diff-table-wrapper">
+          <table className="diff-table">
+            <thead>
+              <tr>
+                <th colSpan={RATINGS.length + 1}>Before</th>
+                <th colSpan={RATINGS.length + 1}>After</th>
+                <th>Change</th>
+              </tr>
+              <tr>
+                <th>Item / failure mode</th>
+                {RATINGS.map(([field, label]) => <th key={`b${field}`}>{label}</th>)}
+                <th>Item / failure mode</th>
+                {RATINGS.map(([field, label]) => <th key={`a${field}`}>{label}</th>)}
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {lines.map(line => (
+                <tr key={line.key} className={`diff-row ${line.status}`}>
+                  <RowSide row={line.before} changes={line.change?.changes} />
+                  <RowSide row={line.after} changes={line.change?.changes} />
+                  {line.change ? <DeltaCell deltas={line.change.deltas} /> : <td className="diff-status">{line.status}</td>}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Events and gates of one side of a fault tree diff
+const NodeList = ({ items }) => (
+  items.length === 0 ? <p className="diff-none">—</p> : (
+    <ul className="diff-node-list">
+      {items.map(item => (
+        <li key={`${item.status}-${item.node.id}`} className={`diff-node ${item.status}`}>
+          <code>{item.node.id}</code> {item.node.type}{item.node.k ? ` ${item.node.k}` : ''} · {item.node.description}
+          {item.node.probability !== undefined && <span className="diff-subtext"> P = {formatProbability(item.node.probability)}</span>}
+          {item.node.failureRate !== undefined && <span className="diff-subtext"> λ = {item.node.failureRate}</span>}
+        </li>
+      ))}
+    </ul>
+  )
+);
+
+const FaultTreeDiff = ({ tree }) => {
+  const tagged = (nodes, status) => nodes.map(node => ({ node, status }));
+  const before = [
+    ...tagged(tree.events.removed, 'removed'), ...tagged(tree.gates.removed, 'removed'),
+    ...tagged(tree.events.modified.map(change => change.before), 'modified'), ...tagged(tree.gates.modified.map(change => change.before), 'modified')
+  ];
+  const after = [
+    ...tagged(tree.events.added, 'added'), ...tagged(tree.gates.added, 'added'),
+    ...tagged(tree.events.modified.map(change => change.after), 'modified'), ...tagged(tree.gates.modified.map(change => change.after), 'modified')
+  ];
+
+  return (
+    <div className={`diff-tree ${tree.status}`}>
+      <h5>
+        {tree.hazardId}{tree.beforeHazardId && ` (was ${tree.beforeHazardId})`}: {tree.title}
+        <span className={`diff-pill ${tree.status}`}>{tree.status}</span>
+        <span className="diff-subtext">
+          P(top) {formatProbability(tree.topEventProbability.before)} → {formatProbability(tree.topEventProbability.after)}
+        </span>
+      </h5>
+
+      {tree.status !== 'unchanged' && (
+        <>
+          <div className="diff-columns">
+            <div>
+              <h6>Before</h6>
+              <NodeList items={before} />
+            </div>
+            <div>
+              <h6>After</h6>
+              <NodeList items={after} />
+            </div>
+          </div>
+          {tree.rewired.length > 0 && (
+            <div className="diff-rewired">
+              <h6>Rewired</h6>
+              <ul className="diff-node-list">
+                {tree.rewired.map(change => (
+                  <li key={change.id}>
+                    <code>{change.id}</code> inputs {change.inputsBefore.join(', ') || '—'} → {change.inputsAfter.join(', ') || '—'}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+// Side-by-side comparison of two revisions of the open project
+const RevisionDiff = ({ project, revision }) => {
+  const latest = project.revisions.length;
+  const [to, setTo] = useState(revision || latest);
+  const [from, setFrom] = useState(Math.max(1, (revision || latest) - 1));
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (from === to) {
+      setDiff(null);
+      return;
+    }
+    let cancelled = false;
+    setError(null);
+    requestJSON(`/projects/${project.id}/diff?from=${from}&to=${to}`)
+      .then(data => {
+        if (!cancelled) setDiff(data.diff);
+      })
+      .catch(loadError => {
+        if (!cancelled) setError(loadError.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [project.id, project.updatedAt, from, to]);
+
+  const options = project.revisions.map(item => (
+    <option key={item.number} value={item.number}>
+      #{item.number} ({item.source === 'edit' ? 'edited' : 'generated'})
+    </option>
+  ));
+
+  return (
+    <div className="revision-diff">
+      <div className="diff-controls">
+        <label>
+          Compare
+          <select value={from} onChange={(e) => setFrom(Number(e.target.value))}>{options}</select>
+        </label>
+        <label>
+          with
+          <select value={to} onChange={(e) => setTo(Number(e.target.value))}>{options}</select>
+        </label>
+      </div>
+
+      {from === to && <p className="diff-none">Pick two different revisions.</p>}
+      {error && <p className="diff-error">{error}</p>}
+
+      {diff && from !== to && (
+        <>
+          <h4>FMECA</h4>
+          <FMECADiff diff={diff.fmeca} />
+          <h4>Fault Trees</h4>
+          {diff.fta.length === 0 ? <p className="diff-none">No fault trees in either revision.</p> : diff.fta.map(tree => (
+            <FaultTreeDiff key={tree.hazardId} tree={tree} />
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RevisionDiff;
@@ -0,0 +1,158 @@
+import React from 'react';
+import './RiskMatrix882.css';
+
+const riskClass = (code) => (code ? `rac-${code.toLowerCase()}` : 'rac-none');
+
+const RiskMatrix882 = ({ assessment }) => {
+  if (!assessment) return null;
+
+  const { severityCategories, probabilityLevels, matrix, hazards, failureModes, mitigations, summary } = assessment;
+  const cellAt = (level, category) =>
+    matrix.find(cell => cell.probabilityLevel === level && cell.severityCategory === category);
+
+  return (
+    <div className="mil882-container">
+      <div className="mil882-header">
+        <h3>MIL-STD-882E Risk Assessment</h3>
+        <div className="mil882-summary">
+          {Object.entries(summary.hazardsByRisk)
+            .filter(([, count]) => count > 0)
+            .map(([level, count]) => (
+              <span key={level} className={riskClass(level)}>{count} {level} hazard{count === 1 ? '' : 's'}</span>
+            ))}
+          {summary.unscoredHazards > 0 && <span>{summary.unscoredHazards} without a quantified fault tree</span>}
+        </div>
+      </div>
+
+      <div className="mil882-body">
+        <table className="mil882-matrix">
+          <thead>
+            <tr>
+              <th>Probability</th>
+              {severityCategories.map(({ category, name }) => (
+                <th key={category}>{name}<br/>({category})</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {probabilityLevels.map(({ level, name }) => (
+              <tr key={level}>
+                <th className="mil882-level">{name} ({level})</th>
+                {severityCategories.map(({ category }) => {
+                  const cell = cellAt(level, category);
+                  const count = cell.hazards.length + cell.failureModes.length;
+                  return (
+                    <td
+                      key={category}
+                      className={`mil882-cell ${riskClass(cell.riskAssessmentCode)} ${count > 0 ? 'occupied' : ''}`}
+                      title={cell.riskAssessmentCode}
+                    >
+                      <div className="mil882-code">{category}{level}</div>
+                      {cell.hazards.map(id => <span key={id} className="mil882-hazard">{id}</span>)}
+                      {cell.failureModes.length > 0 && (
+                        <span className="mil882-modes">{cell.failureModes.length} FM</span>
+                      )}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="mil882-legend">
+          <strong>Risk Assessment Code:</strong>
+          {['High', 'Serious', 'Medium', 'Low'].map(level => (
+            <span key={level} className={riskClass(level)}>{level}</span>
+          ))}
+          <span className="mil882-note">
+            Hazards are placed by their fault tree top event probability{assessment.missionTime ? ` over ${assessment.missionTime} h` : ''}; failure modes (FM) by their FMECA severity and occurrence.
+          </span>
+        </div>
+
+        <h4>Hazards</h4>
+        <table className="mil882-table">
+          <thead>
+            <tr>
+              <th>Hazard</th>
+              <th>Severity</th>
+              <th>Probability</th>
+              <th>RAC</th>
+            </tr>
+          </thead>
+          <tbody>
+            {hazards.map(hazard => (
+              <tr key={hazard.hazardId}>
+                <td>{hazard.hazardId}: {hazard.title}</td>
+                <td>{hazard.severityCategory ?? '–'}</td>
+                <td>
+                  {hazard.probabilityLevel ?? '–'}
+                  {typeof hazard.probability === 'number' && ` (P = ${hazard.probability.toExponential(2)})`}
+                </td>
+                <td className={riskClass(hazard.riskAssessmentCode)}>{hazard.riskAssessmentCode || 'Not scored'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <h4>Failure Modes</h4>
+        <table className="mil882-table">
+          <thead>
+            <tr>
+              <th>Item/Function</th>
+              <th>Failure Mode</th>
+              <th>Severity</th>
+              <th>Probability</th>
+              <th>RAC</th>
+            </tr>
+          </thead>
+          <tbody>
+            {failureModes.map(mode => (
+              <tr key={mode.index}>
+                <td>{mode.itemFunction}</td>
+                <td>{mode.failureMode}</td>
+                <td>{mode.severityCategory}</td>
+                <td>{mode.probabilityLevel}</td>
+                <td className={riskClass(mode.riskAssessmentCode)}>{mode.riskAssessmentCode}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <h4>Mitigations by Design Order of Precedence</h4>
+        <table className="mil882-table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Mitigation</th>
+              <th>Order of Precedence</th>
+              <th>Addresses</th>
+              <th>RAC</th>
+            </tr>
+          </thead>
+          <tbody>
+            {mitigations.map(mitigation => (
+              <tr key={mitigation.rank}>
+                <td>{mitigation.rank}</td>
+                <td>{mitigation.action}</td>
+                <td>
+                  {mitigation.designPrecedence
+                    ? `${mitigation.designPrecedence.precedence}. ${mitigation.designPrecedence.name}`
+                    : 'Unclassified'}
+                </td>
+                <td>
+                  {mitigation.source.type === 'fmeca'
+                    ? `${mitigation.source.itemFunction}: ${mitigation.source.failureMode}`
+                    : `Fault tree ${mitigation.source.hazardId}`}
+                </td>
+                <td className={riskClass(mitigation.riskAssessmentCode)}>{mitigation.riskAssessmentCode || '–'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default RiskMatrix882;
@@ -0,0 +1,250 @@
+import React from 'react';
+import jsPDF from 'jspdf';
+import './STPAAnalysis.css';
+
+// The four STPA categories of unsafe control, in the order of the UCA table columns
+const UCA_CATEGORIES = [
+  { type: 'not-provided', title: 'Not provided' },
+  { type: 'provided', title: 'Provided' },
+  { type: 'wrong-timing', title: 'Too early, too late or out of order' },
+  { type: 'wrong-duration', title: 'Stopped too soon or applied too long' }
+];
+
+const SCENARIO_TITLES = {
+  'unsafe-controller-behavior': 'Unsafe controller behavior',
+  'inadequate-execution': 'Inadequate execution'
+};
+
+// Control structure layers from top to bottom; actuators and sensors share the middle row
+const LAYERS = [
+  { key: 'controllers', roles: ['controller'] },
+  { key: 'interfaces', roles: ['actuator', 'sensor'] },
+  { key: 'processes', roles: ['controlled-process'] }
+];
+
+const ItemList = ({ items }) => (
+  items.length > 0
+    ? <ul>{items.map(item => <li key={item}>{item}</li>)}</ul>
+    : <span className="stpa-none">–</span>
+);
+
+const actionTitle = (action) => `${action.id}: ${action.controller} → ${action.target}${action.channel ? ` (${action.channel})` : ''}`;
+const feedbackTitle = (entry) => `${entry.id}: ${entry.from} → ${entry.controller}${entry.channel ? ` (${entry.channel})` : ''}`;
+
+// STPA: the control structure, the unsafe control actions of every control action and their loss scenarios
+const STPAAnalysis = ({ data, systemName, description }) => {
+  if (!data?.controlStructure?.controlActions?.length) {
+    return <div className="no-data">No STPA data available</div>;
+  }
+
+  const { controlStructure, losses, hazards, unsafeControlActions, lossScenarios, summary } = data;
+  const ucasOf = (actionId, type) => unsafeControlActions.filter(uca => uca.controlAction === actionId && uca.type === type);
+
+  // Export the analysis as text pages (plain ASCII, which the built-in PDF fonts cover)
+  const exportToPDF = () => {
+    try {
+      const pdf = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4' });
+      let y = 20;
+      const write = (text, { size = 9, bold = false, indent = 0 } = {}) => {
+        pdf.setFontSize(size);
+        pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+        const lines = pdf.splitTextToSize(text.replace(/→/g, '->').replace(/–/g, '-'), 257 - indent);
+        if (y + lines.length * 4.5 > 195) {
+          pdf.addPage();
+          y = 20;
+        }
+        pdf.text(lines, 20 + indent, y);
+        y += lines.length * 4.5 + (bold ? 1.5 : 0);
+      };
+
+      write('System-Theoretic Process Analysis (STPA)', { size: 16, bold: true });
+      if (systemName) write(`System Name: ${systemName}`, { size: 12, bold: true });
+      if (description) write(`Description: ${description}`, { size: 10 });
+      write(`Generated on: ${new Date().toLocaleDateString()}`, { size: 10 });
+
+      // Flag placeholder or salvaged data so it cannot be mistaken for a real analysis
+      if (data.provenance?.degraded) {
+        pdf.setTextColor(220, 38, 38);
+        write(`WARNING: ${data.provenance.source === 'mock' ? 'Placeholder mock data' : 'Partially salvaged data'} - not a validated model analysis`, { size: 10, bold: true });
+        pdf.setTextColor(0, 0, 0);
+      }
+
+      y += 4;
+      write('Losses', { size: 12, bold: true });
+      losses.forEach(loss => write(`${loss.id}: ${loss.description}`, { indent: 4 }));
+      write('Hazards', { size: 12, bold: true });
+      hazards.forEach(hazard => write(`${hazard.id}: ${hazard.description} [${hazard.losses.join(', ')}]`, { indent: 4 }));
+
+      y += 4;
+      write('Control Structure', { size: 12, bold: true });
+      controlStructure.components.forEach(component => write(`${component.name} (${component.role})`, { indent: 4 }));
+      write('Control actions', { size: 10, bold: true, indent: 4 });
+      controlStructure.controlActions.forEach(action => write(actionTitle(action), { indent: 8 }));
+      write('Feedback', { size: 10, bold: true, indent: 4 });
+      if (controlStructure.feedback.length === 0) write('None', { indent: 8 });
+      controlStructure.feedback.forEach(entry => write(feedbackTitle(entry), { indent: 8 }));
+
+      y += 4;
+      write('Unsafe Control Actions', { size: 12, bold: true });
+      controlStructure.controlActions.forEach(action => {
+        y += 2;
+        write(actionTitle(action), { size: 10, bold: true, indent: 4 });
+        UCA_CATEGORIES.forEach(({ type, title }) => {
+          const ucas = ucasOf(action.id, type);
+          write(`${title}:${ucas.length === 0 ? ' None' : ''}`, { indent: 8 });
+          ucas.forEach(uca => write(`${uca.id}: ${uca.description} ${uca.context} [${uca.hazards.join(', ')}]`, { indent: 12 }));
+        });
+      });
+
+      y += 4;
+      write('Loss Scenarios', { size: 12, bold: true });
+      lossScenarios.forEach(scenario => {
+        y += 2;
+        write(`${scenario.id} (${scenario.uca}, ${SCENARIO_TITLES[scenario.type]}): ${scenario.scenario}`, { size: 10, bold: true, indent: 4 });
+        write(`Causal factors: ${scenario.causalFactors.join('; ')}`, { indent: 8 });
+        write(`Recommendations: ${scenario.recommendations.join('; ') || 'None'}`, { indent: 8 });
+      });
+
+      pdf.save('STPA-Analysis.pdf');
+    } catch (error) {
+      console.error('Error generating PDF:', error);
+      alert('Error generating PDF. Please try again.');
+    }
+  };
+
+  return (
+    <div className="stpa-container">
+      <div className="stpa-header">
+        <h3>System-Theoretic Process Analysis (STPA)</h3>
+        <div className="stpa-summary">
+          <span>{summary.controlActions} control action{summary.controlActions === 1 ? '' : 's'}</span>
+          <span>{summary.unsafeControlActions} UCA{summary.unsafeControlActions === 1 ? '' : 's'}</span>
+          <span>{summary.lossScenarios} loss scenario{summary.lossScenarios === 1 ? '' : 's'}</span>
+          {summary.ucasWithoutScenarios.length > 0 && (
+            <span className="stpa-warning">{summary.ucasWithoutScenarios.length} UCA{summary.ucasWithoutScenarios.length === 1 ? '' : 's'} without scenarios</span>
+          )}
+        </div>
+      </div>
+
+      <div className="stpa-controls">
+        <button className="export-button" onClick={exportToPDF}>
+          Export PDF
+        </button>
+      </div>
+
+      <div className="stpa-body">
+        <h4>Control Structure</h4>
+        <div className="stpa-structure">
+          {LAYERS.map(layer => {
+            const components = controlStructure.components.filter(component => layer.roles.includes(component.role));
+            return components.length > 0 && (
+              <div key={layer.key} className="stpa-layer">
+                {components.map(component => (
+                  <div key={component.name} className={`stpa-block role-${component.role}`}>
+                    <span className="stpa-role">{component.role.replace('-', ' ')}</span>
+                    <strong>{component.name}</strong>
+                  </div>
+                ))}
+              </div>
+            );
+          })}
+        </div>
+        <div className="stpa-links">
+          <div>
+            <h5>Control actions</h5>
+            <ul>
+              {controlStructure.controlActions.map(action => (
+                <li key={action.id} className={action.unsafeControlActions === 0 ? 'stpa-none' : ''}>
+                  ↓ {actionTitle(action)} – {action.unsafeControlActions} UCA{action.unsafeControlActions === 1 ? '' : 's'}
+                </li>
+              ))}
+            </ul>
+          </div>
+          <div>
+            <h5>Feedback</h5>
+            {controlStructure.feedback.length === 0
+              ? <span className="stpa-none">No feedback to the controllers</span>
+              : <ul>{controlStructure.feedback.map(entry => <li key={entry.id}>↑ {feedbackTitle(entry)}</li>)}</ul>}
+          </div>
+        </div>
+
+        <div className="stpa-links">
+          <div>
+            <h5>Losses</h5>
+            <ul>{losses.map(loss => <li key={loss.id}><strong>{loss.id}</strong> {loss.description}</li>)}</ul>
+          </div>
+          <div>
+            <h5>Hazards</h5>
+            <ul>
+              {hazards.map(hazard => (
+                <li key={hazard.id}><strong>{hazard.id}</strong> {hazard.description} [{hazard.losses.join(', ')}]</li>
+              ))}
+            </ul>
+          </div>
+        </div>
+
+        <h4>Unsafe Control Actions</h4>
+        <table>
+          <thead>
+            <tr>
+              <th>Control Action</th>
+              {UCA_CATEGORIES.map(({ type, title }) => <th key={type}>{title}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {controlStructure.controlActions.map(action => (
+              <tr key={action.id}>
+                <td className="stpa-action">{actionTitle(action)}</td>
+                {UCA_CATEGORIES.map(({ type }) => {
+                  const ucas = ucasOf(action.id, type);
+                  return (
+                    <td key={type}>
+                      {ucas.length === 0 && <span className="stpa-none">–</span>}
+                      {ucas.map(uca => (
+                        <div key={uca.id} className="stpa-uca">
+                          <strong>{uca.id}</strong> {uca.description}
+                          <div className="stpa-context">{uca.context} [{uca.hazards.join(', ')}]</div>
+                        </div>
+                      ))}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <h4>Loss Scenarios</h4>
+        <table>
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th>UCA</th>
+              <th>Type</th>
+              <th>Scenario</th>
+              <th>Causal Factors</th>
+              <th>Recommendations</th>
+            </tr>
+          </thead>
+          <tbody>
+            {lossScenarios.map(scenario => (
+              <tr key={scenario.id}>
+                <td>{scenario.id}</td>
+                <td>{scenario.uca}</td>
+                <td>{SCENARIO_TITLES[scenario.type]}</td>
+                <td>{scenario.scenario}</td>
+                <td><ItemList items={scenario.causalFactors} /></td>
+                <td><ItemList items={scenario.recommendations} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="stpa-note">
+          Control actions leave a controller and feedback enters one; roles are derived from the component names.
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default STPAAnalysis;
@@ -0,0 +1,47 @@
+// Rating scale helpers shared by the FMECA table and the rating criteria appendix.
+// The scales come with each FMECA result (`fmeca.ratingScales`); results saved before rating
+// scales were configurable fall back to the default 1-10 thresholds below.
+
+export const RATING_DIMENSIONS = [
+  { key: 'severity', title: 'Severity (S)' },
+  { key: 'occurrence', title: 'Occurrence (O)' },
+  { key: 'detection', title: 'Detection (D)' }
+];
+
+export const DEFAULT_SEVERITY_BANDS = [
+  { min: 9, level: 'critical', label: 'Critical' },
+  { min: 7, level: 'high', label: 'High' },
+  { min: 5, level: 'medium', label: 'Medium' },
+  { min: 1, level: 'low', label: 'Low' }
+];
+
+export const DEFAULT_RPN_BANDS = [
+  { min: 200, level: 'critical', label: 'Critical' },
+  { min: 100, level: 'high', label: 'High' },
+  { min: 50, level: 'medium', label: 'Medium' },
+  { min: 1, level: 'low', label: 'Low' }
+];
+
+// Band a value falls in; bands are ordered highest minimum first
+export const bandOf = (bands, value) => bands.find(band => value >= band.min) || bands[bands.length - 1];
+
+// Bands lowest first with a readable range: "1-49", "200+" for whole numbers, "≥ 0.5" otherwise
+export const describeBands = (bands, { wholeNumbers = true } = {}) => {
+  const ascending = [...bands].reverse();
+  return ascending.map((band, index) => {
+    const next = ascending[index + 1];
+    let range = `≥ ${band.min}`;
+    if (wholeNumbers && !next) {
+      range = `${band.min}+`;
+    } else if (wholeNumbers) {
+      range = next.min - 1 > band.min ? `${band.min}-${next.min - 1}` : `${band.min}`;
+    }
+    return { ...band, range };
+  });
+};
+
+// Lowest RPN counted as high risk (critical or high band), null when no band counts
+export const highRiskRPN = (bands) => {
+  const high = bands.filter(band => band.level === 'critical' || band.level === 'high');
+  return high.length > 0 ? Math.min(...high.map(band => band.min)) : null;
+};
@@ -0,0 +1,222 @@
+const Joi = require('joi');
+const { PROVIDER_NAMES } = require('../services/providers');
+const { EVALUATION_METHODS } = require('../services/faultTreeEvaluator');
+const { CRITICALITY_MODES } = require('../services/criticality');
+const { RISK_RANKING_METHODS } = require('../services/riskRanking');
+const { ratingScalesSchema } = require('../services/ratingScales');
+const { GUIDEWORDS } = require('../services/hazop');
+const { FMEDA_ASILS } = require('../services/fmeda');
+const { MAX_BARRIERS } = require('../services/eventTree');
+const { CONTROL_ROLES, deriveControlStructure } = require('../services/stpa');
+const { faultTreeSchema } = require('../services/outputSchemas');
+
+// Optional per-request model selection; allowed providers are limited by LLM_ALLOWED_PROVIDERS
+const llmOptionsSchema = Joi.object({
+  provider: Joi.string().valid(...PROVIDER_NAMES).optional(),
+  model: Joi.string().max(100).optional()
+}).optional();
+
+// Fault tree quantification settings
+const quantificationOptionsSchema = Joi.object({
+  missionTime: Joi.number().positive().max(1000000).optional(),
+  method: Joi.string().valid(...EVALUATION_METHODS).optional(),
+  sensitivityFactor: Joi.number().min(1.1).max(1000).optional()
+}).optional();
+
+// FMECA criticality: RPN only, or MIL-STD-1629A quantitative criticality (operating time in hours)
+const criticalityOptionsSchema = Joi.object({
+  mode: Joi.string().valid(...CRITICALITY_MODES).default('rpn'),
+  operatingTime: Joi.number().positive().max(1000000).optional()
+}).optional();
+
+// ISO 26262-5 FMEDA on top of the FMECA; the metrics are checked against the targets of the safety goal's ASIL
+const fmedaOptionsSchema = Joi.object({
+  asil: Joi.string().valid(...FMEDA_ASILS).required(),
+  lifetime: Joi.number().positive().max(1000000).optional()
+}).optional();
+
+// An FMEDA worksheet replaces the MIL-STD-1629A inputs, so the two cannot be combined
+const criticalityWithFmedaSchema = criticalityOptionsSchema.when('fmeda', {
+  is: Joi.exist(),
+  then: Joi.object().custom((value, helpers) => (
+    value.mode === 'quantitative' ? helpers.message('quantitative criticality cannot be combined with an FMEDA') : value
+  ))
+});
+
+// How FMECA failure modes are ranked: RPN (default) or AIAG-VDA Action Priority
+const riskRankingSchema = Joi.string().valid(...RISK_RANKING_METHODS).optional();
+
+// Severity/occurrence/detection scales and risk thresholds; defaults to the project's, then to 1-10
+const requestRatingScalesSchema = ratingScalesSchema.optional();
+
+// HAZOP study of the connections; presence turns it on, guidewords default to all seven
+const hazopOptionsSchema = Joi.object({
+  guidewords: Joi.array().items(Joi.string().valid(...GUIDEWORDS)).min(1).unique().optional()
+}).optional();
+
+// STPA of the control structure; presence turns it on, roles override the ones derived from the component names
+const stpaOptionsSchema = Joi.object({
+  roles: Joi.object().pattern(Joi.string(), Joi.string().valid(...CONTROL_ROLES)).optional()
+}).optional();
+
+// Store the results as a new revision of this project
+const projectIdSchema = Joi.string().guid().optional();
+
+// `bypass` skips cached results and forces a fresh generation
+const cacheModeSchema = Joi.string().valid('default', 'bypass').optional();
+
+// Schema for system description validation
+const systemDescriptionSchema = Joi.object({
+  systemName: Joi.string().required().min(3).max(100),
+  description: Joi.string().required().min(10).max(1000),
+  components: Joi.array().items(
+    Joi.object({
+      name: Joi.string().required().min(2).max(50),
+      function: Joi.string().required().min(5).max(200)
+    })
+  ).min(1).max(20),
+  connections: Joi.array().items(
+    Joi.object({
+      from: Joi.string().required(),
+      to: Joi.string().required(),
+      // What the connection carries (hydraulic, electrical, data, ...); picks the HAZOP parameters
+      type: Joi.string().min(2).max(50).optional(),
+      description: Joi.string().min(5).max(200).optional()
+    }).or('type', 'description')
+  )
+    .when('hazop', { is: Joi.exist(), then: Joi.array().min(1).required(), otherwise: Joi.optional() })
+    .when('stpa', { is: Joi.exist(), then: Joi.array().min(1).required() }),
+  operatingConditions: Joi.object({
+    temperature: Joi.string().optional(),
+    pressure: Joi.string().optional(),
+    environment: Joi.string().optional(),
+    powerRequirements: Joi.string().optional()
+  }).optional(),
+  safetyStandards: Joi.array().items(
+    Joi.string().valid('ISO 26262', 'MIL-STD-882E', 'IEC 61508', 'DO-178C', 'ARP4754A')
+  ).optional(),
+  llm: llmOptionsSchema,
+  quantification: quantificationOptionsSchema,
+  criticality: criticalityWithFmedaSchema,
+  fmeda: fmedaOptionsSchema,
+  riskRanking: riskRankingSchema,
+  ratingScales: requestRatingScalesSchema,
+  hazop: hazopOptionsSchema,
+  stpa: stpaOptionsSchema,
+  maxHazards: Joi.number().integer().min(1).max(8).optional(),
+  projectId: projectIdSchema,
+  cache: cacheModeSchema
+}).custom((value, helpers) => {
+  // UCAs are identified per control action, so at least one connection has to leave a controller
+  if (value.stpa && deriveControlStructure(value.components || [], value.connections, value.stpa.roles).controlActions.length === 0) {
+    return helpers.message('STPA needs at least one connection from a controller to another component');
+  }
+  return value;
+});
+
+// Event tree of a hazard: a fault tree (whose top event is the hazard) or an initiating event with
+// its frequency, and the safety barriers in the order they are demanded
+const eventTreeRequestSchema = Joi.object({
+  faultTree: faultTreeSchema.unknown(true).optional(),
+  quantification: quantificationOptionsSchema,
+  initiatingEvent: Joi.object({
+    description: Joi.string().max(500),
+    frequency: Joi.number().min(0),
+    unit: Joi.string().max(50),
+    // Worst credible consequence when every barrier fails
+    consequence: Joi.string().max(500),
+    // Causes drawn on the bow-tie when there is no fault tree
+    causes: Joi.array().items(Joi.string().max(500)).max(50)
+  }).when('faultTree', {
+    is: Joi.exist(),
+    then: Joi.optional(),
+    otherwise: Joi.object({ description: Joi.required(), frequency: Joi.required() }).required()
+  }),
+  barriers: Joi.array().items(Joi.object({
+    name: Joi.string().max(200).required(),
+    description: Joi.string().max(1000).optional(),
+    // Probability of failure on demand
+    failureProbability: Joi.number().min(0).max(1).required(),
+    stopsOnSuccess: Joi.boolean().default(false)
+  })).min(1).max(MAX_BARRIERS).unique('name').required()
+});
+
+// Alternative schema for simple text description
+const simpleDescriptionSchema = Joi.object({
+  description: Joi.string().required().min(20).max(2000),
+  llm: llmOptionsSchema,
+  quantification: quantificationOptionsSchema,
+  criticality: criticalityWithFmedaSchema,
+  fmeda: fmedaOptionsSchema,
+  riskRanking: riskRankingSchema,
+  ratingScales: requestRatingScalesSchema,
+  maxHazards: Joi.number().integer().min(1).max(8).optional(),
+  projectId: projectIdSchema,
+  cache: cacheModeSchema
+});
+
+// Returned with invalid requests to show both input formats
+const formatExamples = {
+  structuredFormatExample: {
+    systemName: "Forward-Facing Lidar Unit",
+    description: "Scans environment to detect obstacles",
+    components: [
+      { name: "Laser Emitter", function: "Emits laser pulses" },
+      { name: "Processing Unit", function: "Calculates distance from raw data" }
+    ]
+  },
+  simpleFormatExample: {
+    description: "A brake system for an autonomous vehicle consisting of brake pedal, master cylinder, brake lines, and brake pads..."
+  }
+};
+
+/**
+ * Validate an analysis request body - structured format first, then simple text
+ * A body with `systemName` or `components` is meant as a structured description and gets the
+ * problems of that format; any other body gets those of the simple text format.
+ * @param {Object} body - Request body
+ * @returns {Promise<{validatedInput: Object, isStructured: boolean}|{errorResponse: Object}>} Validated input, or the body of the 400 response
+ */
+const parseAnalysisInput = async (body) => {
+  try {
+    const validatedInput = await systemDescriptionSchema.validateAsync(body);
+    console.log('✅ Structured input validated');
+    return { validatedInput, isStructured: true };
+  } catch (structuredError) {
+    if (body?.systemName !== undefined || body?.components !== undefined) {
+      return {
+        errorResponse: {
+          error: 'Invalid structured system description',
+          details: 'Please correct the problems of the structured system description',
+          problems: structuredError.details.map(detail => detail.message),
+          structuredFormatExample: formatExamples.structuredFormatExample
+        }
+      };
+    }
+    try {
+      const validatedInput = await simpleDescriptionSchema.validateAsync(body);
+      console.log('✅ Simple text input validated');
+      return { validatedInput, isStructured: false };
+    } catch (simpleError) {
+      return {
+        errorResponse: {
+          error: 'Invalid input format',
+          details: 'Please provide either a structured system description or a simple text description (minimum 20 characters)',
+          problems: simpleError.details.map(detail => detail.message),
+          ...formatExamples
+        }
+      };
+    }
+  }
+};
+
+module.exports = {
+  llmOptionsSchema,
+  quantificationOptionsSchema,
+  criticalityOptionsSchema,
+  riskRankingSchema,
+  eventTreeRequestSchema,
+  systemDescriptionSchema,
+  simpleDescriptionSchema,
+  parseAnalysisInput
+};
@@ -12,11 +12,12 @@ const notFound = (req, res, next) => {
 };
 
 /**
- * Global error handler
+ * Map an error to its HTTP status and client-facing body (also used for errors on event streams)
+ * @returns {{statusCode: number, response: Object}} Status code and response body
  */
-const errorHandler = (err, req, res, next) => {
-  // Default to 500 server error
-  let statusCode = res.statusCode === 200 ? 500 : res.statusCode;
+const buildErrorResponse = (err, req, res) => {
+  // Use the status carried by the error (e.g. body-parser), otherwise default to 500 server error
+  let statusCode = err.statusCode || err.status || (res.statusCode === 200 ? 500 : res.statusCode);
   let message = err.message;
 
   console.error('❌ Error occurred:', {
@@ -44,8 +45,13 @@ const errorHandler = (err, req, res, next) => {
     message = 'Duplicate field value';
   }
 
-  // Handle OpenAI API errors
-  if (err.message?.includes('OpenAI')) {
+  // Handle LLM provider errors (OpenAI, Anthropic, Azure OpenAI, local endpoints)
+  if (err.name === 'ProviderError') {
+    statusCode = err.statusCode || 503;
+    if (statusCode >= 500) {
+      message = 'AI service temporarily unavailable';
+    }
+  } else if (err.message?.includes('OpenAI')) {
     statusCode = 503;
     message = 'AI service temporarily unavailable';
   }
@@ -67,6 +73,11 @@ const errorHandler = (err, req, res, next) => {
     method: req.method
   };
 
+  // Model output that never passed schema validation - tell the client exactly why
+  if (err.name === 'OutputValidationError') {
+    response.details = err.details;
+  }
+
   // Include stack trace in development
   if (process.env.NODE_ENV === 'development') {
     response.stack = err.stack;
@@ -87,6 +98,14 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  return { statusCode, response };
+};
+
+/**
+ * Global error handler
+ */
+const errorHandler = (err, req, res, next) => {
+  const { statusCode, response } = buildErrorResponse(err, req, res);
   res.status(statusCode).json(response);
 };
 
@@ -122,6 +141,7 @@ const requestTimer = (req, res, next) => {
 module.exports = {
   notFound,
   errorHandler,
+  buildErrorResponse,
   asyncHandler,
   requestTimer
 };
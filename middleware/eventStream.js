@@ -0,0 +1,66 @@
+/**
+ * Server-Sent Events helpers for long-running endpoints
+ */
+
+// Comment line sent periodically so proxies do not close an idle stream
+const HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * Whether the client asked for an event stream (Accept: text/event-stream)
+ */
+const wantsEventStream = (req) => {
+  return (req.get('Accept') || '').includes('text/event-stream');
+};
+
+/**
+ * Switch the response to an SSE stream
+ * Events are flushed immediately; `no-transform` also keeps the compression middleware out of the way.
+ * @returns {{send: Function, end: Function, isOpen: Function, signal: AbortSignal}} Stream controls;
+ *   `signal` aborts when the client disconnects before the stream is ended
+ */
+const openEventStream = (res) => {
+  let open = true;
+  const controller = new AbortController();
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const write = (chunk) => {
+    if (!open) return;
+    res.write(chunk);
+    if (typeof res.flush === 'function') res.flush();
+  };
+
+  const heartbeat = setInterval(() => write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+  const close = () => {
+    open = false;
+    clearInterval(heartbeat);
+  };
+  // The response closes when the client disconnects (or after end())
+  res.on('close', () => {
+    if (open) controller.abort();
+    close();
+  });
+
+  return {
+    send: (event, data) => write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`),
+    end: () => {
+      if (open) res.end();
+      close();
+    },
+    isOpen: () => open,
+    signal: controller.signal
+  };
+};
+
+module.exports = {
+  wantsEventStream,
+  openEventStream
+};
@@ -0,0 +1,68 @@
+/**
+ * Usage accounting for endpoints that call the model
+ */
+const { getUsageAccount, getMonthlyBudget, usageLedger } = require('../services/usage');
+const { resolveLLMSettings } = require('../services/providers');
+const { getModelPrice } = require('../services/pricing');
+
+/**
+ * Model the request body selects, or null when the selection is invalid (reported by the endpoint itself)
+ */
+const requestedModel = (body) => {
+  try {
+    return resolveLLMSettings(body?.llm);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Attach the caller's usage account (from X-API-Key) to the request
+ * and reject the request once the key's monthly budget is spent
+ * A key with a budget may only use models with a known price: unpriced calls would cost
+ * nothing against the budget, so they are refused instead of being counted as free.
+ */
+const enforceUsageBudget = async (req, res, next) => {
+  try {
+    const apiKey = req.get('X-API-Key');
+    req.usageAccount = getUsageAccount(apiKey);
+
+    const budget = getMonthlyBudget(apiKey);
+    if (budget === null) {
+      return next();
+    }
+
+    const llm = requestedModel(req.body);
+    if (llm && !getModelPrice(llm)) {
+      console.warn(`💸 No price for ${llm.provider}/${llm.model}; refused for budgeted account ${req.usageAccount.id}`);
+      return res.status(400).json({
+        error: 'Model has no known price',
+        details: `Usage budgets need a price for every model. Add "${llm.model}" to LLM_PRICING or choose another model.`,
+        provider: llm.provider,
+        model: llm.model,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { estimatedCost: spent } = await usageLedger.getMonthlyTotals(req.usageAccount);
+    if (spent >= budget) {
+      const now = new Date();
+      console.warn(`💸 Monthly budget exhausted for ${req.usageAccount.id}: $${spent} of $${budget}`);
+      return res.status(429).json({
+        error: 'Monthly usage budget exhausted',
+        budget,
+        spent,
+        resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString(),
+        timestamp: now.toISOString()
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  enforceUsageBudget
+};
@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { getKeyBudgets, hasUsageBudgets } = require('../services/usage');
 
 /**
  * Validation middleware for system descriptions
@@ -120,12 +121,17 @@ const checkMaliciousContent = (req, res, next) => {
 
 /**
  * Validate API key if provided
+ * Keys are valid when listed in VALID_API_KEYS or USAGE_KEY_BUDGETS. Once usage budgets are set,
+ * other keys are rejected even without VALID_API_KEYS, as each new key would get its own allowance.
  */
 const validateApiKey = (req, res, next) => {
   const apiKey = req.headers['x-api-key'];
-  
-  if (apiKey && process.env.VALID_API_KEYS) {
-    const validKeys = process.env.VALID_API_KEYS.split(',');
+
+  if (apiKey && (process.env.VALID_API_KEYS || hasUsageBudgets())) {
+    const validKeys = [
+      ...(process.env.VALID_API_KEYS || '').split(',').map(key => key.trim()),
+      ...getKeyBudgets().keys()
+    ];
     if (!validKeys.includes(apiKey)) {
       return res.status(401).json({
         error: 'Invalid API key',
@@ -137,9 +143,37 @@ const validateApiKey = (req, res, next) => {
   next();
 };
 
+/**
+ * Restrict admin endpoints to the keys in ADMIN_API_KEYS
+ * Without ADMIN_API_KEYS they are closed, unless ADMIN_OPEN_IN_DEVELOPMENT=true opens them outside production
+ */
+const requireAdminKey = (req, res, next) => {
+  const adminKeys = (process.env.ADMIN_API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean);
+
+  if (adminKeys.length === 0) {
+    if (process.env.ADMIN_OPEN_IN_DEVELOPMENT === 'true' && process.env.NODE_ENV !== 'production') {
+      return next();
+    }
+    return res.status(403).json({
+      error: 'Admin endpoints are disabled; set ADMIN_API_KEYS to enable them',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!adminKeys.includes(req.headers['x-api-key'])) {
+    return res.status(401).json({
+      error: 'Admin API key required',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   validateSystemDescription,
   sanitizeInput,
   checkMaliciousContent,
-  validateApiKey
+  validateApiKey,
+  requireAdminKey
 };
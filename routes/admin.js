@@ -0,0 +1,115 @@
+const express = require('express');
+const Joi = require('joi');
+const { listTemplates, getTemplate, getActiveVersions, reloadTemplates, renderPrompt } = require('../services/promptRegistry');
+const { buildPromptVariables } = require('../services/promptVariables');
+const { parseAnalysisInput } = require('../middleware/analysisInput');
+const { requireAdminKey } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(requireAdminKey);
+
+const previewSchema = Joi.object({
+  version: Joi.string().pattern(/^\d+\.\d+\.\d+$/).optional(),
+  // Either explicit template variables...
+  variables: Joi.object().pattern(Joi.string(), Joi.alternatives(Joi.string().allow(''), Joi.number())).optional(),
+  // ...or an analysis request (structure: { systemName, description }) to derive them from
+  input: Joi.object().unknown(true).optional(),
+  hazard: Joi.object({
+    id: Joi.string().required(),
+    title: Joi.string().required(),
+    description: Joi.string().allow('').default(''),
+    severity: Joi.string().required()
+  }).optional(),
+  sharedBasicEvents: Joi.array().items(Joi.object().unknown(true)).optional()
+}).xor('variables', 'input');
+
+/**
+ * Send registry errors (unknown template or version, missing variables) with their status
+ */
+const handleTemplateError = (error, res, next) => {
+  if (error.name === 'PromptTemplateError') {
+    return res.status(error.statusCode).json({ error: error.message, details: error.details });
+  }
+  next(error);
+};
+
+/**
+ * GET /api/admin/prompts
+ * Prompt templates with all their versions and the version in use
+ */
+router.get('/prompts', (req, res, next) => {
+  try {
+    res.json({ success: true, activeVersions: getActiveVersions(), templates: listTemplates() });
+  } catch (error) {
+    handleTemplateError(error, res, next);
+  }
+});
+
+/**
+ * POST /api/admin/prompts/reload
+ * Re-read the template files without restarting the server
+ */
+router.post('/prompts/reload', (req, res, next) => {
+  try {
+    reloadTemplates();
+    console.log('♻️ Prompt templates reloaded');
+    res.json({ success: true, activeVersions: getActiveVersions(), templates: listTemplates() });
+  } catch (error) {
+    handleTemplateError(error, res, next);
+  }
+});
+
+/**
+ * GET /api/admin/prompts/:id?version=
+ * Source of one template version (default: the active one)
+ */
+router.get('/prompts/:id', (req, res, next) => {
+  try {
+    const { id, version, description, variables, system, user, file } = getTemplate(req.params.id, req.query.version);
+    res.json({ success: true, template: { id, version, description, variables, file, system, user } });
+  } catch (error) {
+    handleTemplateError(error, res, next);
+  }
+});
+
+/**
+ * POST /api/admin/prompts/:id/preview
+ * Render a template without calling the model, from explicit `variables` or from an
+ * analysis request `input` (the variables the generator would use)
+ */
+router.post('/prompts/:id/preview', async (req, res, next) => {
+  try {
+    const { error, value } = previewSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid preview request', details: error.details.map(detail => detail.message) });
+    }
+
+    let { variables } = value;
+    if (!variables) {
+      let context = { systemDescription: value.input };
+      if (req.params.id !== 'structure') {
+        const parsed = await parseAnalysisInput(value.input);
+        if (parsed.errorResponse) {
+          return res.status(400).json(parsed.errorResponse);
+        }
+        context = {
+          systemDescription: parsed.validatedInput,
+          isStructured: parsed.isStructured,
+          maxHazards: parsed.validatedInput.maxHazards,
+          hazard: value.hazard,
+          sharedBasicEvents: value.sharedBasicEvents
+        };
+      }
+      variables = buildPromptVariables(req.params.id, context) || {};
+    }
+
+    const rendered = renderPrompt(req.params.id, variables, { version: value.version });
+    res.json({ success: true, ...rendered, variables });
+
+  } catch (error) {
+    handleTemplateError(error, res, next);
+  }
+});
+
+module.exports = router;
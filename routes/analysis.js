@@ -1,48 +1,37 @@
 const express = require('express');
-const Joi = require('joi');
-const { generateFMECA, generateFTA } = require('../services/aiService');
-const { validateSystemDescription } = require('../middleware/validation');
+const { resolveLLMSettings } = require('../services/providers');
+const { quantifyFTA } = require('../services/faultTreeEvaluator');
+const { analyzeEventTree } = require('../services/eventTree');
+const { runAnalysis } = require('../services/analysisPipeline');
+const { getProject, saveAnalysisToProject } = require('../services/projects');
+const { wantsEventStream, openEventStream } = require('../middleware/eventStream');
+const { buildErrorResponse } = require('../middleware/errorHandler');
+const { enforceUsageBudget } = require('../middleware/usageBudget');
+const { createUsageMeter, recordUsage } = require('../services/usage');
+const { faultTreeSchema } = require('../services/outputSchemas');
+const { DEFAULT_RATING_SCALES } = require('../services/ratingScales');
+const {
+  llmOptionsSchema,
+  quantificationOptionsSchema,
+  eventTreeRequestSchema,
+  systemDescriptionSchema,
+  simpleDescriptionSchema,
+  parseAnalysisInput
+} = require('../middleware/analysisInput');
+const { validateSystemDescription, validateApiKey } = require('../middleware/validation');
 
 const router = express.Router();
 
-// Schema for system description validation
-const systemDescriptionSchema = Joi.object({
-  systemName: Joi.string().required().min(3).max(100),
-  description: Joi.string().required().min(10).max(1000),
-  components: Joi.array().items(
-    Joi.object({
-      name: Joi.string().required().min(2).max(50),
-      function: Joi.string().required().min(5).max(200)
-    })
-  ).min(1).max(20),
-  connections: Joi.array().items(
-    Joi.object({
-      from: Joi.string().required(),
-      to: Joi.string().required(),
-      description: Joi.string().required().min(5).max(200)
-    })
-  ).optional(),
-  operatingConditions: Joi.object({
-    temperature: Joi.string().optional(),
-    pressure: Joi.string().optional(),
-    environment: Joi.string().optional(),
-    powerRequirements: Joi.string().optional()
-  }).optional(),
-  safetyStandards: Joi.array().items(
-    Joi.string().valid('ISO 26262', 'MIL-STD-882E', 'IEC 61508', 'DO-178C', 'ARP4754A')
-  ).optional()
-});
-
-// Alternative schema for simple text description
-const simpleDescriptionSchema = Joi.object({
-  description: Joi.string().required().min(20).max(2000)
-});
-
 /**
  * POST /api/analysis/generate
  * Generate FMECA and FTA analysis from system description
+ * FTA results hold the identified hazards and one fault tree per hazard
+ * Send `Accept: text/event-stream` to receive progress as Server-Sent Events
+ * With `projectId` the results are also stored as a new revision of that project
+ * Token usage is booked against the caller's API key, also for failed and cancelled analyses;
+ * exhausted monthly budgets get 429
  */
-router.post('/generate', async (req, res, next) => {
+router.post('/generate', validateApiKey, enforceUsageBudget, async (req, res, next) => {
   try {
     console.log('📝 Analysis request received:', {
       timestamp: new Date().toISOString(),
@@ -51,61 +40,53 @@ router.post('/generate', async (req, res, next) => {
     });
 
     // Validate input - try structured format first, then simple text
-    let validatedInput;
-    let isStructured = false;
+    const parsed = await parseAnalysisInput(req.body);
+    if (parsed.errorResponse) {
+      return res.status(400).json(parsed.errorResponse);
+    }
+    const { validatedInput, isStructured } = parsed;
 
-    try {
-      validatedInput = await systemDescriptionSchema.validateAsync(req.body);
-      isStructured = true;
-      console.log('✅ Structured input validated');
-    } catch (structuredError) {
-      try {
-        validatedInput = await simpleDescriptionSchema.validateAsync(req.body);
-        console.log('✅ Simple text input validated');
-      } catch (simpleError) {
-        return res.status(400).json({
-          error: 'Invalid input format',
-          details: 'Please provide either a structured system description or a simple text description (minimum 20 characters)',
-          structuredFormatExample: {
-            systemName: "Forward-Facing Lidar Unit",
-            description: "Scans environment to detect obstacles",
-            components: [
-              { name: "Laser Emitter", function: "Emits laser pulses" },
-              { name: "Processing Unit", function: "Calculates distance from raw data" }
-            ]
-          },
-          simpleFormatExample: {
-            description: "A brake system for an autonomous vehicle consisting of brake pedal, master cylinder, brake lines, and brake pads..."
-          }
-        });
-      }
+    const llm = resolveLLMSettings(validatedInput.llm);
+
+    const project = validatedInput.projectId ? await getProject(validatedInput.projectId) : null;
+    if (validatedInput.projectId && !project) {
+      return res.status(404).json({ error: 'Project not found', projectId: validatedInput.projectId });
+    }
+    // Without rating scales of its own the request is rated on the project's
+    if (!validatedInput.ratingScales && project?.ratingScales) {
+      validatedInput.ratingScales = project.ratingScales;
     }
 
-    console.log('Starting AI analysis generation...');
-    
-    // Generate FMECA and FTA in parallel for better performance
-    const [fmecaResult, ftaResult] = await Promise.all([
-      generateFMECA(validatedInput, isStructured),
-      generateFTA(validatedInput, isStructured)
-    ]);
+    const meter = createUsageMeter();
 
-    const response = {
-      success: true,
-      timestamp: new Date().toISOString(),
-      input: {
-        type: isStructured ? 'structured' : 'simple',
-        systemName: isStructured ? validatedInput.systemName : 'System Analysis'
-      },
-      results: {
-        fmeca: fmecaResult,
-        fta: ftaResult
-      },
-      metadata: {
-        processingTime: Date.now() - req.startTime,
-        componentsAnalyzed: isStructured ? validatedInput.components.length : 'N/A',
-        safetyStandards: isStructured ? (validatedInput.safetyStandards || ['General']) : ['General']
+    // Streaming variant: stage events, FMECA rows as they are written, then the finished results
+    if (wantsEventStream(req)) {
+      const stream = openEventStream(res);
+      try {
+        // A client that disconnects cancels the remaining model calls
+        const response = await saveAnalysisToProject(validatedInput, await runAnalysis(validatedInput, isStructured, { llm, onEvent: stream.send, signal: stream.signal, meter }));
+        console.log('✅ Analysis completed successfully (streamed)');
+        stream.send('complete', response);
+      } catch (error) {
+        if (stream.signal.aborted) {
+          console.log('🛑 Analysis cancelled: client disconnected');
+          return stream.end();
+        }
+        console.error('❌ Analysis generation failed:', error);
+        const { statusCode, response } = buildErrorResponse(error, req, res);
+        stream.send('error', { ...response, statusCode });
+      } finally {
+        await recordUsage(req.usageAccount, meter.totals());
       }
-    };
+      return stream.end();
+    }
+
+    let response;
+    try {
+      response = await saveAnalysisToProject(validatedInput, await runAnalysis(validatedInput, isStructured, { llm, meter }));
+    } finally {
+      await recordUsage(req.usageAccount, meter.totals());
+    }
 
     console.log('✅ Analysis completed successfully');
     res.json(response);
@@ -116,6 +97,64 @@ router.post('/generate', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/analysis/fta/evaluate
+ * Quantify a fault tree: top event and intermediate probabilities for a mission time,
+ * plus minimal cut sets ranked by probability and basic event importance measures
+ */
+router.post('/fta/evaluate', async (req, res, next) => {
+  try {
+    const { faultTree, ...options } = req.body;
+
+    const { error: treeError, value: tree } = faultTreeSchema.unknown(true).validate(faultTree, { abortEarly: false });
+    const { error: optionsError, value: quantification } = quantificationOptionsSchema.validate(options);
+    if (treeError || optionsError) {
+      return res.status(400).json({
+        error: 'Invalid fault tree evaluation request',
+        details: [...(treeError?.details || []), ...(optionsError?.details || [])].map(detail => detail.message)
+      });
+    }
+
+    const { quantification: result, cutSets, importance, mermaidDiagram } = quantifyFTA(tree, quantification);
+
+    res.json({
+      success: true,
+      quantification: result,
+      cutSets,
+      importance,
+      mermaidDiagram
+    });
+
+  } catch (error) {
+    console.error('❌ Fault tree evaluation failed:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/analysis/event-tree
+ * Event tree of a hazard through its safety barriers: success/failure sequences with their
+ * frequencies, plus the bow-tie with the fault tree's cut sets (or the listed causes) on the left
+ */
+router.post('/event-tree', (req, res, next) => {
+  try {
+    const { error, value } = eventTreeRequestSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid event tree request',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    console.log(`🌳 Building event tree with ${value.barriers.length} barriers`);
+    res.json({ success: true, ...analyzeEventTree(value) });
+
+  } catch (error) {
+    console.error('❌ Event tree analysis failed:', error);
+    next(error);
+  }
+});
+
 /**
  * POST /api/analysis/validate
  * Validate system description format without generating analysis
@@ -163,9 +202,9 @@ router.post('/validate', async (req, res) => {
  * POST /api/analysis/generate-structure
  * Generate system structure (components, connections, safety standards) with AI
  */
-router.post('/generate-structure', async (req, res) => {
+router.post('/generate-structure', validateApiKey, enforceUsageBudget, async (req, res) => {
   try {
-    const { systemName, description } = req.body;
+    const { systemName, description, llm: requestedLLM } = req.body;
     
     if (!systemName || !description) {
       return res.status(400).json({ 
@@ -179,12 +218,22 @@ router.post('/generate-structure', async (req, res) => {
       ip: req.ip
     });
 
-    // Generate system structure using AI
+    const { error: llmError, value: llmOptions } = llmOptionsSchema.validate(requestedLLM);
+    if (llmError) {
+      return res.status(400).json({
+        error: 'Invalid LLM options',
+        details: llmError.message
+      });
+    }
+
+    // Generate system structure using AI; the tokens are booked even when the answer is unusable
     const aiService = require('../services/aiService');
+    const meter = createUsageMeter();
     const structureResult = await aiService.generateSystemStructure({
       systemName,
       description
-    });
+    }, { llm: resolveLLMSettings(llmOptions), meter })
+      .finally(() => recordUsage(req.usageAccount, meter.totals()));
 
     console.log('✅ Structure generation completed successfully');
     res.json(structureResult);
@@ -192,7 +241,16 @@ router.post('/generate-structure', async (req, res) => {
   } catch (error) {
     console.error('❌ Structure generation failed:', error);
     
-    if (error.message.includes('OpenAI')) {
+    if (error.name === 'OutputValidationError') {
+      res.status(502).json({ 
+        error: error.message,
+        details: error.details
+      });
+    } else if (error.name === 'ProviderError' && error.statusCode === 400) {
+      res.status(400).json({ 
+        error: error.message 
+      });
+    } else if (error.name === 'ProviderError' || error.message.includes('OpenAI')) {
       res.status(503).json({ 
         error: 'AI service temporarily unavailable. Please try again later.',
         details: process.env.NODE_ENV === 'development' ? error.message : undefined
@@ -273,4 +331,13 @@ router.get('/examples', (req, res) => {
   });
 });
 
+/**
+ * GET /api/analysis/rating-scales
+ * Default severity, occurrence and detection scales with their criteria and risk thresholds,
+ * the starting point for project-specific rating scales
+ */
+router.get('/rating-scales', (req, res) => {
+  res.json({ success: true, ratingScales: DEFAULT_RATING_SCALES });
+});
+
 module.exports = router;
@@ -0,0 +1,105 @@
+const express = require('express');
+const { resolveLLMSettings } = require('../services/providers');
+const { analysisJobs } = require('../services/analysisJobs');
+const { FINAL_STATUSES } = require('../services/jobQueue');
+const { getProject } = require('../services/projects');
+const { parseAnalysisInput } = require('../middleware/analysisInput');
+const { enforceUsageBudget } = require('../middleware/usageBudget');
+const { validateApiKey } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * Public view of a job (the stored request body is left out)
+ */
+const toJobResponse = ({ input, ...job }) => ({
+  success: true,
+  ...job,
+  input: {
+    type: input.isStructured ? 'structured' : 'simple',
+    systemName: input.isStructured ? input.request.systemName : 'System Analysis'
+  }
+});
+
+/**
+ * POST /api/jobs
+ * Queue an analysis (same body as /api/analysis/generate) and return its job id right away
+ */
+router.post('/', validateApiKey, enforceUsageBudget, async (req, res, next) => {
+  try {
+    const parsed = await parseAnalysisInput(req.body);
+    if (parsed.errorResponse) {
+      return res.status(400).json(parsed.errorResponse);
+    }
+    const { validatedInput, isStructured } = parsed;
+
+    const project = validatedInput.projectId ? await getProject(validatedInput.projectId) : null;
+    if (validatedInput.projectId && !project) {
+      return res.status(404).json({ error: 'Project not found', projectId: validatedInput.projectId });
+    }
+    // Without rating scales of its own the request is rated on the project's
+    if (!validatedInput.ratingScales && project?.ratingScales) {
+      validatedInput.ratingScales = project.ratingScales;
+    }
+
+    const job = await analysisJobs.submit({
+      request: validatedInput,
+      isStructured,
+      llm: resolveLLMSettings(validatedInput.llm),
+      account: req.usageAccount
+    });
+    console.log(`📥 Analysis job ${job.id} queued`);
+
+    res.status(202)
+      .location(`${req.baseUrl}/${job.id}`)
+      .json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `${req.baseUrl}/${job.id}`
+      });
+
+  } catch (error) {
+    console.error('❌ Failed to queue analysis job:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Job status, progress and - once completed - the full analysis result
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const job = await analysisJobs.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found', jobId: req.params.id });
+    }
+    res.json(toJobResponse(job));
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * Cancel a queued or running job
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const job = await analysisJobs.cancel(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found', jobId: req.params.id });
+    }
+    if (job.status !== 'cancelled' && FINAL_STATUSES.includes(job.status)) {
+      return res.status(409).json({ error: `Job already ${job.status}`, jobId: job.id, status: job.status });
+    }
+    res.json(toJobResponse(job));
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
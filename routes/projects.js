@@ -0,0 +1,254 @@
+const express = require('express');
+const Joi = require('joi');
+const { fmecaSchema, fmecaRowSchema, faultTreeSchema, createFmecaSchemas } = require('../services/outputSchemas');
+const { ratingScalesSchema } = require('../services/ratingScales');
+const { analyzeCriticality } = require('../services/criticality');
+const { FMEDA_ASILS, analyzeFMEDA } = require('../services/fmeda');
+const { rankFMECA } = require('../services/riskRanking');
+const {
+  getProject,
+  listProjects,
+  createProject,
+  updateProject,
+  deleteProject,
+  saveEditRevision
+} = require('../services/projects');
+const { diffRevisions } = require('../services/revisionDiff');
+
+const router = express.Router();
+
+const projectFields = {
+  name: Joi.string().min(1).max(100),
+  // The system information form as last entered in the editor
+  systemDescription: Joi.object({
+    systemName: Joi.string().allow('').max(100),
+    description: Joi.string().allow('').max(2000),
+    components: Joi.array().items(Joi.object().unknown(true)).max(50),
+    connections: Joi.array().items(Joi.object().unknown(true)).max(100),
+    safetyStandards: Joi.array().items(Joi.object().unknown(true)).max(20)
+  }),
+  // Rating scales for the project's analyses; null goes back to the default 1-10 scales
+  ratingScales: ratingScalesSchema.allow(null)
+};
+
+const createProjectSchema = Joi.object({
+  name: projectFields.name.required(),
+  systemDescription: projectFields.systemDescription.optional(),
+  ratingScales: projectFields.ratingScales.optional()
+});
+
+const updateProjectSchema = Joi.object(projectFields).min(1);
+
+// Revisions to compare; defaults to the latest revision against the one before it
+const diffQuerySchema = Joi.object({
+  from: Joi.number().integer().min(1).optional(),
+  to: Joi.number().integer().min(1).optional()
+});
+
+// User edits: corrected FMECA and/or fault trees; parts left out are carried over from the latest revision
+const editRevisionSchema = Joi.object({
+  results: Joi.object({
+    // Rows keep derived columns such as MIL-STD-1629A criticality and FMEDA inputs and results
+    fmeca: fmecaSchema.keys({
+      fmecaTable: Joi.array().items(fmecaRowSchema.unknown(true)).min(1).required(),
+      ratingScales: ratingScalesSchema.optional(),
+      fmeda: Joi.object({ asil: Joi.string().valid(...FMEDA_ASILS).required() }).unknown(true).optional()
+    }).unknown(true).optional(),
+    fta: Joi.object({
+      trees: Joi.array().items(faultTreeSchema.unknown(true)).min(1).required()
+    }).unknown(true).optional()
+  }).min(1).required(),
+  note: Joi.string().max(500).optional()
+});
+
+/**
+ * Validate a request body, answering 400 with the problems when it does not match
+ * @returns {Object|null} Validated body, or null when the response has been sent
+ */
+const validateBody = (schema, req, res, message) => {
+  const { error, value } = schema.validate(req.body, { abortEarly: false });
+  if (error) {
+    res.status(400).json({
+      error: message,
+      details: error.details.map(detail => detail.message)
+    });
+    return null;
+  }
+  return value;
+};
+
+const projectNotFound = (res, id) => res.status(404).json({ error: 'Project not found', projectId: id });
+
+/**
+ * GET /api/projects
+ * List projects (without their revisions), most recently updated first
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    res.json({ success: true, projects: await listProjects() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/projects
+ * Create a project
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const fields = validateBody(createProjectSchema, req, res, 'Invalid project');
+    if (!fields) return;
+
+    const project = await createProject(fields);
+    res.status(201).location(`${req.baseUrl}/${project.id}`).json({ success: true, project });
+
+  } catch (error) {
+    console.error('❌ Project creation failed:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/projects/:id
+ * Project with every revision
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const project = await getProject(req.params.id);
+    if (!project) return projectNotFound(res, req.params.id);
+    res.json({ success: true, project });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/projects/:id
+ * Rename a project or update its system description or rating scales
+ */
+router.put('/:id', async (req, res, next) => {
+  try {
+    const fields = validateBody(updateProjectSchema, req, res, 'Invalid project update');
+    if (!fields) return;
+
+    const project = await updateProject(req.params.id, fields);
+    if (!project) return projectNotFound(res, req.params.id);
+    res.json({ success: true, project });
+
+  } catch (error) {
+    console.error('❌ Project update failed:', error);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/projects/:id
+ * Delete a project and all its revisions
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    if (!await deleteProject(req.params.id)) return projectNotFound(res, req.params.id);
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/projects/:id/revisions
+ * Save user edits as a new revision
+ * Generated revisions are added by /api/analysis/generate and /api/jobs when the request has a projectId
+ */
+router.post('/:id/revisions', async (req, res, next) => {
+  try {
+    const edit = validateBody(editRevisionSchema, req, res, 'Invalid revision');
+    if (!edit) return;
+
+    // Edited ratings must stay within the rating scales the FMECA was rated on
+    const fmeca = edit.results.fmeca;
+    if (fmeca?.ratingScales) {
+      const { fmecaRowSchema: scaledRowSchema } = createFmecaSchemas(fmeca.ratingScales);
+      const { error } = Joi.array().items(scaledRowSchema.unknown(true)).validate(fmeca.fmecaTable, { abortEarly: false });
+      if (error) {
+        return res.status(400).json({ error: 'Invalid revision', details: error.details.map(detail => detail.message) });
+      }
+    }
+
+    // Edited ratings and failure rates change the ranking, criticality and FMEDA metrics, so all are recomputed
+    if (fmeca?.riskRanking) {
+      edit.results.fmeca = rankFMECA(edit.results.fmeca, fmeca.riskRanking.method);
+    }
+    if (fmeca?.criticality) {
+      edit.results.fmeca = analyzeCriticality(edit.results.fmeca, { operatingTime: fmeca.criticality.operatingTime });
+    }
+    if (fmeca?.fmeda) {
+      edit.results.fmeca = analyzeFMEDA(edit.results.fmeca, { asil: fmeca.fmeda.asil, lifetime: fmeca.fmeda.lifetime });
+    }
+
+    const revision = await saveEditRevision(req.params.id, edit);
+    if (!revision) return projectNotFound(res, req.params.id);
+    res.status(201).json({ success: true, revision });
+
+  } catch (error) {
+    console.error('❌ Saving revision failed:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/projects/:id/revisions/:number
+ * A single revision
+ */
+router.get('/:id/revisions/:number', async (req, res, next) => {
+  try {
+    const project = await getProject(req.params.id);
+    if (!project) return projectNotFound(res, req.params.id);
+
+    const revision = project.revisions.find(candidate => String(candidate.number) === req.params.number);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found', projectId: project.id, revision: req.params.number });
+    }
+    res.json({ success: true, revision });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/projects/:id/diff?from=1&to=2
+ * What changed between two revisions: FMECA rows added, removed or modified (with S/O/D/RPN deltas)
+ * and, per hazard, fault tree events and gates added, removed, modified or rewired
+ */
+router.get('/:id/diff', async (req, res, next) => {
+  try {
+    const { error: queryError, value: query } = diffQuerySchema.validate(req.query);
+    if (queryError) {
+      return res.status(400).json({ error: 'Invalid diff request', details: queryError.details.map(detail => detail.message) });
+    }
+
+    const project = await getProject(req.params.id);
+    if (!project) return projectNotFound(res, req.params.id);
+
+    const to = query.to || project.revisions.length;
+    const from = query.from || to - 1;
+    if (from < 1 || from === to) {
+      return res.status(400).json({ error: 'Two different revisions are needed for a diff', projectId: project.id, revisions: project.revisions.length });
+    }
+
+    const before = project.revisions.find(revision => revision.number === from);
+    const after = project.revisions.find(revision => revision.number === to);
+    if (!before || !after) {
+      return res.status(404).json({ error: 'Revision not found', projectId: project.id, revision: before ? to : from });
+    }
+
+    res.json({ success: true, projectId: project.id, diff: diffRevisions(before, after) });
+
+  } catch (error) {
+    console.error('❌ Revision diff failed:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
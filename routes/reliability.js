@@ -0,0 +1,73 @@
+const express = require('express');
+const Joi = require('joi');
+const {
+  reliabilityDiagramSchema,
+  validateReliabilityDiagram,
+  buildReliabilityDiagram,
+  evaluateReliabilityDiagram
+} = require('../services/reliabilityBlockDiagram');
+
+const router = express.Router();
+
+// System structure the default diagram is built from; failure rates per hour by component name
+const buildRequestSchema = Joi.object({
+  components: Joi.array().items(Joi.object({ name: Joi.string().required() }).unknown(true)).min(1).max(20).required(),
+  connections: Joi.array().items(Joi.object({ from: Joi.string().required(), to: Joi.string().required() }).unknown(true)).optional(),
+  failureRates: Joi.object().pattern(Joi.string(), Joi.number().positive()).optional()
+}).unknown(true);
+
+// Mission time of R(t) and end of the plotted curve, in hours
+const evaluateRequestSchema = Joi.object({
+  diagram: reliabilityDiagramSchema.required(),
+  missionTime: Joi.number().positive().max(10000000).optional(),
+  horizon: Joi.number().positive().max(100000000).optional()
+});
+
+/**
+ * POST /api/reliability/diagram
+ * Default reliability block diagram of a system structure: redundant paths in parallel,
+ * stages in series; users adjust it and add failure data before evaluating
+ */
+router.post('/diagram', (req, res, next) => {
+  try {
+    const { error, value } = buildRequestSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid system structure',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const diagram = buildReliabilityDiagram(value.components, value.connections, value.failureRates);
+    res.json({ success: true, diagram });
+
+  } catch (error) {
+    console.error('❌ Building reliability block diagram failed:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/reliability/evaluate
+ * System reliability R(t) at the mission time, the R(t) curve, MTBF and steady-state
+ * availability of a reliability block diagram, overall and per block
+ */
+router.post('/evaluate', (req, res, next) => {
+  try {
+    const { error, value } = evaluateRequestSchema.validate(req.body, { abortEarly: false });
+    const problems = error ? error.details.map(detail => detail.message) : validateReliabilityDiagram(value.diagram);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: 'Invalid reliability block diagram', details: problems });
+    }
+
+    const { diagram, ...options } = value;
+    console.log(`📈 Evaluating reliability block diagram at t = ${options.missionTime ?? 'default'} h`);
+    res.json({ success: true, reliability: evaluateReliabilityDiagram(diagram, options) });
+
+  } catch (error) {
+    console.error('❌ Reliability evaluation failed:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
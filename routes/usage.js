@@ -0,0 +1,52 @@
+const express = require('express');
+const Joi = require('joi');
+const { getUsageAccount, getMonthlyBudget, usageLedger } = require('../services/usage');
+const { validateApiKey } = require('../middleware/validation');
+
+const router = express.Router();
+
+const reportQuerySchema = Joi.object({
+  days: Joi.number().integer().min(1).max(366).default(30),
+  months: Joi.number().integer().min(1).max(24).default(12)
+});
+
+/**
+ * GET /api/usage
+ * Token usage and estimated cost of the caller's API key (X-API-Key, anonymous without one):
+ * daily and monthly totals, newest first, and the remaining monthly budget
+ */
+router.get('/', validateApiKey, async (req, res, next) => {
+  try {
+    const { error, value: query } = reportQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid usage query', details: error.details.map(detail => detail.message) });
+    }
+
+    const apiKey = req.get('X-API-Key');
+    const account = getUsageAccount(apiKey);
+    const { daily, monthly } = await usageLedger.getReport(account, query);
+
+    const limit = getMonthlyBudget(apiKey);
+    const spent = monthly[0].estimatedCost;
+
+    res.json({
+      success: true,
+      account,
+      budget: {
+        month: monthly[0].month,
+        limit,
+        spent,
+        remaining: limit === null ? null : Math.max(0, Math.round((limit - spent) * 1e6) / 1e6),
+        exhausted: limit !== null && spent >= limit
+      },
+      daily,
+      monthly
+    });
+
+  } catch (error) {
+    console.error('❌ Failed to build usage report:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
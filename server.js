@@ -8,6 +8,12 @@ const path = require('path');
 require('dotenv').config();
 
 const analysisRoutes = require('./routes/analysis');
+const jobRoutes = require('./routes/jobs');
+const projectRoutes = require('./routes/projects');
+const usageRoutes = require('./routes/usage');
+const adminRoutes = require('./routes/admin');
+const reliabilityRoutes = require('./routes/reliability');
+const { analysisJobs } = require('./services/analysisJobs');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
 
 const app = express();
@@ -45,6 +51,8 @@ const analysisLimiter = rateLimit({
   }
 });
 app.use('/api/analysis', analysisLimiter);
+// Queuing a job starts an analysis too; polling its status is not limited
+app.post('/api/jobs', analysisLimiter);
 
 // Middleware
 app.use(compression());
@@ -63,6 +71,11 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // API Routes
 app.use('/api/analysis', analysisRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/reliability', reliabilityRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -81,7 +94,12 @@ app.get('/', (req, res) => {
     version: process.env.npm_package_version || '1.0.0',
     endpoints: {
       health: '/api/health',
-      analysis: '/api/analysis/generate'
+      analysis: '/api/analysis/generate',
+      jobs: '/api/jobs',
+      projects: '/api/projects',
+      usage: '/api/usage',
+      reliability: '/api/reliability/evaluate',
+      prompts: '/api/admin/prompts'
     }
   });
 });
@@ -90,16 +108,24 @@ app.get('/', (req, res) => {
 app.use(notFound);
 app.use(errorHandler);
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Gen-SAFE API server running on port ${PORT}`);
-  console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🏥 Health Check: http://localhost:${PORT}/api/health`);
-  console.log(`🔗 Analysis API: http://localhost:${PORT}/api/analysis/generate`);
-  
-  if (!process.env.OPENAI_API_KEY) {
-    console.warn('⚠️  Warning: OPENAI_API_KEY not set in environment variables');
-  }
-});
+// Start server (skipped when the app is imported, e.g. by the test suite)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 Gen-SAFE API server running on port ${PORT}`);
+    console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`🏥 Health Check: http://localhost:${PORT}/api/health`);
+    console.log(`🔗 Analysis API: http://localhost:${PORT}/api/analysis/generate`);
+    console.log(`🤖 LLM Provider: ${process.env.LLM_PROVIDER || 'openai'}`);
+
+    // Pick up jobs that were queued or running when the server last stopped
+    analysisJobs.recover()
+      .then(count => count > 0 && console.log(`♻️ Re-queued ${count} unfinished analysis job(s)`))
+      .catch(error => console.error('❌ Failed to recover analysis jobs:', error));
+    
+    if (!process.env.OPENAI_API_KEY && (process.env.LLM_PROVIDER || 'openai') === 'openai') {
+      console.warn('⚠️  Warning: OPENAI_API_KEY not set in environment variables');
+    }
+  });
+}
 
 module.exports = app;
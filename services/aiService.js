@@ -1,210 +1,149 @@
-const OpenAI = require('openai');
+const { getProvider, resolveLLMSettings, ProviderError } = require('./providers');
+const { generateStructuredOutput, createArrayItemParser, OutputValidationError, isDegradedModeAllowed } = require('./structuredOutput');
+const {
+  createFmecaSchemas,
+  ftaSchema,
+  hazardListSchema,
+  haraSchema,
+  createHazopSchema,
+  createStpaSchema,
+  systemStructureSchema
+} = require('./outputSchemas');
+const { createProvenance } = require('./provenance');
+const { toMermaid, validateFaultTreeStructure } = require('./faultTree');
+const { reconcileSharedBasicEvents } = require('./hazardAnalysis');
+const { analyzeHARA } = require('./hara');
+const { GUIDEWORDS, toHazopNodes, analyzeHAZOP } = require('./hazop');
+const { deriveControlStructure, analyzeSTPA } = require('./stpa');
+const { isHighRiskRPN } = require('./ratingScales');
+const { renderPrompt } = require('./promptRegistry');
+const { DEFAULT_MAX_HAZARDS, buildPromptVariables } = require('./promptVariables');
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+/**
+ * Provider errors that must reach the client instead of being masked by fallback data
+ * (missing configuration, bad credentials, quota, rate limits, unreachable endpoints, cancellation)
+ */
+function isFatalProviderError(error) {
+  return (error instanceof ProviderError && error.statusCode !== 502) || error?.name === 'AbortError';
+}
 
 /**
- * Sanitize Mermaid diagram text to prevent parsing errors
- * @param {string} diagramText - The raw Mermaid diagram text
- * @returns {string} Sanitized diagram text
+ * Render the active version of a prompt template for this input
+ * @returns {{template: Object, promptTemplate: {id: string, version: string}}} Rendered prompt and its identity for provenance
  */
-function sanitizeMermaidDiagram(diagramText) {
-  if (!diagramText) return diagramText;
-  
-  // Split into lines to preserve structure
-  let lines = diagramText.split(/\r?\n/);
-  
-  // Process each line
-  lines = lines.map(line => {
-    // Skip empty lines and comment lines
-    if (!line.trim() || line.trim().startsWith('%%')) {
-      return line;
-    }
-    
-    // Replace parentheses in node labels with safer alternatives
-    let sanitizedLine = line.replace(/\([^)]*\)/g, (match) => {
-      // Keep the parentheses for node shapes like ([...]) and {...}
-      if (match.includes('([') || match.includes('{') || match.includes('((')) {
-        return match;
-      }
-      // Replace content parentheses - remove them but keep the text
-      return match.replace(/[()]/g, '');
-    });
-    
-    // Clean up spacing around arrows while preserving line structure
-    sanitizedLine = sanitizedLine
-      .replace(/\s*-->\s*/g, ' --> ')
-      .replace(/\s*---\s*/g, ' --- ')
-      // Clean up excessive spaces but preserve single spaces
-      .replace(/\s{2,}/g, ' ')
-      // Remove trailing whitespace
-      .replace(/\s+$/, '');
-    
-    return sanitizedLine;
-  });
-  
-  // Rejoin lines and ensure proper structure
-  let sanitized = lines.join('\n');
-  
-  // Ensure there's a newline after flowchart declaration if missing
-  sanitized = sanitized.replace(/^(flowchart\s+TD)\s*([A-Z])/m, '$1\n    $2');
-  
-  // Ensure proper indentation for nodes and connections
-  sanitized = sanitized.replace(/^([A-Z]\d*.*)/gm, '    $1');
-  sanitized = sanitized.replace(/^(    )(    )(.+)/gm, '$1$3'); // Remove double indentation
-  
-  return sanitized;
+function preparePrompt(id, context) {
+  const template = renderPrompt(id, buildPromptVariables(id, context));
+  return { template, promptTemplate: { id: template.id, version: template.version } };
 }
 
 /**
- * Fix Mermaid diagram formatting by adding proper newlines and structure
- * @param {string} diagramText - The raw Mermaid diagram text
- * @returns {string} Properly formatted diagram text
+ * Attach a provenance block to a generated result
  */
-function fixMermaidFormatting(diagramText) {
-  if (!diagramText) return diagramText;
-  
-  // If the diagram is all on one line or has improper formatting, fix it
-  let formatted = diagramText;
-  
-  // Check if it's missing proper newlines (everything after flowchart TD on same line)
-  if (formatted.includes('flowchart TD') && !formatted.includes('flowchart TD\n')) {
-    // Split by common patterns and add newlines
-    formatted = formatted
-      // Add newline after flowchart TD
-      .replace(/flowchart TD\s*/, 'flowchart TD\n    ')
-      // Add newlines before node declarations (capital letters followed by parentheses or braces)
-      .replace(/\s+([A-Z]\d*\s*[\(\[\{])/g, '\n    $1')
-      // Add newlines before gate declarations
-      .replace(/\s+(G\d+\s*\{)/g, '\n    $1')
-      // Add newlines before connections (arrows)
-      .replace(/\s+([A-Z]\d*\s*-->\s*[A-Z]\d*)/g, '\n    $1')
-      // Clean up any double newlines
-      .replace(/\n\n+/g, '\n')
-      // Ensure proper indentation
-      .replace(/\n\s*([A-Z])/g, '\n    $1');
-  }
-  
-  return formatted;
+function withProvenance(result, provenance) {
+  return { ...result, provenance: createProvenance(provenance) };
+}
+
+/**
+ * Derive the Mermaid diagram from the fault tree graph
+ */
+function withMermaid(tree) {
+  return { ...tree, mermaidDiagram: toMermaid(tree) };
+}
+
+/**
+ * Report FMECA rows as soon as they are complete in the streamed model answer
+ * A repair attempt starts a fresh answer, so its rows replace the earlier ones
+ * @param {Function} onEvent - Progress callback (event name, data)
+ * @param {Object} rowSchema - Schema a row must pass before it is reported
+ * @returns {Function} onText handler for generateStructuredOutput
+ */
+function streamFMECARows(onEvent, rowSchema) {
+  let parser = null;
+  let currentAttempt = 0;
+
+  return (delta, attempt) => {
+    if (attempt !== currentAttempt) {
+      currentAttempt = attempt;
+      if (attempt > 1) onEvent('stage', { stage: 'fmeca', status: 'repairing', attempt });
+      parser = createArrayItemParser((row, index) => {
+        if (!rowSchema.validate(row).error) {
+          onEvent('fmeca-row', { attempt, index, row });
+        }
+      });
+    }
+    parser.push(delta);
+  };
 }
 
 /**
  * Generate FMECA (Failure Mode, Effects, and Criticality Analysis)
  * @param {Object} systemDescription - The system description (structured or simple)
  * @param {boolean} isStructured - Whether the input is structured or simple text
+ * @param {Object} [options] - Generation options
+ * @param {Object} [options.llm] - Provider/model settings from resolveLLMSettings
+ * @param {Function} [options.onEvent] - Streams progress: receives each valid row as ('fmeca-row', { attempt, index, row })
+ * @param {Object} [options.criticality] - { mode: 'quantitative' } also asks for the MIL-STD-1629A λp, α and β of every row
+ * @param {Object} [options.fmeda] - { asil } also asks for the ISO 26262-5 FMEDA inputs of every row
+ * @param {AbortSignal} [options.signal] - Cancels the generation
+ * @param {Object} [options.meter] - Usage meter (createUsageMeter) the model calls are booked on
  * @returns {Promise<Object>} FMECA analysis results
  */
-async function generateFMECA(systemDescription, isStructured) {
+async function generateFMECA(systemDescription, isStructured, options = {}) {
+  const llm = options.llm || resolveLLMSettings();
+  const startedAt = new Date();
+  const temperature = 0.3;
+  const quantitative = options.criticality?.mode === 'quantitative';
+  // Ratings must lie in the ranges of the request's rating scales
+  const schemas = createFmecaSchemas(systemDescription.ratingScales);
+  // Template and schemas of the worksheet variant: FMEDA, MIL-STD-1629A criticality or RPN only
+  let variant = { templateId: 'fmeca', schema: schemas.fmecaSchema, rowSchema: schemas.fmecaRowSchema, maxTokens: 2500 };
+  if (options.fmeda) {
+    variant = { templateId: 'fmeda', schema: schemas.fmecaFmedaSchema, rowSchema: schemas.fmecaFmedaRowSchema, maxTokens: 4000 };
+  } else if (quantitative) {
+    variant = { templateId: 'fmeca-criticality', schema: schemas.fmecaCriticalitySchema, rowSchema: schemas.fmecaCriticalityRowSchema, maxTokens: 3500 };
+  }
+  const { template, promptTemplate } = preparePrompt(variant.templateId, { systemDescription, isStructured });
+  const provenance = { promptTemplate, llm, temperature, startedAt };
+
   try {
     console.log('🔍 Generating FMECA analysis...');
-    
-    const systemInfo = isStructured 
-      ? `System: ${systemDescription.systemName}
-Description: ${systemDescription.description}
-Components: ${systemDescription.components.map(c => `${c.name}: ${c.function}`).join(', ')}
-Safety Standards: ${systemDescription.safetyStandards?.join(', ') || 'General Safety Principles'}`
-      : `System Description: ${systemDescription.description}`;
-
-    const prompt = `You are a senior safety engineer with expertise in FMECA (Failure Mode, Effects, and Criticality Analysis). Analyze the following system and generate a comprehensive FMECA.
-
-${systemInfo}
-
-Generate a detailed FMECA analysis with the following requirements:
-
-1. Identify 5-8 critical failure modes across the system components
-2. For each failure mode, provide:
-   - Component/Function name
-   - Specific failure mode
-   - Root cause(s)
-   - Local effects (component level)
-   - System-level effects
-   - End effects (system/mission level)
-   - Severity rating (1-10, where 10 is catastrophic)
-   - Occurrence probability (1-10, where 10 is very frequent)
-   - Detection rating (1-10, where 10 is cannot detect)
-   - Risk Priority Number (RPN = Severity × Occurrence × Detection)
-   - Recommended actions/mitigations
-
-3. Consider relevant safety standards and best practices
-4. Focus on safety-critical failure modes that could lead to hazardous conditions
-
-Return the response as a valid JSON object with this exact structure:
-{
-  "fmecaTable": [
-    {
-      "itemFunction": "Component/Function Name",
-      "failureMode": "Specific failure mode",
-      "failureCause": "Root cause(s)",
-      "localEffect": "Component-level effect",
-      "systemEffect": "System-level effect", 
-      "endEffect": "Mission/safety-level effect",
-      "severity": 9,
-      "occurrence": 3,
-      "detection": 4,
-      "rpn": 108,
-      "recommendedAction": "Specific mitigation strategy"
-    }
-  ],
-  "summary": {
-    "totalFailureModes": 6,
-    "highRiskItems": 3,
-    "averageRPN": 85,
-    "keyRecommendations": ["Priority recommendation 1", "Priority recommendation 2"]
-  }
-}
 
-Ensure all numeric ratings follow standard FMECA scales and the analysis is thorough and professional.`;
-
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4",
-      messages: [
-        {
-          role: "system",
-          content: "You are an expert safety engineer specializing in FMECA analysis. Provide detailed, accurate, and professional safety analysis following industry standards."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      temperature: 0.3,
-      max_tokens: 2500
+    const generation = await generateStructuredOutput(llm, {
+      label: 'FMECA',
+      system: template.system,
+      prompt: template.prompt,
+      schema: variant.schema,
+      temperature,
+      maxTokens: variant.maxTokens,
+      onText: options.onEvent && streamFMECARows(options.onEvent, variant.rowSchema),
+      signal: options.signal,
+      meter: options.meter
     });
 
-    const responseText = completion.choices[0].message.content;
-    console.log('🔍 Raw FMECA response received, parsing...');
-    
-    // Parse JSON response
-    let fmecaData;
-    try {
-      // Extract JSON from response (in case there's extra text)
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      const jsonText = jsonMatch ? jsonMatch[0] : responseText;
-      fmecaData = JSON.parse(jsonText);
-    } catch (parseError) {
-      console.error('JSON parsing failed, using fallback parser:', parseError);
-      fmecaData = parseFMECAFallback(responseText);
-    }
-
-    console.log('✅ FMECA analysis generated successfully');
-    return fmecaData;
+    const { attempts } = generation;
+    console.log(`✅ FMECA analysis generated successfully (${attempts} attempt${attempts === 1 ? '' : 's'})`);
+    return withProvenance(generation.data, { ...provenance, source: attempts > 1 ? 'repaired' : 'model', generation });
 
   } catch (error) {
     console.error('❌ FMECA generation failed:', error);
     
-    if (error.code === 'insufficient_quota') {
-      throw new Error('OpenAI API quota exceeded. Please check your API usage and billing.');
-    } else if (error.code === 'invalid_api_key') {
-      throw new Error('Invalid OpenAI API key. Please check your configuration.');
-    } else if (error.status === 429) {
-      throw new Error('OpenAI API rate limit exceeded. Please try again later.');
+    if (isFatalProviderError(error) || !isDegradedModeAllowed()) {
+      throw error;
+    }
+    
+    const salvaged = error instanceof OutputValidationError && parseFMECAFallback(error.responseText, systemDescription.ratingScales);
+    if (salvaged) {
+      console.log('🔄 Using fallback FMECA parser');
+      return withProvenance(salvaged, { ...provenance, source: 'fallback-parser', generation: error });
     }
     
     // Return mock data as fallback
     console.log('🔄 Using fallback FMECA data');
-    return generateMockFMECA(systemDescription, isStructured);
+    return withProvenance(generateMockFMECA(systemDescription, isStructured), {
+      ...provenance,
+      source: 'mock',
+      generation: error instanceof OutputValidationError ? error : {}
+    });
   }
 }
 
@@ -212,181 +151,417 @@ Ensure all numeric ratings follow standard FMECA scales and the analysis is thor
  * Generate FTA (Fault Tree Analysis)
  * @param {Object} systemDescription - The system description (structured or simple)
  * @param {boolean} isStructured - Whether the input is structured or simple text
+ * @param {Object} [options] - Generation options
+ * @param {Object} [options.llm] - Provider/model settings from resolveLLMSettings
+ * @param {Object} [options.hazard] - Hazard to use as the top event (default: the most critical one)
+ * @param {Object[]} [options.sharedBasicEvents] - Basic events to reuse with the same ids and values
+ * @param {AbortSignal} [options.signal] - Cancels the generation
+ * @param {Object} [options.meter] - Usage meter (createUsageMeter) the model calls are booked on
  * @returns {Promise<Object>} FTA analysis results
  */
-async function generateFTA(systemDescription, isStructured) {
+async function generateFTA(systemDescription, isStructured, options = {}) {
+  const llm = options.llm || resolveLLMSettings();
+  const startedAt = new Date();
+  const temperature = 0.3;
+  const { template, promptTemplate } = preparePrompt('fta', {
+    systemDescription,
+    isStructured,
+    hazard: options.hazard,
+    sharedBasicEvents: options.sharedBasicEvents
+  });
+  const provenance = { promptTemplate, llm, temperature, startedAt };
+
   try {
     console.log('🌳 Generating FTA analysis...');
+
+    const generation = await generateStructuredOutput(llm, {
+      label: 'FTA',
+      system: template.system,
+      prompt: template.prompt,
+      schema: ftaSchema,
+      temperature,
+      maxTokens: 2500,
+      signal: options.signal,
+      meter: options.meter
+    });
+
+    const { attempts } = generation;
+    console.log(`✅ FTA analysis generated successfully (${attempts} attempt${attempts === 1 ? '' : 's'})`);
+    return withProvenance(withMermaid(generation.data), { ...provenance, source: attempts > 1 ? 'repaired' : 'model', generation });
+
+  } catch (error) {
+    console.error('❌ FTA generation failed:', error);
     
-    const systemInfo = isStructured 
-      ? `System: ${systemDescription.systemName}
-Description: ${systemDescription.description}
-Components: ${systemDescription.components.map(c => `${c.name}: ${c.function}`).join(', ')}`
-      : `System Description: ${systemDescription.description}`;
-
-    const prompt = `You are a senior safety engineer expert in Fault Tree Analysis (FTA). Create a comprehensive fault tree for the most critical hazard of the following system:
-
-${systemInfo}
-
-Generate an FTA with these requirements:
-
-1. Identify the most critical top-level hazard/undesired event
-2. Create a logical fault tree with:
-   - Top event (the critical hazard)
-   - Intermediate events (system-level failures)
-   - Basic events (component-level failures)
-   - Appropriate logic gates (AND, OR)
-   - 3-4 levels of decomposition
-
-3. Use proper FTA symbology and ensure logical consistency
-4. Focus on the most safety-critical failure path
-5. Use clear "AND" and "OR" labels in gates for readability
-
-CRITICAL: For Mermaid diagram text:
-- Avoid parentheses () in node labels - use "BMS" instead of "(BMS)"
-- Keep node text concise and avoid special characters
-- Use underscores instead of spaces in node IDs
-- Each node and connection MUST be on a separate line with proper \\n newlines
-- Proper indentation with 4 spaces for each line after flowchart TD
-- Escape any quotes or special characters properly
-
-Return the response as a valid JSON object with this structure:
-{
-  "topEvent": "Description of the critical hazard",
-  "mermaidDiagram": "flowchart TD\\n    A([Top Event])\\n    G1{OR}\\n    A --> G1\\n    G1 --> B([Intermediate Event 1])\\n    G1 --> C([Intermediate Event 2])\\n    ...",
-  "events": [
-    {
-      "id": "A",
-      "type": "top",
-      "description": "Critical system hazard",
-      "probability": "1E-6 per hour"
-    },
-    {
-      "id": "B", 
-      "type": "intermediate",
-      "description": "System failure mode",
-      "probability": "5E-5 per hour"
+    if (isFatalProviderError(error) || !isDegradedModeAllowed()) {
+      throw error;
     }
-  ],
-  "gates": [
-    {
-      "id": "G1",
-      "type": "OR",
-      "description": "Either failure path can cause top event"
+    
+    const salvaged = error instanceof OutputValidationError && parseFTAFallback(error.responseText);
+    if (salvaged) {
+      console.log('🔄 Using fallback FTA parser');
+      return withProvenance(withMermaid(salvaged), { ...provenance, source: 'fallback-parser', generation: error });
     }
-  ],
-  "analysis": {
-    "criticalPath": "Most likely failure sequence",
-    "recommendations": ["Key mitigation 1", "Key mitigation 2"]
+    
+    // Return mock data as fallback
+    console.log('🔄 Using fallback FTA data');
+    return withProvenance(withMermaid(generateMockFTA(systemDescription, isStructured, options.hazard)), {
+      ...provenance,
+      source: 'mock',
+      generation: error instanceof OutputValidationError ? error : {}
+    });
   }
 }
 
-Ensure the Mermaid diagram uses proper syntax with appropriate styling for FTA elements. Avoid parentheses in node labels to prevent parsing errors.`;
-
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4",
-      messages: [
-        {
-          role: "system",
-          content: "You are an expert safety engineer specializing in Fault Tree Analysis. Create logical, comprehensive fault trees following industry standards."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      temperature: 0.3,
-      max_tokens: 2000
+/**
+ * Identify the top-level hazards of a system
+ * Also proposes basic events that feed more than one hazard so every tree can share them
+ * @param {Object} systemDescription - The system description (structured or simple)
+ * @param {boolean} isStructured - Whether the input is structured or simple text
+ * @param {Object} [options] - Generation options
+ * @param {Object} [options.llm] - Provider/model settings from resolveLLMSettings
+ * @param {number} [options.maxHazards] - Upper bound on the number of hazards (default 5)
+ * @param {AbortSignal} [options.signal] - Cancels the generation
+ * @param {Object} [options.meter] - Usage meter (createUsageMeter) the model calls are booked on
+ * @returns {Promise<Object>} { hazards, sharedBasicEvents, provenance }
+ */
+async function identifyHazards(systemDescription, isStructured, options = {}) {
+  const llm = options.llm || resolveLLMSettings();
+  const maxHazards = options.maxHazards || DEFAULT_MAX_HAZARDS;
+  const startedAt = new Date();
+  const temperature = 0.3;
+  const { template, promptTemplate } = preparePrompt('hazards', { systemDescription, isStructured, maxHazards });
+  const provenance = { promptTemplate, llm, temperature, startedAt };
+
+  try {
+    console.log('⚠️ Identifying system hazards...');
+
+    const generation = await generateStructuredOutput(llm, {
+      label: 'Hazard identification',
+      system: template.system,
+      prompt: template.prompt,
+      schema: hazardListSchema,
+      temperature,
+      maxTokens: 1500,
+      signal: options.signal,
+      meter: options.meter
     });
 
-    const responseText = completion.choices[0].message.content;
-    console.log('🌳 Raw FTA response received, parsing...');
-    
-    // Parse JSON response
-    let ftaData;
-    try {
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      const jsonText = jsonMatch ? jsonMatch[0] : responseText;
-      ftaData = JSON.parse(jsonText);
-      
-      // Format and sanitize Mermaid diagram
-      if (ftaData.mermaidDiagram) {
-        // First fix the formatting to ensure proper newlines
-        ftaData.mermaidDiagram = fixMermaidFormatting(ftaData.mermaidDiagram);
-        // Then sanitize to prevent parsing errors
-        ftaData.mermaidDiagram = sanitizeMermaidDiagram(ftaData.mermaidDiagram);
-        
-        ftaData.mermaidDiagram += `
-    
-    %% Professional FTA Styling
-    classDef gate fill:#2c3e50,stroke:#34495e,stroke-width:3px,color:#ffffff,font-weight:700;
-    classDef event fill:#ecf0f1,stroke:#2c3e50,stroke-width:2px,color:#2c3e50,font-weight:600;
-    classDef top fill:#e74c3c,stroke:#c0392b,stroke-width:3px,color:#ffffff,font-weight:700;
-    classDef intermediate fill:#3498db,stroke:#2980b9,stroke-width:2px,color:#ffffff,font-weight:600;
-    classDef basic fill:#f39c12,stroke:#e67e22,stroke-width:2px,color:#ffffff,font-weight:600;
-    
-    class G1,G2,G3,G4,G5,G6 gate;
-    class B,C,D,E,F,G,H,I,J,K intermediate;
-    class L,M,N,O,P,Q,R,S,T,U basic;
-    class A top;`;
-      }
-      
-    } catch (parseError) {
-      console.error('JSON parsing failed, using fallback parser:', parseError);
-      ftaData = parseFTAFallback(responseText);
+    const { attempts } = generation;
+    const data = { ...generation.data, hazards: generation.data.hazards.slice(0, maxHazards) };
+    console.log(`✅ ${data.hazards.length} hazard(s) identified (${attempts} attempt${attempts === 1 ? '' : 's'})`);
+    return withProvenance(data, { ...provenance, source: attempts > 1 ? 'repaired' : 'model', generation });
+
+  } catch (error) {
+    console.error('❌ Hazard identification failed:', error);
+
+    if (isFatalProviderError(error) || !isDegradedModeAllowed()) {
+      throw error;
+    }
+
+    console.log('🔄 Using fallback hazard data');
+    return withProvenance(generateMockHazards(systemDescription, isStructured), {
+      ...provenance,
+      source: 'mock',
+      generation: error instanceof OutputValidationError ? error : {}
+    });
+  }
+}
+
+/**
+ * Identify the system hazards and generate one fault tree per hazard
+ * Basic events are reconciled afterwards so an id means the same failure in every tree
+ * @param {Object} systemDescription - The system description (structured or simple)
+ * @param {boolean} isStructured - Whether the input is structured or simple text
+ * @param {Object} [options] - Generation options (see identifyHazards)
+ * @param {Function} [options.onEvent] - Streams progress: stage events and the identified hazards
+ * @returns {Promise<Object>} { hazards, trees, sharedBasicEvents, provenance }
+ */
+async function generateHazardFaultTrees(systemDescription, isStructured, options = {}) {
+  const onEvent = options.onEvent || (() => {});
+
+  onEvent('stage', { stage: 'hazards', status: 'started' });
+  const identification = await identifyHazards(systemDescription, isStructured, options);
+  const { hazards, sharedBasicEvents: catalogue, provenance } = identification;
+  onEvent('hazards', { hazards, provenance });
+
+  console.log(`🌳 Generating ${hazards.length} fault tree(s)...`);
+  const generated = await Promise.all(hazards.map(async hazard => {
+    onEvent('stage', { stage: 'fta', status: 'started', hazardId: hazard.id });
+    const tree = await generateFTA(systemDescription, isStructured, { llm: options.llm, signal: options.signal, meter: options.meter, hazard, sharedBasicEvents: catalogue });
+    onEvent('stage', { stage: 'fta', status: 'completed', hazardId: hazard.id });
+    return tree;
+  }));
+
+  const { trees, sharedBasicEvents } = reconcileSharedBasicEvents(
+    generated.map((tree, index) => ({ hazardId: hazards[index].id, ...tree })),
+    catalogue
+  );
+
+  return {
+    hazards,
+    trees: trees.map(withMermaid),
+    sharedBasicEvents,
+    provenance
+  };
+}
+
+/**
+ * Generate the ISO 26262 Hazard Analysis and Risk Assessment
+ * The model rates S, E and C and derives the safety goals; the ASILs are looked up by analyzeHARA.
+ * @param {Object} systemDescription - The system description (structured or simple)
+ * @param {boolean} isStructured - Whether the input is structured or simple text
+ * @param {Object} [options] - Generation options
+ * @param {Object} [options.llm] - Provider/model settings from resolveLLMSettings
+ * @param {AbortSignal} [options.signal] - Cancels the generation
+ * @param {Object} [options.meter] - Usage meter (createUsageMeter) the model calls are booked on
+ * @returns {Promise<Object>} { operationalSituations, hazardousEvents, safetyGoals, summary, provenance }
+ */
+async function generateHARA(systemDescription, isStructured, options = {}) {
+  const llm = options.llm || resolveLLMSettings();
+  const startedAt = new Date();
+  const temperature = 0.3;
+  const { template, promptTemplate } = preparePrompt('hara', { systemDescription, isStructured });
+  const provenance = { promptTemplate, llm, temperature, startedAt };
+
+  try {
+    console.log('🚗 Generating ISO 26262 HARA...');
+
+    const generation = await generateStructuredOutput(llm, {
+      label: 'HARA',
+      system: template.system,
+      prompt: template.prompt,
+      schema: haraSchema,
+      temperature,
+      maxTokens: 3000,
+      signal: options.signal,
+      meter: options.meter
+    });
+
+    const { attempts } = generation;
+    console.log(`✅ HARA generated with ${generation.data.hazardousEvents.length} hazardous event(s) (${attempts} attempt${attempts === 1 ? '' : 's'})`);
+    return withProvenance(analyzeHARA(generation.data), { ...provenance, source: attempts > 1 ? 'repaired' : 'model', generation });
+
+  } catch (error) {
+    console.error('❌ HARA generation failed:', error);
+
+    if (isFatalProviderError(error) || !isDegradedModeAllowed()) {
+      throw error;
     }
 
-    console.log('✅ FTA analysis generated successfully');
-    return ftaData;
+    console.log('🔄 Using fallback HARA data');
+    return withProvenance(analyzeHARA(generateMockHARA(systemDescription, isStructured)), {
+      ...provenance,
+      source: 'mock',
+      generation: error instanceof OutputValidationError ? error : {}
+    });
+  }
+}
+
+/**
+ * Generate the HAZOP worksheet of the system connections
+ * Every connection is a study node; the guidewords are applied to its parameters.
+ * @param {Object} systemDescription - Structured system description with connections (and optional hazop.guidewords)
+ * @param {boolean} isStructured - Whether the input is structured or simple text
+ * @param {Object} [options] - Generation options
+ * @param {Object} [options.llm] - Provider/model settings from resolveLLMSettings
+ * @param {AbortSignal} [options.signal] - Cancels the generation
+ * @param {Object} [options.meter] - Usage meter (createUsageMeter) the model calls are booked on
+ * @returns {Promise<Object>} { nodes, guidewords, deviations, summary, provenance }
+ */
+async function generateHAZOP(systemDescription, isStructured, options = {}) {
+  const llm = options.llm || resolveLLMSettings();
+  const startedAt = new Date();
+  const temperature = 0.3;
+  const nodes = toHazopNodes(systemDescription.connections);
+  const guidewords = systemDescription.hazop?.guidewords || GUIDEWORDS;
+  const { template, promptTemplate } = preparePrompt('hazop', { systemDescription, isStructured });
+  const provenance = { promptTemplate, llm, temperature, startedAt };
+
+  try {
+    console.log(`🧪 Generating HAZOP worksheet for ${nodes.length} node(s)...`);
+
+    const generation = await generateStructuredOutput(llm, {
+      label: 'HAZOP',
+      system: template.system,
+      prompt: template.prompt,
+      schema: createHazopSchema(nodes, guidewords),
+      temperature,
+      // Rows grow with the number of nodes
+      maxTokens: Math.min(8000, 1500 + nodes.length * 600),
+      signal: options.signal,
+      meter: options.meter
+    });
+
+    const { attempts } = generation;
+    console.log(`✅ HAZOP generated with ${generation.data.deviations.length} deviation(s) (${attempts} attempt${attempts === 1 ? '' : 's'})`);
+    return withProvenance(analyzeHAZOP(generation.data, nodes, guidewords), { ...provenance, source: attempts > 1 ? 'repaired' : 'model', generation });
 
   } catch (error) {
-    console.error('❌ FTA generation failed:', error);
-    
-    if (error.code === 'insufficient_quota') {
-      throw new Error('OpenAI API quota exceeded. Please check your API usage and billing.');
-    } else if (error.code === 'invalid_api_key') {
-      throw new Error('Invalid OpenAI API key. Please check your configuration.');
-    } else if (error.status === 429) {
-      throw new Error('OpenAI API rate limit exceeded. Please try again later.');
+    console.error('❌ HAZOP generation failed:', error);
+
+    if (isFatalProviderError(error) || !isDegradedModeAllowed()) {
+      throw error;
     }
-    
-    // Return mock data as fallback
-    console.log('🔄 Using fallback FTA data');
-    return generateMockFTA(systemDescription, isStructured);
+
+    console.log('🔄 Using fallback HAZOP data');
+    return withProvenance(analyzeHAZOP(generateMockHAZOP(nodes, guidewords), nodes, guidewords), {
+      ...provenance,
+      source: 'mock',
+      generation: error instanceof OutputValidationError ? error : {}
+    });
+  }
+}
+
+/**
+ * Generate the STPA of the control structure derived from the components and connections
+ * UCAs are identified for every control action, loss scenarios for the UCAs.
+ * @param {Object} systemDescription - Structured system description with connections (and optional stpa.roles)
+ * @param {boolean} isStructured - Whether the input is structured or simple text
+ * @param {Object} [options] - Generation options
+ * @param {Object} [options.llm] - Provider/model settings from resolveLLMSettings
+ * @param {AbortSignal} [options.signal] - Cancels the generation
+ * @param {Object} [options.meter] - Usage meter (createUsageMeter) the model calls are booked on
+ * @returns {Promise<Object>} { controlStructure, losses, hazards, unsafeControlActions, lossScenarios, summary, provenance }
+ */
+async function generateSTPA(systemDescription, isStructured, options = {}) {
+  const llm = options.llm || resolveLLMSettings();
+  const startedAt = new Date();
+  const temperature = 0.3;
+  const controlStructure = deriveControlStructure(systemDescription.components, systemDescription.connections, systemDescription.stpa?.roles);
+  const { template, promptTemplate } = preparePrompt('stpa', { systemDescription, isStructured });
+  const provenance = { promptTemplate, llm, temperature, startedAt };
+
+  try {
+    console.log(`🎛️ Generating STPA for ${controlStructure.controlActions.length} control action(s)...`);
+
+    const generation = await generateStructuredOutput(llm, {
+      label: 'STPA',
+      system: template.system,
+      prompt: template.prompt,
+      schema: createStpaSchema(controlStructure),
+      temperature,
+      // UCAs and scenarios grow with the number of control actions
+      maxTokens: Math.min(8000, 2000 + controlStructure.controlActions.length * 800),
+      signal: options.signal,
+      meter: options.meter
+    });
+
+    const { attempts } = generation;
+    console.log(`✅ STPA generated with ${generation.data.unsafeControlActions.length} UCA(s) (${attempts} attempt${attempts === 1 ? '' : 's'})`);
+    return withProvenance(analyzeSTPA(generation.data, controlStructure), { ...provenance, source: attempts > 1 ? 'repaired' : 'model', generation });
+
+  } catch (error) {
+    console.error('❌ STPA generation failed:', error);
+
+    if (isFatalProviderError(error) || !isDegradedModeAllowed()) {
+      throw error;
+    }
+
+    console.log('🔄 Using fallback STPA data');
+    return withProvenance(analyzeSTPA(generateMockSTPA(controlStructure), controlStructure), {
+      ...provenance,
+      source: 'mock',
+      generation: error instanceof OutputValidationError ? error : {}
+    });
   }
 }
 
 /**
  * Fallback FMECA parser for malformed JSON responses
+ * Salvages individual rows that are still valid JSON objects
+ * @param {string} responseText - Raw model output
+ * @param {Object} [ratingScales] - Scales of the request; their RPN bands decide which rows are high risk
+ * @returns {Object|null} FMECA data, or null when nothing could be salvaged
  */
-function parseFMECAFallback(responseText) {
-  // Basic fallback - return structured mock data
-  return generateMockFMECA({ description: "System analysis" }, false);
+function parseFMECAFallback(responseText, ratingScales) {
+  const rowMatches = (responseText || '').match(/\{[^{}]*"failureMode"[^{}]*\}/g) || [];
+  const fmecaTable = [];
+
+  for (const rowText of rowMatches) {
+    try {
+      const row = JSON.parse(rowText);
+      if (row.itemFunction && row.failureMode && row.severity && row.occurrence && row.detection) {
+        fmecaTable.push({ ...row, rpn: row.severity * row.occurrence * row.detection });
+      }
+    } catch (parseError) {
+      // Skip rows that are not valid JSON on their own
+    }
+  }
+
+  if (fmecaTable.length === 0) {
+    return null;
+  }
+
+  return {
+    fmecaTable,
+    summary: {
+      totalFailureModes: fmecaTable.length,
+      highRiskItems: fmecaTable.filter(row => isHighRiskRPN(row.rpn, ratingScales)).length,
+      averageRPN: Math.round(fmecaTable.reduce((sum, row) => sum + row.rpn, 0) / fmecaTable.length),
+      keyRecommendations: fmecaTable.map(row => row.recommendedAction).filter(Boolean).slice(0, 3)
+    }
+  };
+}
+
+/**
+ * Extract a JSON array value by key from a partially valid JSON text
+ * @returns {Array|null} Parsed array, or null when it cannot be recovered
+ */
+function extractJSONArray(text, key) {
+  const keyIndex = text.indexOf(`"${key}"`);
+  const start = keyIndex === -1 ? -1 : text.indexOf('[', keyIndex);
+  if (start === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '[') {
+      depth++;
+    } else if (char === ']' && --depth === 0) {
+      try {
+        return JSON.parse(text.slice(start, i + 1));
+      } catch (parseError) {
+        return null;
+      }
+    }
+  }
+  return null;
 }
 
 /**
  * Fallback FTA parser for malformed JSON responses
+ * Recovers the events, gates and edges arrays when they still form a valid fault tree
+ * @returns {Object|null} FTA data, or null when no valid tree could be recovered
  */
 function parseFTAFallback(responseText) {
-  // Try to extract any Mermaid diagram from the response text
-  const mermaidMatch = responseText.match(/flowchart\s+TD[\s\S]*?(?=\n\n|\n%|$)/i);
-  
-  if (mermaidMatch) {
-    const extractedDiagram = sanitizeMermaidDiagram(fixMermaidFormatting(mermaidMatch[0]));
-    return {
-      topEvent: "System Critical Failure",
-      mermaidDiagram: extractedDiagram,
-      events: [],
-      gates: [],
-      analysis: {
-        criticalPath: "Extracted from partial response",
-        recommendations: ["Review system design", "Implement monitoring"]
-      }
-    };
+  const text = responseText || '';
+  const events = extractJSONArray(text, 'events');
+  const gates = extractJSONArray(text, 'gates');
+  const edges = extractJSONArray(text, 'edges');
+
+  if (!events || !gates || !edges) {
+    return null;
   }
-  
-  // Basic fallback - return structured mock data
-  return generateMockFTA({ description: "System analysis" }, false);
+
+  const tree = { events, gates, edges };
+  if (validateFaultTreeStructure(tree).length > 0) {
+    return null;
+  }
+
+  return {
+    topEvent: events.find(event => event.type === 'top').description,
+    ...tree,
+    analysis: {
+      criticalPath: "Extracted from partial response",
+      recommendations: ["Review system design", "Implement monitoring"]
+    }
+  };
 }
 
 /**
@@ -394,52 +569,54 @@ function parseFTAFallback(responseText) {
  */
 function generateMockFMECA(systemDescription, isStructured) {
   const systemName = isStructured ? systemDescription.systemName : "System";
-  
+  const fmecaTable = [
+    {
+      itemFunction: `${systemName} - Primary Component`,
+      failureMode: "Complete failure",
+      failureCause: "Component degradation, environmental stress",
+      localEffect: "Loss of component function",
+      systemEffect: "Reduced system capability",
+      endEffect: "Potential safety hazard",
+      severity: 8,
+      occurrence: 3,
+      detection: 4,
+      rpn: 96,
+      recommendedAction: "Implement redundancy and monitoring"
+    },
+    {
+      itemFunction: `${systemName} - Control Unit`,
+      failureMode: "Intermittent operation",
+      failureCause: "Software fault, electrical interference",
+      localEffect: "Erratic control behavior",
+      systemEffect: "System instability",
+      endEffect: "Degraded performance",
+      severity: 6,
+      occurrence: 4,
+      detection: 3,
+      rpn: 72,
+      recommendedAction: "Improve software validation and EMI protection"
+    },
+    {
+      itemFunction: `${systemName} - Sensor`,
+      failureMode: "False readings",
+      failureCause: "Calibration drift, contamination",
+      localEffect: "Incorrect data output",
+      systemEffect: "Poor decision making",
+      endEffect: "System malfunction",
+      severity: 7,
+      occurrence: 5,
+      detection: 2,
+      rpn: 70,
+      recommendedAction: "Regular calibration and self-diagnostics"
+    }
+  ];
+
   return {
-    fmecaTable: [
-      {
-        itemFunction: `${systemName} - Primary Component`,
-        failureMode: "Complete failure",
-        failureCause: "Component degradation, environmental stress",
-        localEffect: "Loss of component function",
-        systemEffect: "Reduced system capability",
-        endEffect: "Potential safety hazard",
-        severity: 8,
-        occurrence: 3,
-        detection: 4,
-        rpn: 96,
-        recommendedAction: "Implement redundancy and monitoring"
-      },
-      {
-        itemFunction: `${systemName} - Control Unit`,
-        failureMode: "Intermittent operation",
-        failureCause: "Software fault, electrical interference",
-        localEffect: "Erratic control behavior",
-        systemEffect: "System instability",
-        endEffect: "Degraded performance",
-        severity: 6,
-        occurrence: 4,
-        detection: 3,
-        rpn: 72,
-        recommendedAction: "Improve software validation and EMI protection"
-      },
-      {
-        itemFunction: `${systemName} - Sensor`,
-        failureMode: "False readings",
-        failureCause: "Calibration drift, contamination",
-        localEffect: "Incorrect data output",
-        systemEffect: "Poor decision making",
-        endEffect: "System malfunction",
-        severity: 7,
-        occurrence: 5,
-        detection: 2,
-        rpn: 70,
-        recommendedAction: "Regular calibration and self-diagnostics"
-      }
-    ],
+    fmecaTable,
     summary: {
       totalFailureModes: 3,
-      highRiskItems: 1,
+      // High risk by the RPN bands of the request's rating scales
+      highRiskItems: fmecaTable.filter(row => isHighRiskRPN(row.rpn, systemDescription.ratingScales)).length,
       averageRPN: 79,
       keyRecommendations: [
         "Implement comprehensive monitoring system",
@@ -453,81 +630,35 @@ function generateMockFMECA(systemDescription, isStructured) {
 /**
  * Generate mock FTA data as fallback
  */
-function generateMockFTA(systemDescription, isStructured) {
+function generateMockFTA(systemDescription, isStructured, hazard) {
   const systemName = isStructured ? systemDescription.systemName : "System";
   
-  let mockDiagram = `flowchart TD
-    A([${systemName} Critical Failure])
-    G1{OR}
-    A --> G1
-    G1 --> B([Hardware Subsystem Failure])
-    G1 --> C([Software Subsystem Failure])
-    G2{AND}
-    B --> G2
-    G2 --> D([Primary Component Failure])
-    G2 --> E([Backup Component Failure])
-    G3{OR}
-    C --> G3
-    G3 --> F([Logic Error])
-    G3 --> G([Data Corruption])
-    G4{AND}
-    D --> G4
-    G4 --> H([Mechanical Wear])
-    G4 --> I([Environmental Stress])
-    
-    %% Professional FTA Styling
-    classDef gate fill:#2c3e50,stroke:#34495e,stroke-width:3px,color:#ffffff,font-weight:700;
-    classDef event fill:#ecf0f1,stroke:#2c3e50,stroke-width:2px,color:#2c3e50,font-weight:600;
-    classDef top fill:#e74c3c,stroke:#c0392b,stroke-width:3px,color:#ffffff,font-weight:700;
-    classDef intermediate fill:#3498db,stroke:#2980b9,stroke-width:2px,color:#ffffff,font-weight:600;
-    classDef basic fill:#f39c12,stroke:#e67e22,stroke-width:2px,color:#ffffff,font-weight:600;
-    
-    class G1,G2,G3,G4 gate;
-    class B,C intermediate;
-    class D,E,F,G basic;
-    class H,I basic;
-    class A top;`;
-  
   return {
-    topEvent: `${systemName} fails to perform critical function`,
-    mermaidDiagram: sanitizeMermaidDiagram(fixMermaidFormatting(mockDiagram)),
+    topEvent: hazard ? hazard.title : `${systemName} fails to perform critical function`,
     events: [
-      {
-        id: "A",
-        type: "top",
-        description: `${systemName} critical failure`,
-        probability: "1E-6 per hour"
-      },
-      {
-        id: "B",
-        type: "intermediate", 
-        description: "Hardware subsystem failure",
-        probability: "5E-5 per hour"
-      },
-      {
-        id: "C",
-        type: "intermediate",
-        description: "Software subsystem failure", 
-        probability: "2E-5 per hour"
-      },
-      {
-        id: "D",
-        type: "basic",
-        description: "Primary component failure",
-        probability: "1E-4 per hour"
-      }
+      { id: "TOP", type: "top", description: hazard ? hazard.title : `${systemName} critical failure` },
+      { id: "E1", type: "intermediate", description: "Hardware subsystem failure" },
+      { id: "E2", type: "intermediate", description: "Software subsystem failure" },
+      { id: "BE1", type: "basic", description: "Primary component failure", failureRate: 1e-4 },
+      { id: "BE2", type: "basic", description: "Backup component failure", failureRate: 1e-4 },
+      { id: "BE3", type: "basic", description: "Logic error", failureRate: 2e-5 },
+      { id: "BE4", type: "basic", description: "Data corruption", failureRate: 5e-6 }
     ],
     gates: [
-      {
-        id: "G1",
-        type: "OR",
-        description: "Either hardware or software failure causes system failure"
-      },
-      {
-        id: "G2", 
-        type: "AND",
-        description: "Both components must fail for hardware failure"
-      }
+      { id: "G1", type: "OR", description: "Either hardware or software failure causes system failure" },
+      { id: "G2", type: "AND", description: "Both components must fail for hardware failure" },
+      { id: "G3", type: "OR", description: "Any software fault causes software failure" }
+    ],
+    edges: [
+      { from: "TOP", to: "G1" },
+      { from: "G1", to: "E1" },
+      { from: "G1", to: "E2" },
+      { from: "E1", to: "G2" },
+      { from: "G2", to: "BE1" },
+      { from: "G2", to: "BE2" },
+      { from: "E2", to: "G3" },
+      { from: "G3", to: "BE3" },
+      { from: "G3", to: "BE4" }
     ],
     analysis: {
       criticalPath: "Hardware failure through component degradation",
@@ -541,101 +672,159 @@ function generateMockFTA(systemDescription, isStructured) {
 }
 
 /**
- * Generate system structure (components, connections, safety standards) using AI
+ * Generate mock hazard list as fallback
  */
-async function generateSystemStructure({ systemName, description }) {
-  if (!openai) {
-    console.log('🔄 Using mock system structure data (OpenAI not configured)');
-    return generateMockSystemStructure(systemName, description);
-  }
-
-  try {
-    const prompt = `
-You are a system engineering expert. Based on the system name and description provided, generate a detailed system structure including components, connections, and applicable safety standards.
+function generateMockHazards(systemDescription, isStructured) {
+  const systemName = isStructured ? systemDescription.systemName : "System";
 
-System Name: ${systemName}
-Description: ${description}
+  return {
+    hazards: [
+      { id: "H1", title: `${systemName} loss of function`, description: "The system cannot perform its primary function when demanded", severity: "catastrophic" },
+      { id: "H2", title: `${systemName} unintended activation`, description: "The system acts without being commanded", severity: "critical" },
+      { id: "H3", title: `${systemName} degraded performance`, description: "The system performs its function below the required level", severity: "marginal" }
+    ],
+    sharedBasicEvents: [
+      { id: "BE1", type: "basic", description: "Primary component failure", failureRate: 1e-4 },
+      { id: "BE3", type: "basic", description: "Logic error", failureRate: 2e-5 }
+    ]
+  };
+}
 
-Generate a JSON response with the following structure:
-{
-  "components": [
-    {
-      "name": "Component Name",
-      "function": "Detailed description of what this component does"
-    }
-  ],
-  "connections": [
-    {
-      "from": "Source Component",
-      "to": "Target Component", 
-      "type": "Type of connection (e.g., electrical, mechanical, data, hydraulic)"
-    }
-  ],
-  "safetyStandards": [
-    {
-      "standard": "Standard Name (e.g., ISO 26262, DO-178C, IEC 61508)",
-      "requirement": "Specific requirement or description"
-    }
-  ]
+/**
+ * Generate mock HAZOP deviations as fallback: No and More on the first parameter of every node
+ */
+function generateMockHAZOP(nodes, guidewords) {
+  const applied = ['No', 'More'].filter(guideword => guidewords.includes(guideword));
+  return {
+    deviations: nodes.flatMap(node => (applied.length > 0 ? applied : guidewords.slice(0, 1)).map(guideword => ({
+      node: node.id,
+      parameter: node.parameters[0],
+      guideword,
+      deviation: `${guideword} ${node.parameters[0].toLowerCase()} from ${node.from} to ${node.to}`,
+      causes: [`${node.from} failure`],
+      consequences: [`${node.to} does not receive the expected input`],
+      safeguards: [],
+      recommendations: [`Review the ${node.from} to ${node.to} connection`]
+    })))
+  };
 }
 
-Requirements:
-- Generate 3-8 realistic components that would be part of this system
-- Create logical connections between components
-- Include 2-5 relevant safety standards for this type of system
-- Use industry-standard terminology
-- Make sure all components are interconnected logically
-- Focus on the most critical components for safety analysis
-
-Respond ONLY with valid JSON, no additional text.`;
-
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are an expert system engineer specializing in system architecture and safety analysis. Generate accurate, industry-standard system structures.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      temperature: 0.7,
-      max_tokens: 2000
-    });
+/**
+ * Generate mock STPA as fallback: one loss and hazard, and a not-provided UCA with one scenario per control action
+ */
+function generateMockSTPA(controlStructure) {
+  const actions = controlStructure.controlActions;
+  return {
+    losses: [{ id: 'L1', description: 'Loss of life or injury' }],
+    hazards: [{ id: 'H1', description: 'System does not maintain safe control of the controlled process', losses: ['L1'] }],
+    unsafeControlActions: actions.map((action, index) => ({
+      id: `UCA${index + 1}`,
+      controlAction: action.id,
+      type: 'not-provided',
+      description: `${action.controller} does not provide the control action to ${action.target}`,
+      context: 'When the control action is needed',
+      hazards: ['H1']
+    })),
+    lossScenarios: actions.map((action, index) => ({
+      id: `LS${index + 1}`,
+      uca: `UCA${index + 1}`,
+      type: 'unsafe-controller-behavior',
+      scenario: `${action.controller} does not detect that the control action is needed`,
+      causalFactors: ['Missing or incorrect feedback'],
+      recommendations: [`Review the feedback available to ${action.controller}`]
+    }))
+  };
+}
 
-    const response = completion.choices[0].message.content.trim();
-    console.log('Raw AI structure response:', response);
+/**
+ * Generate mock HARA as fallback
+ */
+function generateMockHARA(systemDescription, isStructured) {
+  const systemName = isStructured ? systemDescription.systemName : "System";
 
-    // Parse the JSON response
-    try {
-      const structureData = JSON.parse(response);
-      
-      // Validate the structure
-      if (!structureData.components || !Array.isArray(structureData.components)) {
-        throw new Error('Invalid components structure');
-      }
-      if (!structureData.connections || !Array.isArray(structureData.connections)) {
-        throw new Error('Invalid connections structure');
-      }
-      if (!structureData.safetyStandards || !Array.isArray(structureData.safetyStandards)) {
-        throw new Error('Invalid safety standards structure');
+  return {
+    operationalSituations: [
+      { id: "OS1", description: "Normal operation at high speed in dense traffic" },
+      { id: "OS2", description: "Low-speed manoeuvring" }
+    ],
+    hazardousEvents: [
+      {
+        id: "HE1",
+        hazard: `${systemName} loss of function`,
+        operationalSituation: "OS1",
+        description: "The function is lost when demanded and a collision follows",
+        severity: "S3",
+        severityRationale: "A collision at high speed can be fatal",
+        exposure: "E4",
+        exposureRationale: "The situation occurs on most trips",
+        controllability: "C2",
+        controllabilityRationale: "Most drivers can partly compensate",
+        safetyGoal: "SG1"
+      },
+      {
+        id: "HE2",
+        hazard: `${systemName} unintended activation`,
+        operationalSituation: "OS2",
+        description: "The function activates without demand during manoeuvring",
+        severity: "S1",
+        severityRationale: "Low speed limits injuries to light ones",
+        exposure: "E3",
+        exposureRationale: "Manoeuvring occurs regularly",
+        controllability: "C1",
+        controllabilityRationale: "The driver can simply stop the vehicle",
+        safetyGoal: "SG2"
       }
+    ],
+    safetyGoals: [
+      { id: "SG1", description: `Prevent loss of ${systemName} function when demanded`, safeState: "Degraded mode with driver warning" },
+      { id: "SG2", description: `Prevent unintended ${systemName} activation`, safeState: "Function disabled" }
+    ]
+  };
+}
+
+/**
+ * Generate system structure (components, connections, safety standards) using AI
+ * @param {Object} params - { systemName, description }
+ * @param {Object} [options] - Generation options
+ * @param {Object} [options.llm] - Provider/model settings from resolveLLMSettings
+ * @param {Object} [options.meter] - Usage meter (createUsageMeter) the model calls are booked on
+ */
+async function generateSystemStructure({ systemName, description }, options = {}) {
+  const llm = options.llm || resolveLLMSettings();
+  const startedAt = new Date();
+  const temperature = 0.7;
+  const { template, promptTemplate } = preparePrompt('structure', { systemDescription: { systemName, description } });
+  const provenance = { promptTemplate, llm, temperature, startedAt };
+
+  if (!getProvider(llm.provider).isConfigured() && isDegradedModeAllowed()) {
+    console.log(`🔄 Using mock system structure data (${getProvider(llm.provider).label} not configured)`);
+    return withProvenance(generateMockSystemStructure(systemName, description), { ...provenance, source: 'mock' });
+  }
 
-      console.log('✅ System structure generated successfully');
-      return structureData;
+  try {
+    const generation = await generateStructuredOutput(llm, {
+      label: 'System structure',
+      system: template.system,
+      prompt: template.prompt,
+      schema: systemStructureSchema,
+      temperature,
+      maxTokens: 2000,
+      meter: options.meter
+    });
 
-    } catch (parseError) {
-      console.error('❌ Failed to parse AI structure response:', parseError);
-      console.log('🔄 Falling back to mock data');
-      return generateMockSystemStructure(systemName, description);
-    }
+    const { attempts } = generation;
+    console.log(`✅ System structure generated successfully (${attempts} attempt${attempts === 1 ? '' : 's'})`);
+    return withProvenance(generation.data, { ...provenance, source: attempts > 1 ? 'repaired' : 'model', generation });
 
   } catch (error) {
-    console.error('❌ OpenAI structure generation failed:', error);
+    console.error('❌ AI structure generation failed:', error);
+
+    if (isFatalProviderError(error) || !isDegradedModeAllowed()) {
+      throw error;
+    }
+
     console.log('🔄 Falling back to mock data');
-    return generateMockSystemStructure(systemName, description);
+    return withProvenance(generateMockSystemStructure(systemName, description), { ...provenance, source: 'mock' });
   }
 }
 
@@ -752,5 +941,10 @@ function determineSystemType(systemName, description) {
 module.exports = {
   generateFMECA,
   generateFTA,
+  identifyHazards,
+  generateHazardFaultTrees,
+  generateHARA,
+  generateHAZOP,
+  generateSTPA,
   generateSystemStructure
 };
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const { createFileStore } = require('./fileStore');
+const { getActiveVersions } = require('./promptRegistry');
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const DEFAULT_MAX_ENTRIES = 100;
+const CACHE_BACKENDS = ['memory', 'disk', 'none'];
+
+// Request fields that do not change what the model is asked
+const NON_ANALYSIS_FIELDS = ['cache', 'projectId', 'llm'];
+
+/**
+ * Cache settings from the environment (CACHE_BACKEND, CACHE_TTL_SECONDS, CACHE_MAX_ENTRIES)
+ */
+function getCacheSettings() {
+  const backend = CACHE_BACKENDS.includes(process.env.CACHE_BACKEND) ? process.env.CACHE_BACKEND : 'memory';
+  const ttl = parseInt(process.env.CACHE_TTL_SECONDS, 10);
+  const maxEntries = parseInt(process.env.CACHE_MAX_ENTRIES, 10);
+  return {
+    backend,
+    ttlSeconds: Number.isInteger(ttl) && ttl > 0 ? ttl : DEFAULT_TTL_SECONDS,
+    maxEntries: Number.isInteger(maxEntries) && maxEntries > 0 ? maxEntries : DEFAULT_MAX_ENTRIES
+  };
+}
+
+/**
+ * Canonical form of a value: object keys sorted, whitespace in strings collapsed
+ */
+function normalize(value) {
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value !== null && typeof value === 'object') {
+    return Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .reduce((result, key) => ({ ...result, [key]: normalize(value[key]) }), {});
+  }
+  if (typeof value === 'string') return value.trim().replace(/\s+/g, ' ');
+  return value;
+}
+
+/**
+ * Content address of an analysis: same input, prompts and model settings give the same key
+ * @param {Object} validatedInput - Validated request body
+ * @param {boolean} isStructured - Input format
+ * @param {Object} llm - Resolved provider settings
+ * @returns {string} Hex SHA-256 digest
+ */
+function computeCacheKey(validatedInput, isStructured, llm) {
+  const input = { ...validatedInput };
+  NON_ANALYSIS_FIELDS.forEach(field => delete input[field]);
+
+  const material = JSON.stringify(normalize({
+    input,
+    format: isStructured ? 'structured' : 'simple',
+    prompts: getActiveVersions(),
+    llm: { provider: llm.provider, model: llm.model }
+  }));
+  return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+/**
+ * In-memory LRU cache; the least recently read entry is evicted first
+ * @param {Object} [options] - { maxEntries, ttlSeconds }
+ * @returns {Object} Cache with async get, set, delete and clear
+ */
+function createMemoryCache({ maxEntries = DEFAULT_MAX_ENTRIES, ttlSeconds = DEFAULT_TTL_SECONDS } = {}) {
+  // Map iteration order doubles as recency order
+  const entries = new Map();
+
+  return {
+    backend: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return null;
+      entries.set(key, entry);
+      return entry;
+    },
+
+    async set(key, value) {
+      const storedAt = Date.now();
+      entries.delete(key);
+      entries.set(key, { key, value, storedAt, expiresAt: storedAt + ttlSeconds * 1000 });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async clear() {
+      entries.clear();
+    }
+  };
+}
+
+/**
+ * Disk cache under DATA_DIR/cache, one JSON file per entry; survives restarts
+ * @param {Object} [options] - { ttlSeconds }
+ * @returns {Object} Cache with async get, set, delete and clear
+ */
+function createDiskCache({ ttlSeconds = DEFAULT_TTL_SECONDS } = {}) {
+  const store = createFileStore('cache');
+
+  return {
+    backend: 'disk',
+
+    async get(key) {
+      const entry = await store.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        await store.remove(key);
+        return null;
+      }
+      return { key, value: entry.value, storedAt: entry.storedAt, expiresAt: entry.expiresAt };
+    },
+
+    async set(key, value) {
+      const storedAt = Date.now();
+      await store.save({ id: key, value, storedAt, expiresAt: storedAt + ttlSeconds * 1000 });
+    },
+
+    async delete(key) {
+      await store.remove(key);
+    },
+
+    async clear() {
+      const entries = await store.list();
+      await Promise.all(entries.map(entry => store.remove(entry.id)));
+    }
+  };
+}
+
+/**
+ * Build the cache configured by the environment (null when CACHE_BACKEND=none)
+ */
+function createCacheFromEnv() {
+  const { backend, ttlSeconds, maxEntries } = getCacheSettings();
+  if (backend === 'none') return null;
+  return backend === 'disk' ? createDiskCache({ ttlSeconds }) : createMemoryCache({ maxEntries, ttlSeconds });
+}
+
+let analysisCache;
+
+/**
+ * Shared analysis cache, created on first use
+ */
+function getAnalysisCache() {
+  if (analysisCache === undefined) {
+    analysisCache = createCacheFromEnv();
+    console.log(`🗄️ Analysis cache: ${analysisCache ? analysisCache.backend : 'disabled'}`);
+  }
+  return analysisCache;
+}
+
+module.exports = {
+  CACHE_BACKENDS,
+  getCacheSettings,
+  computeCacheKey,
+  createMemoryCache,
+  createDiskCache,
+  createCacheFromEnv,
+  getAnalysisCache
+};
@@ -0,0 +1,28 @@
+const { createFileStore } = require('./fileStore');
+const { createJobQueue } = require('./jobQueue');
+const { runAnalysis } = require('./analysisPipeline');
+const { saveAnalysisToProject } = require('./projects');
+const { createUsageMeter, recordUsage } = require('./usage');
+
+/**
+ * Queue of analysis jobs submitted through /api/jobs
+ * Job input: { request, isStructured, llm, account } - the validated request body, resolved model
+ * settings and the usage account (hashed API key) the tokens are booked against
+ * Results of requests naming a project are also stored as a project revision
+ */
+const analysisJobs = createJobQueue({
+  store: createFileStore('jobs'),
+  run: async ({ request, isStructured, llm, account }, { signal, onEvent }) => {
+    // Failed and cancelled jobs are charged for the model calls they made as well
+    const meter = createUsageMeter();
+    try {
+      return await saveAnalysisToProject(request, await runAnalysis(request, isStructured, { llm, signal, onEvent, meter }));
+    } finally {
+      if (account) await recordUsage(account, meter.totals());
+    }
+  }
+});
+
+module.exports = {
+  analysisJobs
+};
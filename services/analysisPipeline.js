@@ -0,0 +1,246 @@
+const { generateFMECA, generateHazardFaultTrees, generateHARA, generateHAZOP, generateSTPA } = require('./aiService');
+const { resolveLLMSettings } = require('./providers');
+const { hasDegradedResults } = require('./provenance');
+const { quantifyFTA, DEFAULT_MISSION_TIME } = require('./faultTreeEvaluator');
+const { rankMitigations } = require('./importance');
+const { computeCacheKey, getAnalysisCache } = require('./analysisCache');
+const { emptyUsage, createUsageMeter } = require('./usage');
+const { analyzeCriticality } = require('./criticality');
+const { analyzeFMEDA } = require('./fmeda');
+const { rankFMECA } = require('./riskRanking');
+const { DEFAULT_RATING_SCALES } = require('./ratingScales');
+const { STANDARD: MIL_STD_882E, assessMilStd882Risk } = require('./milStd882');
+const { STANDARD: ISO_26262 } = require('./hara');
+
+/**
+ * Read the cache without letting a broken backend fail the request
+ */
+async function readCache(cache, key) {
+  try {
+    return await cache.get(key);
+  } catch (error) {
+    console.warn('⚠️ Analysis cache read failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Run the full analysis for a validated system description
+ *
+ * Identical requests (same normalised input, prompt versions and model) are answered from the
+ * analysis cache unless the request sets `cache: 'bypass'`; `metadata.cache` reports the outcome.
+ * Degraded results are never cached. `metadata.usage` sums the tokens and estimated cost of
+ * every model call made for this response (all zero on a cache hit). The calls are booked on
+ * `options.meter` as they finish, so callers can account for a run that fails or is cancelled.
+ * When one generation fails the others are cancelled and awaited before the error is thrown.
+ *
+ * Progress is reported through `onEvent(name, data)`:
+ * - stage: { stage: fmeca|hazards|fta|hara|hazop|stpa|quantification, status: started|repairing|completed, ... }
+ * - fmeca-row: { attempt, index, row } for every row as soon as the model has written it
+ * - fmeca: the validated FMECA result
+ * - hazards: { hazards, provenance } once hazard identification is done
+ * - fta: the quantified fault trees for every hazard
+ * - hara: the ISO 26262 HARA, when the input selects that standard
+ * - hazop: the HAZOP worksheet of the connections, when the input asks for it
+ * - stpa: the STPA of the control structure, when the input asks for it
+ * - mil-std-882: the MIL-STD-882E risk assessment, when the input selects that standard
+ *
+ * @param {Object} validatedInput - Request body after Joi validation
+ * @param {boolean} isStructured - Whether the input is structured or simple text
+ * @param {Object} [options] - Pipeline options
+ * @param {Object} [options.llm] - Provider/model settings (default: resolved from the input)
+ * @param {Function} [options.onEvent] - Progress callback
+ * @param {AbortSignal} [options.signal] - Cancels every model call of the run
+ * @param {Object} [options.meter] - Usage meter (createUsageMeter) the model calls are booked on
+ * @param {Object|null} [options.cache] - Cache backend (default: the shared analysis cache)
+ * @returns {Promise<Object>} The complete analysis response
+ */
+async function runAnalysis(validatedInput, isStructured, { llm = resolveLLMSettings(validatedInput.llm), onEvent = () => {}, signal, meter = createUsageMeter(), cache = getAnalysisCache() } = {}) {
+  if (!cache) {
+    return withCacheStatus(await generateAnalysis(validatedInput, isStructured, { llm, onEvent, signal, meter }), { status: 'disabled' });
+  }
+
+  const key = computeCacheKey(validatedInput, isStructured, llm);
+  const bypass = validatedInput.cache === 'bypass';
+
+  const entry = !bypass && await readCache(cache, key);
+  if (entry) {
+    console.log(`🗄️ Analysis cache hit ${key.slice(0, 12)}`);
+    // Replay the result events so streaming clients render the cached analysis the same way
+    const { fmeca, fta, hara, hazop, stpa, milStd882 } = entry.value.results;
+    onEvent('fmeca', fmeca);
+    onEvent('hazards', { hazards: fta.hazards, provenance: fta.provenance });
+    onEvent('fta', fta);
+    if (hara) onEvent('hara', hara);
+    if (hazop) onEvent('hazop', hazop);
+    if (stpa) onEvent('stpa', stpa);
+    if (milStd882) onEvent('mil-std-882', milStd882);
+    // No model was called for this response; the original usage stays in each result's provenance
+    const response = { ...entry.value, metadata: { ...entry.value.metadata, usage: emptyUsage() } };
+    return withCacheStatus(response, {
+      status: 'hit',
+      key,
+      storedAt: new Date(entry.storedAt).toISOString(),
+      expiresAt: new Date(entry.expiresAt).toISOString()
+    });
+  }
+
+  const response = await generateAnalysis(validatedInput, isStructured, { llm, onEvent, signal, meter });
+  if (!response.metadata.degraded) {
+    try {
+      await cache.set(key, response);
+    } catch (error) {
+      console.warn('⚠️ Analysis cache write failed:', error.message);
+    }
+  }
+  return withCacheStatus(response, { status: bypass ? 'bypass' : 'miss', key });
+}
+
+/**
+ * Report how the cache was used in the response metadata
+ */
+function withCacheStatus(response, cache) {
+  return {
+    ...response,
+    metadata: { ...response.metadata, cache: { hit: cache.status === 'hit', ...cache } }
+  };
+}
+
+/**
+ * Generate FMECA, hazards and quantified fault trees (plus the HARA for ISO 26262 and the HAZOP
+ * and STPA when requested) with the model
+ */
+async function generateAnalysis(validatedInput, isStructured, { llm, onEvent, signal: runSignal, meter }) {
+  const startedAt = Date.now();
+  console.log('Starting AI analysis generation...', llm);
+
+  // A failed generation cancels the others, which are still awaited so their calls are booked;
+  // cancelling the run cancels them all (linked by hand, AbortSignal.any needs Node 18.17)
+  const siblings = new AbortController();
+  const signal = siblings.signal;
+  if (runSignal?.aborted) {
+    siblings.abort(runSignal.reason);
+  } else {
+    runSignal?.addEventListener('abort', () => siblings.abort(runSignal.reason), { once: true });
+  }
+
+  const { criticality, fmeda } = validatedInput;
+  const safetyStandards = isStructured ? (validatedInput.safetyStandards || []) : [];
+
+  const fmecaTask = (async () => {
+    onEvent('stage', { stage: 'fmeca', status: 'started' });
+    // The result carries the rating scales its rows were rated on, for ranking, colouring and later edits
+    const fmeca = await generateFMECA(validatedInput, isStructured, { llm, onEvent, signal, meter, criticality, fmeda });
+    let result = rankFMECA({ ...fmeca, ratingScales: validatedInput.ratingScales || DEFAULT_RATING_SCALES }, validatedInput.riskRanking);
+    if (criticality?.mode === 'quantitative') {
+      // MIL-STD-1629A operating time defaults to the fault tree mission time
+      const operatingTime = criticality.operatingTime || validatedInput.quantification?.missionTime || DEFAULT_MISSION_TIME;
+      result = analyzeCriticality(result, { operatingTime });
+    }
+    if (fmeda) {
+      result = analyzeFMEDA(result, { asil: fmeda.asil, lifetime: fmeda.lifetime });
+    }
+    onEvent('stage', { stage: 'fmeca', status: 'completed' });
+    onEvent('fmeca', result);
+    return result;
+  })();
+
+  const haraTask = safetyStandards.includes(ISO_26262)
+    ? (async () => {
+      onEvent('stage', { stage: 'hara', status: 'started' });
+      const result = await generateHARA(validatedInput, isStructured, { llm, signal, meter });
+      onEvent('stage', { stage: 'hara', status: 'completed' });
+      onEvent('hara', result);
+      return result;
+    })()
+    : null;
+
+  const hazopTask = isStructured && validatedInput.hazop
+    ? (async () => {
+      onEvent('stage', { stage: 'hazop', status: 'started' });
+      const result = await generateHAZOP(validatedInput, isStructured, { llm, signal, meter });
+      onEvent('stage', { stage: 'hazop', status: 'completed' });
+      onEvent('hazop', result);
+      return result;
+    })()
+    : null;
+
+  const stpaTask = isStructured && validatedInput.stpa
+    ? (async () => {
+      onEvent('stage', { stage: 'stpa', status: 'started' });
+      const result = await generateSTPA(validatedInput, isStructured, { llm, signal, meter });
+      onEvent('stage', { stage: 'stpa', status: 'completed' });
+      onEvent('stpa', result);
+      return result;
+    })()
+    : null;
+
+  // Generate FMECA, the per-hazard fault trees, the HARA, the HAZOP and the STPA in parallel for better performance
+  const tasks = [
+    fmecaTask,
+    generateHazardFaultTrees(validatedInput, isStructured, { llm, maxHazards: validatedInput.maxHazards, onEvent, signal, meter }),
+    haraTask,
+    hazopTask,
+    stpaTask
+  ];
+  let failure = null;
+  const settled = await Promise.allSettled(tasks.map(task => task && task.catch(error => {
+    failure = failure || error;
+    siblings.abort();
+    throw error;
+  })));
+  if (failure) {
+    throw failure;
+  }
+  const [fmecaResult, hazardAnalysis, haraResult, hazopResult, stpaResult] = settled.map(outcome => outcome.value);
+
+  runSignal?.throwIfAborted();
+  onEvent('stage', { stage: 'quantification', status: 'started' });
+  const trees = hazardAnalysis.trees.map(tree => {
+    const fta = quantifyFTA(tree, validatedInput.quantification);
+    return {
+      ...fta,
+      // FMECA mitigations ordered by how much their failure mode drives this top event
+      mitigationRanking: rankMitigations(fmecaResult.fmecaTable, fta.importance)
+    };
+  });
+  const ftaResult = { ...hazardAnalysis, trees };
+  onEvent('stage', { stage: 'quantification', status: 'completed' });
+  onEvent('fta', ftaResult);
+
+  const milStd882 = safetyStandards.includes(MIL_STD_882E) ? assessMilStd882Risk(fmecaResult, ftaResult) : null;
+  if (milStd882) {
+    onEvent('mil-std-882', milStd882);
+  }
+
+  const generated = [fmecaResult, hazardAnalysis, ...trees, ...[haraResult, hazopResult, stpaResult].filter(Boolean)];
+
+  return {
+    success: true,
+    timestamp: new Date().toISOString(),
+    input: {
+      type: isStructured ? 'structured' : 'simple',
+      systemName: isStructured ? validatedInput.systemName : 'System Analysis'
+    },
+    results: {
+      fmeca: fmecaResult,
+      fta: ftaResult,
+      ...(haraResult && { hara: haraResult }),
+      ...(hazopResult && { hazop: hazopResult }),
+      ...(stpaResult && { stpa: stpaResult }),
+      ...(milStd882 && { milStd882 })
+    },
+    metadata: {
+      processingTime: Date.now() - startedAt,
+      componentsAnalyzed: isStructured ? validatedInput.components.length : 'N/A',
+      safetyStandards: isStructured ? (validatedInput.safetyStandards || ['General']) : ['General'],
+      llm,
+      usage: meter.totals(),
+      degraded: hasDegradedResults(generated)
+    }
+  };
+}
+
+module.exports = {
+  runAnalysis
+};
@@ -0,0 +1,129 @@
+/**
+ * Minimal reduced ordered binary decision diagram (ROBDD) for monotone fault tree logic
+ *
+ * Nodes are integer handles. 0 and 1 are the terminals; every other node tests one
+ * variable (by its position in the ordering) and branches to a low (variable false)
+ * and a high (variable true) child.
+ */
+
+const ZERO = 0;
+const ONE = 1;
+
+/**
+ * Create an empty BDD manager
+ * @param {string[]} variableOrder - Variable names in the order they are tested
+ * @returns {Object} BDD manager
+ */
+function createBDD(variableOrder) {
+  const levels = new Map(variableOrder.map((name, index) => [name, index]));
+  // Terminals sit below every variable
+  const nodes = [
+    { level: Infinity, low: null, high: null },
+    { level: Infinity, low: null, high: null }
+  ];
+  const unique = new Map();
+  const applyCache = new Map();
+
+  const makeNode = (level, low, high) => {
+    if (low === high) return low;
+    const key = `${level}:${low}:${high}`;
+    if (!unique.has(key)) {
+      unique.set(key, nodes.length);
+      nodes.push({ level, low, high });
+    }
+    return unique.get(key);
+  };
+
+  const variable = (name) => {
+    if (!levels.has(name)) {
+      throw new Error(`Unknown BDD variable "${name}"`);
+    }
+    return makeNode(levels.get(name), ZERO, ONE);
+  };
+
+  const apply = (op, a, b) => {
+    if (op === 'and') {
+      if (a === ZERO || b === ZERO) return ZERO;
+      if (a === ONE) return b;
+      if (b === ONE) return a;
+    } else {
+      if (a === ONE || b === ONE) return ONE;
+      if (a === ZERO) return b;
+      if (b === ZERO) return a;
+    }
+    if (a === b) return a;
+
+    // Operations are commutative, so normalise the cache key
+    const key = a < b ? `${op}:${a}:${b}` : `${op}:${b}:${a}`;
+    if (applyCache.has(key)) return applyCache.get(key);
+
+    const nodeA = nodes[a];
+    const nodeB = nodes[b];
+    const level = Math.min(nodeA.level, nodeB.level);
+    const [aLow, aHigh] = nodeA.level === level ? [nodeA.low, nodeA.high] : [a, a];
+    const [bLow, bHigh] = nodeB.level === level ? [nodeB.low, nodeB.high] : [b, b];
+
+    const result = makeNode(level, apply(op, aLow, bLow), apply(op, aHigh, bHigh));
+    applyCache.set(key, result);
+    return result;
+  };
+
+  const and = (a, b) => apply('and', a, b);
+  const or = (a, b) => apply('or', a, b);
+
+  /**
+   * At least k of the given functions are true
+   */
+  const atLeast = (k, functions) => {
+    const memo = new Map();
+    const build = (need, start) => {
+      if (need <= 0) return ONE;
+      if (functions.length - start < need) return ZERO;
+      const key = `${need}:${start}`;
+      if (!memo.has(key)) {
+        memo.set(key, or(
+          and(functions[start], build(need - 1, start + 1)),
+          build(need, start + 1)
+        ));
+      }
+      return memo.get(key);
+    };
+    return build(k, 0);
+  };
+
+  /**
+   * Exact probability that the function is true for independent variables
+   * @param {number} root - BDD node
+   * @param {Function} probabilityOf - Maps a variable name to its probability
+   * @returns {number} Probability
+   */
+  const probability = (root, probabilityOf) => {
+    const levelProbabilities = variableOrder.map(probabilityOf);
+    const memo = new Map([[ZERO, 0], [ONE, 1]]);
+    const visit = (id) => {
+      if (memo.has(id)) return memo.get(id);
+      const node = nodes[id];
+      const p = levelProbabilities[node.level];
+      const value = p * visit(node.high) + (1 - p) * visit(node.low);
+      memo.set(id, value);
+      return value;
+    };
+    return visit(root);
+  };
+
+  return {
+    variableOrder,
+    variable,
+    and,
+    or,
+    atLeast,
+    probability,
+    size: () => nodes.length
+  };
+}
+
+module.exports = {
+  ZERO,
+  ONE,
+  createBDD
+};
@@ -0,0 +1,152 @@
+/**
+ * Quantitative criticality analysis per MIL-STD-1629A, Task 102
+ *
+ * Failure mode criticality: Cm = β × α × λp × t
+ *   λp - part failure rate (failures per million hours)
+ *   α  - failure mode ratio: share of the part's failures that take this mode
+ *   β  - failure effect probability: chance the mode causes the stated end effect
+ *   t  - operating time (hours)
+ * Item criticality Cr is the sum of Cm over an item's failure modes of one severity class.
+ * Cm and Cr are expressed, like λp, per million.
+ */
+
+const { DEFAULT_RATING_SCALES, toTenPointRating } = require('./ratingScales');
+
+const CRITICALITY_MODES = ['rpn', 'quantitative'];
+
+// Severity classes, mapped from the 1-10 FMECA severity rating
+const SEVERITY_CLASSES = [
+  { id: 'I', name: 'Catastrophic', minSeverity: 9 },
+  { id: 'II', name: 'Critical', minSeverity: 7 },
+  { id: 'III', name: 'Marginal', minSeverity: 4 },
+  { id: 'IV', name: 'Minor', minSeverity: 1 }
+];
+
+// Criticality matrix rows span at most this many decades of Cr below the highest value
+const MAX_MATRIX_BANDS = 6;
+
+/**
+ * MIL-STD-1629A severity class of a 1-10 severity rating
+ */
+function toSeverityClass(severity) {
+  return (SEVERITY_CLASSES.find(level => severity >= level.minSeverity) || SEVERITY_CLASSES[SEVERITY_CLASSES.length - 1]).id;
+}
+
+/**
+ * Round to four significant digits
+ */
+function round(value) {
+  return Number(value.toPrecision(4));
+}
+
+/**
+ * Failure mode criticality of one FMECA row (null when a factor is missing)
+ */
+function modeCriticality(row, operatingTime) {
+  const factors = [row.failureEffectProbability, row.failureModeRatio, row.partFailureRate];
+  if (!factors.every(Number.isFinite)) {
+    return null;
+  }
+  return round(factors.reduce((product, factor) => product * factor, operatingTime));
+}
+
+/**
+ * Item criticality Cr per item and severity class, highest first
+ */
+function itemCriticality(rows) {
+  const items = new Map();
+  rows.filter(row => row.modeCriticality !== null).forEach(row => {
+    const key = `${row.itemFunction.trim().toLowerCase()}|${row.severityClass}`;
+    if (!items.has(key)) {
+      items.set(key, { item: row.itemFunction, severityClass: row.severityClass, criticality: 0, failureModes: 0 });
+    }
+    const entry = items.get(key);
+    entry.criticality += row.modeCriticality;
+    entry.failureModes++;
+  });
+
+  return [...items.values()]
+    .map(entry => ({ ...entry, criticality: round(entry.criticality) }))
+    .sort((a, b) => b.criticality - a.criticality);
+}
+
+/**
+ * Criticality matrix: severity classes against decades of Cr
+ * Each band covers [min, max); the lowest band is open-ended so every item has a cell.
+ * @returns {Object} { severityClasses, bands, cells: [{ severityClass, band, items }] }
+ */
+function criticalityMatrix(items) {
+  const values = items.map(item => item.criticality).filter(value => value > 0);
+  const top = values.length > 0 ? Math.floor(Math.log10(Math.max(...values))) : 0;
+  const bottom = values.length > 0 ? Math.max(Math.floor(Math.log10(Math.min(...values))), top - MAX_MATRIX_BANDS + 1) : 0;
+
+  const bands = [];
+  for (let exponent = top; exponent >= bottom; exponent--) {
+    bands.push({ min: exponent === bottom ? 0 : 10 ** exponent, max: 10 ** (exponent + 1) });
+  }
+
+  const bandOf = value => {
+    const index = bands.findIndex(band => value >= band.min);
+    return index === -1 ? bands.length - 1 : index;
+  };
+
+  const cells = [];
+  SEVERITY_CLASSES.forEach(({ id }) => {
+    bands.forEach((band, index) => {
+      const inCell = items.filter(item => item.severityClass === id && bandOf(item.criticality) === index);
+      if (inCell.length > 0) {
+        cells.push({ severityClass: id, band: index, items: inCell.map(({ item, criticality }) => ({ item, criticality })) });
+      }
+    });
+  });
+
+  return { severityClasses: SEVERITY_CLASSES.map(({ id, name }) => ({ id, name })), bands, cells };
+}
+
+/**
+ * Add MIL-STD-1629A criticality to an FMECA result
+ * Rows gain severityClass, operatingTime and modeCriticality (Cm); the result gains
+ * `criticality` with item criticality numbers, the criticality matrix and a summary.
+ * Rows without λp, α or β (e.g. fallback data) keep a null Cm and are left out of Cr.
+ * Severity ratings on other scales than 1-10 are mapped onto 1-10 before classing.
+ * @param {Object} fmeca - FMECA result ({ fmecaTable, summary, ratingScales? })
+ * @param {Object} options - { operatingTime } in hours
+ * @returns {Object} FMECA result with criticality
+ */
+function analyzeCriticality(fmeca, { operatingTime }) {
+  const scales = fmeca.ratingScales || DEFAULT_RATING_SCALES;
+  const rows = fmeca.fmecaTable.map(row => {
+    const severityClass = toSeverityClass(toTenPointRating(row.severity, 'severity', scales));
+    return { ...row, severityClass, operatingTime, modeCriticality: modeCriticality(row, operatingTime) };
+  });
+
+  const items = itemCriticality(rows);
+  const byClass = Object.fromEntries(SEVERITY_CLASSES.map(({ id }) => [
+    id,
+    round(items.filter(item => item.severityClass === id).reduce((sum, item) => sum + item.criticality, 0))
+  ]));
+
+  return {
+    ...fmeca,
+    fmecaTable: rows,
+    criticality: {
+      method: 'MIL-STD-1629A',
+      operatingTime,
+      units: 'failures per million',
+      itemCriticality: items,
+      matrix: criticalityMatrix(items),
+      summary: {
+        criticalityBySeverityClass: byClass,
+        mostCriticalItem: items[0] || null,
+        unquantifiedRows: rows.filter(row => row.modeCriticality === null).length
+      }
+    }
+  };
+}
+
+module.exports = {
+  CRITICALITY_MODES,
+  SEVERITY_CLASSES,
+  toSeverityClass,
+  analyzeCriticality
+};
@@ -0,0 +1,203 @@
+const { indexFaultTree, LEAF_TYPES } = require('./faultTree');
+
+// Guard against combinatorial explosion on very large or deeply voted trees: beyond this many
+// cut sets per node only the lowest-order and, within an order, most probable ones are kept and
+// the result is flagged as truncated
+const MAX_CUT_SETS = 10000;
+
+/**
+ * Order of truncation: lowest order first, then most probable, then by event ids
+ */
+function byOrderAndProbability(context) {
+  return (a, b) => a.length - b.length ||
+    context.probabilityOf(b) - context.probabilityOf(a) ||
+    a.join().localeCompare(b.join());
+}
+
+/**
+ * Remove non-minimal cut sets (absorption: A + A·B = A) and duplicates
+ * @param {string[][]} family - Cut sets as sorted arrays of leaf ids
+ * @returns {string[][]} Minimal family, shortest sets first
+ */
+function minimize(family) {
+  const sorted = [...family].sort((a, b) => a.length - b.length || a.join().localeCompare(b.join()));
+  const kept = [];
+  const keptSets = [];
+  const keys = new Set();
+  sorted.forEach(cutSet => {
+    // Sets of the same order only absorb their duplicates, so only shorter ones need the subset check
+    const key = cutSet.join();
+    const isSuperset = keys.has(key) ||
+      keptSets.some(existing => existing.size < cutSet.length && [...existing].every(id => cutSet.includes(id)));
+    if (!isSuperset) {
+      kept.push(cutSet);
+      keptSets.push(new Set(cutSet));
+      keys.add(key);
+    }
+  });
+  return kept;
+}
+
+/**
+ * Keep the MAX_CUT_SETS shortest and most probable sets of a minimal family
+ */
+function limit(family, context) {
+  if (family.length <= MAX_CUT_SETS) return family;
+  context.truncated = true;
+  return [...family].sort(byOrderAndProbability(context)).slice(0, MAX_CUT_SETS);
+}
+
+/**
+ * Boolean OR of two cut set families
+ */
+function union(a, b, context) {
+  return limit(minimize([...a, ...b]), context);
+}
+
+/**
+ * Boolean AND of two cut set families (every pairwise merge)
+ * Past MAX_CUT_SETS merges the pairs are taken in order of their combined size and, within a
+ * size, of their probability, so the lowest-order and most probable cut sets are the ones that
+ * remain. Of two families sorted by probability, the pair at positions i and j has at least
+ * (i + 1) × (j + 1) pairs at least as probable, so no other pair can make the cut.
+ */
+function product(a, b, context) {
+  const merge = (left, right) => [...new Set([...left, ...right])].sort();
+
+  if (a.length * b.length <= MAX_CUT_SETS) {
+    return limit(minimize(a.flatMap(left => b.map(right => merge(left, right)))), context);
+  }
+
+  context.truncated = true;
+  const bySize = family => {
+    const groups = new Map();
+    [...family].sort(byOrderAndProbability(context)).forEach(cutSet => {
+      if (!groups.has(cutSet.length)) groups.set(cutSet.length, []);
+      groups.get(cutSet.length).push(cutSet);
+    });
+    return groups;
+  };
+  const leftGroups = bySize(a);
+  const rightGroups = bySize(b);
+  const sums = [...new Set([...leftGroups.keys()].flatMap(left => [...rightGroups.keys()].map(right => left + right)))]
+    .sort((x, y) => x - y);
+
+  const merged = [];
+  for (const sum of sums) {
+    const room = MAX_CUT_SETS - merged.length;
+    if (room <= 0) break;
+    const pairs = [];
+    leftGroups.forEach((lefts, leftSize) => {
+      const rights = rightGroups.get(sum - leftSize) || [];
+      for (let i = 0; i < lefts.length && i < room; i++) {
+        for (let j = 0; j < rights.length && (i + 1) * (j + 1) <= room; j++) {
+          pairs.push({ left: lefts[i], right: rights[j], probability: context.probabilityOf(lefts[i]) * context.probabilityOf(rights[j]) });
+        }
+      }
+    });
+    pairs
+      .sort((x, y) => y.probability - x.probability)
+      .slice(0, room)
+      .forEach(({ left, right }) => merged.push(merge(left, right)));
+  }
+  return limit(minimize(merged), context);
+}
+
+/**
+ * Minimal cut sets of a fault tree by Boolean reduction (MOCUS with absorption)
+ * Each node is expanded once and reused wherever it is shared
+ * @param {Object} tree - Validated fault tree graph
+ * @param {Function} [probabilityOf] - Probability of a basic event id, ranks the sets kept on truncation
+ * @returns {{sets: string[][], truncated: boolean}} Minimal cut sets as sorted arrays of
+ *   basic/undeveloped event ids; `truncated` when MAX_CUT_SETS cut off sets
+ */
+function reduceFaultTree(tree, probabilityOf = () => 0) {
+  const { nodes, children, top } = indexFaultTree(tree);
+  const context = {
+    truncated: false,
+    probabilityOf: cutSet => cutSet.reduce((acc, id) => acc * probabilityOf(id), 1)
+  };
+  if (!top) return { sets: [], truncated: false };
+
+  const families = new Map();
+  const expand = (id) => {
+    if (families.has(id)) return families.get(id);
+    const node = nodes.get(id);
+    const inputs = children.get(id).map(expand);
+    let family;
+
+    if (node.kind === 'event') {
+      family = LEAF_TYPES.includes(node.type) ? [[id]] : inputs[0];
+    } else if (node.type === 'AND') {
+      family = inputs.reduce((acc, input) => product(acc, input, context), [[]]);
+    } else if (node.type === 'OR') {
+      family = inputs.reduce((acc, input) => union(acc, input, context), []);
+    } else {
+      // atLeast[j] = cut sets for "j of the inputs seen so far have failed"
+      const atLeast = [[[]], ...new Array(node.k).fill([])];
+      inputs.forEach(input => {
+        for (let j = node.k; j >= 1; j--) {
+          atLeast[j] = union(atLeast[j], product(atLeast[j - 1], input, context), context);
+        }
+      });
+      family = atLeast[node.k];
+    }
+
+    families.set(id, family);
+    return family;
+  };
+
+  return { sets: expand(top.id), truncated: context.truncated };
+}
+
+/**
+ * Minimal cut sets of a fault tree
+ * @param {Object} tree - Validated fault tree graph
+ * @returns {string[][]} Minimal cut sets as sorted arrays of basic/undeveloped event ids
+ */
+function findMinimalCutSets(tree) {
+  return reduceFaultTree(tree).sets;
+}
+
+/**
+ * Minimal cut sets ranked by probability, with single-point failures flagged
+ * @param {Object} tree - Validated fault tree graph
+ * @param {Object} quantification - Result of evaluateFaultTree (supplies basic event probabilities)
+ * @returns {Object} Summary counts and the ranked cut sets; `truncated` when only the
+ *   MAX_CUT_SETS lowest-order and most probable sets were kept
+ */
+function analyzeCutSets(tree, quantification) {
+  const { nodes } = indexFaultTree(tree);
+  const probabilityOf = (id) => quantification.basicEvents[id]?.probability ?? 0;
+
+  const reduced = reduceFaultTree(tree, probabilityOf);
+  const sets = reduced.sets
+    .map(events => ({
+      events,
+      descriptions: events.map(id => nodes.get(id).description),
+      order: events.length,
+      probability: events.reduce((acc, id) => acc * probabilityOf(id), 1),
+      singlePointFailure: events.length === 1
+    }))
+    .sort((a, b) => b.probability - a.probability || a.order - b.order || a.events.join().localeCompare(b.events.join()))
+    .map((cutSet, index) => ({ rank: index + 1, ...cutSet }));
+
+  const byOrder = {};
+  sets.forEach(({ order }) => {
+    byOrder[order] = (byOrder[order] || 0) + 1;
+  });
+
+  return {
+    total: sets.length,
+    singlePointFailures: sets.filter(cutSet => cutSet.singlePointFailure).length,
+    byOrder,
+    truncated: reduced.truncated,
+    sets
+  };
+}
+
+module.exports = {
+  MAX_CUT_SETS,
+  findMinimalCutSets,
+  analyzeCutSets
+};
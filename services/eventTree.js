@@ -0,0 +1,175 @@
+/**
+ * Event tree analysis (ETA) and bow-tie diagrams
+ *
+ * An event tree follows an initiating event (a hazard: a fault tree top event or an FMECA end
+ * effect) through the safety barriers in the order they are demanded. Each barrier works with
+ * probability 1 - PFD or fails on demand with its PFD (failureProbability), so a sequence's
+ * frequency is the initiating event frequency times the branch probabilities along it. A barrier
+ * with `stopsOnSuccess` ends the sequence when it works: the barriers after it are not demanded.
+ *
+ * The bow-tie puts the causes of the hazard (the fault tree's minimal cut sets, or the listed
+ * causes) left of the hazard and the consequences of the event tree right of it.
+ */
+
+const { quantifyFTA } = require('./faultTreeEvaluator');
+const { indexFaultTree } = require('./faultTree');
+
+const MAX_BARRIERS = 6;
+// Cause lines drawn on the left of a bow-tie; the less likely cut sets are only counted
+const MAX_BOW_TIE_THREATS = 10;
+const OUTCOMES = ['controlled', 'degraded', 'unmitigated'];
+
+/**
+ * Outcome of a sequence: every demanded barrier worked, some failed, or all of them failed
+ */
+function sequenceOutcome(path, barrierCount) {
+  const failed = path.filter(branch => branch.state === 'failure').length;
+  if (failed === 0) return 'controlled';
+  return failed === barrierCount ? 'unmitigated' : 'degraded';
+}
+
+/**
+ * Consequence of a sequence in words
+ */
+function describeConsequence(path, outcome, initiatingEvent) {
+  if (outcome === 'unmitigated') return initiatingEvent.consequence || `Unmitigated: ${initiatingEvent.description}`;
+  const names = state => path.filter(branch => branch.state === state).map(branch => branch.barrier);
+  const failed = names('failure');
+  return `Controlled by ${names('success').join(', ')}${failed.length > 0 ? ` (${failed.join(', ')} failed)` : ''}`;
+}
+
+/**
+ * Event tree of an initiating event and the barriers demanded after it
+ * @param {Object} initiatingEvent - { description, frequency, unit, consequence? }
+ * @param {Object[]} barriers - [{ name, failureProbability, stopsOnSuccess }] in demand order
+ * @returns {Object} { initiatingEvent, barriers, sequences, summary }; sequence frequencies use
+ *   the unit of the initiating event frequency
+ */
+function buildEventTree(initiatingEvent, barriers) {
+  const sequences = [];
+  const branch = (index, path, probability) => {
+    const barrier = barriers[index];
+    const ended = index === barriers.length || path[path.length - 1]?.ends;
+    if (ended) {
+      const steps = path.map(({ barrier: name, state }) => ({ barrier: name, state }));
+      const outcome = sequenceOutcome(steps, barriers.length);
+      sequences.push({
+        id: `S${sequences.length + 1}`,
+        path: steps,
+        probability,
+        frequency: initiatingEvent.frequency * probability,
+        outcome,
+        consequence: describeConsequence(steps, outcome, initiatingEvent)
+      });
+      return;
+    }
+    // Success first, so S1 is the sequence in which every barrier works
+    branch(index + 1, [...path, { barrier: barrier.name, state: 'success', ends: Boolean(barrier.stopsOnSuccess) }],
+      probability * (1 - barrier.failureProbability));
+    branch(index + 1, [...path, { barrier: barrier.name, state: 'failure' }], probability * barrier.failureProbability);
+  };
+  branch(0, [], 1);
+
+  const frequencyByOutcome = Object.fromEntries(OUTCOMES.map(outcome => [
+    outcome,
+    sequences.filter(sequence => sequence.outcome === outcome).reduce((sum, sequence) => sum + sequence.frequency, 0)
+  ]));
+
+  return {
+    initiatingEvent,
+    barriers,
+    sequences,
+    summary: {
+      sequences: sequences.length,
+      frequencyByOutcome,
+      // How much the barriers together reduce the frequency of the unmitigated consequence
+      riskReductionFactor: frequencyByOutcome.unmitigated > 0 ? initiatingEvent.frequency / frequencyByOutcome.unmitigated : null
+    }
+  };
+}
+
+/**
+ * Bow-tie of an event tree: the hazard's causes on the left, its consequences on the right
+ * @param {Object} eventTree - Result of buildEventTree
+ * @param {Object} [faultTree] - Quantified fault tree of the hazard (with `cutSets`); without
+ *   it the causes listed on the initiating event are used
+ * @returns {Object} { hazard, threats, omittedThreats, barriers, consequences }
+ */
+function buildBowTie(eventTree, faultTree) {
+  const { initiatingEvent } = eventTree;
+  const threats = faultTree
+    ? faultTree.cutSets.sets.map((cutSet, index) => ({
+      id: `T${index + 1}`,
+      events: cutSet.events,
+      descriptions: cutSet.descriptions,
+      probability: cutSet.probability,
+      singlePointFailure: cutSet.singlePointFailure
+    }))
+    : (initiatingEvent.causes || []).map((cause, index) => ({
+      id: `T${index + 1}`,
+      events: [],
+      descriptions: [cause],
+      probability: null,
+      singlePointFailure: null
+    }));
+
+  // Sequences ending in the same consequence share one line on the right
+  const consequences = [];
+  eventTree.sequences.forEach(sequence => {
+    const existing = consequences.find(entry => entry.consequence === sequence.consequence);
+    if (existing) {
+      existing.sequences.push(sequence.id);
+      existing.frequency += sequence.frequency;
+    } else {
+      consequences.push({
+        consequence: sequence.consequence,
+        outcome: sequence.outcome,
+        failedBarriers: sequence.path.filter(branch => branch.state === 'failure').map(branch => branch.barrier),
+        frequency: sequence.frequency,
+        sequences: [sequence.id]
+      });
+    }
+  });
+
+  return {
+    hazard: { description: initiatingEvent.description, frequency: initiatingEvent.frequency, unit: initiatingEvent.unit },
+    threats: threats.slice(0, MAX_BOW_TIE_THREATS),
+    omittedThreats: Math.max(0, threats.length - MAX_BOW_TIE_THREATS),
+    barriers: eventTree.barriers.map(({ name, failureProbability }) => ({ name, failureProbability })),
+    consequences
+  };
+}
+
+/**
+ * Event tree and bow-tie of a hazard
+ * With a fault tree the hazard is its top event, occurring with the top event probability over
+ * the mission time unless the initiating event gives its own frequency
+ * @param {Object} request - Validated { initiatingEvent?, barriers, faultTree?, quantification? }
+ * @returns {Object} { eventTree, bowTie }
+ */
+function analyzeEventTree({ initiatingEvent = {}, barriers, faultTree, quantification = {} }) {
+  const quantified = faultTree && quantifyFTA(faultTree, quantification);
+  const fromFaultTree = quantified && {
+    description: quantified.topEvent || indexFaultTree(quantified).top.description,
+    frequency: quantified.quantification.topEventProbability,
+    unit: `per mission of ${quantified.quantification.missionTime} h`
+  };
+
+  const eventTree = buildEventTree({
+    unit: 'per year',
+    ...fromFaultTree,
+    // A frequency of its own is per year unless the request says otherwise
+    ...(initiatingEvent.frequency !== undefined && { unit: 'per year' }),
+    ...initiatingEvent
+  }, barriers);
+  return { eventTree, bowTie: buildBowTie(eventTree, quantified) };
+}
+
+module.exports = {
+  MAX_BARRIERS,
+  MAX_BOW_TIE_THREATS,
+  OUTCOMES,
+  buildEventTree,
+  buildBowTie,
+  analyzeEventTree
+};
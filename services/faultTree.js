@@ -0,0 +1,254 @@
+/**
+ * Canonical fault tree model
+ *
+ * A fault tree is a typed graph:
+ * - events: { id, type: top|intermediate|basic|undeveloped, description, probability?, failureRate? }
+ * - gates:  { id, type: AND|OR|KOFN, k? (KOFN only), description }
+ * - edges:  { from, to } pointing from a parent (event or gate) to one of its inputs
+ *
+ * Top and intermediate events are each resolved by exactly one gate. Gates take events
+ * or other gates as inputs. Basic and undeveloped events are leaves and may be shared by
+ * several gates. Every rendering (Mermaid, tables, ...) is derived from this graph.
+ */
+
+const EVENT_TYPES = ['top', 'intermediate', 'basic', 'undeveloped'];
+const GATE_TYPES = ['AND', 'OR', 'KOFN'];
+const LEAF_TYPES = ['basic', 'undeveloped'];
+
+/**
+ * Index a fault tree by node id
+ * @param {Object} tree - Fault tree graph
+ * @returns {{nodes: Map, children: Map, parents: Map, top: Object|undefined}} Lookup tables
+ */
+function indexFaultTree(tree) {
+  const nodes = new Map();
+  const children = new Map();
+  const parents = new Map();
+
+  (tree.events || []).forEach(event => nodes.set(event.id, { ...event, kind: 'event' }));
+  (tree.gates || []).forEach(gate => nodes.set(gate.id, { ...gate, kind: 'gate' }));
+  nodes.forEach((node, id) => {
+    children.set(id, []);
+    parents.set(id, []);
+  });
+
+  (tree.edges || []).forEach(({ from, to }) => {
+    if (children.has(from) && parents.has(to)) {
+      children.get(from).push(to);
+      parents.get(to).push(from);
+    }
+  });
+
+  const top = (tree.events || []).find(event => event.type === 'top');
+  return { nodes, children, parents, top };
+}
+
+/**
+ * Check the structural rules of a fault tree
+ * @param {Object} tree - Fault tree graph
+ * @returns {string[]} Problems found (empty when the tree is well formed)
+ */
+function validateFaultTreeStructure(tree) {
+  const errors = [];
+  const events = tree.events || [];
+  const gates = tree.gates || [];
+  const edges = tree.edges || [];
+
+  const seen = new Set();
+  [...events, ...gates].forEach(node => {
+    if (seen.has(node.id)) errors.push(`id "${node.id}" is used more than once`);
+    seen.add(node.id);
+  });
+
+  const topEvents = events.filter(event => event.type === 'top');
+  if (topEvents.length !== 1) {
+    errors.push(`fault tree must have exactly one top event (found ${topEvents.length})`);
+  }
+
+  edges.forEach(({ from, to }) => {
+    if (!seen.has(from)) errors.push(`edge from unknown node "${from}"`);
+    if (!seen.has(to)) errors.push(`edge to unknown node "${to}"`);
+  });
+  if (errors.length > 0) return errors;
+
+  const { nodes, children, parents, top } = indexFaultTree(tree);
+
+  events.forEach(event => {
+    const inputs = children.get(event.id);
+    if (LEAF_TYPES.includes(event.type)) {
+      if (inputs.length > 0) errors.push(`${event.type} event "${event.id}" cannot have inputs`);
+    } else if (inputs.length !== 1 || nodes.get(inputs[0]).kind !== 'gate') {
+      errors.push(`${event.type} event "${event.id}" must connect to exactly one gate`);
+    }
+    if (event.type === 'top' && parents.get(event.id).length > 0) {
+      errors.push(`top event "${event.id}" cannot be an input to a gate`);
+    } else if (event.type !== 'top' && parents.get(event.id).length === 0) {
+      errors.push(`event "${event.id}" is not connected to any gate`);
+    }
+  });
+
+  gates.forEach(gate => {
+    const inputs = children.get(gate.id);
+    if (inputs.length < 2) {
+      errors.push(`gate "${gate.id}" must have at least two inputs`);
+    }
+    if (gate.type === 'KOFN' && !(Number.isInteger(gate.k) && gate.k >= 1 && gate.k <= inputs.length)) {
+      errors.push(`KOFN gate "${gate.id}" needs an integer k between 1 and its number of inputs (${inputs.length})`);
+    }
+    if (parents.get(gate.id).length !== 1) {
+      errors.push(`gate "${gate.id}" must have exactly one parent`);
+    }
+  });
+
+  if (errors.length > 0 || !top) return errors;
+
+  // Every node must be reachable from the top event, without cycles
+  const visiting = new Set();
+  const visited = new Set();
+  const visit = (id) => {
+    if (visiting.has(id)) {
+      errors.push(`cycle detected through "${id}"`);
+      return;
+    }
+    if (visited.has(id)) return;
+    visiting.add(id);
+    children.get(id).forEach(visit);
+    visiting.delete(id);
+    visited.add(id);
+  };
+  visit(top.id);
+
+  nodes.forEach((node, id) => {
+    if (!visited.has(id)) errors.push(`node "${id}" is not reachable from the top event`);
+  });
+
+  return errors;
+}
+
+/**
+ * Visit nodes breadth-first from the top event (deterministic for a given tree)
+ * @returns {string[]} Node ids in visiting order
+ */
+function breadthFirstOrder(tree) {
+  const { children, top } = indexFaultTree(tree);
+  if (!top) return [];
+
+  const order = [top.id];
+  const seen = new Set(order);
+  for (let i = 0; i < order.length; i++) {
+    children.get(order[i]).forEach(child => {
+      if (!seen.has(child)) {
+        seen.add(child);
+        order.push(child);
+      }
+    });
+  }
+  return order;
+}
+
+/**
+ * Escape text for use inside a quoted Mermaid label
+ */
+function escapeMermaidLabel(text) {
+  return String(text || '')
+    .replace(/"/g, '#quot;')
+    .replace(/[\r\n]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Build Mermaid-safe node ids (unique, alphanumeric) for every node in the tree
+ */
+function buildMermaidIds(order) {
+  const ids = new Map();
+  const used = new Set();
+  order.forEach(id => {
+    const base = `n_${String(id).replace(/[^A-Za-z0-9]/g, '_')}`;
+    let candidate = base;
+    for (let suffix = 2; used.has(candidate); suffix++) {
+      candidate = `${base}_${suffix}`;
+    }
+    used.add(candidate);
+    ids.set(id, candidate);
+  });
+  return ids;
+}
+
+/**
+ * Label shown inside a gate symbol
+ */
+function gateLabel(gate, inputCount) {
+  return gate.type === 'KOFN' ? `${gate.k}/${inputCount}` : gate.type;
+}
+
+/**
+ * Render a fault tree as a Mermaid flowchart
+ * @param {Object} tree - Validated fault tree graph
+ * @param {Object} [options] - Rendering options
+ * @param {Object} [options.annotations] - Extra label line per node id (e.g. computed probabilities)
+ * @returns {string} Mermaid flowchart text
+ */
+function toMermaid(tree, { annotations = {} } = {}) {
+  const { nodes, children } = indexFaultTree(tree);
+  const order = breadthFirstOrder(tree);
+  const mermaidIds = buildMermaidIds(order);
+
+  const label = (id, text) => {
+    const extra = annotations[id] ? `<br/>${escapeMermaidLabel(annotations[id])}` : '';
+    return `"${escapeMermaidLabel(text)}${extra}"`;
+  };
+
+  const lines = ['flowchart TD'];
+  order.forEach(id => {
+    const node = nodes.get(id);
+    const mermaidId = mermaidIds.get(id);
+    if (node.kind === 'gate') {
+      lines.push(`    ${mermaidId}{${label(id, gateLabel(node, children.get(id).length))}}`);
+    } else if (node.type === 'basic') {
+      lines.push(`    ${mermaidId}((${label(id, node.description)}))`);
+    } else if (node.type === 'undeveloped') {
+      lines.push(`    ${mermaidId}{{${label(id, node.description)}}}`);
+    } else {
+      lines.push(`    ${mermaidId}[${label(id, node.description)}]`);
+    }
+  });
+
+  order.forEach(id => {
+    children.get(id).forEach(child => {
+      lines.push(`    ${mermaidIds.get(id)} --> ${mermaidIds.get(child)}`);
+    });
+  });
+
+  const classMembers = { gate: [], top: [], intermediate: [], basic: [], undeveloped: [] };
+  order.forEach(id => {
+    const node = nodes.get(id);
+    classMembers[node.kind === 'gate' ? 'gate' : node.type].push(mermaidIds.get(id));
+  });
+
+  lines.push(
+    '',
+    '    %% Professional FTA Styling',
+    '    classDef gate fill:#2c3e50,stroke:#34495e,stroke-width:3px,color:#ffffff,font-weight:700;',
+    '    classDef top fill:#e74c3c,stroke:#c0392b,stroke-width:3px,color:#ffffff,font-weight:700;',
+    '    classDef intermediate fill:#3498db,stroke:#2980b9,stroke-width:2px,color:#ffffff,font-weight:600;',
+    '    classDef basic fill:#f39c12,stroke:#e67e22,stroke-width:2px,color:#ffffff,font-weight:600;',
+    '    classDef undeveloped fill:#ecf0f1,stroke:#2c3e50,stroke-width:2px,color:#2c3e50,font-weight:600;'
+  );
+  Object.entries(classMembers).forEach(([className, members]) => {
+    if (members.length > 0) {
+      lines.push(`    class ${members.join(',')} ${className};`);
+    }
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  EVENT_TYPES,
+  GATE_TYPES,
+  LEAF_TYPES,
+  indexFaultTree,
+  validateFaultTreeStructure,
+  breadthFirstOrder,
+  toMermaid
+};
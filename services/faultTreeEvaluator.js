@@ -0,0 +1,233 @@
+const { createBDD, ONE, ZERO } = require('./bdd');
+const { indexFaultTree, breadthFirstOrder, LEAF_TYPES, toMermaid } = require('./faultTree');
+const { analyzeCutSets } = require('./cutSets');
+const { computeImportance } = require('./importance');
+
+const EVALUATION_METHODS = ['exact', 'rare-event'];
+const DEFAULT_MISSION_TIME = 1; // hours
+
+/**
+ * Probability that a basic event has occurred by the end of the mission
+ * Failure rates assume an exponential distribution: P = 1 - exp(-λt)
+ * @param {Object} event - Basic or undeveloped event
+ * @param {number} missionTime - Mission time in hours
+ * @returns {number} Probability
+ */
+function basicEventProbability(event, missionTime) {
+  if (typeof event.probability === 'number') {
+    return event.probability;
+  }
+  if (typeof event.failureRate === 'number') {
+    return 1 - Math.exp(-event.failureRate * missionTime);
+  }
+  return 0;
+}
+
+/**
+ * Leaf events in depth-first order from the top (used as the BDD variable order)
+ */
+function leafOrder(tree) {
+  const { nodes, children, top } = indexFaultTree(tree);
+  const order = [];
+  const seen = new Set();
+  const visit = (id) => {
+    if (seen.has(id)) return;
+    seen.add(id);
+    const node = nodes.get(id);
+    if (node.kind === 'event' && LEAF_TYPES.includes(node.type)) {
+      order.push(id);
+    }
+    children.get(id).forEach(visit);
+  };
+  if (top) visit(top.id);
+  return order;
+}
+
+/**
+ * Build one BDD per node of the tree (shared events are handled exactly)
+ * @param {Object} tree - Validated fault tree graph
+ * @returns {{bdd: Object, functions: Map<string, number>}} BDD manager and node functions
+ */
+function buildFaultTreeBDD(tree) {
+  const { nodes, children } = indexFaultTree(tree);
+  const bdd = createBDD(leafOrder(tree));
+  const functions = new Map();
+
+  const build = (id) => {
+    if (functions.has(id)) return functions.get(id);
+    const node = nodes.get(id);
+    const inputs = children.get(id).map(build);
+    let result;
+
+    if (node.kind === 'event') {
+      result = LEAF_TYPES.includes(node.type) ? bdd.variable(id) : inputs[0];
+    } else if (node.type === 'AND') {
+      result = inputs.reduce((acc, input) => bdd.and(acc, input), ONE);
+    } else if (node.type === 'OR') {
+      result = inputs.reduce((acc, input) => bdd.or(acc, input), ZERO);
+    } else {
+      result = bdd.atLeast(node.k, inputs);
+    }
+
+    functions.set(id, result);
+    return result;
+  };
+
+  breadthFirstOrder(tree).forEach(build);
+  return { bdd, functions };
+}
+
+/**
+ * Sum of products over every k-sized subset (rare-event approximation of a k-out-of-n gate)
+ */
+function sumOfSubsetProducts(probabilities, k) {
+  // dp[j] = sum of products over subsets of size j seen so far
+  const dp = [1, ...new Array(k).fill(0)];
+  probabilities.forEach(p => {
+    for (let j = k; j >= 1; j--) {
+      dp[j] += dp[j - 1] * p;
+    }
+  });
+  return dp[k];
+}
+
+/**
+ * Gate-by-gate rare-event approximation (OR gates sum, AND gates multiply)
+ */
+function evaluateRareEvent(tree, leafProbabilities) {
+  const { nodes, children } = indexFaultTree(tree);
+  const values = new Map();
+
+  const visit = (id) => {
+    if (values.has(id)) return values.get(id);
+    const node = nodes.get(id);
+    const inputs = children.get(id).map(visit);
+    let value;
+
+    if (node.kind === 'event') {
+      value = LEAF_TYPES.includes(node.type) ? leafProbabilities.get(id) : inputs[0];
+    } else if (node.type === 'AND') {
+      value = inputs.reduce((acc, p) => acc * p, 1);
+    } else if (node.type === 'OR') {
+      value = inputs.reduce((acc, p) => acc + p, 0);
+    } else {
+      value = sumOfSubsetProducts(inputs, node.k);
+    }
+
+    value = Math.min(1, value);
+    values.set(id, value);
+    return value;
+  };
+
+  breadthFirstOrder(tree).forEach(visit);
+  return values;
+}
+
+/**
+ * Create a reusable evaluator for one tree
+ * The BDD is built once; probabilities can then be recomputed for different inputs
+ * @param {Object} tree - Validated fault tree graph
+ * @param {Object} [options] - { missionTime, method }
+ * @returns {Function} (overrides?) => Map of node id to probability
+ */
+function createEvaluator(tree, { missionTime = DEFAULT_MISSION_TIME, method = 'exact' } = {}) {
+  const { nodes } = indexFaultTree(tree);
+  const leaves = leafOrder(tree);
+  const baseProbabilities = new Map(leaves.map(id => [id, basicEventProbability(nodes.get(id), missionTime)]));
+  const compiled = method === 'exact' ? buildFaultTreeBDD(tree) : null;
+
+  return (overrides = {}) => {
+    const leafProbabilities = new Map(baseProbabilities);
+    Object.entries(overrides).forEach(([id, p]) => {
+      if (leafProbabilities.has(id)) leafProbabilities.set(id, p);
+    });
+
+    if (!compiled) {
+      return evaluateRareEvent(tree, leafProbabilities);
+    }
+
+    const values = new Map();
+    compiled.functions.forEach((root, id) => {
+      values.set(id, compiled.bdd.probability(root, name => leafProbabilities.get(name)));
+    });
+    return values;
+  };
+}
+
+/**
+ * Quantify a fault tree
+ * @param {Object} tree - Validated fault tree graph
+ * @param {Object} [options] - Evaluation options
+ * @param {number} [options.missionTime] - Mission/exposure time in hours (default 1)
+ * @param {string} [options.method] - "exact" (BDD) or "rare-event"
+ * @returns {Object} Top event probability plus the value of every node
+ */
+function evaluateFaultTree(tree, { missionTime = DEFAULT_MISSION_TIME, method = 'exact' } = {}) {
+  const { nodes, top } = indexFaultTree(tree);
+  const values = createEvaluator(tree, { missionTime, method })();
+
+  const basicEvents = {};
+  leafOrder(tree).forEach(id => {
+    const event = nodes.get(id);
+    basicEvents[id] = {
+      probability: values.get(id),
+      failureRate: typeof event.failureRate === 'number' ? event.failureRate : null,
+      basis: typeof event.probability === 'number' ? 'probability' : 'failureRate'
+    };
+  });
+
+  return {
+    method,
+    missionTime,
+    topEventProbability: top ? values.get(top.id) : null,
+    nodes: Object.fromEntries(values),
+    basicEvents
+  };
+}
+
+/**
+ * Format a probability for display on a diagram node
+ */
+function formatProbability(probability) {
+  return `P = ${probability.toExponential(2)}`;
+}
+
+/**
+ * Evaluate a fault tree and redraw its diagram with the computed values on the nodes
+ * @param {Object} fta - FTA result containing the fault tree graph
+ * @param {Object} [options] - Evaluation options (see evaluateFaultTree) plus `sensitivityFactor`
+ * @returns {Object} FTA result with `quantification`, ranked minimal `cutSets`, basic event
+ *   `importance` and an annotated `mermaidDiagram`
+ */
+function quantifyFTA(fta, options = {}) {
+  const { sensitivityFactor, ...evaluation } = options;
+  const quantification = evaluateFaultTree(fta, evaluation);
+  const evaluate = createEvaluator(fta, { missionTime: quantification.missionTime, method: quantification.method });
+  const { nodes, parents } = indexFaultTree(fta);
+  const annotations = {};
+  Object.entries(quantification.nodes).forEach(([id, probability]) => {
+    // A gate directly under an event has the same value as that event, so label the event only
+    const parent = nodes.get(parents.get(id)[0]);
+    if (nodes.get(id).kind === 'event' || parent?.kind === 'gate') {
+      annotations[id] = formatProbability(probability);
+    }
+  });
+
+  return {
+    ...fta,
+    quantification,
+    cutSets: analyzeCutSets(fta, quantification),
+    importance: computeImportance(fta, evaluate, { sensitivityFactor }),
+    mermaidDiagram: toMermaid(fta, { annotations })
+  };
+}
+
+module.exports = {
+  EVALUATION_METHODS,
+  DEFAULT_MISSION_TIME,
+  basicEventProbability,
+  buildFaultTreeBDD,
+  createEvaluator,
+  evaluateFaultTree,
+  quantifyFTA
+};
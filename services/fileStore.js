@@ -0,0 +1,86 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Directory holding persisted data (jobs, projects, ...)
+ */
+function getDataDir() {
+  return process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+}
+
+/**
+ * Ids become file names, so only allow a safe character set
+ */
+function assertSafeId(id) {
+  if (!/^[A-Za-z0-9_-]+$/.test(String(id))) {
+    throw new Error(`Invalid record id "${id}"`);
+  }
+}
+
+/**
+ * Minimal JSON document store: one file per record under DATA_DIR/<collection>/
+ * Writes go to a temporary file first and are renamed into place, so a crash
+ * never leaves a half-written record behind.
+ * @param {string} collection - Sub-directory name
+ * @returns {Object} Store with async get, list, save and remove
+ */
+function createFileStore(collection) {
+  const directory = () => path.join(getDataDir(), collection);
+  const filePath = (id) => {
+    assertSafeId(id);
+    return path.join(directory(), `${id}.json`);
+  };
+
+  return {
+    async get(id) {
+      try {
+        return JSON.parse(await fs.readFile(filePath(id), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async list() {
+      let files;
+      try {
+        files = await fs.readdir(directory());
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const records = await Promise.all(files
+        .filter(file => file.endsWith('.json'))
+        .map(file => this.get(path.basename(file, '.json')).catch(error => {
+          console.error(`⚠️ Skipping unreadable ${collection} record ${file}:`, error.message);
+          return null;
+        })));
+      return records.filter(Boolean);
+    },
+
+    async save(record) {
+      const target = filePath(record.id);
+      const temporary = `${target}.${process.pid}.${Date.now()}.tmp`;
+      await fs.mkdir(directory(), { recursive: true });
+      await fs.writeFile(temporary, JSON.stringify(record, null, 2));
+      await fs.rename(temporary, target);
+      return record;
+    },
+
+    async remove(id) {
+      try {
+        await fs.unlink(filePath(id));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    }
+  };
+}
+
+module.exports = {
+  getDataDir,
+  createFileStore
+};
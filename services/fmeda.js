@@ -0,0 +1,153 @@
+/**
+ * Failure Modes, Effects and Diagnostic Analysis (FMEDA) with the ISO 26262-5 hardware
+ * architectural metrics
+ *
+ * Every FMECA row carries the FIT rate of its element (failures per 10⁹ hours), the share of
+ * that rate taking the failure mode, whether the element is safety-related, the fault class
+ * of the mode and the coverage of its safety mechanisms:
+ *   single-point   - violates the safety goal directly, no safety mechanism: λSPF = λ
+ *   residual       - violates the safety goal, partly covered by a safety mechanism:
+ *                    λRF = λ × (1 - DC); the covered part is a detected multiple-point fault
+ *   multiple-point - violates the safety goal only together with another fault
+ *   safe           - does not contribute to violating the safety goal
+ * Multiple-point faults are latent unless detected or perceived: λMPF,L = λMPF × (1 - latent coverage).
+ *
+ *   SPFM = 1 - Σ(λSPF + λRF) / Σλ
+ *   LFM  = 1 - ΣλMPF,L / (Σλ - Σ(λSPF + λRF))
+ *   PMHF ≈ Σ(λSPF + λRF) + ½ × ΣλMPF,L × ΣλMPF × T
+ * The dual-point term pairs every latent fault with every multiple-point fault over the vehicle
+ * lifetime T, as the rows do not say which faults combine; it overestimates rather than misses.
+ * Sums run over the safety-related elements only (ISO 26262-5 Annex C).
+ */
+
+const FAULT_CLASSES = ['safe', 'single-point', 'residual', 'multiple-point'];
+
+// ISO 26262-5 Tables 4-6: SPFM and LFM minimums and PMHF maximum (FIT) per ASIL
+const FMEDA_TARGETS = {
+  B: { spfm: 0.9, lfm: 0.6, pmhf: 100 },
+  C: { spfm: 0.97, lfm: 0.8, pmhf: 100 },
+  D: { spfm: 0.99, lfm: 0.9, pmhf: 10 }
+};
+
+const FMEDA_ASILS = Object.keys(FMEDA_TARGETS);
+
+// Operating hours over the vehicle lifetime, for the dual-point part of the PMHF
+const DEFAULT_LIFETIME = 10000;
+
+// Rows listed as the largest single-point and residual contributors
+const TOP_CONTRIBUTORS = 3;
+
+/**
+ * Round to four significant digits
+ */
+function round(value) {
+  return Number(value.toPrecision(4));
+}
+
+/**
+ * FIT rates of one row: of the failure mode, its single-point or residual part and its latent part
+ * All are null when an input is missing (e.g. fallback data).
+ */
+function quantifyRow(row) {
+  const quantified = [row.failureRate, row.failureModeDistribution].every(Number.isFinite) &&
+    typeof row.safetyRelated === 'boolean' && FAULT_CLASSES.includes(row.faultClass);
+  if (!quantified) {
+    return { modeFailureRate: null, singlePointFaultRate: null, latentFaultRate: null };
+  }
+
+  const modeFailureRate = row.failureRate * row.failureModeDistribution;
+  const coverage = Number.isFinite(row.diagnosticCoverage) ? row.diagnosticCoverage : 0;
+  const latentCoverage = Number.isFinite(row.latentFaultCoverage) ? row.latentFaultCoverage : 0;
+  let singlePointFaultRate = 0;
+  let latentFaultRate = 0;
+
+  // The covered part of a residual fault is detected by its safety mechanism, so never latent
+  if (row.safetyRelated && row.faultClass === 'single-point') {
+    singlePointFaultRate = modeFailureRate;
+  } else if (row.safetyRelated && row.faultClass === 'residual') {
+    singlePointFaultRate = modeFailureRate * (1 - coverage);
+  } else if (row.safetyRelated && row.faultClass === 'multiple-point') {
+    latentFaultRate = modeFailureRate * (1 - latentCoverage);
+  }
+
+  return {
+    modeFailureRate: round(modeFailureRate),
+    singlePointFaultRate: round(singlePointFaultRate),
+    latentFaultRate: round(latentFaultRate)
+  };
+}
+
+/**
+ * Add the FMEDA and its hardware architectural metrics to an FMECA result
+ * Rows gain modeFailureRate, singlePointFaultRate and latentFaultRate (FIT); the result gains
+ * `fmeda` with the totals, SPFM, LFM and PMHF and whether they meet the targets of the ASIL.
+ * Rows missing an FMEDA input are left out of the metrics and counted as unquantified.
+ * @param {Object} fmeca - FMECA result ({ fmecaTable, summary })
+ * @param {Object} options - { asil } target: B, C or D, { lifetime } vehicle operating hours
+ * @returns {Object} FMECA result with fmeda
+ */
+function analyzeFMEDA(fmeca, { asil, lifetime = DEFAULT_LIFETIME }) {
+  const rows = fmeca.fmecaTable.map(row => ({ ...row, ...quantifyRow(row) }));
+  const quantified = rows.filter(row => row.modeFailureRate !== null);
+  const safetyRelated = quantified.filter(row => row.safetyRelated);
+  const sum = (list, field) => list.reduce((total, row) => total + row[field], 0);
+  const ofClass = faultClass => safetyRelated.filter(row => row.faultClass === faultClass);
+
+  const total = sum(safetyRelated, 'modeFailureRate');
+  const singlePointAndResidual = sum(safetyRelated, 'singlePointFaultRate');
+  const latent = sum(safetyRelated, 'latentFaultRate');
+  const multiplePoint = total - singlePointAndResidual - sum(ofClass('safe'), 'modeFailureRate');
+
+  // Without safety-related failure rate there is nothing to measure; without multiple-point faults nothing is latent
+  const spfm = total > 0 ? round(1 - singlePointAndResidual / total) : null;
+  const lfm = total > 0 ? round(total - singlePointAndResidual > 0 ? 1 - latent / (total - singlePointAndResidual) : 1) : null;
+  // FIT are failures per 10⁹ hours: the dual-point product is scaled back to FIT
+  const pmhf = round(singlePointAndResidual + latent * multiplePoint * lifetime / 2e9);
+
+  const targets = FMEDA_TARGETS[asil];
+  const compliance = {
+    spfm: spfm !== null && spfm >= targets.spfm,
+    lfm: lfm !== null && lfm >= targets.lfm,
+    pmhf: pmhf < targets.pmhf
+  };
+
+  return {
+    ...fmeca,
+    fmecaTable: rows,
+    fmeda: {
+      standard: 'ISO 26262-5',
+      asil,
+      lifetime,
+      units: 'FIT',
+      totals: {
+        safetyRelated: round(total),
+        safe: round(sum(ofClass('safe'), 'modeFailureRate')),
+        singlePoint: round(sum(ofClass('single-point'), 'singlePointFaultRate')),
+        residual: round(sum(ofClass('residual'), 'singlePointFaultRate')),
+        multiplePoint: round(multiplePoint),
+        latent: round(latent)
+      },
+      metrics: { spfm, lfm, pmhf },
+      targets,
+      compliance,
+      met: Object.values(compliance).every(Boolean),
+      summary: {
+        largestContributors: safetyRelated
+          .filter(row => row.singlePointFaultRate > 0)
+          .sort((a, b) => b.singlePointFaultRate - a.singlePointFaultRate)
+          .slice(0, TOP_CONTRIBUTORS)
+          .map(({ itemFunction, failureMode, faultClass, singlePointFaultRate }) => ({ itemFunction, failureMode, faultClass, singlePointFaultRate })),
+        notSafetyRelatedRows: quantified.length - safetyRelated.length,
+        unquantifiedRows: rows.length - quantified.length
+      }
+    }
+  };
+}
+
+module.exports = {
+  FAULT_CLASSES,
+  FMEDA_TARGETS,
+  FMEDA_ASILS,
+  DEFAULT_LIFETIME,
+  analyzeFMEDA
+};
@@ -0,0 +1,93 @@
+/**
+ * Hazard Analysis and Risk Assessment (HARA) per ISO 26262-3
+ *
+ * The model rates each hazardous event for Severity (S0-S3), Exposure (E0-E4) and
+ * Controllability (C0-C3); the ASIL is always looked up here from those ratings.
+ */
+
+const STANDARD = 'ISO 26262';
+
+const SEVERITY_CLASSES = ['S0', 'S1', 'S2', 'S3'];
+const EXPOSURE_CLASSES = ['E0', 'E1', 'E2', 'E3', 'E4'];
+const CONTROLLABILITY_CLASSES = ['C0', 'C1', 'C2', 'C3'];
+
+// Lowest to highest integrity requirement
+const ASIL_LEVELS = ['QM', 'A', 'B', 'C', 'D'];
+
+// ISO 26262-3:2018 Table 4: ASIL by severity and exposure, for controllability C1, C2 and C3
+const ASIL_TABLE = {
+  S1: { E1: ['QM', 'QM', 'QM'], E2: ['QM', 'QM', 'QM'], E3: ['QM', 'QM', 'A'], E4: ['QM', 'A', 'B'] },
+  S2: { E1: ['QM', 'QM', 'QM'], E2: ['QM', 'QM', 'A'], E3: ['QM', 'A', 'B'], E4: ['A', 'B', 'C'] },
+  S3: { E1: ['QM', 'QM', 'A'], E2: ['QM', 'A', 'B'], E3: ['A', 'B', 'C'], E4: ['B', 'C', 'D'] }
+};
+
+/**
+ * ASIL of a hazardous event from its S, E and C classes
+ * S0, E0 or C0 fall outside the table and need no ASIL (QM).
+ * @returns {string} QM, A, B, C or D
+ */
+function determineAsil(severity, exposure, controllability) {
+  const levels = ASIL_TABLE[severity]?.[exposure];
+  const column = CONTROLLABILITY_CLASSES.indexOf(controllability) - 1;
+  return levels && column >= 0 ? levels[column] : 'QM';
+}
+
+/**
+ * Highest of a list of ASILs (null for an empty list)
+ */
+function highestAsil(asils) {
+  return asils.reduce((highest, asil) => (
+    highest === null || ASIL_LEVELS.indexOf(asil) > ASIL_LEVELS.indexOf(highest) ? asil : highest
+  ), null);
+}
+
+/**
+ * Add the ASILs to a generated HARA
+ * Hazardous events gain their ASIL; each safety goal inherits the highest ASIL of the
+ * hazardous events it covers, and lists them.
+ * @param {Object} hara - { operationalSituations, hazardousEvents, safetyGoals }
+ * @returns {Object} HARA with ASILs and a summary
+ */
+function analyzeHARA(hara) {
+  const hazardousEvents = hara.hazardousEvents.map(event => ({
+    ...event,
+    asil: determineAsil(event.severity, event.exposure, event.controllability)
+  }));
+
+  const safetyGoals = hara.safetyGoals
+    .map(goal => {
+      const covered = hazardousEvents.filter(event => event.safetyGoal === goal.id);
+      return {
+        ...goal,
+        asil: highestAsil(covered.map(event => event.asil)),
+        hazardousEvents: covered.map(event => event.id)
+      };
+    })
+    // Highest integrity first
+    .sort((a, b) => ASIL_LEVELS.indexOf(b.asil) - ASIL_LEVELS.indexOf(a.asil));
+
+  return {
+    ...hara,
+    hazardousEvents,
+    safetyGoals,
+    summary: {
+      standard: STANDARD,
+      hazardousEventsByAsil: Object.fromEntries(ASIL_LEVELS.map(asil => [
+        asil,
+        hazardousEvents.filter(event => event.asil === asil).length
+      ])),
+      highestAsil: highestAsil(hazardousEvents.map(event => event.asil)),
+      safetyGoals: safetyGoals.length
+    }
+  };
+}
+
+module.exports = {
+  STANDARD,
+  SEVERITY_CLASSES,
+  EXPOSURE_CLASSES,
+  CONTROLLABILITY_CLASSES,
+  ASIL_LEVELS,
+  determineAsil,
+  analyzeHARA
+};
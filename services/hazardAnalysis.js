@@ -0,0 +1,113 @@
+const { LEAF_TYPES } = require('./faultTree');
+
+/**
+ * Normalised form of an event description used to spot the same failure across trees
+ */
+function descriptionKey(description) {
+  return String(description || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Value fields of a basic event (exactly one of probability / failureRate)
+ */
+function eventValues(event) {
+  return typeof event.probability === 'number'
+    ? { probability: event.probability }
+    : { failureRate: event.failureRate };
+}
+
+/**
+ * Make basic events consistent across the fault trees of one system
+ *
+ * After reconciliation an id means the same failure in every tree:
+ * - events using a catalogue id take the catalogue description and value
+ * - events whose description matches one already seen are mapped onto that id
+ * - different events that happen to reuse an id are renamed apart
+ *
+ * @param {Object[]} trees - Fault trees in hazard order, each with a `hazardId`
+ * @param {Object[]} [catalogue] - Shared basic events proposed during hazard identification
+ * @returns {{trees: Object[], sharedBasicEvents: Object[]}} Reconciled trees and the events used by more than one hazard
+ */
+function reconcileSharedBasicEvents(trees, catalogue = []) {
+  const registry = new Map();
+  const byDescription = new Map();
+  const register = (event, fromCatalogue) => {
+    registry.set(event.id, {
+      id: event.id,
+      description: event.description,
+      ...eventValues(event),
+      fromCatalogue,
+      hazards: new Set()
+    });
+    byDescription.set(descriptionKey(event.description), event.id);
+  };
+  catalogue.forEach(event => register(event, true));
+
+  const reconciled = trees.map(tree => {
+    const conflicts = (event) => {
+      const known = registry.get(event.id);
+      return known && !known.fromCatalogue && descriptionKey(known.description) !== descriptionKey(event.description);
+    };
+    const isLeaf = (event) => LEAF_TYPES.includes(event.type);
+    // Ids that stay put in this tree; events with conflicting ids move out of the way
+    const occupied = new Set([
+      ...tree.events.filter(event => !(isLeaf(event) && conflicts(event))),
+      ...tree.gates
+    ].map(node => node.id));
+    const used = new Set();
+    const renames = new Map();
+
+    const events = tree.events.map(event => {
+      if (!isLeaf(event)) return event;
+
+      let id = event.id;
+      const alias = byDescription.get(descriptionKey(event.description));
+
+      // Catalogue events and failures already seen in an earlier tree keep their id
+      if (!registry.has(id) || conflicts(event)) {
+        if (alias && !used.has(alias) && !occupied.has(alias)) {
+          id = alias;
+        } else if (registry.has(id)) {
+          // Same id, different failure: give this one its own id
+          let candidate = `${event.id}_${tree.hazardId}`;
+          for (let suffix = 2; registry.has(candidate) || occupied.has(candidate); suffix++) {
+            candidate = `${event.id}_${tree.hazardId}_${suffix}`;
+          }
+          id = candidate;
+          register({ ...event, id }, false);
+        } else {
+          register(event, false);
+        }
+      }
+
+      used.add(id);
+      occupied.add(id);
+      if (id !== event.id) renames.set(event.id, id);
+      const definition = registry.get(id);
+      definition.hazards.add(tree.hazardId);
+
+      const { probability, failureRate, ...rest } = event;
+      return { ...rest, id, description: definition.description, ...eventValues(definition) };
+    });
+
+    if (renames.size > 0) {
+      console.log(`🔗 Reconciled basic events in ${tree.hazardId}: ${[...renames].map(([from, to]) => `${from} -> ${to}`).join(', ')}`);
+    }
+
+    return {
+      ...tree,
+      events,
+      edges: tree.edges.map(({ from, to }) => ({ from: renames.get(from) || from, to: renames.get(to) || to }))
+    };
+  });
+
+  const sharedBasicEvents = [...registry.values()]
+    .filter(definition => definition.hazards.size > 1)
+    .map(({ fromCatalogue, hazards, ...definition }) => ({ ...definition, hazards: [...hazards] }));
+
+  return { trees: reconciled, sharedBasicEvents };
+}
+
+module.exports = {
+  reconcileSharedBasicEvents
+};
@@ -0,0 +1,85 @@
+/**
+ * Hazard and Operability study (HAZOP, IEC 61882) of the system connections
+ *
+ * Every connection between two components is a study node. The guidewords are applied to the
+ * parameters of what the connection carries (flow and pressure of a hydraulic line, timing and
+ * value of a data link, ...); each meaningful deviation becomes a worksheet row with its causes,
+ * consequences, existing safeguards and recommendations.
+ */
+
+const GUIDEWORDS = ['No', 'More', 'Less', 'Reverse', 'Early', 'Late', 'Other Than'];
+
+// Parameters to study by connection type, matched on words in the type
+const PARAMETERS_BY_TYPE = [
+  { pattern: /hydraulic|pneumatic|fluid|fuel|coolant|gas|pipe|steam|water|oil|chemical|process/i, parameters: ['Flow', 'Pressure', 'Temperature', 'Composition'] },
+  { pattern: /electric|power|supply|voltage/i, parameters: ['Voltage', 'Current', 'Timing'] },
+  { pattern: /data|signal|\bbus\b|network|\bcan\b|ethernet|communication|digital|analog|control/i, parameters: ['Data value', 'Timing', 'Sequence'] },
+  { pattern: /mechanic|shaft|linkage|torque|force|motion/i, parameters: ['Force', 'Speed', 'Position'] },
+  { pattern: /thermal|heat/i, parameters: ['Temperature', 'Heat flow'] }
+];
+
+const DEFAULT_PARAMETERS = ['Flow', 'Timing'];
+
+/**
+ * Parameters the guidewords are applied to for a connection type
+ */
+function parametersFor(type) {
+  return PARAMETERS_BY_TYPE.find(entry => entry.pattern.test(type || ''))?.parameters || DEFAULT_PARAMETERS;
+}
+
+/**
+ * Study nodes of a system: one per connection, numbered N1, N2, ... in input order
+ * @param {Array} connections - [{ from, to, type?, description? }]
+ * @returns {Array} [{ id, from, to, type, description, parameters }]
+ */
+function toHazopNodes(connections = []) {
+  return connections.map((connection, index) => ({
+    id: `N${index + 1}`,
+    from: connection.from,
+    to: connection.to,
+    type: connection.type || null,
+    description: connection.description || null,
+    parameters: parametersFor(connection.type || connection.description)
+  }));
+}
+
+/**
+ * Assemble the HAZOP worksheet from the generated deviations
+ * Rows are ordered by node, then guideword; nodes list their deviation count and the summary
+ * flags deviations without any safeguard.
+ * @param {Object} worksheet - { deviations } as generated
+ * @param {Array} nodes - Study nodes from toHazopNodes
+ * @param {Array} [guidewords] - Guidewords applied (all by default)
+ * @returns {Object} { nodes, guidewords, deviations, summary }
+ */
+function analyzeHAZOP(worksheet, nodes, guidewords = GUIDEWORDS) {
+  const nodeOrder = nodes.map(node => node.id);
+  const deviations = [...worksheet.deviations].sort((a, b) => (
+    nodeOrder.indexOf(a.node) - nodeOrder.indexOf(b.node) ||
+    GUIDEWORDS.indexOf(a.guideword) - GUIDEWORDS.indexOf(b.guideword)
+  ));
+
+  return {
+    nodes: nodes.map(node => ({ ...node, deviations: deviations.filter(row => row.node === node.id).length })),
+    guidewords,
+    deviations,
+    summary: {
+      nodes: nodes.length,
+      deviations: deviations.length,
+      deviationsByGuideword: Object.fromEntries(guidewords.map(guideword => [
+        guideword,
+        deviations.filter(row => row.guideword === guideword).length
+      ])),
+      unsafeguardedDeviations: deviations.filter(row => row.safeguards.length === 0).length,
+      recommendations: deviations.reduce((count, row) => count + row.recommendations.length, 0),
+      nodesWithoutDeviations: nodes.filter(node => !deviations.some(row => row.node === node.id)).map(node => node.id)
+    }
+  };
+}
+
+module.exports = {
+  GUIDEWORDS,
+  parametersFor,
+  toHazopNodes,
+  analyzeHAZOP
+};
@@ -0,0 +1,145 @@
+const { indexFaultTree, LEAF_TYPES } = require('./faultTree');
+
+const DEFAULT_SENSITIVITY_FACTOR = 10;
+
+// Words too common in failure descriptions to tell two items apart
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'due', 'into', 'not', 'failure', 'failed', 'fails',
+  'fault', 'loss', 'system', 'event', 'basic', 'of', 'to', 'in', 'on', 'or', 'a', 'an'
+]);
+
+/**
+ * Ratio that stays JSON-safe (Infinity becomes null)
+ */
+function ratio(numerator, denominator) {
+  if (denominator === 0) return numerator === 0 ? 1 : null;
+  return numerator / denominator;
+}
+
+/**
+ * Importance measures and tornado sensitivity for every basic event
+ *
+ * - Birnbaum: Q(p=1) - Q(p=0)
+ * - Fussell-Vesely: (Q - Q(p=0)) / Q
+ * - Risk Achievement Worth: Q(p=1) / Q
+ * - Risk Reduction Worth: Q / Q(p=0) (null when removing the event removes all risk)
+ *
+ * @param {Object} tree - Validated fault tree graph
+ * @param {Function} evaluate - Evaluator from createEvaluator (fixes mission time and method)
+ * @param {Object} [options] - { sensitivityFactor }: tornado range is p / factor .. p × factor
+ * @returns {Object} Basic events ranked by Fussell-Vesely importance
+ */
+function computeImportance(tree, evaluate, { sensitivityFactor = DEFAULT_SENSITIVITY_FACTOR } = {}) {
+  const { nodes, top } = indexFaultTree(tree);
+  if (!top) return { sensitivityFactor, topEventProbability: null, basicEvents: [] };
+
+  const base = evaluate();
+  const topProbability = base.get(top.id);
+  const topWith = (id, probability) => evaluate({ [id]: probability }).get(top.id);
+
+  const basicEvents = [...nodes.values()]
+    .filter(node => node.kind === 'event' && LEAF_TYPES.includes(node.type))
+    .map(event => {
+      const probability = base.get(event.id);
+      const failed = topWith(event.id, 1);
+      const perfect = topWith(event.id, 0);
+      const low = probability / sensitivityFactor;
+      const high = Math.min(1, probability * sensitivityFactor);
+
+      return {
+        id: event.id,
+        description: event.description,
+        probability,
+        birnbaum: failed - perfect,
+        fussellVesely: topProbability > 0 ? (topProbability - perfect) / topProbability : 0,
+        riskAchievementWorth: ratio(failed, topProbability),
+        riskReductionWorth: ratio(topProbability, perfect),
+        sensitivity: {
+          low,
+          high,
+          topEventLow: topWith(event.id, low),
+          topEventHigh: topWith(event.id, high)
+        }
+      };
+    })
+    .sort((a, b) => b.fussellVesely - a.fussellVesely || b.birnbaum - a.birnbaum || a.id.localeCompare(b.id));
+
+  return {
+    sensitivityFactor,
+    topEventProbability: topProbability,
+    basicEvents
+  };
+}
+
+/**
+ * Significant lowercase words of a description
+ */
+function keywords(text) {
+  return new Set(String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word)));
+}
+
+/**
+ * Share of the smaller keyword set found in the other (0..1)
+ */
+function overlap(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(word => {
+    if (b.has(word)) shared++;
+  });
+  return shared / Math.min(a.size, b.size);
+}
+
+/**
+ * Rank FMECA recommended actions by how much their failure mode drives the top event
+ * Each FMECA row is matched to the basic event whose description it overlaps most;
+ * rows with no matching event are kept at the end of the ranking.
+ * @param {Object[]} fmecaTable - FMECA rows
+ * @param {Object} importance - Result of computeImportance
+ * @returns {Object[]} Ranked mitigations
+ */
+function rankMitigations(fmecaTable = [], importance) {
+  const events = importance.basicEvents.map(event => ({ ...event, words: keywords(event.description) }));
+
+  const mitigations = fmecaTable
+    .filter(row => row.recommendedAction)
+    .map(row => {
+      const rowWords = keywords(`${row.itemFunction} ${row.failureMode} ${row.failureCause}`);
+      let best = null;
+      let bestScore = 0;
+      events.forEach(event => {
+        const score = overlap(rowWords, event.words);
+        if (score > bestScore) {
+          best = event;
+          bestScore = score;
+        }
+      });
+      // Require a meaningful share of words in common before trusting the match
+      const match = bestScore >= 0.34 ? best : null;
+
+      return {
+        recommendedAction: row.recommendedAction,
+        itemFunction: row.itemFunction,
+        failureMode: row.failureMode,
+        rpn: row.rpn,
+        basicEvent: match ? match.id : null,
+        basicEventDescription: match ? match.description : null,
+        matchScore: match ? Number(bestScore.toFixed(2)) : 0,
+        fussellVesely: match ? match.fussellVesely : null,
+        riskReductionWorth: match ? match.riskReductionWorth : null
+      };
+    });
+
+  return mitigations
+    .sort((a, b) => (b.fussellVesely ?? -1) - (a.fussellVesely ?? -1) || (b.rpn || 0) - (a.rpn || 0))
+    .map((mitigation, index) => ({ rank: index + 1, ...mitigation }));
+}
+
+module.exports = {
+  DEFAULT_SENSITIVITY_FACTOR,
+  computeImportance,
+  rankMitigations
+};
@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+
+const DEFAULT_CONCURRENCY = 2;
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Number of jobs allowed to run at the same time (JOB_CONCURRENCY)
+ */
+function getJobConcurrency() {
+  const configured = parseInt(process.env.JOB_CONCURRENCY, 10);
+  return Number.isInteger(configured) && configured > 0 ? configured : DEFAULT_CONCURRENCY;
+}
+
+/**
+ * Progress summary of a job that has not started yet
+ */
+function emptyProgress() {
+  return { currentStage: null, stages: {}, fmecaRows: 0, hazards: null, updatedAt: null };
+}
+
+/**
+ * Fold a pipeline progress event into the job's progress summary
+ * @returns {boolean} Whether the change is worth persisting right away
+ */
+function applyProgressEvent(progress, event, data) {
+  if (event === 'stage') {
+    const key = data.hazardId ? `${data.stage}:${data.hazardId}` : data.stage;
+    progress.stages[key] = data.status;
+    progress.currentStage = data.stage;
+    return true;
+  }
+  if (event === 'fmeca-row') {
+    // Rows restart when the model has to repair its answer
+    progress.fmecaRows = data.index + 1;
+    return false;
+  }
+  if (event === 'hazards') {
+    progress.hazards = data.hazards.length;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * In-process job queue with a persistent backing store
+ *
+ * Jobs are saved on every status change (and on stage progress), so after a restart
+ * recover() puts queued and interrupted jobs back in the queue.
+ *
+ * @param {Object} config - Queue configuration
+ * @param {Object} config.store - Record store with async get/list/save (see createFileStore)
+ * @param {Function} config.run - async (input, { signal, onEvent }) => result
+ * @param {number} [config.concurrency] - Jobs running at the same time (default: JOB_CONCURRENCY or 2)
+ * @returns {Object} Queue with submit, get, cancel, recover and idle
+ */
+function createJobQueue({ store, run, concurrency = getJobConcurrency() }) {
+  const waiting = [];
+  const running = new Map();
+  // Serialise writes per job so a slow save never overwrites a newer state
+  const writes = new Map();
+  let idleWaiters = [];
+
+  const persist = (job) => {
+    const previous = writes.get(job.id) || Promise.resolve();
+    const write = previous
+      .then(() => store.save({ ...job, progress: { ...job.progress, stages: { ...job.progress.stages } } }))
+      .catch(error => console.error(`❌ Failed to persist job ${job.id}:`, error.message))
+      .then(() => {
+        if (writes.get(job.id) === write) writes.delete(job.id);
+      });
+    writes.set(job.id, write);
+    return write;
+  };
+
+  const notifyIdle = () => {
+    if (running.size > 0 || waiting.length > 0) return;
+    Promise.all(writes.values()).then(() => {
+      idleWaiters.forEach(resolve => resolve());
+      idleWaiters = [];
+    });
+  };
+
+  const finish = async (job, status, fields) => {
+    Object.assign(job, { status, completedAt: new Date().toISOString() }, fields);
+    running.delete(job.id);
+    await persist(job);
+    pump();
+  };
+
+  const start = async (job) => {
+    const controller = new AbortController();
+    running.set(job.id, { job, controller });
+    Object.assign(job, { status: 'running', startedAt: new Date().toISOString() });
+    await persist(job);
+    if (controller.signal.aborted) return;
+    console.log(`⚙️ Job ${job.id} started (${running.size}/${concurrency} running)`);
+
+    const onEvent = (event, data) => {
+      if (applyProgressEvent(job.progress, event, data)) {
+        job.progress.updatedAt = new Date().toISOString();
+        persist(job);
+      }
+    };
+
+    try {
+      const result = await run(job.input, { signal: controller.signal, onEvent });
+      if (controller.signal.aborted) return;
+      console.log(`✅ Job ${job.id} completed`);
+      await finish(job, 'completed', { result });
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      console.error(`❌ Job ${job.id} failed:`, error.message);
+      await finish(job, 'failed', {
+        error: {
+          message: error.message,
+          statusCode: error.statusCode || 500,
+          details: error.details
+        }
+      });
+    }
+  };
+
+  const pump = () => {
+    while (running.size < concurrency && waiting.length > 0) {
+      start(waiting.shift());
+    }
+    notifyIdle();
+  };
+
+  const enqueue = (job) => {
+    waiting.push(job);
+    pump();
+  };
+
+  return {
+    concurrency,
+
+    /**
+     * Queue a new job
+     * @param {Object} input - Everything run() needs; stored with the job
+     * @returns {Promise<Object>} The queued job
+     */
+    async submit(input) {
+      const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        completedAt: null,
+        progress: emptyProgress(),
+        input,
+        result: null,
+        error: null
+      };
+      await persist(job);
+      enqueue(job);
+      return job;
+    },
+
+    /**
+     * Current state of a job (live state for active jobs, stored state otherwise)
+     */
+    async get(id) {
+      const active = running.get(id)?.job || waiting.find(job => job.id === id);
+      if (active) return active;
+      try {
+        return await store.get(id);
+      } catch (error) {
+        // Malformed ids cannot name a stored job
+        return null;
+      }
+    },
+
+    /**
+     * Cancel a queued or running job; finished jobs are returned unchanged
+     * @returns {Promise<Object|null>} The job, or null when it does not exist
+     */
+    async cancel(id) {
+      const queuedIndex = waiting.findIndex(job => job.id === id);
+      if (queuedIndex >= 0) {
+        const [job] = waiting.splice(queuedIndex, 1);
+        Object.assign(job, { status: 'cancelled', completedAt: new Date().toISOString() });
+        await persist(job);
+        console.log(`🛑 Job ${id} cancelled before it started`);
+        notifyIdle();
+        return job;
+      }
+
+      const active = running.get(id);
+      if (active) {
+        active.controller.abort();
+        console.log(`🛑 Job ${id} cancelled while running`);
+        await finish(active.job, 'cancelled', {});
+        return active.job;
+      }
+
+      return this.get(id);
+    },
+
+    /**
+     * Re-queue jobs that were queued or running when the process stopped
+     * @returns {Promise<number>} Number of recovered jobs
+     */
+    async recover() {
+      const jobs = await store.list();
+      const unfinished = jobs
+        .filter(job => !FINAL_STATUSES.includes(job.status))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+      unfinished.forEach(job => {
+        console.log(`♻️ Recovering job ${job.id} (was ${job.status})`);
+        enqueue({ ...job, status: 'queued', startedAt: null, progress: emptyProgress() });
+      });
+      return unfinished.length;
+    },
+
+    /**
+     * Resolves once no job is queued or running and all writes have landed
+     */
+    idle() {
+      return new Promise(resolve => {
+        idleWaiters.push(resolve);
+        notifyIdle();
+      });
+    }
+  };
+}
+
+module.exports = {
+  JOB_STATUSES,
+  FINAL_STATUSES,
+  getJobConcurrency,
+  createJobQueue
+};
@@ -0,0 +1,214 @@
+/**
+ * Risk assessment per MIL-STD-882E
+ *
+ * Hazards and FMECA failure modes are scored on the severity categories (1-4) and probability
+ * levels (A-F) of the standard and combined into a Risk Assessment Code (RAC) with the risk
+ * assessment matrix (882E Table III). Mitigations are ordered by the system safety design
+ * order of precedence (882E section 4.3.4).
+ */
+
+const { DEFAULT_RATING_SCALES, toTenPointRating } = require('./ratingScales');
+
+const STANDARD = 'MIL-STD-882E';
+
+// Severity categories, with the 1-10 FMECA severity rating each one starts at
+const SEVERITY_CATEGORIES = [
+  { category: 1, name: 'Catastrophic', minSeverity: 9 },
+  { category: 2, name: 'Critical', minSeverity: 7 },
+  { category: 3, name: 'Marginal', minSeverity: 4 },
+  { category: 4, name: 'Negligible', minSeverity: 1 }
+];
+
+// Probability levels, with the 1-10 FMECA occurrence rating and the probability over the
+// mission time each one starts at; F is reserved for hazards that have been eliminated
+const PROBABILITY_LEVELS = [
+  { level: 'A', name: 'Frequent', minOccurrence: 9, minProbability: 1e-1 },
+  { level: 'B', name: 'Probable', minOccurrence: 7, minProbability: 1e-2 },
+  { level: 'C', name: 'Occasional', minOccurrence: 5, minProbability: 1e-3 },
+  { level: 'D', name: 'Remote', minOccurrence: 3, minProbability: 1e-6 },
+  { level: 'E', name: 'Improbable', minOccurrence: 1, minProbability: 0 },
+  { level: 'F', name: 'Eliminated', minOccurrence: null, minProbability: null }
+];
+
+const RISK_LEVELS = ['High', 'Serious', 'Medium', 'Low', 'Eliminated'];
+
+// Table III: RAC by probability level (rows) and severity category 1-4 (columns)
+const RISK_MATRIX = {
+  A: ['High', 'High', 'Serious', 'Medium'],
+  B: ['High', 'High', 'Serious', 'Medium'],
+  C: ['High', 'Serious', 'Medium', 'Low'],
+  D: ['Serious', 'Medium', 'Medium', 'Low'],
+  E: ['Medium', 'Medium', 'Medium', 'Low'],
+  F: ['Eliminated', 'Eliminated', 'Eliminated', 'Eliminated']
+};
+
+// System safety design order of precedence, most effective first; a mitigation takes the
+// first step its wording matches
+const DESIGN_PRECEDENCE = [
+  { precedence: 1, name: 'Eliminate hazards through design selection', pattern: /\beliminat|\bdesign out\b|\bsubstitut|\binherently safe|\bremove the (?:need|hazard|source)/ },
+  { precedence: 2, name: 'Reduce risk through design alteration', pattern: /\bredesign|\bredundan|\bdual\b|\btriple\b|\bdivers|\bderat|\bmargin|\breinforc|\bupgrade|\bstronger|\bhigher[- ]rated|\bdesign change|\bmaterial/ },
+  { precedence: 3, name: 'Incorporate engineered features or devices', pattern: /\binterlock|\bfail[- ]?safe|\bguard|\brelief valve|\bfuse\b|\bbreaker|\bwatchdog|\blimiter|\bshut-?(?:down|off)|\bmonitor|\bdiagnostic|\bself[- ]test|\bsensor|\bdetect|\bautomatic/ },
+  { precedence: 4, name: 'Provide warning devices', pattern: /\balarm|\bwarning|\bindicator|\balert|\bannunciat|\bbuzzer|\bbeacon/ },
+  { precedence: 5, name: 'Incorporate signage, procedures, training, and PPE', pattern: /\bprocedur|\btrain|\binspect|\bmaintenance|\bservic|\bchecklist|\bmanual\b|\blabel|\bsignage|\bsign\b|\bppe\b|\bprotective equipment|\bperiodic|\bschedul|\boperator/ }
+];
+
+/**
+ * Severity category (1-4) of a 1-10 FMECA severity rating
+ */
+function severityCategoryOf(severity) {
+  return (SEVERITY_CATEGORIES.find(entry => severity >= entry.minSeverity) || SEVERITY_CATEGORIES[SEVERITY_CATEGORIES.length - 1]).category;
+}
+
+/**
+ * Severity category (1-4) of a hazard severity (catastrophic, critical, marginal, negligible)
+ */
+function hazardSeverityCategory(severity) {
+  const index = SEVERITY_CATEGORIES.findIndex(entry => entry.name.toLowerCase() === String(severity).toLowerCase());
+  return index === -1 ? null : SEVERITY_CATEGORIES[index].category;
+}
+
+/**
+ * Probability level (A-E) of a 1-10 FMECA occurrence rating
+ */
+function probabilityLevelOfOccurrence(occurrence) {
+  return (PROBABILITY_LEVELS.find(entry => entry.minOccurrence !== null && occurrence >= entry.minOccurrence) || PROBABILITY_LEVELS[4]).level;
+}
+
+/**
+ * Probability level (A-F) of a probability over the mission time; 0 means eliminated
+ */
+function probabilityLevelOfProbability(probability) {
+  if (probability === 0) return 'F';
+  return PROBABILITY_LEVELS.find(entry => entry.minProbability !== null && probability >= entry.minProbability).level;
+}
+
+/**
+ * Risk Assessment Code for a severity category and probability level
+ * @returns {string|null} High, Serious, Medium, Low or Eliminated; null when either score is missing
+ */
+function riskAssessmentCode(severityCategory, probabilityLevel) {
+  if (!severityCategory || !probabilityLevel) return null;
+  return RISK_MATRIX[probabilityLevel][severityCategory - 1];
+}
+
+/**
+ * Design order of precedence of a mitigation, from its wording
+ * @returns {Object|null} { precedence, name }, or null when the wording gives no clue
+ */
+function classifyMitigation(text) {
+  const lower = String(text || '').toLowerCase();
+  const match = DESIGN_PRECEDENCE.find(entry => entry.pattern.test(lower));
+  return match ? { precedence: match.precedence, name: match.name } : null;
+}
+
+const riskRank = code => (code ? RISK_LEVELS.indexOf(code) : RISK_LEVELS.length);
+
+/**
+ * Score every hazard and FMECA failure mode and order the mitigations
+ *
+ * Failure modes are scored from their severity and occurrence ratings (mapped onto 1-10 when the
+ * FMECA uses other rating scales). A hazard takes its
+ * category from its severity and its probability level from the top event probability of
+ * its quantified fault tree over the mission time; hazards without one are left unscored.
+ *
+ * @param {Object} fmeca - FMECA result ({ fmecaTable, ratingScales? })
+ * @param {Object} fta - Hazard fault trees ({ hazards, trees })
+ * @returns {Object} { standard, severityCategories, probabilityLevels, hazards, failureModes, matrix, mitigations, summary }
+ */
+function assessMilStd882Risk(fmeca, fta) {
+  const trees = fta?.trees || [];
+
+  const hazards = (fta?.hazards || []).map(hazard => {
+    const probability = trees.find(tree => tree.hazardId === hazard.id)?.quantification?.topEventProbability;
+    const severityCategory = hazardSeverityCategory(hazard.severity);
+    const probabilityLevel = Number.isFinite(probability) ? probabilityLevelOfProbability(probability) : null;
+    return {
+      hazardId: hazard.id,
+      title: hazard.title,
+      severityCategory,
+      probabilityLevel,
+      probability: Number.isFinite(probability) ? probability : null,
+      riskAssessmentCode: riskAssessmentCode(severityCategory, probabilityLevel)
+    };
+  });
+
+  const scales = fmeca?.ratingScales || DEFAULT_RATING_SCALES;
+  const failureModes = (fmeca?.fmecaTable || []).map((row, index) => {
+    const severityCategory = severityCategoryOf(toTenPointRating(row.severity, 'severity', scales));
+    const probabilityLevel = probabilityLevelOfOccurrence(toTenPointRating(row.occurrence, 'occurrence', scales));
+    return {
+      index,
+      itemFunction: row.itemFunction,
+      failureMode: row.failureMode,
+      severityCategory,
+      probabilityLevel,
+      riskAssessmentCode: riskAssessmentCode(severityCategory, probabilityLevel)
+    };
+  });
+
+  // Heatmap cells: every level/category pair with the hazards and failure modes that fall in it
+  const matrix = PROBABILITY_LEVELS.flatMap(({ level }) => SEVERITY_CATEGORIES.map(({ category }) => ({
+    probabilityLevel: level,
+    severityCategory: category,
+    riskAssessmentCode: riskAssessmentCode(category, level),
+    hazards: hazards
+      .filter(hazard => hazard.probabilityLevel === level && hazard.severityCategory === category)
+      .map(hazard => hazard.hazardId),
+    failureModes: failureModes
+      .filter(mode => mode.probabilityLevel === level && mode.severityCategory === category)
+      .map(mode => mode.index)
+  })));
+
+  // FMECA recommended actions and fault tree recommendations, with the risk they address
+  const mitigations = [
+    ...failureModes
+      .filter(mode => fmeca.fmecaTable[mode.index].recommendedAction)
+      .map(mode => ({
+        action: fmeca.fmecaTable[mode.index].recommendedAction,
+        source: { type: 'fmeca', index: mode.index, itemFunction: mode.itemFunction, failureMode: mode.failureMode },
+        riskAssessmentCode: mode.riskAssessmentCode
+      })),
+    ...trees.flatMap(tree => (tree.analysis?.recommendations || []).map(action => ({
+      action,
+      source: { type: 'fta', hazardId: tree.hazardId },
+      riskAssessmentCode: hazards.find(hazard => hazard.hazardId === tree.hazardId)?.riskAssessmentCode || null
+    })))
+  ]
+    .map(mitigation => ({ ...mitigation, designPrecedence: classifyMitigation(mitigation.action) }))
+    // Highest step of the order of precedence first, then the highest risk it reduces
+    .sort((a, b) => (a.designPrecedence?.precedence ?? DESIGN_PRECEDENCE.length + 1) - (b.designPrecedence?.precedence ?? DESIGN_PRECEDENCE.length + 1)
+      || riskRank(a.riskAssessmentCode) - riskRank(b.riskAssessmentCode))
+    .map((mitigation, index) => ({ rank: index + 1, ...mitigation }));
+
+  const countByRisk = entries => Object.fromEntries(RISK_LEVELS.map(level => [
+    level,
+    entries.filter(entry => entry.riskAssessmentCode === level).length
+  ]));
+
+  return {
+    standard: STANDARD,
+    severityCategories: SEVERITY_CATEGORIES.map(({ category, name }) => ({ category, name })),
+    probabilityLevels: PROBABILITY_LEVELS.map(({ level, name }) => ({ level, name })),
+    missionTime: trees.find(tree => tree.quantification)?.quantification.missionTime ?? null,
+    hazards,
+    failureModes,
+    matrix,
+    mitigations,
+    summary: {
+      hazardsByRisk: countByRisk(hazards),
+      failureModesByRisk: countByRisk(failureModes),
+      unscoredHazards: hazards.filter(hazard => !hazard.riskAssessmentCode).length
+    }
+  };
+}
+
+module.exports = {
+  STANDARD,
+  SEVERITY_CATEGORIES,
+  PROBABILITY_LEVELS,
+  RISK_LEVELS,
+  DESIGN_PRECEDENCE,
+  riskAssessmentCode,
+  classifyMitigation,
+  assessMilStd882Risk
+};
@@ -0,0 +1,342 @@
+const Joi = require('joi');
+const { EVENT_TYPES, GATE_TYPES, LEAF_TYPES, validateFaultTreeStructure } = require('./faultTree');
+const { SEVERITY_CLASSES, EXPOSURE_CLASSES, CONTROLLABILITY_CLASSES } = require('./hara');
+const { DEFAULT_RATING_SCALES, maxRPN } = require('./ratingScales');
+const { GUIDEWORDS } = require('./hazop');
+const { FAULT_CLASSES } = require('./fmeda');
+const { UCA_TYPES, SCENARIO_TYPES } = require('./stpa');
+
+/**
+ * Strict schemas for the JSON the model must return
+ * Every response is checked against these before it reaches the API client
+ */
+
+/**
+ * FMECA schemas for a set of rating scales: ratings must lie in the range of their scale
+ * @param {Object} [scales] - Rating scale definitions (see ratingScales.js)
+ * @returns {Object} { fmecaRowSchema, fmecaSchema, fmecaCriticalityRowSchema, fmecaCriticalitySchema, fmecaFmedaRowSchema, fmecaFmedaSchema }
+ */
+function createFmecaSchemas(scales = DEFAULT_RATING_SCALES) {
+  const rating = ({ min, max }) => Joi.number().integer().min(min).max(max).required();
+
+  const fmecaRowSchema = Joi.object({
+    itemFunction: Joi.string().required(),
+    failureMode: Joi.string().required(),
+    failureCause: Joi.string().required(),
+    localEffect: Joi.string().required(),
+    systemEffect: Joi.string().required(),
+    endEffect: Joi.string().required(),
+    severity: rating(scales.severity),
+    occurrence: rating(scales.occurrence),
+    detection: rating(scales.detection),
+    rpn: Joi.number().integer().min(1).max(maxRPN(scales)).required(),
+    recommendedAction: Joi.string().required()
+  }).custom((row, helpers) => {
+    if (row.rpn !== row.severity * row.occurrence * row.detection) {
+      return helpers.message(`rpn for "${row.failureMode}" must equal severity × occurrence × detection (${row.severity * row.occurrence * row.detection})`);
+    }
+    return row;
+  });
+
+  const fmecaSchema = Joi.object({
+    fmecaTable: Joi.array().items(fmecaRowSchema).min(1).required(),
+    summary: Joi.object({
+      totalFailureModes: Joi.number().integer().min(0).required(),
+      highRiskItems: Joi.number().integer().min(0).required(),
+      averageRPN: Joi.number().min(0).required(),
+      keyRecommendations: Joi.array().items(Joi.string()).required()
+    }).required()
+  });
+
+  // MIL-STD-1629A criticality inputs (λp per million hours, α and β as fractions)
+  const fmecaCriticalityRowSchema = fmecaRowSchema.keys({
+    partFailureRate: Joi.number().min(0).required(),
+    failureModeRatio: Joi.number().min(0).max(1).required(),
+    failureEffectProbability: Joi.number().min(0).max(1).required()
+  });
+
+  const fmecaCriticalitySchema = fmecaSchema.keys({
+    fmecaTable: Joi.array().items(fmecaCriticalityRowSchema).min(1).required()
+  }).custom((fmeca, helpers) => {
+    // The failure mode ratios of one item split its failures, so they cannot add up to more than 1
+    const ratios = new Map();
+    fmeca.fmecaTable.forEach(row => {
+      const item = row.itemFunction.trim();
+      ratios.set(item, (ratios.get(item) || 0) + row.failureModeRatio);
+    });
+    const overfull = [...ratios].find(([, total]) => total > 1.001);
+    if (overfull) {
+      return helpers.message(`failureModeRatio values of "${overfull[0]}" add up to ${Number(overfull[1].toFixed(3))}; they must not exceed 1`);
+    }
+    return fmeca;
+  });
+
+  // ISO 26262-5 FMEDA inputs (element failure rate in FIT, distribution and coverages as fractions)
+  const fmecaFmedaRowSchema = fmecaRowSchema.keys({
+    failureRate: Joi.number().min(0).required(),
+    failureModeDistribution: Joi.number().min(0).max(1).required(),
+    safetyRelated: Joi.boolean().required(),
+    faultClass: Joi.string().valid(...FAULT_CLASSES).required(),
+    safetyMechanism: Joi.string().allow(null).required(),
+    diagnosticCoverage: Joi.number().min(0).max(1).required(),
+    latentFaultCoverage: Joi.number().min(0).max(1).required()
+  }).custom((row, helpers) => {
+    if (!row.safetyRelated && row.faultClass !== 'safe') {
+      return helpers.message(`faultClass of "${row.failureMode}" must be safe because its element is not safety-related`);
+    }
+    if (row.faultClass === 'single-point' && (row.safetyMechanism || row.diagnosticCoverage > 0)) {
+      return helpers.message(`"${row.failureMode}" has a safety mechanism, so it is a residual fault rather than a single-point fault`);
+    }
+    if (row.faultClass === 'residual' && (!row.safetyMechanism || row.diagnosticCoverage === 0)) {
+      return helpers.message(`residual fault "${row.failureMode}" needs its safety mechanism and a diagnosticCoverage above 0`);
+    }
+    return row;
+  });
+
+  const fmecaFmedaSchema = fmecaSchema.keys({
+    fmecaTable: Joi.array().items(fmecaFmedaRowSchema).min(1).required()
+  }).custom((fmeca, helpers) => {
+    // The failure mode distribution of one element splits its failure rate
+    const distributions = new Map();
+    fmeca.fmecaTable.forEach(row => {
+      const item = row.itemFunction.trim();
+      distributions.set(item, (distributions.get(item) || 0) + row.failureModeDistribution);
+    });
+    const overfull = [...distributions].find(([, total]) => total > 1.001);
+    if (overfull) {
+      return helpers.message(`failureModeDistribution values of "${overfull[0]}" add up to ${Number(overfull[1].toFixed(3))}; they must not exceed 1`);
+    }
+    return fmeca;
+  });
+
+  return { fmecaRowSchema, fmecaSchema, fmecaCriticalityRowSchema, fmecaCriticalitySchema, fmecaFmedaRowSchema, fmecaFmedaSchema };
+}
+
+// Schemas for the default 1-10 rating scales
+const {
+  fmecaRowSchema,
+  fmecaSchema,
+  fmecaCriticalityRowSchema,
+  fmecaCriticalitySchema,
+  fmecaFmedaRowSchema,
+  fmecaFmedaSchema
+} = createFmecaSchemas();
+
+const faultTreeEventSchema = Joi.object({
+  id: Joi.string().required(),
+  type: Joi.string().valid(...EVENT_TYPES).required(),
+  description: Joi.string().required(),
+  probability: Joi.number().min(0).max(1).optional(),
+  failureRate: Joi.number().min(0).optional()
+}).when(Joi.object({ type: Joi.valid(...LEAF_TYPES) }).unknown(), {
+  then: Joi.object().or('probability', 'failureRate')
+    .messages({ 'object.missing': '{{#label}} must have a probability or a failureRate' })
+});
+
+const faultTreeSchema = Joi.object({
+  events: Joi.array().items(faultTreeEventSchema).min(2).required(),
+  gates: Joi.array().items(Joi.object({
+    id: Joi.string().required(),
+    type: Joi.string().valid(...GATE_TYPES).required(),
+    k: Joi.number().integer().min(1).when('type', { is: 'KOFN', then: Joi.required(), otherwise: Joi.forbidden() }),
+    description: Joi.string().required()
+  })).min(1).required(),
+  edges: Joi.array().items(Joi.object({
+    from: Joi.string().required(),
+    to: Joi.string().required()
+  })).min(2).required()
+}).custom((tree, helpers) => {
+  const errors = validateFaultTreeStructure(tree);
+  if (errors.length > 0) {
+    return helpers.message(`fault tree structure is invalid: ${errors.join('; ')}`);
+  }
+  return tree;
+});
+
+const HAZARD_SEVERITIES = ['catastrophic', 'critical', 'marginal', 'negligible'];
+
+const hazardListSchema = Joi.object({
+  hazards: Joi.array().items(Joi.object({
+    id: Joi.string().required(),
+    title: Joi.string().required(),
+    description: Joi.string().required(),
+    severity: Joi.string().valid(...HAZARD_SEVERITIES).required()
+  })).min(1).unique('id').required(),
+  sharedBasicEvents: Joi.array().items(
+    faultTreeEventSchema.keys({ type: Joi.string().valid('basic').default('basic') })
+  ).unique('id').required()
+});
+
+const ftaSchema = faultTreeSchema.keys({
+  topEvent: Joi.string().required(),
+  analysis: Joi.object({
+    criticalPath: Joi.string().required(),
+    recommendations: Joi.array().items(Joi.string()).required()
+  }).required()
+});
+
+const rationale = Joi.string().required();
+
+const haraSchema = Joi.object({
+  operationalSituations: Joi.array().items(Joi.object({
+    id: Joi.string().required(),
+    description: Joi.string().required()
+  })).min(1).unique('id').required(),
+  hazardousEvents: Joi.array().items(Joi.object({
+    id: Joi.string().required(),
+    hazard: Joi.string().required(),
+    operationalSituation: Joi.string().required(),
+    description: Joi.string().required(),
+    severity: Joi.string().valid(...SEVERITY_CLASSES).required(),
+    severityRationale: rationale,
+    exposure: Joi.string().valid(...EXPOSURE_CLASSES).required(),
+    exposureRationale: rationale,
+    controllability: Joi.string().valid(...CONTROLLABILITY_CLASSES).required(),
+    controllabilityRationale: rationale,
+    safetyGoal: Joi.string().required(),
+    // The ASIL is looked up from S, E and C, never taken from the model
+    asil: Joi.any().strip()
+  })).min(1).unique('id').required(),
+  safetyGoals: Joi.array().items(Joi.object({
+    id: Joi.string().required(),
+    description: Joi.string().required(),
+    safeState: Joi.string().optional(),
+    faultTolerantTimeInterval: Joi.string().optional(),
+    asil: Joi.any().strip()
+  })).min(1).unique('id').required()
+}).custom((hara, helpers) => {
+  const situations = new Set(hara.operationalSituations.map(situation => situation.id));
+  const goals = new Set(hara.safetyGoals.map(goal => goal.id));
+  const dangling = hara.hazardousEvents.find(event => !situations.has(event.operationalSituation) || !goals.has(event.safetyGoal));
+  if (dangling) {
+    return helpers.message(`hazardous event "${dangling.id}" must reference an operational situation id and a safety goal id from the lists`);
+  }
+  return hara;
+});
+
+const hazopEntries = Joi.array().items(Joi.string());
+
+/**
+ * HAZOP worksheet schema for a set of study nodes: rows must name a node and an applied guideword
+ * @param {Array} nodes - Study nodes from toHazopNodes
+ * @param {Array} [guidewords] - Guidewords applied (all by default)
+ */
+function createHazopSchema(nodes, guidewords = GUIDEWORDS) {
+  return Joi.object({
+    deviations: Joi.array().items(Joi.object({
+      node: Joi.string().valid(...nodes.map(node => node.id)).required(),
+      parameter: Joi.string().required(),
+      guideword: Joi.string().valid(...guidewords).required(),
+      deviation: Joi.string().required(),
+      causes: hazopEntries.min(1).required(),
+      consequences: hazopEntries.min(1).required(),
+      safeguards: hazopEntries.required(),
+      recommendations: hazopEntries.required()
+    })).min(1).required()
+  }).custom((worksheet, helpers) => {
+    // One row per node, parameter and guideword
+    const seen = new Set();
+    const duplicate = worksheet.deviations.find(row => {
+      const key = `${row.node}|${row.parameter.trim().toLowerCase()}|${row.guideword}`;
+      if (seen.has(key)) return true;
+      seen.add(key);
+      return false;
+    });
+    if (duplicate) {
+      return helpers.message(`deviation "${duplicate.guideword} ${duplicate.parameter}" of node ${duplicate.node} is listed more than once`);
+    }
+    return worksheet;
+  });
+}
+
+const stpaEntries = Joi.array().items(Joi.string());
+
+/**
+ * STPA schema for a control structure: UCAs must name one of its control actions, and hazards,
+ * UCAs and loss scenarios must reference losses, hazards and UCAs from the lists
+ * @param {Object} controlStructure - From deriveControlStructure
+ */
+function createStpaSchema(controlStructure) {
+  const id = Joi.string().required();
+  const description = Joi.string().required();
+  return Joi.object({
+    losses: Joi.array().items(Joi.object({ id, description })).min(1).unique('id').required(),
+    hazards: Joi.array().items(Joi.object({ id, description, losses: stpaEntries.min(1).required() })).min(1).unique('id').required(),
+    unsafeControlActions: Joi.array().items(Joi.object({
+      id,
+      controlAction: Joi.string().valid(...controlStructure.controlActions.map(action => action.id)).required(),
+      type: Joi.string().valid(...UCA_TYPES).required(),
+      description,
+      context: Joi.string().required(),
+      hazards: stpaEntries.min(1).required()
+    })).min(1).unique('id').required(),
+    lossScenarios: Joi.array().items(Joi.object({
+      id,
+      uca: Joi.string().required(),
+      type: Joi.string().valid(...SCENARIO_TYPES).required(),
+      scenario: Joi.string().required(),
+      causalFactors: stpaEntries.min(1).required(),
+      recommendations: stpaEntries.required()
+    })).min(1).unique('id').required()
+  }).custom((stpa, helpers) => {
+    const ids = list => new Set(list.map(entry => entry.id));
+    const losses = ids(stpa.losses);
+    const hazards = ids(stpa.hazards);
+    const ucas = ids(stpa.unsafeControlActions);
+
+    const hazard = stpa.hazards.find(entry => entry.losses.some(loss => !losses.has(loss)));
+    if (hazard) {
+      return helpers.message(`hazard "${hazard.id}" must reference loss ids from the list`);
+    }
+    const uca = stpa.unsafeControlActions.find(entry => entry.hazards.some(item => !hazards.has(item)));
+    if (uca) {
+      return helpers.message(`unsafe control action "${uca.id}" must reference hazard ids from the list`);
+    }
+    const scenario = stpa.lossScenarios.find(entry => !ucas.has(entry.uca));
+    if (scenario) {
+      return helpers.message(`loss scenario "${scenario.id}" must reference an unsafe control action id from the list`);
+    }
+    return stpa;
+  });
+}
+
+const systemStructureSchema = Joi.object({
+  components: Joi.array().items(Joi.object({
+    name: Joi.string().required(),
+    function: Joi.string().required()
+  })).min(1).required(),
+  connections: Joi.array().items(Joi.object({
+    from: Joi.string().required(),
+    to: Joi.string().required(),
+    type: Joi.string().required()
+  })).required(),
+  safetyStandards: Joi.array().items(Joi.object({
+    standard: Joi.string().required(),
+    requirement: Joi.string().required()
+  })).required()
+}).custom((structure, helpers) => {
+  const names = new Set(structure.components.map(c => c.name));
+  const dangling = structure.connections.find(c => !names.has(c.from) || !names.has(c.to));
+  if (dangling) {
+    return helpers.message(`connection "${dangling.from}" -> "${dangling.to}" must reference component names exactly`);
+  }
+  return structure;
+});
+
+module.exports = {
+  HAZARD_SEVERITIES,
+  createFmecaSchemas,
+  fmecaRowSchema,
+  fmecaSchema,
+  fmecaCriticalityRowSchema,
+  fmecaCriticalitySchema,
+  fmecaFmedaRowSchema,
+  fmecaFmedaSchema,
+  hazardListSchema,
+  faultTreeSchema,
+  ftaSchema,
+  haraSchema,
+  createHazopSchema,
+  createStpaSchema,
+  systemStructureSchema
+};
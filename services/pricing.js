@@ -0,0 +1,72 @@
+/**
+ * Estimated model prices used for cost accounting
+ * Prices are USD per million tokens; the longest matching model prefix wins, so dated
+ * snapshots (e.g. gpt-4o-2024-08-06) use the price of their family.
+ */
+const MODEL_PRICES = {
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-opus-4': { input: 15, output: 75 }
+};
+
+/**
+ * Price table with the LLM_PRICING overrides applied
+ * LLM_PRICING is JSON: { "<model prefix>": { "input": <USD/1M>, "output": <USD/1M> } }
+ */
+function getModelPrices() {
+  if (!process.env.LLM_PRICING) {
+    return MODEL_PRICES;
+  }
+  try {
+    return { ...MODEL_PRICES, ...JSON.parse(process.env.LLM_PRICING) };
+  } catch (error) {
+    console.warn('⚠️ Ignoring invalid LLM_PRICING:', error.message);
+    return MODEL_PRICES;
+  }
+}
+
+/**
+ * Price of a model (local models are free, unknown models have no price)
+ * @param {Object} llm - { provider, model }
+ * @returns {{input: number, output: number}|null} USD per million tokens
+ */
+function getModelPrice({ provider, model } = {}) {
+  if (provider === 'local') {
+    return { input: 0, output: 0 };
+  }
+  const prices = getModelPrices();
+  const match = Object.keys(prices)
+    .filter(prefix => model && model.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? prices[match] : null;
+}
+
+/**
+ * Estimated cost of a model call in USD (null when the model has no known price)
+ * @param {Object} llm - { provider, model }
+ * @param {Object} usage - { promptTokens, completionTokens }
+ */
+function estimateCost(llm, { promptTokens = 0, completionTokens = 0 } = {}) {
+  const price = getModelPrice(llm);
+  if (!price) {
+    return null;
+  }
+  const cost = (promptTokens * price.input + completionTokens * price.output) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+module.exports = {
+  MODEL_PRICES,
+  getModelPrice,
+  estimateCost
+};
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const { createFileStore } = require('./fileStore');
+const { assessMilStd882Risk } = require('./milStd882');
+const { quantifyFTA } = require('./faultTreeEvaluator');
+const { rankMitigations } = require('./importance');
+
+const store = createFileStore('projects');
+
+// Read-modify-write of one project runs after the previous one finished
+const locks = new Map();
+
+/**
+ * Run fn while holding the write lock of a project
+ */
+function withProjectLock(id, fn) {
+  const previous = locks.get(id) || Promise.resolve();
+  const current = previous.catch(() => {}).then(fn);
+  const settled = current.catch(() => {}).then(() => {
+    if (locks.get(id) === settled) locks.delete(id);
+  });
+  locks.set(id, settled);
+  return current;
+}
+
+/**
+ * Project without its revisions, for listings
+ */
+function toProjectSummary({ revisions, ...project }) {
+  const latest = revisions[revisions.length - 1];
+  return {
+    ...project,
+    revisionCount: revisions.length,
+    latestRevision: latest ? { number: latest.number, source: latest.source, createdAt: latest.createdAt } : null
+  };
+}
+
+/**
+ * Look up a project by id (null when it does not exist or the id is malformed)
+ */
+async function getProject(id) {
+  try {
+    return await store.get(id);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * All projects, most recently updated first
+ */
+async function listProjects() {
+  const projects = await store.list();
+  return projects
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .map(toProjectSummary);
+}
+
+/**
+ * Create an empty project
+ * @param {Object} fields - { name, systemDescription, ratingScales }
+ */
+async function createProject({ name, systemDescription = {}, ratingScales = null }) {
+  const now = new Date().toISOString();
+  const project = {
+    id: crypto.randomUUID(),
+    name,
+    systemDescription,
+    ratingScales,
+    createdAt: now,
+    updatedAt: now,
+    revisions: []
+  };
+  await store.save(project);
+  console.log(`📁 Project ${project.id} created: ${name}`);
+  return project;
+}
+
+/**
+ * Update the name, system description and/or rating scales of a project
+ * @returns {Promise<Object|null>} Updated project, or null when it does not exist
+ */
+function updateProject(id, fields) {
+  return withProjectLock(id, async () => {
+    const project = await getProject(id);
+    if (!project) return null;
+
+    Object.assign(project, fields, { updatedAt: new Date().toISOString() });
+    await store.save(project);
+    return project;
+  });
+}
+
+/**
+ * Delete a project and all its revisions
+ * @returns {Promise<boolean>} Whether the project existed
+ */
+function deleteProject(id) {
+  return withProjectLock(id, async () => {
+    if (!await getProject(id)) return false;
+    await store.remove(id);
+    console.log(`🗑️ Project ${id} deleted`);
+    return true;
+  });
+}
+
+/**
+ * Append a revision to a project
+ * @param {string} id - Project id
+ * @param {Function} buildRevision - (project) => { source: 'generated' | 'edit', results, metadata, ... }
+ * @returns {Promise<Object|null>} The stored revision (with its number), or null when the project does not exist
+ */
+function addRevision(id, buildRevision) {
+  return withProjectLock(id, async () => {
+    const project = await getProject(id);
+    if (!project) return null;
+
+    const stored = {
+      number: project.revisions.length + 1,
+      createdAt: new Date().toISOString(),
+      ...buildRevision(project)
+    };
+    project.revisions.push(stored);
+    project.updatedAt = stored.createdAt;
+    await store.save(project);
+    console.log(`💾 Project ${id} revision ${stored.number} saved (${stored.source})`);
+    return stored;
+  });
+}
+
+/**
+ * Store a finished analysis as a new generated revision when the request names a project
+ * @param {Object} request - Validated analysis request body (with optional projectId)
+ * @param {Object} response - Response of runAnalysis
+ * @returns {Promise<Object>} The response, with `project: { id, revision }` once saved
+ */
+async function saveAnalysisToProject(request, response) {
+  const { projectId, ...analysisRequest } = request;
+  if (!projectId) return response;
+
+  const revision = await addRevision(projectId, () => ({
+    source: 'generated',
+    request: analysisRequest,
+    input: response.input,
+    results: response.results,
+    metadata: response.metadata
+  }));
+  return revision ? { ...response, project: { id: projectId, revision: revision.number } } : response;
+}
+
+/**
+ * Store user edits as a new revision based on the latest one
+ * Parts of the results that are not edited are carried over unchanged. Edited fault trees are
+ * quantified with the quantification settings of the latest request, and a MIL-STD-882E
+ * assessment is recomputed from the edited FMECA and fault trees.
+ * @param {string} projectId - Project id
+ * @param {Object} edit - { results: { fmeca?, fta? }, note? }
+ */
+function saveEditRevision(projectId, { results, note }) {
+  return addRevision(projectId, (project) => {
+    const latest = project.revisions[project.revisions.length - 1];
+    const merged = { ...latest?.results, ...results };
+    // Edited fault trees are quantified again with the revision's settings, like generated ones
+    if (results.fta) {
+      merged.fta = {
+        ...results.fta,
+        trees: results.fta.trees.map(tree => {
+          const fta = quantifyFTA(tree, latest?.request?.quantification);
+          return { ...fta, mitigationRanking: rankMitigations(merged.fmeca?.fmecaTable, fta.importance) };
+        })
+      };
+    }
+    // The MIL-STD-882E assessment is derived from the FMECA and fault trees, so it follows the edits
+    if (merged.milStd882 && (results.fmeca || results.fta)) {
+      merged.milStd882 = assessMilStd882Risk(merged.fmeca, merged.fta);
+    }
+    return {
+      source: 'edit',
+      basedOn: latest ? latest.number : null,
+      note: note || null,
+      request: latest?.request || null,
+      input: latest?.input || null,
+      results: merged,
+      metadata: latest?.metadata || null
+    };
+  });
+}
+
+module.exports = {
+  getProject,
+  listProjects,
+  createProject,
+  updateProject,
+  deleteProject,
+  saveAnalysisToProject,
+  saveEditRevision,
+  toProjectSummary
+};
@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Registry of the prompt templates under PROMPTS_DIR (default ./prompts)
+ *
+ * Each template version is a file `<id>/<version>.prompt`: a front matter block with
+ * id, version, description and the declared variables, followed by a `--- system ---`
+ * and a `--- user ---` section. `{{name}}` placeholders are filled in when rendering.
+ * The newest version of every template is used unless PROMPT_TEMPLATE_VERSIONS pins one,
+ * so a prompt can be changed or rolled back by editing files instead of code.
+ */
+
+const SECTION_PATTERN = /^--- (system|user) ---$/m;
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+const VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
+
+/**
+ * Raised for malformed templates, unknown templates and missing variables
+ */
+class PromptTemplateError extends Error {
+  constructor(message, { statusCode = 500, details } = {}) {
+    super(message);
+    this.name = 'PromptTemplateError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Directory the templates are loaded from
+ */
+function getPromptsDir() {
+  return process.env.PROMPTS_DIR || path.join(__dirname, '..', 'prompts');
+}
+
+/**
+ * Pinned versions from PROMPT_TEMPLATE_VERSIONS ("fmeca=1.0.0,fta=1.1.0")
+ */
+function getPinnedVersions() {
+  return Object.fromEntries((process.env.PROMPT_TEMPLATE_VERSIONS || '')
+    .split(',')
+    .map(entry => entry.split('=').map(part => part.trim()))
+    .filter(([id, version]) => id && version));
+}
+
+/**
+ * Order versions numerically (1.10.0 after 1.9.0)
+ */
+function compareVersions(a, b) {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  return 0;
+}
+
+/**
+ * Placeholder names used in a piece of template text
+ */
+function placeholdersOf(text) {
+  return [...text.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+}
+
+/**
+ * Parse one template file
+ * @param {string} source - File contents
+ * @param {string} file - Path, for error messages
+ * @returns {Object} { id, version, description, variables, system, user, file }
+ */
+function parseTemplate(source, file) {
+  const frontMatter = source.match(/^---\n([\s\S]*?)\n---\n/);
+  if (!frontMatter) {
+    throw new PromptTemplateError(`Prompt template ${file} has no front matter`);
+  }
+
+  const meta = Object.fromEntries(frontMatter[1]
+    .split('\n')
+    .filter(line => line.includes(':'))
+    .map(line => [line.slice(0, line.indexOf(':')).trim(), line.slice(line.indexOf(':') + 1).trim()]));
+
+  // split() with a capturing group yields ['', 'system', text, 'user', text]
+  const parts = source.slice(frontMatter[0].length).split(SECTION_PATTERN);
+  const sections = {};
+  for (let i = 1; i < parts.length; i += 2) {
+    sections[parts[i]] = parts[i + 1].trim();
+  }
+  if (!sections.system || !sections.user) {
+    throw new PromptTemplateError(`Prompt template ${file} needs a "--- system ---" and a "--- user ---" section`);
+  }
+  if (!meta.id || !VERSION_PATTERN.test(meta.version || '')) {
+    throw new PromptTemplateError(`Prompt template ${file} needs an id and a MAJOR.MINOR.PATCH version`);
+  }
+
+  const variables = (meta.variables || '').split(',').map(name => name.trim()).filter(Boolean);
+  const undeclared = [...new Set(placeholdersOf(`${sections.system}\n${sections.user}`))].filter(name => !variables.includes(name));
+  if (undeclared.length > 0) {
+    throw new PromptTemplateError(`Prompt template ${file} uses undeclared variables: ${undeclared.join(', ')}`);
+  }
+
+  return {
+    id: meta.id,
+    version: meta.version,
+    description: meta.description || '',
+    variables,
+    system: sections.system,
+    user: sections.user,
+    file
+  };
+}
+
+/**
+ * Read every template file
+ * @returns {Map<string, Object[]>} Template versions by id, oldest first
+ */
+function loadTemplates(dir = getPromptsDir()) {
+  const templates = new Map();
+
+  fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .forEach(entry => {
+      const versions = fs.readdirSync(path.join(dir, entry.name))
+        .filter(file => file.endsWith('.prompt'))
+        .map(file => {
+          const template = parseTemplate(fs.readFileSync(path.join(dir, entry.name, file), 'utf8'), `${entry.name}/${file}`);
+          if (template.id !== entry.name || `${template.version}.prompt` !== file) {
+            throw new PromptTemplateError(`Prompt template ${entry.name}/${file} must declare id "${entry.name}" and version "${file.replace(/\.prompt$/, '')}"`);
+          }
+          return template;
+        })
+        .sort((a, b) => compareVersions(a.version, b.version));
+      if (versions.length > 0) templates.set(entry.name, versions);
+    });
+
+  return templates;
+}
+
+let registry;
+
+/**
+ * Templates by id, loaded on first use
+ */
+function getTemplates() {
+  if (!registry) {
+    registry = loadTemplates();
+    console.log(`📝 Loaded ${registry.size} prompt template(s) from ${getPromptsDir()}`);
+  }
+  return registry;
+}
+
+/**
+ * Re-read the template files (e.g. after editing them on a running server)
+ */
+function reloadTemplates() {
+  registry = undefined;
+  return getTemplates();
+}
+
+/**
+ * A template version (default: the active one)
+ * @param {string} id - Template id
+ * @param {string} [version] - Exact version
+ * @returns {Object} Template
+ */
+function getTemplate(id, version) {
+  const versions = getTemplates().get(id);
+  if (!versions) {
+    throw new PromptTemplateError(`Unknown prompt template "${id}"`, { statusCode: 404 });
+  }
+
+  const wanted = version || getPinnedVersions()[id];
+  if (!wanted) {
+    return versions[versions.length - 1];
+  }
+  const template = versions.find(candidate => candidate.version === wanted);
+  if (!template) {
+    throw new PromptTemplateError(`Prompt template "${id}" has no version ${wanted}`, { statusCode: 404 });
+  }
+  return template;
+}
+
+/**
+ * Versions currently used for every template, by id
+ */
+function getActiveVersions() {
+  return Object.fromEntries([...getTemplates().keys()].sort().map(id => [id, getTemplate(id).version]));
+}
+
+/**
+ * All templates with their versions, for the admin listing
+ */
+function listTemplates() {
+  return [...getTemplates().entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([id, versions]) => {
+      const active = getTemplate(id).version;
+      return {
+        id,
+        activeVersion: active,
+        versions: versions.map(({ version, description, variables, file }) => ({ version, description, variables, file, active: version === active }))
+      };
+    });
+}
+
+/**
+ * Fill in a template
+ * @param {string} id - Template id
+ * @param {Object} variables - Value for every declared variable
+ * @param {Object} [options] - { version }
+ * @returns {{id: string, version: string, system: string, prompt: string}} Rendered prompt
+ */
+function renderPrompt(id, variables = {}, { version } = {}) {
+  const template = getTemplate(id, version);
+
+  const missing = template.variables.filter(name => variables[name] === undefined || variables[name] === null);
+  if (missing.length > 0) {
+    throw new PromptTemplateError(`Prompt template "${id}" v${template.version} is missing variables: ${missing.join(', ')}`, {
+      statusCode: 400,
+      details: missing
+    });
+  }
+
+  const fill = text => text.replace(PLACEHOLDER_PATTERN, (placeholder, name) => String(variables[name]));
+  return {
+    id: template.id,
+    version: template.version,
+    system: fill(template.system),
+    prompt: fill(template.user)
+  };
+}
+
+module.exports = {
+  PromptTemplateError,
+  parseTemplate,
+  loadTemplates,
+  reloadTemplates,
+  getTemplate,
+  getActiveVersions,
+  listTemplates,
+  renderPrompt
+};
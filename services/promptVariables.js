@@ -0,0 +1,123 @@
+/**
+ * Template variables for each prompt, derived from the analysis input
+ * Shared by the generators in aiService.js and the admin prompt preview.
+ */
+
+const { formatRatingCriteria } = require('./ratingScales');
+const { GUIDEWORDS, toHazopNodes } = require('./hazop');
+const { UCA_TYPES, UCA_TYPE_LABELS, deriveControlStructure } = require('./stpa');
+
+const DEFAULT_MAX_HAZARDS = 5;
+
+/**
+ * System block of the analysis prompts
+ * @param {Object} systemDescription - The system description (structured or simple)
+ * @param {boolean} isStructured - Whether the input is structured or simple text
+ * @param {Object} [options] - { withStandards: list the safety standards too }
+ */
+function describeSystem(systemDescription, isStructured, { withStandards = false } = {}) {
+  if (!isStructured) {
+    return `System Description: ${systemDescription.description}`;
+  }
+
+  const lines = [
+    `System: ${systemDescription.systemName}`,
+    `Description: ${systemDescription.description}`,
+    `Components: ${systemDescription.components.map(c => `${c.name}: ${c.function}`).join(', ')}`
+  ];
+  if (withStandards) {
+    lines.push(`Safety Standards: ${systemDescription.safetyStandards?.join(', ') || 'General Safety Principles'}`);
+  }
+  return lines.join('\n');
+}
+
+const fmecaVariables = ({ systemDescription, isStructured }) => ({
+  systemInfo: describeSystem(systemDescription, isStructured, { withStandards: true }),
+  ratingCriteria: formatRatingCriteria(systemDescription.ratingScales)
+});
+
+const PROMPT_VARIABLES = {
+  fmeca: fmecaVariables,
+  'fmeca-criticality': fmecaVariables,
+
+  fmeda: ({ systemDescription, isStructured }) => ({
+    ...fmecaVariables({ systemDescription, isStructured }),
+    asil: systemDescription.fmeda.asil
+  }),
+
+  hara: ({ systemDescription, isStructured }) => ({
+    systemInfo: describeSystem(systemDescription, isStructured)
+  }),
+
+  hazop: ({ systemDescription, isStructured }) => ({
+    systemInfo: describeSystem(systemDescription, isStructured),
+    nodesInfo: toHazopNodes(systemDescription.connections).map(node => (
+      `${node.id}: ${node.from} -> ${node.to}${node.type ? ` (${node.type})` : ''}${node.description ? `: ${node.description}` : ''}. Parameters: ${node.parameters.join(', ')}`
+    )).join('\n'),
+    guidewords: (systemDescription.hazop?.guidewords || GUIDEWORDS).join(', ')
+  }),
+
+  stpa: ({ systemDescription, isStructured }) => {
+    const structure = deriveControlStructure(systemDescription.components || [], systemDescription.connections, systemDescription.stpa?.roles);
+    const channel = entry => (entry.channel ? ` (${entry.channel})` : '');
+    return {
+      systemInfo: describeSystem(systemDescription, isStructured),
+      controlStructureInfo: [
+        'Components:',
+        ...structure.components.map(component => `- ${component.name} (${component.role})${component.function ? `: ${component.function}` : ''}`),
+        'Control actions:',
+        ...structure.controlActions.map(action => `- ${action.id}: ${action.controller} -> ${action.target}${channel(action)}`),
+        'Feedback:',
+        ...(structure.feedback.length > 0
+          ? structure.feedback.map(entry => `- ${entry.id}: ${entry.from} -> ${entry.controller}${channel(entry)}`)
+          : ['- None (controllers act without feedback)']),
+        ...(structure.links.length > 0
+          ? ['Other links:', ...structure.links.map(link => `- ${link.from} -> ${link.to}${channel(link)}`)]
+          : [])
+      ].join('\n'),
+      ucaTypes: UCA_TYPES.map(type => `   - "${type}": ${UCA_TYPE_LABELS[type]}`).join('\n')
+    };
+  },
+
+  hazards: ({ systemDescription, isStructured, maxHazards = DEFAULT_MAX_HAZARDS }) => ({
+    systemInfo: describeSystem(systemDescription, isStructured),
+    maxHazards
+  }),
+
+  fta: ({ systemDescription, isStructured, hazard, sharedBasicEvents = [] }) => ({
+    target: hazard
+      ? `the following top-level hazard of the system:
+
+Hazard ${hazard.id}: ${hazard.title} (${hazard.severity})
+${hazard.description}`
+      : 'the most critical hazard of the following system:',
+    systemInfo: describeSystem(systemDescription, isStructured),
+    sharedEventsInfo: sharedBasicEvents.length > 0
+      ? `\n\nThese basic events also appear in the fault trees of other hazards. Wherever one of them applies, use it with exactly this id, description and value:
+${sharedBasicEvents.map(event => `- ${JSON.stringify(event)}`).join('\n')}`
+      : '',
+    topEventInstruction: hazard ? 'Use this hazard as the top event' : 'Identify the most critical top-level hazard/undesired event'
+  }),
+
+  structure: ({ systemDescription }) => ({
+    systemName: systemDescription.systemName,
+    description: systemDescription.description
+  })
+};
+
+/**
+ * Variables of a prompt template for an analysis input
+ * @param {string} id - Template id (fmeca, fmeca-criticality, fmeda, hara, hazop, stpa, hazards, fta, structure)
+ * @param {Object} context - { systemDescription, isStructured, maxHazards?, hazard?, sharedBasicEvents? }
+ * @returns {Object|null} Variables, or null when the template has no builder
+ */
+function buildPromptVariables(id, context) {
+  const build = PROMPT_VARIABLES[id];
+  return build ? build(context) : null;
+}
+
+module.exports = {
+  DEFAULT_MAX_HAZARDS,
+  describeSystem,
+  buildPromptVariables
+};
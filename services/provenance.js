@@ -0,0 +1,68 @@
+const { estimateCost } = require('./pricing');
+
+/**
+ * Provenance metadata attached to every generated result
+ * Tells reviewers whether a result is a genuine model answer or stand-in data
+ */
+
+/**
+ * Where a result came from
+ * - model: first model answer passed validation
+ * - repaired: model answer passed validation after repair round-trips
+ * - fallback-parser: salvaged from an invalid answer by a fallback parser
+ * - mock: canned placeholder data, no model involvement
+ */
+const PROVENANCE_SOURCES = ['model', 'repaired', 'fallback-parser', 'mock'];
+const DEGRADED_SOURCES = ['fallback-parser', 'mock'];
+
+/**
+ * Build a provenance block
+ * @param {Object} params - Provenance details
+ * @param {string} params.source - One of PROVENANCE_SOURCES
+ * @param {Object} params.promptTemplate - { id, version } of the prompt template that was rendered
+ * @param {Object} params.llm - Resolved provider settings
+ * @param {number} params.temperature - Sampling temperature sent to the model
+ * @param {Date} params.startedAt - When generation began
+ * @param {Object} [params.generation] - Result (or error) of generateStructuredOutput
+ * @returns {Object} Provenance block
+ */
+function createProvenance({ source, promptTemplate, llm, temperature, startedAt, generation = {} }) {
+  const promptTokens = generation.usage?.promptTokens || 0;
+  const completionTokens = generation.usage?.completionTokens || 0;
+  const provider = source === 'mock' ? null : llm.provider;
+  const model = source === 'mock' ? null : (generation.model || llm.model);
+
+  return {
+    source,
+    degraded: DEGRADED_SOURCES.includes(source),
+    provider,
+    model,
+    promptTemplate: {
+      id: promptTemplate.id,
+      version: promptTemplate.version
+    },
+    temperature: source === 'mock' ? null : temperature,
+    attempts: generation.attempts || 0,
+    usage: {
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      estimatedCost: source === 'mock' ? 0 : estimateCost({ provider, model }, { promptTokens, completionTokens })
+    },
+    startedAt: startedAt.toISOString(),
+    completedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Whether any of the given results is built from degraded (mock or salvaged) data
+ */
+function hasDegradedResults(results) {
+  return results.some(result => result?.provenance?.degraded);
+}
+
+module.exports = {
+  PROVENANCE_SOURCES,
+  createProvenance,
+  hasDegradedResults
+};
@@ -0,0 +1,71 @@
+const Anthropic = require('@anthropic-ai/sdk');
+const { ProviderError, toProviderError } = require('./errors');
+
+/**
+ * Anthropic Messages API
+ */
+function createAnthropicProvider() {
+  const label = 'Anthropic';
+  const defaultModel = process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest';
+  const isConfigured = () => Boolean(process.env.ANTHROPIC_API_KEY);
+  let client = null;
+
+  const getClient = () => {
+    if (!isConfigured()) {
+      throw new ProviderError(`${label} is not configured. Please check your environment variables.`, { provider: label });
+    }
+    if (!client) {
+      client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+    }
+    return client;
+  };
+
+  return {
+    name: 'anthropic',
+    label,
+    defaultModel,
+    isConfigured,
+
+    async complete({ model, system, messages, temperature, maxTokens, onText, signal }) {
+      const request = {
+        model: model || defaultModel,
+        system,
+        messages,
+        temperature,
+        max_tokens: maxTokens
+      };
+      // Aborting the signal cancels the HTTP request to the model
+      const options = { signal };
+
+      try {
+        let message;
+        if (onText) {
+          // Stream text deltas as they arrive, then read the assembled message
+          const stream = getClient().messages.stream(request, options);
+          stream.on('text', onText);
+          message = await stream.finalMessage();
+        } else {
+          message = await getClient().messages.create(request, options);
+        }
+
+        return {
+          text: message.content
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join(''),
+          model: message.model || request.model,
+          usage: {
+            promptTokens: message.usage?.input_tokens || 0,
+            completionTokens: message.usage?.output_tokens || 0
+          }
+        };
+      } catch (error) {
+        throw toProviderError(error, label);
+      }
+    }
+  };
+}
+
+module.exports = {
+  createAnthropicProvider
+};
@@ -0,0 +1,49 @@
+/**
+ * Error type shared by all LLM provider adapters
+ */
+class ProviderError extends Error {
+  constructor(message, { provider, statusCode = 503, code, cause } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.statusCode = statusCode;
+    this.code = code;
+    if (cause) this.cause = cause;
+  }
+}
+
+/**
+ * Map an SDK error onto a ProviderError with a readable message
+ * @param {Error} error - Error thrown by the provider SDK
+ * @param {string} label - Human readable provider name (e.g. "OpenAI")
+ * @returns {ProviderError} Normalized error
+ */
+function toProviderError(error, label) {
+  if (error instanceof ProviderError) return error;
+
+  const status = error.status || error.statusCode;
+  const code = error.code || error.error?.type;
+
+  if (error.name === 'APIUserAbortError' || error.name === 'AbortError') {
+    return new ProviderError(`${label} request was cancelled.`, { provider: label, code: 'cancelled', statusCode: 499, cause: error });
+  }
+  if (code === 'insufficient_quota') {
+    return new ProviderError(`${label} API quota exceeded. Please check your API usage and billing.`, { provider: label, code, cause: error });
+  }
+  if (code === 'invalid_api_key' || code === 'authentication_error' || status === 401) {
+    return new ProviderError(`Invalid ${label} API key. Please check your configuration.`, { provider: label, code, cause: error });
+  }
+  if (status === 429 || code === 'rate_limit_error') {
+    return new ProviderError(`${label} API rate limit exceeded. Please try again later.`, { provider: label, code, statusCode: 429, cause: error });
+  }
+  if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED' || error.name === 'APIConnectionError') {
+    return new ProviderError(`${label} endpoint is unreachable. Please check your configuration.`, { provider: label, code: error.code, cause: error });
+  }
+
+  return new ProviderError(`${label} request failed: ${error.message}`, { provider: label, code, statusCode: 502, cause: error });
+}
+
+module.exports = {
+  ProviderError,
+  toProviderError
+};
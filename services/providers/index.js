@@ -0,0 +1,88 @@
+const { createOpenAIProvider, createAzureOpenAIProvider, createLocalProvider } = require('./openaiProvider');
+const { createAnthropicProvider } = require('./anthropicProvider');
+const { ProviderError, toProviderError } = require('./errors');
+
+const PROVIDER_FACTORIES = {
+  openai: createOpenAIProvider,
+  anthropic: createAnthropicProvider,
+  azure: createAzureOpenAIProvider,
+  local: createLocalProvider
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDER_FACTORIES);
+
+// Adapters are created lazily so a missing key only fails the requests that need it
+const providerCache = new Map();
+
+/**
+ * Get a provider adapter by name
+ * @param {string} name - One of PROVIDER_NAMES
+ * @returns {Object} Provider adapter
+ */
+function getProvider(name) {
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new ProviderError(`Unknown LLM provider "${name}"`, { provider: name, statusCode: 400 });
+  }
+
+  if (!providerCache.has(name)) {
+    providerCache.set(name, factory());
+  }
+  return providerCache.get(name);
+}
+
+/**
+ * Providers this deployment is allowed to use (LLM_ALLOWED_PROVIDERS, defaults to all)
+ */
+function getAllowedProviders() {
+  if (!process.env.LLM_ALLOWED_PROVIDERS) {
+    return PROVIDER_NAMES;
+  }
+  return process.env.LLM_ALLOWED_PROVIDERS
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => PROVIDER_NAMES.includes(name));
+}
+
+/**
+ * Resolve the provider and model for a request
+ * Per-request settings win over the deployment defaults (LLM_PROVIDER / LLM_MODEL)
+ * @param {Object} [requested] - Optional { provider, model } from the request body
+ * @returns {{provider: string, model: string}} Resolved settings
+ */
+function resolveLLMSettings(requested = {}) {
+  const provider = requested.provider || process.env.LLM_PROVIDER || 'openai';
+
+  if (!getAllowedProviders().includes(provider)) {
+    throw new ProviderError(`LLM provider "${provider}" is not enabled on this deployment`, { provider, statusCode: 400 });
+  }
+
+  // A deployment-wide model only applies to the deployment-wide provider
+  const deploymentModel = provider === (process.env.LLM_PROVIDER || 'openai') ? process.env.LLM_MODEL : undefined;
+
+  return {
+    provider,
+    model: requested.model || deploymentModel || getProvider(provider).defaultModel
+  };
+}
+
+/**
+ * Send a single prompt to the configured model
+ * @param {Object} llm - Resolved settings from resolveLLMSettings
+ * @param {Object} request - { system, messages, temperature, maxTokens, onText, signal }
+ * @returns {Promise<{text: string, model: string, usage: Object}>} Completion
+ */
+async function complete(llm, request) {
+  const provider = getProvider(llm.provider);
+  return provider.complete({ ...request, model: llm.model });
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  ProviderError,
+  toProviderError,
+  getProvider,
+  getAllowedProviders,
+  resolveLLMSettings,
+  complete
+};
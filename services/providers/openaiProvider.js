@@ -0,0 +1,158 @@
+const OpenAI = require('openai');
+const { AzureOpenAI } = require('openai');
+const { ProviderError, toProviderError } = require('./errors');
+
+/**
+ * Stream a chat completion, reporting each text delta as it arrives
+ * @returns {Promise<Object>} Same shape as a non-streaming completion
+ */
+async function streamCompletion(client, request, onText, options) {
+  const stream = await client.chat.completions.create({
+    ...request,
+    stream: true,
+    stream_options: { include_usage: true }
+  }, options);
+
+  let text = '';
+  let model = request.model;
+  let usage = null;
+  for await (const chunk of stream) {
+    const delta = chunk.choices?.[0]?.delta?.content;
+    if (delta) {
+      text += delta;
+      onText(delta);
+    }
+    model = chunk.model || model;
+    usage = chunk.usage || usage;
+  }
+
+  return {
+    text,
+    model,
+    usage: {
+      promptTokens: usage?.prompt_tokens || 0,
+      completionTokens: usage?.completion_tokens || 0
+    }
+  };
+}
+
+/**
+ * Build a provider around any endpoint that speaks the OpenAI chat completions API
+ * @param {Object} config - Adapter configuration
+ * @param {string} config.name - Provider id used in settings
+ * @param {string} config.label - Human readable provider name
+ * @param {string} config.defaultModel - Model used when none is requested
+ * @param {Function} config.isConfigured - Returns true when the adapter can be used
+ * @param {Function} config.createClient - Returns an OpenAI-compatible client
+ * @returns {Object} Provider adapter
+ */
+function createChatCompletionsProvider({ name, label, defaultModel, isConfigured, createClient }) {
+  let client = null;
+
+  const getClient = () => {
+    if (!isConfigured()) {
+      throw new ProviderError(`${label} is not configured. Please check your environment variables.`, { provider: label });
+    }
+    if (!client) {
+      client = createClient();
+    }
+    return client;
+  };
+
+  return {
+    name,
+    label,
+    defaultModel,
+    isConfigured,
+
+    async complete({ model, system, messages, temperature, maxTokens, onText, signal }) {
+      const request = {
+        model: model || defaultModel,
+        messages: [
+          { role: 'system', content: system },
+          ...messages
+        ],
+        temperature,
+        max_tokens: maxTokens
+      };
+      // Aborting the signal cancels the HTTP request to the model
+      const options = { signal };
+
+      try {
+        if (onText) {
+          return await streamCompletion(getClient(), request, onText, options);
+        }
+
+        const completion = await getClient().chat.completions.create(request, options);
+
+        return {
+          text: completion.choices[0].message.content || '',
+          model: completion.model || request.model,
+          usage: {
+            promptTokens: completion.usage?.prompt_tokens || 0,
+            completionTokens: completion.usage?.completion_tokens || 0
+          }
+        };
+      } catch (error) {
+        throw toProviderError(error, label);
+      }
+    }
+  };
+}
+
+/**
+ * OpenAI public API
+ */
+function createOpenAIProvider() {
+  return createChatCompletionsProvider({
+    name: 'openai',
+    label: 'OpenAI',
+    defaultModel: process.env.OPENAI_MODEL || 'gpt-4',
+    isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+    createClient: () => new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY
+    })
+  });
+}
+
+/**
+ * Azure OpenAI Service - the model is the deployment name
+ */
+function createAzureOpenAIProvider() {
+  return createChatCompletionsProvider({
+    name: 'azure',
+    label: 'Azure OpenAI',
+    defaultModel: process.env.AZURE_OPENAI_DEPLOYMENT || 'gpt-4',
+    isConfigured: () => Boolean(process.env.AZURE_OPENAI_ENDPOINT && process.env.AZURE_OPENAI_API_KEY),
+    createClient: () => new AzureOpenAI({
+      endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+      apiKey: process.env.AZURE_OPENAI_API_KEY,
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-06-01',
+      deployment: process.env.AZURE_OPENAI_DEPLOYMENT
+    })
+  });
+}
+
+/**
+ * Self-hosted OpenAI-compatible endpoint (Ollama, llama.cpp server, vLLM, ...)
+ */
+function createLocalProvider() {
+  return createChatCompletionsProvider({
+    name: 'local',
+    label: 'Local LLM',
+    defaultModel: process.env.LOCAL_LLM_MODEL || 'llama3',
+    isConfigured: () => Boolean(process.env.LOCAL_LLM_BASE_URL),
+    createClient: () => new OpenAI({
+      baseURL: process.env.LOCAL_LLM_BASE_URL,
+      // Most local servers ignore the key, but the SDK requires one
+      apiKey: process.env.LOCAL_LLM_API_KEY || 'not-needed'
+    })
+  });
+}
+
+module.exports = {
+  createChatCompletionsProvider,
+  createOpenAIProvider,
+  createAzureOpenAIProvider,
+  createLocalProvider
+};
@@ -0,0 +1,185 @@
+const Joi = require('joi');
+
+/**
+ * Rating scales for FMECA severity, occurrence and detection
+ *
+ * A project can replace the default 1-10 scales with its own: the range of each rating, a label
+ * and the textual criteria of every level, and the thresholds that band severity ratings, RPNs and
+ * (optionally) MIL-STD-1629A mode criticality numbers into critical/high/medium/low. The criteria
+ * go into the FMECA prompt so the model rates against them; the bands drive the table colouring,
+ * legend, high-risk count and the rating criteria appendix.
+ */
+
+const RATING_DIMENSIONS = ['severity', 'occurrence', 'detection'];
+
+const RISK_LEVELS = ['critical', 'high', 'medium', 'low'];
+
+// Risk levels that count a failure mode as high risk in RPN ranking
+const HIGH_RISK_LEVELS = ['critical', 'high'];
+
+const level = (value, label, criteria) => ({ value, label, criteria });
+
+const DEFAULT_RATING_SCALES = {
+  name: 'Default 1-10 rating scales',
+  severity: {
+    min: 1,
+    max: 10,
+    levels: [
+      level(10, 'Hazardous without warning', 'Affects safe operation or violates regulations, without any warning'),
+      level(9, 'Hazardous with warning', 'Affects safe operation or violates regulations, with a warning'),
+      level(8, 'Very high', 'Loss of the primary function; the system is inoperable'),
+      level(7, 'High', 'Primary function degraded; the system operates at a reduced level of performance'),
+      level(6, 'Moderate', 'Loss of a secondary function; comfort or convenience items inoperable'),
+      level(5, 'Low', 'Secondary function degraded; comfort or convenience items at reduced performance'),
+      level(4, 'Very low', 'Defect noticed by most users; fit, finish or noise does not conform'),
+      level(3, 'Minor', 'Defect noticed by average users'),
+      level(2, 'Very minor', 'Defect noticed by discriminating users only'),
+      level(1, 'None', 'No discernible effect')
+    ]
+  },
+  occurrence: {
+    min: 1,
+    max: 10,
+    levels: [
+      level(10, 'Very high', 'Failure is almost inevitable: 1 in 10 or more'),
+      level(9, 'Very high', 'About 1 in 20'),
+      level(8, 'High', 'Repeated failures: about 1 in 50'),
+      level(7, 'High', 'About 1 in 100'),
+      level(6, 'Moderate', 'Occasional failures: about 1 in 500'),
+      level(5, 'Moderate', 'About 1 in 2,000'),
+      level(4, 'Moderate', 'About 1 in 10,000'),
+      level(3, 'Low', 'Relatively few failures: about 1 in 100,000'),
+      level(2, 'Low', 'About 1 in 1,000,000'),
+      level(1, 'Remote', 'Failure is unlikely; eliminated through preventive control')
+    ]
+  },
+  detection: {
+    min: 1,
+    max: 10,
+    levels: [
+      level(10, 'Absolute uncertainty', 'No control exists; the failure mode cannot be detected'),
+      level(9, 'Very remote', 'Controls will probably not detect the failure mode'),
+      level(8, 'Remote', 'Controls have a poor chance of detection'),
+      level(7, 'Very low', 'Controls have a very low chance of detection'),
+      level(6, 'Low', 'Controls have a low chance of detection'),
+      level(5, 'Moderate', 'Controls have a moderate chance of detection'),
+      level(4, 'Moderately high', 'Controls have a moderately high chance of detection'),
+      level(3, 'High', 'Controls have a good chance of detection'),
+      level(2, 'Very high', 'Controls almost certainly detect the failure mode'),
+      level(1, 'Almost certain', 'Failure mode is prevented or detected with certainty by design')
+    ]
+  },
+  severityBands: [
+    { min: 9, level: 'critical', label: 'Critical' },
+    { min: 7, level: 'high', label: 'High' },
+    { min: 5, level: 'medium', label: 'Medium' },
+    { min: 1, level: 'low', label: 'Low' }
+  ],
+  rpnBands: [
+    { min: 200, level: 'critical', label: 'Critical' },
+    { min: 100, level: 'high', label: 'High' },
+    { min: 50, level: 'medium', label: 'Medium' },
+    { min: 1, level: 'low', label: 'Low' }
+  ],
+  criticalityBands: []
+};
+
+const scaleSchema = Joi.object({
+  min: Joi.number().integer().min(1).max(8).required(),
+  max: Joi.number().integer().min(3).max(10).required(),
+  levels: Joi.array().items(Joi.object({
+    value: Joi.number().integer().required(),
+    label: Joi.string().min(1).max(60).required(),
+    criteria: Joi.string().min(1).max(500).required()
+  })).min(2).required()
+}).custom((scale, helpers) => {
+  if (scale.max - scale.min < 2) {
+    return helpers.message('{{#label}} needs at least three rating levels');
+  }
+  // Every rating of the range needs its criteria, and only those
+  const values = scale.levels.map(entry => entry.value).sort((a, b) => a - b);
+  const expected = Array.from({ length: scale.max - scale.min + 1 }, (_, index) => scale.min + index);
+  if (values.join() !== expected.join()) {
+    return helpers.message(`{{#label}} must define exactly one level for every rating from ${scale.min} to ${scale.max}`);
+  }
+  return { ...scale, levels: [...scale.levels].sort((a, b) => b.value - a.value) };
+});
+
+const bandsSchema = Joi.array().items(Joi.object({
+  min: Joi.number().min(0).required(),
+  level: Joi.string().valid(...RISK_LEVELS).required(),
+  label: Joi.string().min(1).max(40).required()
+})).unique('min').custom(bands => [...bands].sort((a, b) => b.min - a.min));
+
+// Rating scale definitions as stored on a project or sent with an analysis request
+const ratingScalesSchema = Joi.object({
+  name: Joi.string().min(1).max(100).optional(),
+  severity: scaleSchema.required(),
+  occurrence: scaleSchema.required(),
+  detection: scaleSchema.required(),
+  severityBands: bandsSchema.min(1).required(),
+  rpnBands: bandsSchema.min(1).required(),
+  criticalityBands: bandsSchema.default([])
+});
+
+/**
+ * Band a value falls in: the one with the highest minimum not above it, else the lowest band
+ * @param {Array} bands - Bands sorted by min, highest first
+ * @returns {Object|null} { min, level, label }, or null without bands
+ */
+function bandOf(bands = [], value) {
+  if (bands.length === 0 || value === null || value === undefined) return null;
+  return bands.find(band => value >= band.min) || bands[bands.length - 1];
+}
+
+/**
+ * Whether an RPN counts as high risk (critical or high band)
+ */
+function isHighRiskRPN(rpn, scales = DEFAULT_RATING_SCALES) {
+  return HIGH_RISK_LEVELS.includes(bandOf(scales.rpnBands, rpn)?.level);
+}
+
+/**
+ * Map a rating onto the 1-10 scale the standard lookups (Action Priority, MIL-STD-1629A
+ * severity classes, MIL-STD-882E categories) are defined on
+ * @param {number} value - Rating on the project scale
+ * @param {string} dimension - severity, occurrence or detection
+ */
+function toTenPointRating(value, dimension, scales = DEFAULT_RATING_SCALES) {
+  const { min, max } = scales[dimension];
+  if (min === 1 && max === 10) return value;
+  return Math.round(1 + ((value - min) * 9) / (max - min));
+}
+
+/**
+ * Highest RPN the scales allow
+ */
+function maxRPN(scales = DEFAULT_RATING_SCALES) {
+  return RATING_DIMENSIONS.reduce((product, dimension) => product * scales[dimension].max, 1);
+}
+
+/**
+ * Rating criteria block of the FMECA prompt
+ */
+function formatRatingCriteria(scales = DEFAULT_RATING_SCALES) {
+  const titles = { severity: 'Severity (S)', occurrence: 'Occurrence (O)', detection: 'Detection (D)' };
+  return RATING_DIMENSIONS.map(dimension => {
+    const { min, max, levels } = scales[dimension];
+    return [
+      `${titles[dimension]}, rated ${min}-${max}:`,
+      ...levels.map(entry => `- ${entry.value} ${entry.label}: ${entry.criteria}`)
+    ].join('\n');
+  }).join('\n\n');
+}
+
+module.exports = {
+  RATING_DIMENSIONS,
+  RISK_LEVELS,
+  DEFAULT_RATING_SCALES,
+  ratingScalesSchema,
+  bandOf,
+  isHighRiskRPN,
+  toTenPointRating,
+  maxRPN,
+  formatRatingCriteria
+};
@@ -0,0 +1,310 @@
+/**
+ * Reliability block diagrams (RBD) and system reliability
+ *
+ * A diagram is a tree of blocks: components with their failure data, and series, parallel and
+ * k-of-n groups of blocks. Components fail independently; their reliability is
+ *   exponential: R(t) = e^(-λt)              (failureRate λ per hour)
+ *   MTBF:        R(t) = e^(-t / MTBF)         (mtbf in hours)
+ *   Weibull:     R(t) = e^(-(t/η)^β)          (weibull.shape β, weibull.scale η in hours)
+ * A series group works when all its blocks work, a parallel group when one does and a k-of-n
+ * group when at least k do. The system MTBF is the mean time to the first system failure,
+ * ∫R(t)dt; steady-state availability combines the blocks' MTBF / (MTBF + MTTR) the same way.
+ */
+
+const Joi = require('joi');
+const { DEFAULT_MISSION_TIME } = require('./faultTreeEvaluator');
+
+const GROUP_TYPES = ['series', 'parallel', 'k-of-n'];
+const BLOCK_TYPES = ['component', ...GROUP_TYPES];
+
+// Points of the R(t) curve
+const CURVE_POINTS = 50;
+// The MTBF integral uses Simpson's rule on segments doubling in length, fine near t = 0 where
+// Weibull shapes below 1 fall steeply
+const INTEGRATION_SEGMENTS = 24;
+const SEGMENT_INTERVALS = 100;
+// The MTBF integral runs until the system reliability falls below this
+const NEGLIGIBLE_RELIABILITY = 1e-9;
+
+const blockSchema = Joi.object({
+  id: Joi.string().max(50).required(),
+  type: Joi.string().valid(...BLOCK_TYPES).required(),
+  name: Joi.string().max(200).when('type', { is: 'component', then: Joi.required(), otherwise: Joi.optional() }),
+  failureRate: Joi.number().positive(),
+  mtbf: Joi.number().positive(),
+  weibull: Joi.object({
+    shape: Joi.number().positive().required(),
+    scale: Joi.number().positive().required()
+  }),
+  mttr: Joi.number().min(0),
+  k: Joi.number().integer().min(1).when('type', { is: 'k-of-n', then: Joi.required(), otherwise: Joi.forbidden() }),
+  blocks: Joi.array().items(Joi.link('#block')).min(1)
+    .when('type', { is: 'component', then: Joi.forbidden(), otherwise: Joi.required() })
+}).when(Joi.object({ type: Joi.valid('component') }).unknown(), {
+  then: Joi.object().xor('failureRate', 'mtbf', 'weibull'),
+  otherwise: Joi.object({ failureRate: Joi.forbidden(), mtbf: Joi.forbidden(), weibull: Joi.forbidden(), mttr: Joi.forbidden() })
+}).id('block');
+
+const reliabilityDiagramSchema = Joi.object({
+  name: Joi.string().max(200).optional(),
+  root: blockSchema.required()
+});
+
+/**
+ * Blocks of a diagram in depth-first order
+ */
+function flattenBlocks(block, list = []) {
+  list.push(block);
+  (block.blocks || []).forEach(child => flattenBlocks(child, list));
+  return list;
+}
+
+/**
+ * Check the structural rules the schema cannot express
+ * @param {Object} diagram - { root }
+ * @returns {string[]} Problems found (empty when the diagram is well formed)
+ */
+function validateReliabilityDiagram(diagram) {
+  const errors = [];
+  const seen = new Set();
+  flattenBlocks(diagram.root).forEach(block => {
+    if (seen.has(block.id)) errors.push(`block id "${block.id}" is used more than once`);
+    seen.add(block.id);
+    if (block.type === 'parallel' && block.blocks.length < 2) {
+      errors.push(`parallel block "${block.id}" needs at least two blocks`);
+    }
+    if (block.type === 'k-of-n' && block.k > block.blocks.length) {
+      errors.push(`k-of-n block "${block.id}" needs k between 1 and its number of blocks (${block.blocks.length})`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Lanczos approximation of the gamma function (for the Weibull mean life)
+ */
+function gamma(x) {
+  if (x < 0.5) return Math.PI / (Math.sin(Math.PI * x) * gamma(1 - x));
+  const coefficients = [
+    676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+    12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+  ];
+  const z = x - 1;
+  const t = z + 7.5;
+  const series = coefficients.reduce((sum, coefficient, index) => sum + coefficient / (z + index + 1), 0.99999999999980993);
+  return Math.sqrt(2 * Math.PI) * t ** (z + 0.5) * Math.exp(-t) * series;
+}
+
+/**
+ * Reliability of a component at time t (hours)
+ */
+function componentReliability(block, time) {
+  if (block.weibull) return Math.exp(-((time / block.weibull.scale) ** block.weibull.shape));
+  const rate = block.failureRate ?? 1 / block.mtbf;
+  return Math.exp(-rate * time);
+}
+
+/**
+ * Mean life of a component (hours)
+ */
+function componentMeanLife(block) {
+  if (block.weibull) return block.weibull.scale * gamma(1 + 1 / block.weibull.shape);
+  return block.mtbf ?? 1 / block.failureRate;
+}
+
+/**
+ * Probability that at least k of independent blocks work
+ * @param {number[]} values - Probability that each block works
+ */
+function atLeastKOf(values, k) {
+  // working[j]: probability that exactly j of the blocks seen so far work
+  let working = [1];
+  values.forEach(value => {
+    const next = new Array(working.length + 1).fill(0);
+    working.forEach((probability, count) => {
+      next[count] += probability * (1 - value);
+      next[count + 1] += probability * value;
+    });
+    working = next;
+  });
+  return working.slice(k).reduce((sum, probability) => sum + probability, 0);
+}
+
+/**
+ * Combine the values of a group's blocks (reliabilities or availabilities)
+ */
+function combine(block, values) {
+  if (block.type === 'series') return values.reduce((product, value) => product * value, 1);
+  if (block.type === 'parallel') return 1 - values.reduce((product, value) => product * (1 - value), 1);
+  return atLeastKOf(values, block.k);
+}
+
+/**
+ * Value of a block from its components' values
+ */
+function blockValue(block, componentValue) {
+  if (block.type === 'component') return componentValue(block);
+  return combine(block, block.blocks.map(child => blockValue(child, componentValue)));
+}
+
+/**
+ * ∫f(t)dt over [from, to] by Simpson's rule
+ */
+function simpson(f, from, to) {
+  const step = (to - from) / SEGMENT_INTERVALS;
+  let sum = f(from) + f(to);
+  for (let i = 1; i < SEGMENT_INTERVALS; i++) {
+    sum += (i % 2 === 1 ? 4 : 2) * f(from + i * step);
+  }
+  return sum * step / 3;
+}
+
+/**
+ * Mean time to failure of a block, ∫R(t)dt up to the time its reliability becomes negligible
+ */
+function meanTimeToFailure(block) {
+  if (block.type === 'component') return componentMeanLife(block);
+
+  const reliabilityAt = time => blockValue(block, component => componentReliability(component, time));
+  let horizon = Math.max(...flattenBlocks(block).filter(child => child.type === 'component').map(componentMeanLife));
+  for (let doubling = 0; doubling < 60 && reliabilityAt(horizon) > NEGLIGIBLE_RELIABILITY; doubling++) {
+    horizon *= 2;
+  }
+
+  let start = horizon / 2 ** INTEGRATION_SEGMENTS;
+  let total = simpson(reliabilityAt, 0, start);
+  for (; start < horizon; start *= 2) {
+    total += simpson(reliabilityAt, start, start * 2);
+  }
+  return total;
+}
+
+/**
+ * Steady-state availability of a component; without a repair time it counts as always available
+ */
+function componentAvailability(block) {
+  if (!block.mttr) return 1;
+  const meanLife = componentMeanLife(block);
+  return meanLife / (meanLife + block.mttr);
+}
+
+/**
+ * Round to four significant digits
+ */
+function round(value) {
+  return Number(value.toPrecision(4));
+}
+
+/**
+ * System reliability, MTBF and availability of a reliability block diagram
+ * @param {Object} diagram - Validated diagram ({ root })
+ * @param {Object} [options] - { missionTime, horizon } in hours; the R(t) curve runs to
+ *   horizon, by default twice the system MTBF
+ * @returns {Object} { missionTime, reliability, unreliability, mtbf, availability, curve, blocks, summary }
+ */
+function evaluateReliabilityDiagram(diagram, { missionTime = DEFAULT_MISSION_TIME, horizon } = {}) {
+  const all = flattenBlocks(diagram.root);
+  const components = all.filter(block => block.type === 'component');
+  const reliabilityAt = (block, time) => blockValue(block, component => componentReliability(component, time));
+
+  const mtbf = round(meanTimeToFailure(diagram.root));
+  const end = horizon || 2 * mtbf;
+  const curve = Array.from({ length: CURVE_POINTS + 1 }, (_, index) => {
+    const time = round(end * index / CURVE_POINTS);
+    return { time, reliability: reliabilityAt(diagram.root, time) };
+  });
+
+  const blocks = Object.fromEntries(all.map(block => [block.id, {
+    reliability: reliabilityAt(block, missionTime),
+    mtbf: round(meanTimeToFailure(block)),
+    availability: blockValue(block, componentAvailability)
+  }]));
+
+  const weakest = components.reduce((lowest, block) => (
+    !lowest || blocks[block.id].reliability < blocks[lowest.id].reliability ? block : lowest
+  ), null);
+  const reliability = blocks[diagram.root.id].reliability;
+
+  return {
+    missionTime,
+    reliability,
+    unreliability: 1 - reliability,
+    mtbf,
+    availability: blocks[diagram.root.id].availability,
+    curve,
+    blocks,
+    summary: {
+      components: components.length,
+      weakestComponent: weakest && { id: weakest.id, name: weakest.name, reliability: blocks[weakest.id].reliability },
+      withoutRepairTime: components.filter(block => !block.mttr).map(block => block.id)
+    }
+  };
+}
+
+/**
+ * Default reliability block diagram of a system structure
+ * Components with the same (non-empty) inputs and outputs are redundant paths and go in
+ * parallel; the stages are put in series in connection order. Components get the failure
+ * rate given for their name; the others have no failure data yet and must be completed
+ * before the diagram can be evaluated.
+ * @param {Object[]} components - [{ name }]
+ * @param {Object[]} [connections] - [{ from, to }] between component names
+ * @param {Object} [failureRates] - Failure rate per hour by component name
+ * @returns {Object} { name, root }
+ */
+function buildReliabilityDiagram(components, connections = [], failureRates = {}) {
+  const names = components.map(component => component.name);
+  const known = connections.filter(({ from, to }) => from !== to && names.includes(from) && names.includes(to));
+  const neighbours = (name, end, other) => known.filter(connection => connection[end] === name).map(connection => connection[other]).sort();
+
+  // Stages: components grouped by identical inputs and outputs
+  const stages = [];
+  names.forEach(name => {
+    const inputs = neighbours(name, 'to', 'from');
+    const outputs = neighbours(name, 'from', 'to');
+    const signature = inputs.length + outputs.length > 0 ? JSON.stringify([inputs, outputs]) : null;
+    const stage = signature && stages.find(candidate => candidate.signature === signature);
+    if (stage) stage.members.push(name);
+    else stages.push({ signature, members: [name] });
+  });
+
+  // Order the stages along the connections; stages in a cycle keep their input order
+  const stageOf = name => stages.find(stage => stage.members.includes(name));
+  const ordered = [];
+  const remaining = [...stages];
+  while (remaining.length > 0) {
+    const ready = remaining.find(stage => !known.some(({ from, to }) => (
+      stage.members.includes(to) && remaining.includes(stageOf(from)) && stageOf(from) !== stage
+    ))) || remaining[0];
+    ordered.push(ready);
+    remaining.splice(remaining.indexOf(ready), 1);
+  }
+
+  const componentBlock = name => ({
+    id: `C${names.indexOf(name) + 1}`,
+    type: 'component',
+    name,
+    ...(failureRates[name] > 0 && { failureRate: failureRates[name] })
+  });
+
+  let parallelCount = 0;
+  return {
+    name: 'System',
+    root: {
+      id: 'S1',
+      type: 'series',
+      name: 'System',
+      blocks: ordered.map(stage => (stage.members.length === 1
+        ? componentBlock(stage.members[0])
+        : { id: `P${++parallelCount}`, type: 'parallel', name: `Redundant: ${stage.members.join(', ')}`, blocks: stage.members.map(componentBlock) }))
+    }
+  };
+}
+
+module.exports = {
+  BLOCK_TYPES,
+  reliabilityDiagramSchema,
+  validateReliabilityDiagram,
+  buildReliabilityDiagram,
+  evaluateReliabilityDiagram
+};
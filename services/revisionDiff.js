@@ -0,0 +1,284 @@
+const RATING_FIELDS = ['severity', 'occurrence', 'detection', 'rpn'];
+// MIL-STD-1629A criticality columns, present when the FMECA has quantitative criticality
+const CRITICALITY_FIELDS = ['partFailureRate', 'failureModeRatio', 'failureEffectProbability', 'modeCriticality'];
+// ISO 26262-5 FMEDA columns, present when the FMECA has an FMEDA
+const FMEDA_FIELDS = ['failureRate', 'failureModeDistribution', 'safetyRelated', 'faultClass', 'safetyMechanism', 'diagnosticCoverage', 'latentFaultCoverage'];
+// AIAG-VDA Action Priority, present when the FMECA is ranked by it
+const PRIORITY_FIELDS = ['actionPriority'];
+const FMECA_TEXT_FIELDS = ['failureCause', 'localEffect', 'systemEffect', 'endEffect', 'recommendedAction'];
+const EVENT_FIELDS = ['type', 'description', 'probability', 'failureRate'];
+const GATE_FIELDS = ['type', 'k', 'description'];
+
+/**
+ * Normalised text used to recognise the same item across revisions
+ */
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Identity of an FMECA row: the item and how it fails
+ */
+function rowKey(row) {
+  return `${normalize(row.itemFunction)}|${normalize(row.failureMode)}`;
+}
+
+/**
+ * Fields whose values differ between two objects
+ * @returns {Object} { field: { before, after } }
+ */
+function changedFields(before, after, fields) {
+  const changes = {};
+  fields.forEach(field => {
+    if (before[field] !== after[field]) {
+      changes[field] = { before: before[field] ?? null, after: after[field] ?? null };
+    }
+  });
+  return changes;
+}
+
+/**
+ * Compare two FMECA tables row by row
+ * Rows are matched on item/function and failure mode; a modified row reports its
+ * changed fields and the S/O/D/RPN deltas.
+ * @param {Object[]} beforeRows - fmecaTable of the older revision
+ * @param {Object[]} afterRows - fmecaTable of the newer revision
+ * @returns {Object} { added, removed, modified, unchanged, summary }
+ */
+function diffFMECA(beforeRows = [], afterRows = []) {
+  // Duplicate keys are paired up in order
+  const remaining = new Map();
+  beforeRows.forEach((row, index) => {
+    const key = rowKey(row);
+    if (!remaining.has(key)) remaining.set(key, []);
+    remaining.get(key).push({ row, index });
+  });
+
+  const added = [];
+  const modified = [];
+  let unchanged = 0;
+
+  afterRows.forEach((row, index) => {
+    const match = remaining.get(rowKey(row))?.shift();
+    if (!match) {
+      added.push({ index, row });
+      return;
+    }
+
+    const changes = changedFields(match.row, row, [...RATING_FIELDS, ...PRIORITY_FIELDS, ...CRITICALITY_FIELDS, ...FMEDA_FIELDS, ...FMECA_TEXT_FIELDS]);
+    if (Object.keys(changes).length === 0) {
+      unchanged++;
+      return;
+    }
+
+    const deltas = {};
+    RATING_FIELDS.forEach(field => {
+      deltas[field] = (row[field] || 0) - (match.row[field] || 0);
+    });
+    modified.push({ beforeIndex: match.index, index, before: match.row, after: row, changes, deltas });
+  });
+
+  const removed = [...remaining.values()]
+    .flat()
+    .sort((a, b) => a.index - b.index)
+    .map(({ row, index }) => ({ index, row }));
+
+  const totalRPN = rows => rows.reduce((sum, row) => sum + (row.rpn || 0), 0);
+  const maxRPN = rows => rows.reduce((max, row) => Math.max(max, row.rpn || 0), 0);
+
+  return {
+    added,
+    removed,
+    modified,
+    unchanged,
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      modified: modified.length,
+      unchanged,
+      totalRPN: { before: totalRPN(beforeRows), after: totalRPN(afterRows), delta: totalRPN(afterRows) - totalRPN(beforeRows) },
+      maxRPN: { before: maxRPN(beforeRows), after: maxRPN(afterRows), delta: maxRPN(afterRows) - maxRPN(beforeRows) }
+    }
+  };
+}
+
+/**
+ * Inputs of every node (edges point from a node to its inputs)
+ */
+function inputsByNode(tree) {
+  const inputs = new Map();
+  (tree.edges || []).forEach(({ from, to }) => {
+    if (!inputs.has(from)) inputs.set(from, []);
+    inputs.get(from).push(to);
+  });
+  return inputs;
+}
+
+/**
+ * Pair up the items of two revisions
+ * Ids are assigned afresh by the model on every generation, so the same id can name another
+ * element: items are paired on id and text first, then on text alone, and only then on id
+ * alone (an edited description). Duplicate texts are paired up in order.
+ * @param {Object[]} beforeItems - Items of the older revision
+ * @param {Object[]} afterItems - Items of the newer revision
+ * @param {Function} textOf - Text that names an item
+ * @returns {{pairs: Object[], added: Object[], removed: Object[]}} pairs of { before, after }
+ */
+function matchItems(beforeItems, afterItems, textOf) {
+  const unmatched = new Set(beforeItems);
+  const pairs = new Map();
+  const claim = (after, findBefore) => {
+    if (pairs.has(after)) return;
+    const before = [...unmatched].find(findBefore);
+    if (before) {
+      unmatched.delete(before);
+      pairs.set(after, before);
+    }
+  };
+
+  afterItems.forEach(after => claim(after, before => before.id === after.id && normalize(textOf(before)) === normalize(textOf(after))));
+  afterItems.forEach(after => claim(after, before => normalize(textOf(before)) === normalize(textOf(after))));
+  afterItems.forEach(after => claim(after, before => before.id === after.id));
+
+  return {
+    pairs: afterItems.filter(after => pairs.has(after)).map(after => ({ before: pairs.get(after), after })),
+    added: afterItems.filter(after => !pairs.has(after)),
+    removed: beforeItems.filter(before => unmatched.has(before))
+  };
+}
+
+/**
+ * Added, removed and modified nodes of one kind, matched by id and description
+ * A node that only got another id is unchanged; a modified one carries `beforeId` when renumbered.
+ */
+function diffNodes(beforeNodes = [], afterNodes = [], fields) {
+  const { pairs, added, removed } = matchItems(beforeNodes, afterNodes, node => node.description);
+  const modified = pairs
+    .map(({ before, after }) => ({
+      id: after.id,
+      ...(before.id !== after.id && { beforeId: before.id }),
+      before,
+      after,
+      changes: changedFields(before, after, fields)
+    }))
+    .filter(change => Object.keys(change.changes).length > 0);
+
+  return { added, removed, modified, pairs };
+}
+
+/**
+ * Compare two fault trees: events and gates added, removed, modified or rewired
+ * A node is rewired when it exists in both trees but its set of inputs changed.
+ * @param {Object} [before] - Older fault tree graph
+ * @param {Object} [after] - Newer fault tree graph
+ * @returns {Object} { events, gates, rewired, topEventProbability, summary }
+ */
+function diffFaultTree(before = {}, after = {}) {
+  const { pairs: eventPairs, ...events } = diffNodes(before.events, after.events, EVENT_FIELDS);
+  const { pairs: gatePairs, ...gates } = diffNodes(before.gates, after.gates, GATE_FIELDS);
+
+  // Inputs are compared by the id of the matched node in the newer tree
+  const afterIdOf = new Map([...gatePairs, ...eventPairs].map(pair => [pair.before.id, pair.after.id]));
+  const beforeInputs = inputsByNode(before);
+  const afterInputs = inputsByNode(after);
+  const rewired = [...gatePairs.map(pair => ({ ...pair, kind: 'gate' })), ...eventPairs.map(pair => ({ ...pair, kind: 'event' }))]
+    .map(({ before: previousNode, after: currentNode, kind }) => {
+      const previous = beforeInputs.get(previousNode.id) || [];
+      const current = afterInputs.get(currentNode.id) || [];
+      return {
+        id: currentNode.id,
+        kind,
+        inputsBefore: previous,
+        inputsAfter: current,
+        inputsAdded: current.filter(input => !previous.some(old => afterIdOf.get(old) === input)),
+        inputsRemoved: previous.filter(old => !current.includes(afterIdOf.get(old)))
+      };
+    })
+    .filter(change => change.inputsAdded.length > 0 || change.inputsRemoved.length > 0);
+
+  const probability = tree => tree.quantification?.topEventProbability ?? null;
+  const topEventProbability = { before: probability(before), after: probability(after) };
+
+  return {
+    events,
+    gates,
+    rewired,
+    topEventProbability,
+    summary: {
+      eventsAdded: events.added.length,
+      eventsRemoved: events.removed.length,
+      eventsModified: events.modified.length,
+      gatesAdded: gates.added.length,
+      gatesRemoved: gates.removed.length,
+      gatesModified: gates.modified.length,
+      rewired: rewired.length
+    }
+  };
+}
+
+/**
+ * Fault trees of an FTA result with their hazard id (single-tree results use "TOP") and title
+ */
+function treesByHazard(fta) {
+  if (!fta) return [];
+  const trees = fta.trees || (fta.events ? [fta] : []);
+  return trees.map((tree, index) => {
+    const id = tree.hazardId || (trees.length === 1 ? 'TOP' : `tree-${index + 1}`);
+    const title = fta.hazards?.find(hazard => hazard.id === id)?.title || tree.topEvent || id;
+    return { id, title, tree };
+  });
+}
+
+/**
+ * Compare the fault trees of two FTA results hazard by hazard
+ * Hazards are matched by id and title like the nodes of a tree; a renumbered hazard carries `beforeHazardId`.
+ * @returns {Object[]} One entry per hazard with status added | removed | changed | unchanged
+ */
+function diffFTA(beforeFta, afterFta) {
+  const afterHazards = treesByHazard(afterFta);
+  const { pairs, removed } = matchItems(treesByHazard(beforeFta), afterHazards, hazard => hazard.title);
+  const entries = [
+    ...afterHazards.map(after => pairs.find(pair => pair.after === after) || { after }),
+    ...removed.map(before => ({ before }))
+  ];
+
+  return entries.map(({ before, after }) => {
+    const diff = diffFaultTree(before?.tree, after?.tree);
+    const changed = Object.values(diff.summary).some(count => count > 0)
+      || diff.topEventProbability.before !== diff.topEventProbability.after;
+
+    let status = changed ? 'changed' : 'unchanged';
+    if (!before) status = 'added';
+    if (!after) status = 'removed';
+
+    return {
+      hazardId: (after || before).id,
+      ...(before && after && before.id !== after.id && { beforeHazardId: before.id }),
+      title: (after || before).title,
+      status,
+      ...diff
+    };
+  });
+}
+
+/**
+ * Semantic diff between two stored revisions of a project
+ * @param {Object} before - Older revision
+ * @param {Object} after - Newer revision
+ * @returns {Object} { from, to, fmeca, fta }
+ */
+function diffRevisions(before, after) {
+  return {
+    from: { number: before.number, source: before.source, createdAt: before.createdAt },
+    to: { number: after.number, source: after.source, createdAt: after.createdAt },
+    fmeca: diffFMECA(before.results?.fmeca?.fmecaTable, after.results?.fmeca?.fmecaTable),
+    fta: diffFTA(before.results?.fta, after.results?.fta)
+  };
+}
+
+module.exports = {
+  diffFMECA,
+  diffFaultTree,
+  diffFTA,
+  diffRevisions
+};
@@ -0,0 +1,94 @@
+/**
+ * Risk ranking of FMECA failure modes
+ *
+ * - rpn: Risk Priority Number S × O × D; a row is high risk in the critical or high RPN band
+ *   of the rating scales (from RPN 100 with the default scales)
+ * - action-priority: AIAG-VDA FMEA Handbook (2019) Action Priority, a High/Medium/Low lookup
+ *   on S, O and D that weighs severity first, then occurrence, then detection
+ */
+
+const { DEFAULT_RATING_SCALES, isHighRiskRPN, toTenPointRating } = require('./ratingScales');
+
+const RISK_RANKING_METHODS = ['rpn', 'action-priority'];
+
+const ACTION_PRIORITIES = ['High', 'Medium', 'Low'];
+
+// Rating bands of the Action Priority table, highest first
+const SEVERITY_BANDS = [9, 7, 4, 2, 1];
+const OCCURRENCE_BANDS = [8, 6, 4, 2, 1];
+const DETECTION_BANDS = [7, 5, 2, 1];
+
+// Action Priority by severity band (9-10, 7-8, 4-6, 2-3, 1), occurrence band
+// (8-10, 6-7, 4-5, 2-3, 1) and detection band (7-10, 5-6, 2-4, 1)
+const H = 'High';
+const M = 'Medium';
+const L = 'Low';
+const ACTION_PRIORITY_TABLE = [
+  [[H, H, H, H], [H, H, H, H], [H, H, H, M], [H, M, L, L], [L, L, L, L]],
+  [[H, H, H, H], [H, H, H, M], [H, M, M, M], [M, M, L, L], [L, L, L, L]],
+  [[H, H, M, M], [M, M, M, L], [M, L, L, L], [L, L, L, L], [L, L, L, L]],
+  [[M, M, L, L], [L, L, L, L], [L, L, L, L], [L, L, L, L], [L, L, L, L]],
+  [[L, L, L, L], [L, L, L, L], [L, L, L, L], [L, L, L, L], [L, L, L, L]]
+];
+
+/**
+ * Index of the band a 1-10 rating falls in
+ */
+function bandOf(bands, rating) {
+  const index = bands.findIndex(min => rating >= min);
+  return index === -1 ? bands.length - 1 : index;
+}
+
+/**
+ * AIAG-VDA Action Priority of a failure mode
+ * @returns {string} High, Medium or Low
+ */
+function actionPriority(severity, occurrence, detection) {
+  return ACTION_PRIORITY_TABLE[bandOf(SEVERITY_BANDS, severity)][bandOf(OCCURRENCE_BANDS, occurrence)][bandOf(DETECTION_BANDS, detection)];
+}
+
+/**
+ * Apply a risk ranking method to an FMECA result
+ * With action-priority every row gains `actionPriority`. In both methods `summary.highRiskItems`
+ * is recounted by the server (high RPN band, or Action Priority High) instead of trusting the model.
+ * Ratings on other scales than 1-10 are mapped onto 1-10 for the Action Priority table.
+ * @param {Object} fmeca - FMECA result ({ fmecaTable, summary, ratingScales? })
+ * @param {string} [method] - rpn (default) or action-priority
+ * @returns {Object} FMECA result with `riskRanking: { method }`
+ */
+function rankFMECA(fmeca, method = 'rpn') {
+  const scales = fmeca.ratingScales || DEFAULT_RATING_SCALES;
+  const tenPoint = (row, dimension) => toTenPointRating(row[dimension], dimension, scales);
+  const fmecaTable = method === 'action-priority'
+    ? fmeca.fmecaTable.map(row => ({
+      ...row,
+      actionPriority: actionPriority(tenPoint(row, 'severity'), tenPoint(row, 'occurrence'), tenPoint(row, 'detection'))
+    }))
+    : fmeca.fmecaTable;
+
+  const isHighRisk = method === 'action-priority'
+    ? row => row.actionPriority === 'High'
+    : row => isHighRiskRPN(row.rpn, scales);
+
+  const ranking = { method };
+  if (method === 'action-priority') {
+    ranking.actionPriorities = Object.fromEntries(ACTION_PRIORITIES.map(priority => [
+      priority,
+      fmecaTable.filter(row => row.actionPriority === priority).length
+    ]));
+  }
+
+  return {
+    ...fmeca,
+    fmecaTable,
+    summary: { ...fmeca.summary, highRiskItems: fmecaTable.filter(isHighRisk).length },
+    riskRanking: ranking
+  };
+}
+
+module.exports = {
+  RISK_RANKING_METHODS,
+  ACTION_PRIORITIES,
+  actionPriority,
+  rankFMECA
+};
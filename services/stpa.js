@@ -0,0 +1,122 @@
+/**
+ * System-Theoretic Process Analysis (STPA) of the control structure
+ *
+ * The control structure is derived from the components and connections: every component gets a
+ * role (controller, actuator, sensor or controlled process), connections leaving a controller are
+ * control actions and connections into a controller are feedback. For every control action the
+ * model identifies the Unsafe Control Actions (UCAs) in the four STPA categories and the loss
+ * scenarios that lead to them, tracing both back to the system-level hazards and losses.
+ */
+
+const CONTROL_ROLES = ['controller', 'actuator', 'sensor', 'controlled-process'];
+
+// The four ways a control action can be unsafe
+const UCA_TYPES = ['not-provided', 'provided', 'wrong-timing', 'wrong-duration'];
+
+const UCA_TYPE_LABELS = {
+  'not-provided': 'Not providing the control action causes a hazard',
+  provided: 'Providing the control action causes a hazard',
+  'wrong-timing': 'Providing it too early, too late or out of order causes a hazard',
+  'wrong-duration': 'Stopping it too soon or applying it too long causes a hazard'
+};
+
+// Loss scenarios: why the controller would give the UCA (control algorithm, process model,
+// feedback), or why a control action would be executed improperly (control path, controlled process)
+const SCENARIO_TYPES = ['unsafe-controller-behavior', 'inadequate-execution'];
+
+// Roles by words in the component name and function; the first match wins
+const ROLES_BY_NAME = [
+  { pattern: /controller|control unit|\becu\b|\bmcu\b|\bplc\b|processor|processing unit|computer|software|firmware|logic|supervisor|autopilot|operator|pilot|driver\b/i, role: 'controller' },
+  { pattern: /sensor|detector|monitor|camera|lidar|radar|encoder|gauge|transducer|probe|measur/i, role: 'sensor' },
+  { pattern: /actuator|motor|pump|valve|solenoid|relay|caliper|cylinder|servo|heater|injector|inverter|emitter|brake/i, role: 'actuator' }
+];
+
+/**
+ * Role of a component from its name and function
+ */
+function roleOf(component) {
+  return ROLES_BY_NAME.find(entry => entry.pattern.test(component.name))?.role
+    || ROLES_BY_NAME.find(entry => entry.pattern.test(component.function || ''))?.role
+    || 'controlled-process';
+}
+
+/**
+ * Control structure of a system
+ * @param {Array} components - [{ name, function }]
+ * @param {Array} [connections] - [{ from, to, type?, description? }]
+ * @param {Object} [roles] - Role by component name, overriding the derived ones
+ * @returns {Object} { components, controlActions, feedback, links }: control actions CA1, CA2, ...
+ *   leave a controller, feedback F1, F2, ... enters one and the other links are physical
+ */
+function deriveControlStructure(components, connections = [], roles = {}) {
+  const withRoles = components.map(component => ({
+    name: component.name,
+    function: component.function || null,
+    role: roles[component.name] || roleOf(component)
+  }));
+  const roleByName = new Map(withRoles.map(component => [component.name, component.role]));
+  const channel = connection => connection.description || connection.type || null;
+
+  const known = connections.filter(({ from, to }) => roleByName.has(from) && roleByName.has(to));
+  const controlActions = known
+    .filter(connection => roleByName.get(connection.from) === 'controller')
+    .map((connection, index) => ({ id: `CA${index + 1}`, controller: connection.from, target: connection.to, channel: channel(connection) }));
+  const feedback = known
+    .filter(connection => roleByName.get(connection.from) !== 'controller' && roleByName.get(connection.to) === 'controller')
+    .map((connection, index) => ({ id: `F${index + 1}`, from: connection.from, controller: connection.to, channel: channel(connection) }));
+  const links = known
+    .filter(connection => roleByName.get(connection.from) !== 'controller' && roleByName.get(connection.to) !== 'controller')
+    .map(connection => ({ from: connection.from, to: connection.to, channel: channel(connection) }));
+
+  return { components: withRoles, controlActions, feedback, links };
+}
+
+/**
+ * Assemble the STPA result from the generated losses, hazards, UCAs and loss scenarios
+ * UCAs are ordered by control action, then category; the summary flags control actions without
+ * any UCA and UCAs without a loss scenario.
+ * @param {Object} analysis - { losses, hazards, unsafeControlActions, lossScenarios } as generated
+ * @param {Object} controlStructure - From deriveControlStructure
+ * @returns {Object} { controlStructure, losses, hazards, unsafeControlActions, lossScenarios, summary }
+ */
+function analyzeSTPA(analysis, controlStructure) {
+  const actionOrder = controlStructure.controlActions.map(action => action.id);
+  const unsafeControlActions = [...analysis.unsafeControlActions].sort((a, b) => (
+    actionOrder.indexOf(a.controlAction) - actionOrder.indexOf(b.controlAction) ||
+    UCA_TYPES.indexOf(a.type) - UCA_TYPES.indexOf(b.type)
+  ));
+  const ucaOrder = unsafeControlActions.map(uca => uca.id);
+  const lossScenarios = [...analysis.lossScenarios].sort((a, b) => ucaOrder.indexOf(a.uca) - ucaOrder.indexOf(b.uca));
+
+  return {
+    controlStructure: {
+      ...controlStructure,
+      controlActions: controlStructure.controlActions.map(action => ({
+        ...action,
+        unsafeControlActions: unsafeControlActions.filter(uca => uca.controlAction === action.id).length
+      }))
+    },
+    losses: analysis.losses,
+    hazards: analysis.hazards,
+    unsafeControlActions,
+    lossScenarios,
+    summary: {
+      controlActions: actionOrder.length,
+      unsafeControlActions: unsafeControlActions.length,
+      ucasByType: Object.fromEntries(UCA_TYPES.map(type => [type, unsafeControlActions.filter(uca => uca.type === type).length])),
+      lossScenarios: lossScenarios.length,
+      controlActionsWithoutUCAs: actionOrder.filter(id => !unsafeControlActions.some(uca => uca.controlAction === id)),
+      ucasWithoutScenarios: ucaOrder.filter(id => !lossScenarios.some(scenario => scenario.uca === id))
+    }
+  };
+}
+
+module.exports = {
+  CONTROL_ROLES,
+  UCA_TYPES,
+  UCA_TYPE_LABELS,
+  SCENARIO_TYPES,
+  roleOf,
+  deriveControlStructure,
+  analyzeSTPA
+};
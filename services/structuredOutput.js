@@ -0,0 +1,206 @@
+const { complete } = require('./providers');
+const { estimateCost } = require('./pricing');
+
+const DEFAULT_MAX_REPAIR_ATTEMPTS = 2;
+
+/**
+ * Raised when the model keeps returning output that does not match the schema
+ */
+class OutputValidationError extends Error {
+  constructor(label, errors, attempts) {
+    super(`${label} response failed schema validation after ${attempts} attempt${attempts === 1 ? '' : 's'}`);
+    this.name = 'OutputValidationError';
+    this.statusCode = 502;
+    this.details = errors;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Number of repair round-trips allowed after the first answer (LLM_MAX_REPAIR_ATTEMPTS)
+ */
+function getMaxRepairAttempts() {
+  const configured = parseInt(process.env.LLM_MAX_REPAIR_ATTEMPTS, 10);
+  return Number.isInteger(configured) && configured >= 0 ? configured : DEFAULT_MAX_REPAIR_ATTEMPTS;
+}
+
+/**
+ * Whether canned/fallback data may stand in for a failed generation (ALLOW_DEGRADED_RESULTS)
+ */
+function isDegradedModeAllowed() {
+  return process.env.ALLOW_DEGRADED_RESULTS === 'true';
+}
+
+/**
+ * Parse the JSON object out of a model response (tolerates prose or code fences around it)
+ * @param {string} responseText - Raw model output
+ * @returns {Object} Parsed JSON
+ */
+function extractJSON(responseText) {
+  const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+  const jsonText = jsonMatch ? jsonMatch[0] : responseText;
+  return JSON.parse(jsonText);
+}
+
+/**
+ * Validate parsed output against a Joi schema
+ * @returns {{value: Object, errors: string[]}} Validated value or list of problems
+ */
+function validateOutput(schema, data) {
+  const { error, value } = schema.validate(data, { abortEarly: false });
+  if (!error) {
+    return { value, errors: [] };
+  }
+  return {
+    value: null,
+    errors: error.details.map(detail => detail.path.length
+      ? `${detail.path.join('.')}: ${detail.message}`
+      : detail.message)
+  };
+}
+
+/**
+ * Incrementally pick complete objects out of the arrays of a streamed JSON response
+ * Only objects that are direct items of an array one level inside the root object are reported,
+ * e.g. each row of `{ "fmecaTable": [ {...}, {...} ] }` as soon as its closing brace arrives.
+ * @param {Function} onItem - Called with (parsedObject, index) for every complete item
+ * @returns {{push: Function}} Feed text deltas to push()
+ */
+function createArrayItemParser(onItem) {
+  let buffer = '';
+  let position = 0;
+  let braceDepth = 0;
+  let bracketDepth = 0;
+  let inString = false;
+  let escaped = false;
+  let itemStart = -1;
+  let count = 0;
+
+  const push = (delta) => {
+    buffer += delta;
+    for (; position < buffer.length; position++) {
+      const char = buffer[position];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '[') {
+        bracketDepth++;
+      } else if (char === ']') {
+        bracketDepth--;
+      } else if (char === '{') {
+        braceDepth++;
+        if (braceDepth === 2 && bracketDepth === 1) itemStart = position;
+      } else if (char === '}') {
+        if (braceDepth === 2 && itemStart >= 0) {
+          try {
+            onItem(JSON.parse(buffer.slice(itemStart, position + 1)), count++);
+          } catch (error) {
+            // Malformed item: the full response will be validated and repaired anyway
+          }
+          itemStart = -1;
+        }
+        braceDepth--;
+      }
+    }
+  };
+
+  return { push };
+}
+
+/**
+ * Build the follow-up message asking the model to fix its previous answer
+ */
+function buildRepairPrompt(errors) {
+  return `Your previous response did not match the required JSON structure. Fix these problems:
+
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return the complete corrected JSON object only, with no additional text.`;
+}
+
+/**
+ * Ask the model for JSON, validating every answer and feeding errors back for repair
+ * @param {Object} llm - Resolved provider settings
+ * @param {Object} request - { label, system, prompt, schema, temperature, maxTokens }
+ * @param {Function} [request.onText] - Streams the answer: called with (delta, attempt) for every text chunk
+ * @param {AbortSignal} [request.signal] - Stops the generation (no further attempts once aborted)
+ * @param {Object} [request.meter] - Usage meter (createUsageMeter); the tokens are booked when the generation ends, whether it succeeds or not
+ * @returns {Promise<{data: Object, attempts: number, responseText: string, model: string, usage: Object}>} Validated output
+ * @throws {OutputValidationError} When no valid answer is produced within the repair budget
+ */
+async function generateStructuredOutput(llm, { label, system, prompt, schema, temperature, maxTokens, onText, signal, meter }) {
+  const maxAttempts = getMaxRepairAttempts() + 1;
+  const messages = [{ role: 'user', content: prompt }];
+  const usage = { promptTokens: 0, completionTokens: 0 };
+  let errors = [];
+  let responseText = '';
+  let model = llm.model;
+  let answered = false;
+
+  try {
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      signal?.throwIfAborted();
+      const completion = await complete(llm, {
+        system,
+        messages,
+        temperature,
+        maxTokens,
+        onText: onText && (delta => onText(delta, attempt)),
+        signal
+      });
+      answered = true;
+      responseText = completion.text;
+      model = completion.model || model;
+      usage.promptTokens += completion.usage?.promptTokens || 0;
+      usage.completionTokens += completion.usage?.completionTokens || 0;
+
+      let validated = null;
+      try {
+        ({ value: validated, errors } = validateOutput(schema, extractJSON(responseText)));
+      } catch (parseError) {
+        errors = [`Response is not valid JSON: ${parseError.message}`];
+      }
+
+      if (errors.length === 0) {
+        return { data: validated, attempts: attempt, responseText, model, usage };
+      }
+
+      console.warn(`⚠️ ${label} response invalid (attempt ${attempt}/${maxAttempts}):`, errors);
+      messages.push(
+        { role: 'assistant', content: responseText },
+        { role: 'user', content: buildRepairPrompt(errors) }
+      );
+    }
+
+    const error = new OutputValidationError(label, errors, maxAttempts);
+    error.responseText = responseText;
+    error.model = model;
+    error.usage = usage;
+    throw error;
+  } finally {
+    // Answered calls are paid for even when the generation fails or is cancelled afterwards
+    if (answered && meter) {
+      meter.add({
+        promptTokens: usage.promptTokens,
+        completionTokens: usage.completionTokens,
+        totalTokens: usage.promptTokens + usage.completionTokens,
+        estimatedCost: estimateCost({ provider: llm.provider, model }, usage)
+      });
+    }
+  }
+}
+
+module.exports = {
+  OutputValidationError,
+  extractJSON,
+  createArrayItemParser,
+  validateOutput,
+  generateStructuredOutput,
+  isDegradedModeAllowed
+};
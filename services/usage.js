@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const { createFileStore } = require('./fileStore');
+
+const ANONYMOUS_ACCOUNT = 'anonymous';
+
+/**
+ * Token and cost totals with nothing recorded yet
+ * `unpricedCalls` counts calls to models without a known price, whose cost is missing from `estimatedCost`
+ */
+function emptyUsage() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, estimatedCost: 0, unpricedCalls: 0 };
+}
+
+/**
+ * Add one usage block to running totals (costs are rounded to micro-dollars)
+ */
+function addUsage(totals, usage = {}) {
+  return {
+    calls: totals.calls + (usage.calls ?? 1),
+    promptTokens: totals.promptTokens + (usage.promptTokens || 0),
+    completionTokens: totals.completionTokens + (usage.completionTokens || 0),
+    totalTokens: totals.totalTokens + (usage.totalTokens || 0),
+    estimatedCost: Math.round((totals.estimatedCost + (usage.estimatedCost || 0)) * 1e6) / 1e6,
+    unpricedCalls: (totals.unpricedCalls || 0) + (usage.unpricedCalls || 0)
+  };
+}
+
+/**
+ * Usage meter of one request: every generation books its tokens when it ends
+ * Generations that fail or are cancelled are booked too, so a request is charged for every
+ * answer the model gave. Calls to models without a known price are counted in `unpricedCalls`
+ * and add no cost.
+ * @returns {{add: Function, totals: Function}} add(usage) books one generation, totals() sums them up
+ */
+function createUsageMeter() {
+  const usages = [];
+  return {
+    add(usage) {
+      usages.push(usage);
+    },
+    totals() {
+      return usages
+        .map(usage => ({ ...usage, unpricedCalls: usage.estimatedCost === null ? 1 : 0 }))
+        .reduce(addUsage, emptyUsage());
+    }
+  };
+}
+
+/**
+ * Account that usage is recorded against
+ * API keys are stored hashed so the ledger never holds a usable key.
+ * @param {string} [apiKey] - Value of the X-API-Key header
+ * @returns {{id: string, keyHint: string|null}} Account id and the last characters of the key
+ */
+function getUsageAccount(apiKey) {
+  if (!apiKey) {
+    return { id: ANONYMOUS_ACCOUNT, keyHint: null };
+  }
+  const digest = crypto.createHash('sha256').update(apiKey).digest('hex');
+  return { id: `key-${digest.slice(0, 24)}`, keyHint: `…${apiKey.slice(-4)}` };
+}
+
+/**
+ * Monthly allowance of an API key in USD (null for no limit)
+ * USAGE_KEY_BUDGETS ("key:amount,key:amount") wins over USAGE_MONTHLY_BUDGET, which
+ * applies to every other key and to anonymous requests.
+ */
+function getMonthlyBudget(apiKey) {
+  const keyBudgets = getKeyBudgets();
+  if (apiKey && keyBudgets.has(apiKey)) {
+    return keyBudgets.get(apiKey);
+  }
+
+  const budget = parseFloat(process.env.USAGE_MONTHLY_BUDGET);
+  return Number.isFinite(budget) && budget > 0 ? budget : null;
+}
+
+/**
+ * Allowances of the keys listed in USAGE_KEY_BUDGETS ("key:amount,key:amount")
+ * @returns {Map<string, number>} USD per month by API key
+ */
+function getKeyBudgets() {
+  return new Map((process.env.USAGE_KEY_BUDGETS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.lastIndexOf(':');
+      return [entry.slice(0, separator), parseFloat(entry.slice(separator + 1))];
+    })
+    .filter(([, amount]) => Number.isFinite(amount)));
+}
+
+/**
+ * Whether any usage budget is configured
+ */
+function hasUsageBudgets() {
+  return getKeyBudgets().size > 0 || getMonthlyBudget() !== null;
+}
+
+/**
+ * UTC day and month an entry is booked under
+ */
+function periodsOf(date) {
+  const iso = date.toISOString();
+  return { day: iso.slice(0, 10), month: iso.slice(0, 7) };
+}
+
+/**
+ * Usage ledger: daily and monthly totals per account
+ * @param {Object} options
+ * @param {Object} options.store - File store holding one record per account
+ * @returns {Object} Ledger with record, getMonthlyTotals and getReport
+ */
+function createUsageLedger({ store }) {
+  // Read-modify-write of one account runs after the previous one finished
+  const locks = new Map();
+
+  const withAccountLock = (id, fn) => {
+    const previous = locks.get(id) || Promise.resolve();
+    const current = previous.catch(() => {}).then(fn);
+    const settled = current.catch(() => {}).then(() => {
+      if (locks.get(id) === settled) locks.delete(id);
+    });
+    locks.set(id, settled);
+    return current;
+  };
+
+  const load = async (account) => (await store.get(account.id)) || {
+    id: account.id,
+    keyHint: account.keyHint,
+    createdAt: new Date().toISOString(),
+    daily: {},
+    monthly: {}
+  };
+
+  return {
+    /**
+     * Book the usage of one request against an account
+     * @param {Object} account - From getUsageAccount
+     * @param {Object} usage - Totals of a usage meter
+     * @param {Date} [at] - When the usage happened
+     */
+    record(account, usage, at = new Date()) {
+      if (!usage || usage.calls === 0) {
+        return Promise.resolve(null);
+      }
+      return withAccountLock(account.id, async () => {
+        const entry = await load(account);
+        const { day, month } = periodsOf(at);
+        entry.daily[day] = addUsage(entry.daily[day] || emptyUsage(), usage);
+        entry.monthly[month] = addUsage(entry.monthly[month] || emptyUsage(), usage);
+        entry.updatedAt = new Date().toISOString();
+        await store.save(entry);
+        return entry;
+      });
+    },
+
+    /**
+     * Totals of the current (or given) month
+     */
+    async getMonthlyTotals(account, at = new Date()) {
+      const entry = await store.get(account.id);
+      return entry?.monthly[periodsOf(at).month] || emptyUsage();
+    },
+
+    /**
+     * Daily totals for the last `days` days and monthly totals for the last `months` months, newest first
+     */
+    async getReport(account, { days = 30, months = 12, at = new Date() } = {}) {
+      const entry = await store.get(account.id);
+
+      const daily = Array.from({ length: days }, (_, offset) => {
+        const date = new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth(), at.getUTCDate() - offset));
+        const { day } = periodsOf(date);
+        return { date: day, ...(entry?.daily[day] || emptyUsage()) };
+      });
+      const monthly = Array.from({ length: months }, (_, offset) => {
+        const { month } = periodsOf(new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth() - offset, 1)));
+        return { month, ...(entry?.monthly[month] || emptyUsage()) };
+      });
+
+      return { daily, monthly };
+    }
+  };
+}
+
+const usageLedger = createUsageLedger({ store: createFileStore('usage') });
+
+/**
+ * Book the model usage of a request, finished or not; accounting failures never fail the request
+ */
+async function recordUsage(account, usage) {
+  try {
+    await usageLedger.record(account, usage);
+  } catch (error) {
+    console.warn('⚠️ Failed to record usage:', error.message);
+  }
+}
+
+module.exports = {
+  emptyUsage,
+  createUsageMeter,
+  getUsageAccount,
+  getMonthlyBudget,
+  getKeyBudgets,
+  hasUsageBudgets,
+  createUsageLedger,
+  usageLedger,
+  recordUsage
+};
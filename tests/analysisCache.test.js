@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'gensafe-cache-'));
+process.env.CACHE_BACKEND = 'memory';
+
+const { respondBySystemPrompt } = require('./analysisFixtures');
+const { complete } = require('../services/providers');
+const { computeCacheKey, createMemoryCache, createDiskCache, getAnalysisCache } = require('../services/analysisCache');
+const app = require('../server');
+
+const llm = { provider: 'openai', model: 'gpt-4' };
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('Analysis cache key', () => {
+  it('should ignore key order, surrounding whitespace and non-analysis fields', () => {
+    const key = computeCacheKey({ description: 'A hydraulic  brake system', maxHazards: 3 }, false, llm);
+
+    expect(computeCacheKey({ maxHazards: 3, description: '  A hydraulic brake system\n' }, false, llm)).toBe(key);
+    expect(computeCacheKey({ description: 'A hydraulic brake system', maxHazards: 3, cache: 'bypass', projectId: 'p1' }, false, llm)).toBe(key);
+  });
+
+  it('should change with the input, the input format and the model', () => {
+    const key = computeCacheKey({ description: 'A hydraulic brake system' }, false, llm);
+
+    expect(computeCacheKey({ description: 'A pneumatic brake system' }, false, llm)).not.toBe(key);
+    expect(computeCacheKey({ description: 'A hydraulic brake system' }, true, llm)).not.toBe(key);
+    expect(computeCacheKey({ description: 'A hydraulic brake system' }, false, { ...llm, model: 'gpt-4o' })).not.toBe(key);
+  });
+});
+
+describe('Cache backends', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should evict the least recently used entry from the memory cache', async () => {
+    const cache = createMemoryCache({ maxEntries: 2 });
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+    await cache.get('a');
+    await cache.set('c', 3);
+
+    expect(await cache.get('b')).toBeNull();
+    expect((await cache.get('a')).value).toBe(1);
+    expect((await cache.get('c')).value).toBe(3);
+  });
+
+  it('should expire entries after their TTL', async () => {
+    jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+    const memory = createMemoryCache({ ttlSeconds: 60 });
+    const disk = createDiskCache({ ttlSeconds: 60 });
+    await memory.set('key', 'value');
+    await disk.set('key', 'value');
+
+    jest.setSystemTime(new Date('2024-01-01T00:00:59Z'));
+    expect((await memory.get('key')).value).toBe('value');
+    expect((await disk.get('key')).value).toBe('value');
+
+    jest.setSystemTime(new Date('2024-01-01T00:01:00Z'));
+    expect(await memory.get('key')).toBeNull();
+    expect(await disk.get('key')).toBeNull();
+    expect(fs.existsSync(path.join(process.env.DATA_DIR, 'cache', 'key.json'))).toBe(false);
+  });
+
+  it('should keep disk entries across cache instances', async () => {
+    await createDiskCache().set('shared', { results: [1, 2] });
+
+    expect((await createDiskCache().get('shared')).value).toEqual({ results: [1, 2] });
+  });
+});
+
+describe('Cached analysis generation', () => {
+  const body = { description: 'A brake system for autonomous vehicles with hydraulic components.' };
+
+  beforeEach(async () => {
+    complete.mockReset();
+    complete.mockImplementation(respondBySystemPrompt());
+    await getAnalysisCache().clear();
+  });
+
+  it('should answer an identical request from the cache', async () => {
+    const first = await request(app).post('/api/analysis/generate').send(body).expect(200);
+    const calls = complete.mock.calls.length;
+    expect(first.body.metadata.cache).toMatchObject({ status: 'miss', hit: false, key: expect.any(String) });
+
+    const second = await request(app).post('/api/analysis/generate').send({ ...body, description: `  ${body.description}  ` }).expect(200);
+
+    expect(complete).toHaveBeenCalledTimes(calls);
+    expect(second.body.metadata.cache).toMatchObject({ status: 'hit', hit: true, key: first.body.metadata.cache.key });
+    expect(second.body.results).toEqual(first.body.results);
+  });
+
+  it('should generate afresh when the request bypasses the cache', async () => {
+    await request(app).post('/api/analysis/generate').send(body).expect(200);
+    const calls = complete.mock.calls.length;
+
+    const response = await request(app).post('/api/analysis/generate').send({ ...body, cache: 'bypass' }).expect(200);
+
+    expect(complete.mock.calls.length).toBe(calls * 2);
+    expect(response.body.metadata.cache).toMatchObject({ status: 'bypass', hit: false });
+  });
+
+  it('should reject unknown cache modes', async () => {
+    await request(app).post('/api/analysis/generate').send({ ...body, cache: 'sometimes' }).expect(400);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Model answers shared by the tests that run analyses against a mocked provider
+ * Require this module before the app so every service sees the mocked `complete`.
+ */
+jest.mock('../services/providers', () => ({
+  ...jest.requireActual('../services/providers'),
+  complete: jest.fn()
+}));
+
+const fmeca = {
+  fmecaTable: [{
+    itemFunction: 'Brake caliper',
+    failureMode: 'Piston seizure',
+    failureCause: 'Corrosion',
+    localEffect: 'Reduced clamping',
+    systemEffect: 'Reduced braking',
+    endEffect: 'Longer stopping distance',
+    severity: 8,
+    occurrence: 2,
+    detection: 3,
+    rpn: 48,
+    recommendedAction: 'Inspect pistons'
+  }],
+  summary: { totalFailureModes: 1, highRiskItems: 0, averageRPN: 48, keyRecommendations: ['Inspect pistons'] }
+};
+
+const hazards = {
+  hazards: [{ id: 'H1', title: 'Loss of braking', description: 'Vehicle cannot stop', severity: 'catastrophic' }],
+  sharedBasicEvents: []
+};
+
+const fta = {
+  topEvent: 'Loss of braking',
+  events: [
+    { id: 'TOP', type: 'top', description: 'Loss of braking' },
+    { id: 'BE1', type: 'basic', description: 'Brake caliper piston seizure', probability: 0.001 },
+    { id: 'BE2', type: 'basic', description: 'Brake line rupture', probability: 0.0005 }
+  ],
+  gates: [{ id: 'G1', type: 'OR', description: 'Any failure' }],
+  edges: [
+    { from: 'TOP', to: 'G1' },
+    { from: 'G1', to: 'BE1' },
+    { from: 'G1', to: 'BE2' }
+  ],
+  analysis: { criticalPath: 'Piston seizure', recommendations: ['Inspect pistons'] }
+};
+
+/**
+ * Mock implementation of `complete` that answers each analysis from its system prompt
+ * The first marker found in the system prompt picks the answer: the given ones in order, then
+ * FMECA and hazard identification; every other prompt gets the fault tree.
+ * @param {Object} [answers] - Answers by system prompt marker, e.g. { STPA: stpa }
+ * @param {Object} [options] - { fta: fault tree answer, usage: tokens reported for every call }
+ * @returns {Function} Implementation for complete.mockImplementation()
+ */
+const respondBySystemPrompt = (answers = {}, { fta: tree = fta, usage = { promptTokens: 1, completionTokens: 1 } } = {}) => {
+  const markers = [...Object.entries(answers), ['FMECA', fmeca], ['hazard analysis', hazards]];
+  return async (settings, { system }) => {
+    const match = markers.find(([marker]) => system.includes(marker));
+    return { text: JSON.stringify(match ? match[1] : tree), model: 'gpt-4', usage };
+  };
+};
+
+module.exports = {
+  fmeca,
+  hazards,
+  fta,
+  respondBySystemPrompt
+};
@@ -96,8 +96,92 @@ describe('Gen-SAFE API', () => {
         })
         .expect(400);
 
+      expect(response.body).toMatchObject({
+        error: 'Invalid input format',
+        details: expect.stringContaining('minimum 20 characters'),
+        problems: ['"description" length must be at least 20 characters long']
+      });
+    });
+  });
+
+  describe('LLM provider selection', () => {
+    const originalAllowed = process.env.LLM_ALLOWED_PROVIDERS;
+
+    afterEach(() => {
+      if (originalAllowed === undefined) {
+        delete process.env.LLM_ALLOWED_PROVIDERS;
+      } else {
+        process.env.LLM_ALLOWED_PROVIDERS = originalAllowed;
+      }
+    });
+
+    it('should reject unknown providers', async () => {
+      const response = await request(app)
+        .post('/api/analysis/generate')
+        .send({
+          description: 'A brake system for autonomous vehicles with hydraulic components.',
+          llm: { provider: 'not-a-provider' }
+        })
+        .expect(400);
+
       expect(response.body).toHaveProperty('error');
     });
+
+    it('should reject providers not enabled on the deployment', async () => {
+      process.env.LLM_ALLOWED_PROVIDERS = 'local';
+
+      const response = await request(app)
+        .post('/api/analysis/generate')
+        .send({
+          description: 'A brake system for autonomous vehicles with hydraulic components.',
+          llm: { provider: 'openai' }
+        })
+        .expect(400);
+
+      expect(response.body.error).toContain('not enabled');
+    });
+
+    it('should resolve per-request settings over deployment defaults', () => {
+      const { resolveLLMSettings } = require('../services/providers');
+
+      expect(resolveLLMSettings({ provider: 'local', model: 'llama3:70b' }))
+        .toEqual({ provider: 'local', model: 'llama3:70b' });
+      expect(resolveLLMSettings({ provider: 'anthropic' }).provider).toBe('anthropic');
+    });
+  });
+
+  describe('API keys', () => {
+    const originalBudgets = process.env.USAGE_KEY_BUDGETS;
+    const originalMonthlyBudget = process.env.USAGE_MONTHLY_BUDGET;
+    const originalValidKeys = process.env.VALID_API_KEYS;
+    const body = { description: 'A brake system for autonomous vehicles with hydraulic components.' };
+
+    afterEach(() => {
+      [['USAGE_KEY_BUDGETS', originalBudgets], ['USAGE_MONTHLY_BUDGET', originalMonthlyBudget], ['VALID_API_KEYS', originalValidKeys]]
+        .forEach(([name, value]) => {
+          if (value === undefined) {
+            delete process.env[name];
+          } else {
+            process.env[name] = value;
+          }
+        });
+    });
+
+    it('should reject keys that are not configured once usage budgets are set', async () => {
+      process.env.USAGE_KEY_BUDGETS = 'team-a:5';
+
+      const response = await request(app).post('/api/analysis/generate').set('X-API-Key', 'made-up-key').send(body).expect(401);
+      expect(response.body.error).toBe('Invalid API key');
+      await request(app).get('/api/usage').set('X-API-Key', 'made-up-key').expect(401);
+
+      // A budget for every key admits only the keys in VALID_API_KEYS and USAGE_KEY_BUDGETS
+      delete process.env.USAGE_KEY_BUDGETS;
+      process.env.USAGE_MONTHLY_BUDGET = '5';
+      process.env.VALID_API_KEYS = 'team-b';
+      await request(app).get('/api/usage').set('X-API-Key', 'another-made-up-key').expect(401);
+      const report = await request(app).get('/api/usage').set('X-API-Key', 'team-b').expect(200);
+      expect(report.body.budget.limit).toBe(5);
+    });
   });
 
   describe('Error Handling', () => {
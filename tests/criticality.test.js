@@ -0,0 +1,138 @@
+const request = require('supertest');
+
+const { respondBySystemPrompt } = require('./analysisFixtures');
+const { complete } = require('../services/providers');
+const { analyzeCriticality, toSeverityClass } = require('../services/criticality');
+const { fmecaCriticalitySchema } = require('../services/outputSchemas');
+const app = require('../server');
+
+const row = (itemFunction, failureMode, severity, partFailureRate, failureModeRatio, failureEffectProbability) => ({
+  itemFunction,
+  failureMode,
+  failureCause: 'Wear',
+  localEffect: 'Degraded function',
+  systemEffect: 'Reduced braking',
+  endEffect: 'Longer stopping distance',
+  severity,
+  occurrence: 3,
+  detection: 4,
+  rpn: severity * 12,
+  recommendedAction: 'Inspect regularly',
+  partFailureRate,
+  failureModeRatio,
+  failureEffectProbability
+});
+
+const fmeca = {
+  fmecaTable: [
+    row('Brake caliper', 'Piston seizure', 9, 20, 0.5, 1),
+    row('Brake caliper', 'Seal leak', 9, 20, 0.3, 0.5),
+    row('Brake caliper', 'Pad wear', 5, 20, 0.2, 0.1),
+    row('Wheel speed sensor', 'Signal loss', 7, 2, 0.6, 0.5)
+  ],
+  summary: { totalFailureModes: 4, highRiskItems: 2, averageRPN: 90, keyRecommendations: ['Inspect regularly'] }
+};
+
+// The RPN-only worksheet has no criticality inputs
+const rpnFmeca = {
+  ...fmeca,
+  fmecaTable: fmeca.fmecaTable.map(({ partFailureRate, failureModeRatio, failureEffectProbability, ...rest }) => rest)
+};
+
+const body = { description: 'A brake system for autonomous vehicles with hydraulic components.' };
+
+describe('MIL-STD-1629A criticality', () => {
+  it('should map severity ratings to classes I-IV', () => {
+    expect([10, 9, 8, 7, 6, 4, 3, 1].map(toSeverityClass)).toEqual(['I', 'I', 'II', 'II', 'III', 'III', 'IV', 'IV']);
+  });
+
+  it('should compute failure mode and item criticality', () => {
+    const result = analyzeCriticality(fmeca, { operatingTime: 1000 });
+
+    // Cm = β × α × λp × t
+    expect(result.fmecaTable.map(entry => entry.modeCriticality)).toEqual([10000, 3000, 400, 600]);
+    expect(result.fmecaTable.map(entry => entry.severityClass)).toEqual(['I', 'I', 'III', 'II']);
+
+    // Cr sums the modes of one item within one severity class
+    expect(result.criticality.itemCriticality).toEqual([
+      { item: 'Brake caliper', severityClass: 'I', criticality: 13000, failureModes: 2 },
+      { item: 'Wheel speed sensor', severityClass: 'II', criticality: 600, failureModes: 1 },
+      { item: 'Brake caliper', severityClass: 'III', criticality: 400, failureModes: 1 }
+    ]);
+    expect(result.criticality.summary.criticalityBySeverityClass).toEqual({ I: 13000, II: 600, III: 400, IV: 0 });
+    expect(result.criticality.summary.mostCriticalItem.item).toBe('Brake caliper');
+  });
+
+  it('should place items in the criticality matrix by severity class and Cr decade', () => {
+    const { matrix } = analyzeCriticality(fmeca, { operatingTime: 1000 }).criticality;
+
+    expect(matrix.severityClasses.map(({ id }) => id)).toEqual(['I', 'II', 'III', 'IV']);
+    expect(matrix.bands).toEqual([{ min: 10000, max: 100000 }, { min: 1000, max: 10000 }, { min: 0, max: 1000 }]);
+    expect(matrix.cells).toEqual([
+      { severityClass: 'I', band: 0, items: [{ item: 'Brake caliper', criticality: 13000 }] },
+      { severityClass: 'II', band: 2, items: [{ item: 'Wheel speed sensor', criticality: 600 }] },
+      { severityClass: 'III', band: 2, items: [{ item: 'Brake caliper', criticality: 400 }] }
+    ]);
+  });
+
+  it('should leave rows without λp, α or β out of item criticality', () => {
+    const { partFailureRate, ...unquantified } = fmeca.fmecaTable[3];
+    const result = analyzeCriticality({ ...fmeca, fmecaTable: [fmeca.fmecaTable[0], unquantified] }, { operatingTime: 10 });
+
+    expect(result.fmecaTable[1].modeCriticality).toBeNull();
+    expect(result.criticality.itemCriticality).toHaveLength(1);
+    expect(result.criticality.summary.unquantifiedRows).toBe(1);
+  });
+
+  it('should reject failure mode ratios of one item adding up to more than 1', () => {
+    const overfull = { ...fmeca, fmecaTable: [...fmeca.fmecaTable, row('Brake caliper', 'Cracked housing', 9, 20, 0.4, 1)] };
+
+    expect(fmecaCriticalitySchema.validate(fmeca).error).toBeUndefined();
+    expect(fmecaCriticalitySchema.validate(overfull).error.message).toContain('"Brake caliper" add up to 1.4');
+  });
+});
+
+describe('Quantitative criticality requests', () => {
+  beforeEach(() => {
+    complete.mockReset();
+    complete.mockImplementation(respondBySystemPrompt({ 'MIL-STD-1629A': fmeca, FMECA: rpnFmeca }));
+  });
+
+  it('should generate the criticality worksheet when requested', async () => {
+    const response = await request(app)
+      .post('/api/analysis/generate')
+      .send({ ...body, criticality: { mode: 'quantitative', operatingTime: 1000 } })
+      .expect(200);
+
+    const fmecaResult = response.body.results.fmeca;
+    expect(fmecaResult.provenance.promptTemplate.id).toBe('fmeca-criticality');
+    expect(fmecaResult.criticality).toMatchObject({ method: 'MIL-STD-1629A', operatingTime: 1000 });
+    expect(fmecaResult.fmecaTable[0]).toMatchObject({ severityClass: 'I', operatingTime: 1000, modeCriticality: 10000 });
+
+    const fmecaCall = complete.mock.calls.find(([, { system }]) => system.includes('FMECA'));
+    expect(fmecaCall[1].messages[0].content).toContain('failureModeRatio');
+  });
+
+  it('should default the operating time to the mission time', async () => {
+    const response = await request(app)
+      .post('/api/analysis/generate')
+      .send({ ...body, criticality: { mode: 'quantitative' }, quantification: { missionTime: 500 } })
+      .expect(200);
+
+    expect(response.body.results.fmeca.criticality.operatingTime).toBe(500);
+  });
+
+  it('should keep the RPN-only worksheet by default', async () => {
+    const response = await request(app).post('/api/analysis/generate').send(body).expect(200);
+
+    expect(response.body.results.fmeca.provenance.promptTemplate.id).toBe('fmeca');
+    expect(response.body.results.fmeca.criticality).toBeUndefined();
+  });
+
+  it('should reject an unknown criticality mode', async () => {
+    await request(app)
+      .post('/api/analysis/generate')
+      .send({ ...body, criticality: { mode: 'qualitative' } })
+      .expect(400);
+  });
+});
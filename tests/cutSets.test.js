@@ -0,0 +1,153 @@
+const request = require('supertest');
+const { MAX_CUT_SETS, findMinimalCutSets, analyzeCutSets } = require('../services/cutSets');
+const { evaluateFaultTree } = require('../services/faultTreeEvaluator');
+const app = require('../server');
+
+// TOP = PUMP OR (VALVE AND (A OR (A AND B))) OR 2-of-3 sensors
+const tree = {
+  events: [
+    { id: 'TOP', type: 'top', description: 'No coolant flow' },
+    { id: 'E1', type: 'intermediate', description: 'Valve path blocked' },
+    { id: 'E2', type: 'intermediate', description: 'Sensing lost' },
+    { id: 'PUMP', type: 'basic', description: 'Pump seized', probability: 0.01 },
+    { id: 'VALVE', type: 'basic', description: 'Valve stuck closed', probability: 0.2 },
+    { id: 'A', type: 'basic', description: 'Controller fault', probability: 0.1 },
+    { id: 'B', type: 'undeveloped', description: 'Wiring fault', probability: 0.3 },
+    { id: 'S1', type: 'basic', description: 'Sensor 1', probability: 0.05 },
+    { id: 'S2', type: 'basic', description: 'Sensor 2', probability: 0.05 },
+    { id: 'S3', type: 'basic', description: 'Sensor 3', probability: 0.05 }
+  ],
+  gates: [
+    { id: 'G1', type: 'OR', description: 'Any path' },
+    { id: 'G2', type: 'AND', description: 'Valve and control' },
+    { id: 'G3', type: 'OR', description: 'Control lost' },
+    { id: 'G4', type: 'AND', description: 'Control and wiring' },
+    { id: 'G5', type: 'KOFN', k: 2, description: '2 of 3 sensors' }
+  ],
+  edges: [
+    { from: 'TOP', to: 'G1' },
+    { from: 'G1', to: 'PUMP' },
+    { from: 'G1', to: 'E1' },
+    { from: 'G1', to: 'E2' },
+    { from: 'E1', to: 'G2' },
+    { from: 'G2', to: 'VALVE' },
+    { from: 'G2', to: 'G3' },
+    { from: 'G3', to: 'A' },
+    { from: 'G3', to: 'G4' },
+    { from: 'G4', to: 'A' },
+    { from: 'G4', to: 'B' },
+    { from: 'E2', to: 'G5' },
+    { from: 'G5', to: 'S1' },
+    { from: 'G5', to: 'S2' },
+    { from: 'G5', to: 'S3' }
+  ]
+};
+
+describe('Minimal cut sets', () => {
+  it('should reduce the tree to its minimal cut sets', () => {
+    const cutSets = findMinimalCutSets(tree).map(cutSet => cutSet.join('+')).sort();
+
+    // A AND B is absorbed by A, and the voting gate expands into every pair of sensors
+    expect(cutSets).toEqual(['A+VALVE', 'PUMP', 'S1+S2', 'S1+S3', 'S2+S3']);
+  });
+
+  it('should rank cut sets by probability and flag single-point failures', () => {
+    const result = analyzeCutSets(tree, evaluateFaultTree(tree));
+
+    expect(result.total).toBe(5);
+    expect(result.singlePointFailures).toBe(1);
+    expect(result.byOrder).toEqual({ 1: 1, 2: 4 });
+    expect(result.sets[0]).toMatchObject({
+      rank: 1,
+      events: ['A', 'VALVE'],
+      descriptions: ['Controller fault', 'Valve stuck closed'],
+      order: 2,
+      singlePointFailure: false
+    });
+    expect(result.sets[0].probability).toBeCloseTo(0.02, 10);
+    expect(result.sets[1]).toMatchObject({ events: ['PUMP'], order: 1, singlePointFailure: true });
+    expect(result.sets[2].probability).toBeCloseTo(0.0025, 10);
+  });
+
+  it('should keep the lowest-order cut sets and flag the result when there are too many', () => {
+    // PUMP OR (4 redundant channels of 11 parts each, all needed to fail): 1 + 11^4 cut sets
+    const channels = ['A', 'B', 'C', 'D'];
+    const parts = channel => Array.from({ length: 11 }, (_, index) => `${channel}${index + 1}`);
+    const large = {
+      events: [
+        { id: 'TOP', type: 'top', description: 'No coolant flow' },
+        { id: 'PUMP', type: 'basic', description: 'Pump seized', probability: 0.01 },
+        ...channels.flatMap(channel => parts(channel).map(id => ({ id, type: 'basic', description: `Part ${id}`, probability: 0.001 })))
+      ],
+      gates: [
+        { id: 'G1', type: 'OR', description: 'Any path' },
+        { id: 'G2', type: 'AND', description: 'All channels lost' },
+        ...channels.map(channel => ({ id: `G${channel}`, type: 'OR', description: `Channel ${channel} lost` }))
+      ],
+      edges: [
+        { from: 'TOP', to: 'G1' },
+        { from: 'G1', to: 'PUMP' },
+        { from: 'G1', to: 'G2' },
+        ...channels.flatMap(channel => [
+          { from: 'G2', to: `G${channel}` },
+          ...parts(channel).map(id => ({ from: `G${channel}`, to: id }))
+        ])
+      ]
+    };
+
+    const result = analyzeCutSets(large, evaluateFaultTree(large));
+
+    expect(result.truncated).toBe(true);
+    expect(result.total).toBe(MAX_CUT_SETS);
+    expect(result.sets[0]).toMatchObject({ events: ['PUMP'], singlePointFailure: true });
+    expect(result.byOrder).toEqual({ 1: 1, 4: MAX_CUT_SETS - 1 });
+    expect(analyzeCutSets(tree, evaluateFaultTree(tree)).truncated).toBe(false);
+  });
+
+  it('should keep the most probable cut sets of an order when there are too many', () => {
+    // 3 redundant channels of 30 parts each, all needed to fail: 30^3 cut sets of order 3
+    const channels = [0, 1, 2];
+    const parts = channel => Array.from({ length: 30 }, (_, index) => `B${channel}_${index}`);
+    const large = {
+      events: [
+        { id: 'TOP', type: 'top', description: 'No coolant flow' },
+        ...channels.flatMap(channel => parts(channel).map((id, index) => ({
+          id, type: 'basic', description: `Part ${id}`, probability: 0.01 + index * 0.001
+        })))
+      ],
+      gates: [
+        { id: 'G1', type: 'AND', description: 'All channels lost' },
+        ...channels.map(channel => ({ id: `C${channel}`, type: 'OR', description: `Channel ${channel} lost` }))
+      ],
+      edges: [
+        { from: 'TOP', to: 'G1' },
+        ...channels.flatMap(channel => [
+          { from: 'G1', to: `C${channel}` },
+          ...parts(channel).map(id => ({ from: `C${channel}`, to: id }))
+        ])
+      ]
+    };
+
+    const result = analyzeCutSets(large, evaluateFaultTree(large));
+
+    expect(result.truncated).toBe(true);
+    expect(result.total).toBe(MAX_CUT_SETS);
+    expect(result.sets[0].events).toEqual(['B0_29', 'B1_29', 'B2_29']);
+    expect(result.sets[1].events).toEqual(['B0_28', 'B1_29', 'B2_29']);
+    // Every discarded set is at most as probable as the least probable kept one
+    const probabilities = parts(0).map((id, index) => 0.01 + index * 0.001);
+    const all = probabilities.flatMap(p0 => probabilities.flatMap(p1 => probabilities.map(p2 => p0 * p1 * p2)));
+    const cutoff = all.sort((x, y) => y - x)[MAX_CUT_SETS - 1];
+    expect(result.sets[result.sets.length - 1].probability).toBeCloseTo(cutoff, 12);
+  });
+
+  it('should return cut sets from the evaluate endpoint', async () => {
+    const response = await request(app)
+      .post('/api/analysis/fta/evaluate')
+      .send({ faultTree: tree })
+      .expect(200);
+
+    expect(response.body.cutSets.total).toBe(5);
+    expect(response.body.cutSets.sets.map(cutSet => cutSet.rank)).toEqual([1, 2, 3, 4, 5]);
+  });
+});
@@ -0,0 +1,113 @@
+const request = require('supertest');
+
+const { buildEventTree } = require('../services/eventTree');
+const app = require('../server');
+
+const leak = { description: 'Brake fluid leak', frequency: 0.5, unit: 'per year', consequence: 'Loss of braking on the front axle' };
+const barriers = [
+  { name: 'Fluid level warning', failureProbability: 0.1 },
+  { name: 'Dual-circuit split', failureProbability: 0.01 }
+];
+
+const faultTree = {
+  topEvent: 'Loss of braking',
+  events: [
+    { id: 'TOP', type: 'top', description: 'Loss of braking' },
+    { id: 'BE1', type: 'basic', description: 'Master cylinder seal leak', probability: 0.02 },
+    { id: 'BE2', type: 'basic', description: 'Primary pump failure', probability: 0.1 },
+    { id: 'BE3', type: 'basic', description: 'Backup pump failure', probability: 0.05 }
+  ],
+  gates: [
+    { id: 'G1', type: 'OR', description: 'Any loss of pressure' },
+    { id: 'G2', type: 'AND', description: 'Both pumps fail' }
+  ],
+  edges: [
+    { from: 'TOP', to: 'G1' },
+    { from: 'G1', to: 'BE1' },
+    { from: 'G1', to: 'G2' },
+    { from: 'G2', to: 'BE2' },
+    { from: 'G2', to: 'BE3' }
+  ]
+};
+
+describe('Event tree analysis', () => {
+  it('should branch on every barrier and split the initiating event frequency over the sequences', () => {
+    const { sequences, summary } = buildEventTree(leak, barriers);
+
+    expect(sequences.map(({ id, outcome, probability }) => [id, outcome, probability]))
+      .toEqual([['S1', 'controlled', 0.9 * 0.99], ['S2', 'degraded', 0.9 * 0.01], ['S3', 'degraded', 0.1 * 0.99], ['S4', 'unmitigated', 0.1 * 0.01]]);
+    expect(sequences[2].consequence).toBe('Controlled by Dual-circuit split (Fluid level warning failed)');
+    expect(sequences[3]).toMatchObject({
+      path: [{ barrier: 'Fluid level warning', state: 'failure' }, { barrier: 'Dual-circuit split', state: 'failure' }],
+      consequence: 'Loss of braking on the front axle'
+    });
+    expect(sequences[3].frequency).toBeCloseTo(0.0005, 12);
+    expect(sequences.reduce((sum, sequence) => sum + sequence.frequency, 0)).toBeCloseTo(0.5, 12);
+    expect(summary.sequences).toBe(4);
+    expect(summary.riskReductionFactor).toBeCloseTo(1000, 6);
+  });
+
+  it('should not demand the later barriers once a stopping barrier works', () => {
+    const { sequences } = buildEventTree(leak, [{ ...barriers[0], stopsOnSuccess: true }, barriers[1]]);
+
+    expect(sequences.map(sequence => sequence.path.map(branch => `${branch.barrier}: ${branch.state}`))).toEqual([
+      ['Fluid level warning: success'],
+      ['Fluid level warning: failure', 'Dual-circuit split: success'],
+      ['Fluid level warning: failure', 'Dual-circuit split: failure']
+    ]);
+    expect(sequences[0]).toMatchObject({ probability: 0.9, outcome: 'controlled' });
+  });
+});
+
+describe('POST /api/analysis/event-tree', () => {
+  it('should build the bow-tie of a fault tree top event with its cut sets as threats', async () => {
+    const response = await request(app)
+      .post('/api/analysis/event-tree')
+      .send({ faultTree, quantification: { missionTime: 10 }, barriers })
+      .expect(200);
+
+    const { initiatingEvent } = response.body.eventTree;
+    expect(initiatingEvent).toMatchObject({ description: 'Loss of braking', unit: 'per mission of 10 h' });
+    // P(BE1 or (BE2 and BE3))
+    expect(initiatingEvent.frequency).toBeCloseTo(1 - (1 - 0.02) * (1 - 0.1 * 0.05), 12);
+
+    const { bowTie } = response.body;
+    expect(bowTie.hazard.description).toBe('Loss of braking');
+    expect(bowTie.threats.map(({ id, events, singlePointFailure }) => [id, events, singlePointFailure]))
+      .toEqual([['T1', ['BE1'], true], ['T2', ['BE2', 'BE3'], false]]);
+    expect(bowTie.barriers).toEqual(barriers);
+    expect(bowTie.consequences).toHaveLength(4);
+    expect(bowTie.consequences[3]).toMatchObject({
+      outcome: 'unmitigated',
+      failedBarriers: ['Fluid level warning', 'Dual-circuit split'],
+      sequences: ['S4']
+    });
+  });
+
+  it('should take an initiating event with its own frequency and causes', async () => {
+    const response = await request(app)
+      .post('/api/analysis/event-tree')
+      .send({ initiatingEvent: { description: 'Unintended braking', frequency: 0.002, causes: ['Wheel speed sensor drift'] }, barriers })
+      .expect(200);
+
+    expect(response.body.eventTree.initiatingEvent.unit).toBe('per year');
+    expect(response.body.eventTree.summary.frequencyByOutcome.unmitigated).toBeCloseTo(0.000002, 12);
+    expect(response.body.bowTie.threats).toEqual([
+      { id: 'T1', events: [], descriptions: ['Wheel speed sensor drift'], probability: null, singlePointFailure: null }
+    ]);
+  });
+
+  it('should reject requests without a hazard or with invalid barriers', async () => {
+    const missing = await request(app).post('/api/analysis/event-tree').send({ barriers }).expect(400);
+    expect(missing.body).toMatchObject({ error: 'Invalid event tree request', details: ['"initiatingEvent" is required'] });
+
+    await request(app)
+      .post('/api/analysis/event-tree')
+      .send({ initiatingEvent: leak, barriers: [barriers[0], { ...barriers[0], failureProbability: 0.2 }] })
+      .expect(400);
+    await request(app)
+      .post('/api/analysis/event-tree')
+      .send({ initiatingEvent: leak, barriers: [{ name: 'Relief valve', failureProbability: 1.5 }] })
+      .expect(400);
+  });
+});
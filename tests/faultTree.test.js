@@ -0,0 +1,81 @@
+const { validateFaultTreeStructure, toMermaid } = require('../services/faultTree');
+
+const brakeTree = () => ({
+  topEvent: 'Loss of braking',
+  events: [
+    { id: 'TOP', type: 'top', description: 'Loss of braking' },
+    { id: 'E1', type: 'intermediate', description: 'Hydraulic failure' },
+    { id: 'BE1', type: 'basic', description: 'Seal "A" leak', failureRate: 1e-5 },
+    { id: 'BE2', type: 'basic', description: 'Line rupture', failureRate: 2e-6 },
+    { id: 'BE3', type: 'basic', description: 'Pedal linkage failure', probability: 1e-4 }
+  ],
+  gates: [
+    { id: 'G1', type: 'OR', description: 'Any path' },
+    { id: 'G2', type: 'AND', description: 'Both circuits' }
+  ],
+  edges: [
+    { from: 'TOP', to: 'G1' },
+    { from: 'G1', to: 'E1' },
+    { from: 'G1', to: 'BE3' },
+    { from: 'E1', to: 'G2' },
+    { from: 'G2', to: 'BE1' },
+    { from: 'G2', to: 'BE2' }
+  ]
+});
+
+describe('Fault tree model', () => {
+  describe('validateFaultTreeStructure', () => {
+    it('should accept a well formed tree', () => {
+      expect(validateFaultTreeStructure(brakeTree())).toEqual([]);
+    });
+
+    it('should reject edges to unknown nodes', () => {
+      const tree = brakeTree();
+      tree.edges.push({ from: 'G2', to: 'BE9' });
+      expect(validateFaultTreeStructure(tree)).toContain('edge to unknown node "BE9"');
+    });
+
+    it('should reject basic events with inputs and gates with a single input', () => {
+      const tree = brakeTree();
+      tree.edges = tree.edges.filter(edge => !(edge.from === 'G2' && edge.to === 'BE2'));
+      tree.edges.push({ from: 'BE1', to: 'BE2' });
+      const errors = validateFaultTreeStructure(tree);
+      expect(errors).toContain('basic event "BE1" cannot have inputs');
+      expect(errors).toContain('gate "G2" must have at least two inputs');
+    });
+
+    it('should reject KOFN gates without a valid k', () => {
+      const tree = brakeTree();
+      tree.gates[1] = { id: 'G2', type: 'KOFN', k: 3, description: 'Voting' };
+      expect(validateFaultTreeStructure(tree)[0]).toContain('KOFN gate "G2"');
+    });
+
+    it('should reject cycles', () => {
+      const tree = brakeTree();
+      tree.edges.push({ from: 'G2', to: 'E1' });
+      expect(validateFaultTreeStructure(tree).join(' ')).toMatch(/cycle|exactly one parent/);
+    });
+  });
+
+  describe('toMermaid', () => {
+    it('should render every node and edge from the graph', () => {
+      const diagram = toMermaid(brakeTree());
+
+      expect(diagram.startsWith('flowchart TD\n')).toBe(true);
+      expect(diagram).toContain('n_TOP["Loss of braking"]');
+      expect(diagram).toContain('n_G2{"AND"}');
+      expect(diagram).toContain('n_BE1(("Seal #quot;A#quot; leak"))');
+      expect(diagram).toContain('n_E1 --> n_G2');
+      expect(diagram.match(/-->/g)).toHaveLength(6);
+    });
+
+    it('should be deterministic', () => {
+      expect(toMermaid(brakeTree())).toBe(toMermaid(brakeTree()));
+    });
+
+    it('should add annotations to node labels', () => {
+      expect(toMermaid(brakeTree(), { annotations: { TOP: 'P = 1.0e-4' } }))
+        .toContain('n_TOP["Loss of braking<br/>P = 1.0e-4"]');
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const request = require('supertest');
+const { evaluateFaultTree, quantifyFTA } = require('../services/faultTreeEvaluator');
+const app = require('../server');
+
+// TOP = (A AND B) OR (A AND C), so basic event A is shared by both branches
+const sharedEventTree = (gateType = 'OR', k) => ({
+  events: [
+    { id: 'TOP', type: 'top', description: 'Loss of function' },
+    { id: 'E1', type: 'intermediate', description: 'Channel 1 lost' },
+    { id: 'E2', type: 'intermediate', description: 'Channel 2 lost' },
+    { id: 'A', type: 'basic', description: 'Common power supply', probability: 0.1 },
+    { id: 'B', type: 'basic', description: 'Sensor 1', probability: 0.2 },
+    { id: 'C', type: 'basic', description: 'Sensor 2', failureRate: 1e-3 }
+  ],
+  gates: [
+    { id: 'G1', type: gateType, ...(k ? { k } : {}), description: 'Top gate' },
+    { id: 'G2', type: 'AND', description: 'Channel 1' },
+    { id: 'G3', type: 'AND', description: 'Channel 2' }
+  ],
+  edges: [
+    { from: 'TOP', to: 'G1' },
+    { from: 'G1', to: 'E1' },
+    { from: 'G1', to: 'E2' },
+    { from: 'E1', to: 'G2' },
+    { from: 'G2', to: 'A' },
+    { from: 'G2', to: 'B' },
+    { from: 'E2', to: 'G3' },
+    { from: 'G3', to: 'A' },
+    { from: 'G3', to: 'C' }
+  ]
+});
+
+const votingTree = (p) => ({
+  events: [
+    { id: 'TOP', type: 'top', description: 'Voting system fails' },
+    { id: 'X1', type: 'basic', description: 'Channel 1', probability: p },
+    { id: 'X2', type: 'basic', description: 'Channel 2', probability: p },
+    { id: 'X3', type: 'basic', description: 'Channel 3', probability: p }
+  ],
+  gates: [{ id: 'G1', type: 'KOFN', k: 2, description: '2 of 3 channels fail' }],
+  edges: [
+    { from: 'TOP', to: 'G1' },
+    { from: 'G1', to: 'X1' },
+    { from: 'G1', to: 'X2' },
+    { from: 'G1', to: 'X3' }
+  ]
+});
+
+describe('Fault tree evaluation', () => {
+  it('should convert failure rates to probabilities over the mission time', () => {
+    const result = evaluateFaultTree(sharedEventTree(), { missionTime: 100 });
+
+    expect(result.basicEvents.C.probability).toBeCloseTo(1 - Math.exp(-0.1), 10);
+    expect(result.basicEvents.C.basis).toBe('failureRate');
+    expect(result.basicEvents.A.probability).toBe(0.1);
+  });
+
+  it('should handle shared basic events exactly with the BDD method', () => {
+    const result = evaluateFaultTree(sharedEventTree(), { missionTime: 100, method: 'exact' });
+    const pC = 1 - Math.exp(-0.1);
+
+    // P(A) * P(B OR C)
+    expect(result.topEventProbability).toBeCloseTo(0.1 * (1 - (1 - 0.2) * (1 - pC)), 12);
+    expect(result.nodes.E1).toBeCloseTo(0.02, 12);
+  });
+
+  it('should sum gate inputs with the rare-event approximation', () => {
+    const result = evaluateFaultTree(sharedEventTree(), { missionTime: 100, method: 'rare-event' });
+    const pC = 1 - Math.exp(-0.1);
+
+    expect(result.topEventProbability).toBeCloseTo(0.1 * 0.2 + 0.1 * pC, 12);
+  });
+
+  it('should evaluate k-out-of-n gates', () => {
+    const p = 0.1;
+    const exact = evaluateFaultTree(votingTree(p), { method: 'exact' });
+    const rare = evaluateFaultTree(votingTree(p), { method: 'rare-event' });
+
+    expect(exact.topEventProbability).toBeCloseTo(3 * p * p * (1 - p) + p ** 3, 12);
+    expect(rare.topEventProbability).toBeCloseTo(3 * p * p, 12);
+  });
+
+  it('should put computed probabilities on the diagram nodes', () => {
+    const fta = quantifyFTA(sharedEventTree(), { missionTime: 100 });
+
+    expect(fta.quantification.topEventProbability).toBeGreaterThan(0);
+    expect(fta.mermaidDiagram).toContain('Loss of function<br/>P = ');
+    // Gates directly under an event share its value and are not annotated twice
+    expect(fta.mermaidDiagram).toContain('n_G1{"OR"}');
+  });
+
+  describe('POST /api/analysis/fta/evaluate', () => {
+    it('should quantify a submitted fault tree', async () => {
+      const response = await request(app)
+        .post('/api/analysis/fta/evaluate')
+        .send({ faultTree: votingTree(0.01), missionTime: 10, method: 'exact' })
+        .expect(200);
+
+      expect(response.body.quantification.topEventProbability).toBeCloseTo(3 * 0.01 ** 2 * 0.99 + 0.01 ** 3, 12);
+      expect(response.body.mermaidDiagram).toMatch(/^flowchart TD/);
+    });
+
+    it('should reject malformed fault trees', async () => {
+      const tree = votingTree(0.01);
+      tree.edges.pop();
+      tree.edges.pop();
+
+      const response = await request(app)
+        .post('/api/analysis/fta/evaluate')
+        .send({ faultTree: tree })
+        .expect(400);
+
+      expect(response.body.details.join(' ')).toContain('at least two inputs');
+    });
+  });
+});
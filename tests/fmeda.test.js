@@ -0,0 +1,153 @@
+const request = require('supertest');
+
+const { respondBySystemPrompt } = require('./analysisFixtures');
+const { complete } = require('../services/providers');
+const { analyzeFMEDA } = require('../services/fmeda');
+const { fmecaFmedaSchema } = require('../services/outputSchemas');
+const app = require('../server');
+
+const row = (itemFunction, failureMode, failureRate, failureModeDistribution, faultClass, diagnosticCoverage = 0, latentFaultCoverage = 0) => ({
+  itemFunction,
+  failureMode,
+  failureCause: 'Wear',
+  localEffect: 'Degraded function',
+  systemEffect: 'Wrong brake force request',
+  endEffect: 'Unintended braking',
+  severity: 9,
+  occurrence: 3,
+  detection: 4,
+  rpn: 108,
+  recommendedAction: 'Add a plausibility check',
+  failureRate,
+  failureModeDistribution,
+  safetyRelated: itemFunction !== 'Status LED',
+  faultClass,
+  safetyMechanism: diagnosticCoverage > 0 ? 'Redundant sensor plausibility check' : null,
+  diagnosticCoverage,
+  latentFaultCoverage
+});
+
+// λ (FIT): signal loss 50 (RF 0.5, detected 49.5), drift 30 (SPF), open circuit 20 (safe), watchdog 50 (latent 20)
+const fmeca = {
+  fmecaTable: [
+    row('Wheel speed sensor', 'Signal loss', 100, 0.5, 'residual', 0.99, 0.9),
+    row('Wheel speed sensor', 'Signal drift', 100, 0.3, 'single-point'),
+    row('Wheel speed sensor', 'Open circuit', 100, 0.2, 'safe'),
+    row('Brake ECU watchdog', 'Watchdog stuck', 50, 1, 'multiple-point', 0, 0.6),
+    row('Status LED', 'LED failure', 10, 1, 'safe')
+  ],
+  summary: { totalFailureModes: 5, highRiskItems: 5, averageRPN: 108, keyRecommendations: ['Add a plausibility check'] }
+};
+
+const hazards = {
+  hazards: [{ id: 'H1', title: 'Unintended braking', description: 'Vehicle brakes without demand', severity: 'catastrophic' }],
+  sharedBasicEvents: []
+};
+
+const fta = {
+  topEvent: 'Unintended braking',
+  events: [
+    { id: 'TOP', type: 'top', description: 'Unintended braking' },
+    { id: 'BE1', type: 'basic', description: 'Wheel speed signal drift', probability: 0.001 },
+    { id: 'BE2', type: 'basic', description: 'Brake ECU fault', probability: 0.0005 }
+  ],
+  gates: [{ id: 'G1', type: 'OR', description: 'Any failure' }],
+  edges: [
+    { from: 'TOP', to: 'G1' },
+    { from: 'G1', to: 'BE1' },
+    { from: 'G1', to: 'BE2' }
+  ],
+  analysis: { criticalPath: 'Signal drift', recommendations: ['Add a plausibility check'] }
+};
+
+const body = { description: 'An electronic brake system with wheel speed sensors and a brake ECU.' };
+
+describe('ISO 26262-5 FMEDA', () => {
+  it('should compute the FIT rates of every row and the hardware architectural metrics', () => {
+    const result = analyzeFMEDA(fmeca, { asil: 'B' });
+
+    expect(result.fmecaTable.map(({ modeFailureRate, singlePointFaultRate, latentFaultRate }) => [modeFailureRate, singlePointFaultRate, latentFaultRate]))
+      .toEqual([[50, 0.5, 0], [30, 30, 0], [20, 0, 0], [50, 0, 20], [10, 0, 0]]);
+    expect(result.fmeda.totals).toEqual({ safetyRelated: 150, safe: 20, singlePoint: 30, residual: 0.5, multiplePoint: 99.5, latent: 20 });
+    // SPFM = 1 - 30.5 / 150, LFM = 1 - 20 / 119.5, PMHF = 30.5 + 20 × 99.5 × 10⁴ h / 2 × 10⁻⁹
+    expect(result.fmeda.metrics).toEqual({ spfm: 0.7967, lfm: 0.8326, pmhf: 30.51 });
+    expect(result.fmeda.lifetime).toBe(10000);
+    expect(analyzeFMEDA(fmeca, { asil: 'B', lifetime: 1000000 }).fmeda.metrics.pmhf).toBe(31.5);
+    expect(result.fmeda.summary).toMatchObject({ notSafetyRelatedRows: 1, unquantifiedRows: 0 });
+    expect(result.fmeda.summary.largestContributors.map(entry => entry.failureMode)).toEqual(['Signal drift', 'Signal loss']);
+  });
+
+  it('should check the metrics against the targets of the ASIL', () => {
+    expect(analyzeFMEDA(fmeca, { asil: 'B' }).fmeda).toMatchObject({
+      targets: { spfm: 0.9, lfm: 0.6, pmhf: 100 },
+      compliance: { spfm: false, lfm: true, pmhf: true },
+      met: false
+    });
+    expect(analyzeFMEDA(fmeca, { asil: 'D' }).fmeda.compliance).toEqual({ spfm: false, lfm: false, pmhf: false });
+
+    const covered = {
+      ...fmeca,
+      fmecaTable: fmeca.fmecaTable.filter(entry => entry.faultClass !== 'single-point' && entry.faultClass !== 'multiple-point')
+    };
+    expect(analyzeFMEDA(covered, { asil: 'C' }).fmeda).toMatchObject({ metrics: { spfm: 0.9929, lfm: 1, pmhf: 0.5 }, met: true });
+  });
+
+  it('should leave rows without FMEDA inputs out of the metrics', () => {
+    const { failureRate, ...unrated } = fmeca.fmecaTable[0];
+    const result = analyzeFMEDA({ ...fmeca, fmecaTable: [unrated] }, { asil: 'B' });
+
+    expect(failureRate).toBe(100);
+    expect(result.fmecaTable[0].modeFailureRate).toBeNull();
+    expect(result.fmeda.metrics).toEqual({ spfm: null, lfm: null, pmhf: 0 });
+    expect(result.fmeda.summary.unquantifiedRows).toBe(1);
+    expect(result.fmeda.met).toBe(false);
+  });
+
+  it('should reject inconsistent fault classes and overfull failure mode distributions', () => {
+    const validate = rows => fmecaFmedaSchema.validate({ ...fmeca, fmecaTable: rows }).error?.message;
+
+    expect(validate(fmeca.fmecaTable)).toBeUndefined();
+    expect(validate([{ ...fmeca.fmecaTable[1], diagnosticCoverage: 0.9 }])).toContain('residual fault rather than a single-point fault');
+    expect(validate([{ ...fmeca.fmecaTable[0], safetyMechanism: null }])).toContain('needs its safety mechanism');
+    expect(validate([{ ...fmeca.fmecaTable[4], faultClass: 'single-point' }])).toContain('not safety-related');
+    expect(validate([...fmeca.fmecaTable, row('Wheel speed sensor', 'Short circuit', 100, 0.2, 'safe')]))
+      .toContain('failureModeDistribution values of "Wheel speed sensor" add up to 1.2');
+  });
+});
+
+describe('FMEDA requests', () => {
+  beforeEach(() => {
+    complete.mockReset();
+    complete.mockImplementation(respondBySystemPrompt({ FMEDA: fmeca, 'hazard analysis': hazards }, { fta }));
+  });
+
+  it('should generate the FMEDA worksheet against the requested ASIL', async () => {
+    const response = await request(app)
+      .post('/api/analysis/generate')
+      .send({ ...body, fmeda: { asil: 'D', lifetime: 1000000 } })
+      .expect(200);
+
+    const fmecaResult = response.body.results.fmeca;
+    expect(fmecaResult.provenance.promptTemplate).toEqual({ id: 'fmeda', version: '1.0.0' });
+    expect(fmecaResult.fmeda).toMatchObject({ standard: 'ISO 26262-5', asil: 'D', lifetime: 1000000, metrics: { pmhf: 31.5 }, met: false });
+    expect(fmecaResult.fmecaTable[3]).toMatchObject({ faultClass: 'multiple-point', latentFaultRate: 20 });
+
+    const prompt = complete.mock.calls.find(([, { system }]) => system.includes('FMEDA'))[1].messages[0].content;
+    expect(prompt).toContain('a safety goal rated ASIL D');
+    expect(prompt).toContain('diagnosticCoverage');
+  });
+
+  it('should reject an FMEDA without a supported ASIL or combined with quantitative criticality', async () => {
+    const missing = await request(app).post('/api/analysis/generate').send({ ...body, fmeda: {} }).expect(400);
+    expect(missing.body.problems).toEqual(['"fmeda.asil" is required']);
+    const unsupported = await request(app).post('/api/analysis/generate').send({ ...body, fmeda: { asil: 'A' } }).expect(400);
+    expect(unsupported.body.problems).toEqual([expect.stringContaining('"fmeda.asil" must be one of')]);
+    const combined = await request(app)
+      .post('/api/analysis/generate')
+      .send({ ...body, fmeda: { asil: 'D' }, criticality: { mode: 'quantitative' } })
+      .expect(400);
+    expect(combined.body).toMatchObject({ error: 'Invalid input format', problems: ['quantitative criticality cannot be combined with an FMEDA'] });
+
+    expect(complete).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,122 @@
+const request = require('supertest');
+
+const { respondBySystemPrompt } = require('./analysisFixtures');
+const { complete } = require('../services/providers');
+const { determineAsil, analyzeHARA } = require('../services/hara');
+const { haraSchema } = require('../services/outputSchemas');
+const app = require('../server');
+
+const hazardousEvent = (id, operationalSituation, severity, exposure, controllability, safetyGoal) => ({
+  id,
+  hazard: 'Unintended braking',
+  operationalSituation,
+  description: 'Vehicle decelerates without demand',
+  severity,
+  severityRationale: 'Collision with the following vehicle',
+  exposure,
+  exposureRationale: 'Situation occurs often',
+  controllability,
+  controllabilityRationale: 'Following driver has little time to react',
+  safetyGoal
+});
+
+const hara = {
+  operationalSituations: [
+    { id: 'OS1', description: 'Highway driving in dense traffic' },
+    { id: 'OS2', description: 'Parking manoeuvre' }
+  ],
+  hazardousEvents: [
+    hazardousEvent('HE1', 'OS1', 'S3', 'E4', 'C3', 'SG1'),
+    hazardousEvent('HE2', 'OS2', 'S1', 'E3', 'C2', 'SG1'),
+    hazardousEvent('HE3', 'OS2', 'S1', 'E2', 'C1', 'SG2')
+  ],
+  safetyGoals: [
+    { id: 'SG1', description: 'Avoid unintended braking', safeState: 'Brake request ignored' },
+    { id: 'SG2', description: 'Avoid unexpected creeping', asil: 'D' }
+  ]
+};
+
+const structuredBody = {
+  systemName: 'Brake system',
+  description: 'Brake-by-wire system of a passenger car',
+  components: [
+    { name: 'Brake ECU', function: 'Computes the brake force request' },
+    { name: 'Brake actuator', function: 'Applies the brake force' }
+  ],
+  safetyStandards: ['ISO 26262']
+};
+
+describe('ASIL determination', () => {
+  it('should follow ISO 26262-3 Table 4', () => {
+    expect(determineAsil('S3', 'E4', 'C3')).toBe('D');
+    expect(determineAsil('S3', 'E4', 'C2')).toBe('C');
+    expect(determineAsil('S2', 'E4', 'C3')).toBe('C');
+    expect(determineAsil('S3', 'E3', 'C2')).toBe('B');
+    expect(determineAsil('S1', 'E4', 'C3')).toBe('B');
+    expect(determineAsil('S3', 'E1', 'C3')).toBe('A');
+    expect(determineAsil('S2', 'E2', 'C2')).toBe('QM');
+    expect(determineAsil('S1', 'E3', 'C2')).toBe('QM');
+  });
+
+  it('should need no ASIL for S0, E0 or C0', () => {
+    expect(determineAsil('S0', 'E4', 'C3')).toBe('QM');
+    expect(determineAsil('S3', 'E0', 'C3')).toBe('QM');
+    expect(determineAsil('S3', 'E4', 'C0')).toBe('QM');
+  });
+
+  it('should give each safety goal the highest ASIL of its hazardous events', () => {
+    const result = analyzeHARA(hara);
+
+    expect(result.hazardousEvents.map(event => event.asil)).toEqual(['D', 'QM', 'QM']);
+    expect(result.safetyGoals.map(({ id, asil, hazardousEvents }) => [id, asil, hazardousEvents])).toEqual([
+      ['SG1', 'D', ['HE1', 'HE2']],
+      ['SG2', 'QM', ['HE3']]
+    ]);
+    expect(result.summary).toMatchObject({ highestAsil: 'D', hazardousEventsByAsil: { QM: 2, A: 0, B: 0, C: 0, D: 1 } });
+  });
+});
+
+describe('HARA schema', () => {
+  it('should drop ASILs proposed by the model', () => {
+    const { value, error } = haraSchema.validate(hara);
+
+    expect(error).toBeUndefined();
+    expect(value.safetyGoals[1].asil).toBeUndefined();
+  });
+
+  it('should reject unknown ratings and dangling references', () => {
+    const badRating = { ...hara, hazardousEvents: [hazardousEvent('HE1', 'OS1', 'S4', 'E4', 'C3', 'SG1')] };
+    const dangling = { ...hara, hazardousEvents: [hazardousEvent('HE1', 'OS9', 'S3', 'E4', 'C3', 'SG1')] };
+
+    expect(haraSchema.validate(badRating).error.message).toContain('severity');
+    expect(haraSchema.validate(dangling).error.message).toContain('hazardous event "HE1" must reference');
+  });
+});
+
+describe('HARA analysis requests', () => {
+  beforeEach(() => {
+    complete.mockReset();
+    complete.mockImplementation(respondBySystemPrompt({ 'ISO 26262': { ...hara, hazardousEvents: hara.hazardousEvents.map(event => ({ ...event, asil: 'D' })) } }));
+  });
+
+  it('should add the HARA when ISO 26262 is selected', async () => {
+    const response = await request(app).post('/api/analysis/generate').send(structuredBody).expect(200);
+
+    const result = response.body.results.hara;
+    expect(result.provenance).toMatchObject({ source: 'model', promptTemplate: { id: 'hara', version: '1.0.0' } });
+    // The model claimed ASIL D everywhere; the table decides
+    expect(result.hazardousEvents.map(event => event.asil)).toEqual(['D', 'QM', 'QM']);
+    expect(result.safetyGoals[0]).toMatchObject({ id: 'SG1', asil: 'D' });
+    expect(response.body.metadata.usage.calls).toBe(4);
+  });
+
+  it('should not run the HARA for other standards', async () => {
+    const response = await request(app)
+      .post('/api/analysis/generate')
+      .send({ ...structuredBody, safetyStandards: ['IEC 61508'] })
+      .expect(200);
+
+    expect(response.body.results.hara).toBeUndefined();
+    expect(complete.mock.calls.some(([, { system }]) => system.includes('ISO 26262'))).toBe(false);
+  });
+});
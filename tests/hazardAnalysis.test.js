@@ -0,0 +1,110 @@
+const request = require('supertest');
+// Replaces the model calls with a jest mock
+require('./analysisFixtures');
+const { complete } = require('../services/providers');
+const { reconcileSharedBasicEvents } = require('../services/hazardAnalysis');
+const app = require('../server');
+
+const tree = (hazardId, leaves) => ({
+  hazardId,
+  topEvent: `Hazard ${hazardId}`,
+  events: [
+    { id: 'TOP', type: 'top', description: `Hazard ${hazardId}` },
+    ...leaves.map(leaf => ({ type: 'basic', ...leaf }))
+  ],
+  gates: [{ id: 'G1', type: 'OR', description: 'Any cause' }],
+  edges: [
+    { from: 'TOP', to: 'G1' },
+    ...leaves.map(leaf => ({ from: 'G1', to: leaf.id }))
+  ],
+  analysis: { criticalPath: 'Any cause', recommendations: ['Mitigate'] }
+});
+
+describe('Shared basic event reconciliation', () => {
+  it('should apply catalogue values to every tree that uses a shared id', () => {
+    const { trees, sharedBasicEvents } = reconcileSharedBasicEvents([
+      tree('H1', [{ id: 'BE_ECU', description: 'ECU fails', failureRate: 1e-3 }, { id: 'BE1', description: 'Pedal sensor fault', probability: 0.01 }]),
+      tree('H2', [{ id: 'BE_ECU', description: 'Brake ECU crash', probability: 0.5 }, { id: 'BE2', description: 'Valve stuck', probability: 0.02 }])
+    ], [{ id: 'BE_ECU', type: 'basic', description: 'Brake ECU processor failure', failureRate: 1e-6 }]);
+
+    trees.forEach(reconciled => {
+      const ecu = reconciled.events.find(event => event.id === 'BE_ECU');
+      expect(ecu).toEqual({ id: 'BE_ECU', type: 'basic', description: 'Brake ECU processor failure', failureRate: 1e-6 });
+    });
+    expect(sharedBasicEvents).toEqual([
+      { id: 'BE_ECU', description: 'Brake ECU processor failure', failureRate: 1e-6, hazards: ['H1', 'H2'] }
+    ]);
+  });
+
+  it('should merge matching descriptions and separate different events that reuse an id', () => {
+    const { trees, sharedBasicEvents } = reconcileSharedBasicEvents([
+      tree('H1', [{ id: 'BE1', description: 'Hydraulic line rupture', probability: 0.001 }, { id: 'BE2', description: 'Pedal sensor fault', probability: 0.01 }]),
+      tree('H2', [{ id: 'BE1', description: 'Software watchdog timeout', probability: 0.002 }, { id: 'BE7', description: 'Hydraulic line  rupture', probability: 0.5 }])
+    ]);
+
+    const second = trees[1];
+    expect(second.events.map(event => event.id)).toEqual(['TOP', 'BE1_H2', 'BE1']);
+    expect(second.events[2]).toMatchObject({ description: 'Hydraulic line rupture', probability: 0.001 });
+    expect(second.edges).toContainEqual({ from: 'G1', to: 'BE1_H2' });
+    expect(second.edges).toContainEqual({ from: 'G1', to: 'BE1' });
+    expect(sharedBasicEvents.map(event => event.id)).toEqual(['BE1']);
+  });
+});
+
+describe('Hazard identification', () => {
+  const hazards = {
+    hazards: [
+      { id: 'H1', title: 'Loss of braking', description: 'Vehicle cannot stop', severity: 'catastrophic' },
+      { id: 'H2', title: 'Unintended braking', description: 'Brakes apply without demand', severity: 'critical' },
+      { id: 'H3', title: 'Brake pull', description: 'Uneven braking force', severity: 'marginal' }
+    ],
+    sharedBasicEvents: [{ id: 'BE_ECU', description: 'Brake ECU processor failure', failureRate: 1e-6 }]
+  };
+
+  const fmeca = {
+    fmecaTable: [{
+      itemFunction: 'Brake ECU', failureMode: 'Processor failure', failureCause: 'Radiation',
+      localEffect: 'No output', systemEffect: 'No braking control', endEffect: 'Crash',
+      severity: 10, occurrence: 2, detection: 3, rpn: 60, recommendedAction: 'Dual-core lockstep ECU'
+    }],
+    summary: { totalFailureModes: 1, highRiskItems: 0, averageRPN: 60, keyRecommendations: ['Dual-core lockstep ECU'] }
+  };
+
+  it('should generate one quantified fault tree per hazard', async () => {
+    complete.mockImplementation(async (settings, { system, messages }) => {
+      let data;
+      if (system.includes('FMECA')) {
+        data = fmeca;
+      } else if (system.includes('hazard analysis')) {
+        data = hazards;
+      } else {
+        const hazardId = messages[0].content.match(/Hazard (H\d)/)[1];
+        ({ hazardId: _, ...data } = tree(hazardId, [
+          { id: 'BE_ECU', description: 'Brake ECU processor failure', failureRate: 1e-6 },
+          { id: `BE_${hazardId}`, description: `Local cause of ${hazardId}`, probability: 0.001 }
+        ]));
+      }
+      return { text: JSON.stringify(data), model: 'gpt-4', usage: { promptTokens: 1, completionTokens: 1 } };
+    });
+
+    const response = await request(app)
+      .post('/api/analysis/generate')
+      .send({
+        description: 'A brake system for autonomous vehicles with hydraulic components.',
+        maxHazards: 3
+      })
+      .expect(200);
+
+    const { fta } = response.body.results;
+    expect(fta.hazards.map(hazard => hazard.id)).toEqual(['H1', 'H2', 'H3']);
+    expect(fta.trees.map(ftaTree => ftaTree.hazardId)).toEqual(['H1', 'H2', 'H3']);
+    fta.trees.forEach(ftaTree => {
+      expect(ftaTree.quantification.topEventProbability).toBeGreaterThan(0);
+      expect(ftaTree.mitigationRanking[0]).toMatchObject({ basicEvent: 'BE_ECU' });
+    });
+    expect(fta.sharedBasicEvents).toEqual([
+      expect.objectContaining({ id: 'BE_ECU', hazards: ['H1', 'H2', 'H3'] })
+    ]);
+    expect(complete.mock.calls[2][1].messages[0].content).toContain('BE_ECU');
+  });
+});
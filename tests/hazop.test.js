@@ -0,0 +1,128 @@
+const request = require('supertest');
+
+const { respondBySystemPrompt } = require('./analysisFixtures');
+const { complete } = require('../services/providers');
+const { parametersFor, toHazopNodes, analyzeHAZOP } = require('../services/hazop');
+const { createHazopSchema } = require('../services/outputSchemas');
+const app = require('../server');
+
+const connections = [
+  { from: 'Master cylinder', to: 'Brake caliper', type: 'hydraulic' },
+  { from: 'Brake ECU', to: 'Brake actuator', type: 'CAN data' }
+];
+
+const deviation = (node, parameter, guideword, safeguards = ['Low fluid level warning']) => ({
+  node,
+  parameter,
+  guideword,
+  deviation: `${guideword} ${parameter.toLowerCase()}`,
+  causes: ['Line rupture'],
+  consequences: ['Loss of braking at one wheel'],
+  safeguards,
+  recommendations: ['Add a pressure sensor per circuit']
+});
+
+const hazop = {
+  deviations: [
+    deviation('N2', 'Timing', 'Late', []),
+    deviation('N1', 'Pressure', 'More'),
+    deviation('N1', 'Flow', 'No')
+  ]
+};
+
+const structuredBody = {
+  systemName: 'Brake system',
+  description: 'Brake-by-wire system with a hydraulic backup circuit',
+  components: [
+    { name: 'Master cylinder', function: 'Converts pedal force to pressure' },
+    { name: 'Brake caliper', function: 'Clamps the brake disc' },
+    { name: 'Brake ECU', function: 'Computes the brake force request' },
+    { name: 'Brake actuator', function: 'Applies the brake force' }
+  ],
+  connections,
+  hazop: {}
+};
+
+describe('HAZOP study nodes', () => {
+  it('should make every connection a node with the parameters of its type', () => {
+    expect(parametersFor('Hydraulic line')).toEqual(['Flow', 'Pressure', 'Temperature', 'Composition']);
+    expect(parametersFor('CAN data')).toEqual(['Data value', 'Timing', 'Sequence']);
+    expect(parametersFor('12V power')).toEqual(['Voltage', 'Current', 'Timing']);
+    expect(parametersFor('scanner')).toEqual(['Flow', 'Timing']);
+
+    expect(toHazopNodes(connections).map(({ id, from, to }) => [id, from, to])).toEqual([
+      ['N1', 'Master cylinder', 'Brake caliper'],
+      ['N2', 'Brake ECU', 'Brake actuator']
+    ]);
+  });
+
+  it('should order deviations by node and guideword and summarise them', () => {
+    const result = analyzeHAZOP(hazop, toHazopNodes([...connections, { from: 'Pedal', to: 'Master cylinder', type: 'mechanical' }]));
+
+    expect(result.deviations.map(row => `${row.node} ${row.guideword}`)).toEqual(['N1 No', 'N1 More', 'N2 Late']);
+    expect(result.nodes.map(node => node.deviations)).toEqual([2, 1, 0]);
+    expect(result.summary).toMatchObject({
+      deviations: 3,
+      unsafeguardedDeviations: 1,
+      recommendations: 3,
+      nodesWithoutDeviations: ['N3']
+    });
+    expect(result.summary.deviationsByGuideword).toMatchObject({ No: 1, More: 1, Late: 1, Reverse: 0 });
+  });
+
+  it('should reject unknown nodes, unapplied guidewords and repeated deviations', () => {
+    const schema = createHazopSchema(toHazopNodes(connections), ['No', 'More']);
+
+    expect(schema.validate({ deviations: [deviation('N1', 'Flow', 'No')] }).error).toBeUndefined();
+    expect(schema.validate({ deviations: [deviation('N9', 'Flow', 'No')] }).error.message).toContain('node');
+    expect(schema.validate({ deviations: [deviation('N1', 'Flow', 'Reverse')] }).error.message).toContain('guideword');
+    expect(schema.validate({ deviations: [deviation('N1', 'Flow', 'No'), deviation('N1', 'flow', 'No')] }).error.message)
+      .toContain('deviation "No flow" of node N1 is listed more than once');
+  });
+});
+
+describe('HAZOP analysis requests', () => {
+  beforeEach(() => {
+    complete.mockReset();
+    complete.mockImplementation(respondBySystemPrompt({ HAZOP: hazop }));
+  });
+
+  it('should add the HAZOP worksheet of the connections when requested', async () => {
+    const response = await request(app).post('/api/analysis/generate').send(structuredBody).expect(200);
+
+    const prompt = complete.mock.calls.find(([, { system }]) => system.includes('HAZOP'))[1].messages[0].content;
+    expect(prompt).toContain('N1: Master cylinder -> Brake caliper (hydraulic). Parameters: Flow, Pressure, Temperature, Composition');
+    expect(prompt).toContain('apply the guidewords No, More, Less, Reverse, Early, Late, Other Than');
+
+    const result = response.body.results.hazop;
+    expect(result.provenance).toMatchObject({ source: 'model', promptTemplate: { id: 'hazop', version: '1.0.0' } });
+    expect(result.nodes[1]).toMatchObject({ id: 'N2', type: 'CAN data', deviations: 1 });
+    expect(result.deviations).toHaveLength(3);
+    expect(response.body.metadata.usage.calls).toBe(4);
+  });
+
+  it('should apply only the chosen guidewords', async () => {
+    await request(app)
+      .post('/api/analysis/generate')
+      .send({ ...structuredBody, hazop: { guidewords: ['No', 'More', 'Late'] } })
+      .expect(200);
+
+    const prompt = complete.mock.calls.find(([, { system }]) => system.includes('HAZOP'))[1].messages[0].content;
+    expect(prompt).toContain('apply the guidewords No, More, Late to');
+  });
+
+  it('should need connections and skip the HAZOP unless asked for', async () => {
+    const empty = await request(app).post('/api/analysis/generate').send({ ...structuredBody, connections: [] }).expect(400);
+    expect(empty.body).toMatchObject({ error: 'Invalid structured system description', problems: ['"connections" must contain at least 1 items'] });
+    const { connections: dropped, ...withoutConnections } = structuredBody;
+    const missing = await request(app).post('/api/analysis/generate').send(withoutConnections).expect(400);
+    expect(missing.body.problems).toEqual(['"connections" is required']);
+    expect(dropped).toHaveLength(connections.length);
+
+    const { hazop: omitted, ...withoutHazop } = structuredBody;
+    const response = await request(app).post('/api/analysis/generate').send(withoutHazop).expect(200);
+    expect(omitted).toEqual({});
+    expect(response.body.results.hazop).toBeUndefined();
+    expect(complete.mock.calls.some(([, { system }]) => system.includes('HAZOP'))).toBe(false);
+  });
+});
@@ -0,0 +1,67 @@
+const { createEvaluator } = require('../services/faultTreeEvaluator');
+const { computeImportance, rankMitigations } = require('../services/importance');
+
+// TOP = PUMP OR (VALVE AND SENSOR)
+const tree = {
+  events: [
+    { id: 'TOP', type: 'top', description: 'No coolant flow' },
+    { id: 'E1', type: 'intermediate', description: 'Flow path blocked undetected' },
+    { id: 'PUMP', type: 'basic', description: 'Coolant pump bearing seizure', probability: 0.01 },
+    { id: 'VALVE', type: 'basic', description: 'Isolation valve stuck closed', probability: 0.2 },
+    { id: 'SENSOR', type: 'basic', description: 'Flow sensor drift', probability: 0.1 }
+  ],
+  gates: [
+    { id: 'G1', type: 'OR', description: 'Any path' },
+    { id: 'G2', type: 'AND', description: 'Blocked and undetected' }
+  ],
+  edges: [
+    { from: 'TOP', to: 'G1' },
+    { from: 'G1', to: 'PUMP' },
+    { from: 'G1', to: 'E1' },
+    { from: 'E1', to: 'G2' },
+    { from: 'G2', to: 'VALVE' },
+    { from: 'G2', to: 'SENSOR' }
+  ]
+};
+
+describe('Importance measures', () => {
+  const importance = computeImportance(tree, createEvaluator(tree));
+  const byId = Object.fromEntries(importance.basicEvents.map(event => [event.id, event]));
+  const Q = 1 - (1 - 0.01) * (1 - 0.02);
+
+  it('should compute Birnbaum, Fussell-Vesely, RAW and RRW', () => {
+    expect(importance.topEventProbability).toBeCloseTo(Q, 12);
+
+    // Q(VALVE=1) = 1 - 0.99 * 0.9, Q(VALVE=0) = 0.01
+    const failed = 1 - 0.99 * 0.9;
+    expect(byId.VALVE.birnbaum).toBeCloseTo(failed - 0.01, 12);
+    expect(byId.VALVE.fussellVesely).toBeCloseTo((Q - 0.01) / Q, 12);
+    expect(byId.VALVE.riskAchievementWorth).toBeCloseTo(failed / Q, 12);
+    expect(byId.VALVE.riskReductionWorth).toBeCloseTo(Q / 0.01, 12);
+    expect(byId.PUMP.riskAchievementWorth).toBeCloseTo(1 / Q, 12);
+  });
+
+  it('should rank events by Fussell-Vesely (then Birnbaum) and vary each over the sensitivity range', () => {
+    expect(importance.basicEvents.map(event => event.id)).toEqual(['SENSOR', 'VALVE', 'PUMP']);
+    expect(byId.SENSOR.sensitivity.low).toBeCloseTo(0.01, 12);
+    expect(byId.SENSOR.sensitivity.high).toBe(1);
+    expect(byId.SENSOR.sensitivity.topEventHigh).toBeCloseTo(1 - 0.99 * 0.8, 12);
+    expect(byId.SENSOR.sensitivity.topEventLow).toBeLessThan(Q);
+  });
+
+  it('should rank FMECA recommended actions by the importance of the matching basic event', () => {
+    const ranking = rankMitigations([
+      { itemFunction: 'Coolant pump', failureMode: 'Bearing seizure', failureCause: 'Lubrication loss', rpn: 300, recommendedAction: 'Add vibration monitoring' },
+      { itemFunction: 'Isolation valve', failureMode: 'Stuck closed', failureCause: 'Corrosion', rpn: 120, recommendedAction: 'Add redundant valve' },
+      { itemFunction: 'Operator panel', failureMode: 'Display blank', failureCause: 'Backlight', rpn: 500, recommendedAction: 'Replace backlight' }
+    ], importance);
+
+    expect(ranking.map(item => item.recommendedAction)).toEqual([
+      'Add redundant valve',
+      'Add vibration monitoring',
+      'Replace backlight'
+    ]);
+    expect(ranking[0]).toMatchObject({ rank: 1, basicEvent: 'VALVE' });
+    expect(ranking[2]).toMatchObject({ basicEvent: null, fussellVesely: null });
+  });
+});
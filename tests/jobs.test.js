@@ -0,0 +1,138 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'gensafe-jobs-'));
+
+const { fmeca, fta, respondBySystemPrompt } = require('./analysisFixtures');
+const { complete } = require('../services/providers');
+const { createFileStore } = require('../services/fileStore');
+const { createJobQueue } = require('../services/jobQueue');
+const { analysisJobs } = require('../services/analysisJobs');
+const app = require('../server');
+
+const body = { description: 'A brake system for autonomous vehicles with hydraulic components.' };
+
+// Wait until a condition holds (jobs run in the background)
+const waitFor = async (condition) => {
+  for (let i = 0; i < 100; i++) {
+    if (await condition()) return;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Timed out waiting for condition');
+};
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('Analysis jobs API', () => {
+  beforeEach(() => {
+    complete.mockReset();
+  });
+
+  it('should queue an analysis and return its result once completed', async () => {
+    complete.mockImplementation(respondBySystemPrompt());
+
+    const queued = await request(app).post('/api/jobs').send(body).expect(202);
+    expect(queued.body).toMatchObject({ success: true, status: expect.stringMatching(/^(queued|running)$/), jobId: expect.any(String) });
+    expect(queued.headers.location).toBe(`/api/jobs/${queued.body.jobId}`);
+
+    await analysisJobs.idle();
+
+    const response = await request(app).get(`/api/jobs/${queued.body.jobId}`).expect(200);
+    expect(response.body.status).toBe('completed');
+    expect(response.body.progress.stages).toMatchObject({ fmeca: 'completed', 'fta:H1': 'completed', quantification: 'completed' });
+    expect(response.body.result.results.fmeca.fmecaTable).toHaveLength(1);
+    expect(response.body.result.results.fta.trees[0].quantification.topEventProbability).toBeGreaterThan(0);
+    expect(response.body.input).toEqual({ type: 'simple', systemName: 'System Analysis' });
+
+    // The finished job is on disk, so it survives a restart
+    const stored = JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'jobs', `${queued.body.jobId}.json`), 'utf8'));
+    expect(stored.status).toBe('completed');
+  });
+
+  it('should record failed analyses with their error', async () => {
+    complete.mockResolvedValue({ text: 'no JSON here', model: 'gpt-4', usage: {} });
+
+    const queued = await request(app).post('/api/jobs').send(body).expect(202);
+    await analysisJobs.idle();
+
+    const response = await request(app).get(`/api/jobs/${queued.body.jobId}`).expect(200);
+    expect(response.body.status).toBe('failed');
+    expect(response.body.error).toMatchObject({ statusCode: 502 });
+
+    await request(app).delete(`/api/jobs/${queued.body.jobId}`).expect(409);
+  });
+
+  it('should cancel a running job and abort its model calls', async () => {
+    const signals = [];
+    complete.mockImplementation((settings, { signal }) => new Promise((resolve, reject) => {
+      signals.push(signal);
+      signal.addEventListener('abort', () => reject(signal.reason));
+    }));
+
+    const queued = await request(app).post('/api/jobs').send(body).expect(202);
+    await waitFor(() => signals.length > 0);
+
+    const cancelled = await request(app).delete(`/api/jobs/${queued.body.jobId}`).expect(200);
+    expect(cancelled.body.status).toBe('cancelled');
+    expect(signals.every(signal => signal.aborted)).toBe(true);
+
+    await analysisJobs.idle();
+    const response = await request(app).get(`/api/jobs/${queued.body.jobId}`).expect(200);
+    expect(response.body.status).toBe('cancelled');
+  });
+
+  it('should reject invalid input and unknown jobs', async () => {
+    await request(app).post('/api/jobs').send({ description: 'short' }).expect(400);
+    await request(app).get('/api/jobs/00000000-0000-0000-0000-000000000000').expect(404);
+    await request(app).get('/api/jobs/..%2Fsecrets').expect(404);
+    await request(app).delete('/api/jobs/00000000-0000-0000-0000-000000000000').expect(404);
+  });
+});
+
+describe('Job queue', () => {
+  it('should run no more jobs than the concurrency limit at once', async () => {
+    let active = 0;
+    let peak = 0;
+    const queue = createJobQueue({
+      store: createFileStore('queue-limit'),
+      concurrency: 2,
+      run: async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        active--;
+        return 'done';
+      }
+    });
+
+    const jobs = await Promise.all([1, 2, 3, 4, 5].map(n => queue.submit({ n })));
+    expect((await queue.get(jobs[4].id)).status).toBe('queued');
+
+    await queue.idle();
+    expect(peak).toBe(2);
+    const finished = await Promise.all(jobs.map(job => queue.get(job.id)));
+    expect(finished.map(job => job.status)).toEqual(Array(5).fill('completed'));
+  });
+
+  it('should re-queue unfinished jobs after a restart', async () => {
+    const store = createFileStore('queue-recovery');
+    await store.save({ id: 'interrupted', status: 'running', createdAt: '2024-01-01T00:00:00.000Z', input: { n: 1 }, progress: {} });
+    await store.save({ id: 'waiting', status: 'queued', createdAt: '2024-01-01T00:00:01.000Z', input: { n: 2 }, progress: {} });
+    await store.save({ id: 'finished', status: 'completed', createdAt: '2024-01-01T00:00:02.000Z', input: { n: 3 }, result: 3, progress: {} });
+
+    const run = jest.fn(async input => input.n * 10);
+    const queue = createJobQueue({ store, run, concurrency: 1 });
+
+    expect(await queue.recover()).toBe(2);
+    await queue.idle();
+
+    expect(run.mock.calls.map(([input]) => input.n)).toEqual([1, 2]);
+    expect(await store.get('interrupted')).toMatchObject({ status: 'completed', result: 10 });
+    expect(await store.get('waiting')).toMatchObject({ status: 'completed', result: 20 });
+    expect(await store.get('finished')).toMatchObject({ result: 3 });
+  });
+});
@@ -0,0 +1,137 @@
+const request = require('supertest');
+
+const { hazards, respondBySystemPrompt } = require('./analysisFixtures');
+const { complete } = require('../services/providers');
+const { riskAssessmentCode, classifyMitigation, assessMilStd882Risk } = require('../services/milStd882');
+const app = require('../server');
+
+const row = (failureMode, severity, occurrence, recommendedAction) => ({
+  itemFunction: 'Brake caliper',
+  failureMode,
+  failureCause: 'Corrosion',
+  localEffect: 'Reduced clamping',
+  systemEffect: 'Reduced braking',
+  endEffect: 'Longer stopping distance',
+  severity,
+  occurrence,
+  detection: 3,
+  rpn: severity * occurrence * 3,
+  recommendedAction
+});
+
+const fmeca = {
+  fmecaTable: [
+    row('Piston seizure', 9, 3, 'Inspect pistons at every service'),
+    row('Seal leak', 5, 7, 'Redesign the seal with a higher-rated material'),
+    row('Pad glazing', 2, 2, 'Add a pad wear warning indicator')
+  ],
+  summary: { totalFailureModes: 3, highRiskItems: 1, averageRPN: 80, keyRecommendations: ['Inspect pistons'] }
+};
+
+const fta = {
+  topEvent: 'Loss of braking',
+  events: [
+    { id: 'TOP', type: 'top', description: 'Loss of braking' },
+    { id: 'BE1', type: 'basic', description: 'Brake caliper piston seizure', probability: 0.001 },
+    { id: 'BE2', type: 'basic', description: 'Brake line rupture', probability: 0.0005 }
+  ],
+  gates: [{ id: 'G1', type: 'OR', description: 'Any failure' }],
+  edges: [
+    { from: 'TOP', to: 'G1' },
+    { from: 'G1', to: 'BE1' },
+    { from: 'G1', to: 'BE2' }
+  ],
+  analysis: { criticalPath: 'Piston seizure', recommendations: ['Eliminate the single hydraulic circuit by design'] }
+};
+
+const structuredBody = {
+  systemName: 'Brake system',
+  description: 'Hydraulic brake system of an autonomous vehicle',
+  components: [
+    { name: 'Brake caliper', function: 'Clamps the brake disc' },
+    { name: 'Brake line', function: 'Carries hydraulic pressure' }
+  ],
+  safetyStandards: ['MIL-STD-882E']
+};
+
+describe('MIL-STD-882E risk assessment', () => {
+  it('should apply the risk assessment matrix', () => {
+    expect(riskAssessmentCode(1, 'A')).toBe('High');
+    expect(riskAssessmentCode(2, 'C')).toBe('Serious');
+    expect(riskAssessmentCode(1, 'D')).toBe('Serious');
+    expect(riskAssessmentCode(3, 'E')).toBe('Medium');
+    expect(riskAssessmentCode(4, 'C')).toBe('Low');
+    expect(riskAssessmentCode(1, 'F')).toBe('Eliminated');
+    expect(riskAssessmentCode(null, 'A')).toBeNull();
+  });
+
+  it('should classify mitigations by the design order of precedence', () => {
+    expect(classifyMitigation('Eliminate the flammable fluid').precedence).toBe(1);
+    expect(classifyMitigation('Add a redundant pressure sensor').precedence).toBe(2);
+    expect(classifyMitigation('Fit a mechanical interlock').precedence).toBe(3);
+    expect(classifyMitigation('Sound an alarm on low pressure').precedence).toBe(4);
+    expect(classifyMitigation('Train operators on the procedure').precedence).toBe(5);
+    expect(classifyMitigation('Review with the customer')).toBeNull();
+  });
+
+  it('should score hazards from their fault tree and failure modes from their ratings', () => {
+    const tree = { hazardId: 'H1', analysis: fta.analysis, quantification: { missionTime: 1, topEventProbability: 0.0015 } };
+    const assessment = assessMilStd882Risk(fmeca, { hazards: hazards.hazards, trees: [tree] });
+
+    expect(assessment.hazards).toEqual([{
+      hazardId: 'H1', title: 'Loss of braking', severityCategory: 1, probabilityLevel: 'C', probability: 0.0015, riskAssessmentCode: 'High'
+    }]);
+    expect(assessment.failureModes.map(mode => `${mode.severityCategory}${mode.probabilityLevel} ${mode.riskAssessmentCode}`))
+      .toEqual(['1D Serious', '3B Serious', '4E Low']);
+
+    const cell = assessment.matrix.find(entry => entry.probabilityLevel === 'C' && entry.severityCategory === 1);
+    expect(cell).toMatchObject({ riskAssessmentCode: 'High', hazards: ['H1'], failureModes: [] });
+    expect(assessment.matrix).toHaveLength(24);
+    expect(assessment.summary.hazardsByRisk.High).toBe(1);
+  });
+
+  it('should order mitigations by precedence, then by risk', () => {
+    const tree = { hazardId: 'H1', analysis: fta.analysis, quantification: { missionTime: 1, topEventProbability: 0.0015 } };
+    const { mitigations } = assessMilStd882Risk(fmeca, { hazards: hazards.hazards, trees: [tree] });
+
+    expect(mitigations.map(mitigation => [mitigation.rank, mitigation.designPrecedence.precedence, mitigation.riskAssessmentCode])).toEqual([
+      [1, 1, 'High'],
+      [2, 2, 'Serious'],
+      [3, 4, 'Low'],
+      [4, 5, 'Serious']
+    ]);
+    expect(mitigations[0].source).toEqual({ type: 'fta', hazardId: 'H1' });
+  });
+
+  it('should leave hazards without a quantified tree unscored', () => {
+    const assessment = assessMilStd882Risk(fmeca, { hazards: hazards.hazards, trees: [] });
+
+    expect(assessment.hazards[0]).toMatchObject({ severityCategory: 1, probabilityLevel: null, riskAssessmentCode: null });
+    expect(assessment.summary.unscoredHazards).toBe(1);
+  });
+});
+
+describe('MIL-STD-882E analysis requests', () => {
+  beforeEach(() => {
+    complete.mockReset();
+    complete.mockImplementation(respondBySystemPrompt({ FMECA: fmeca }, { fta }));
+  });
+
+  it('should add the risk assessment when the standard is selected', async () => {
+    const response = await request(app).post('/api/analysis/generate').send(structuredBody).expect(200);
+
+    const assessment = response.body.results.milStd882;
+    expect(assessment.standard).toBe('MIL-STD-882E');
+    expect(assessment.hazards[0]).toMatchObject({ hazardId: 'H1', probabilityLevel: 'C', riskAssessmentCode: 'High' });
+    expect(assessment.mitigations[0].action).toBe('Eliminate the single hydraulic circuit by design');
+  });
+
+  it('should leave the results unchanged for other standards', async () => {
+    const response = await request(app)
+      .post('/api/analysis/generate')
+      .send({ ...structuredBody, safetyStandards: ['IEC 61508'] })
+      .expect(200);
+
+    expect(response.body.results.milStd882).toBeUndefined();
+  });
+});
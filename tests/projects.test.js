@@ -0,0 +1,173 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'gensafe-projects-'));
+
+const { hazards, fta, respondBySystemPrompt } = require('./analysisFixtures');
+const { complete } = require('../services/providers');
+const app = require('../server');
+
+const row = (failureMode, severity) => ({
+  itemFunction: 'Brake caliper',
+  failureMode,
+  failureCause: 'Corrosion',
+  localEffect: 'Reduced clamping',
+  systemEffect: 'Reduced braking',
+  endEffect: 'Longer stopping distance',
+  severity,
+  occurrence: 2,
+  detection: 3,
+  rpn: severity * 6,
+  recommendedAction: 'Inspect pistons'
+});
+
+const fmeca = {
+  fmecaTable: [row('Piston seizure', 8)],
+  summary: { totalFailureModes: 1, highRiskItems: 0, averageRPN: 48, keyRecommendations: ['Inspect pistons'] }
+};
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('Projects API', () => {
+  beforeEach(() => {
+    complete.mockReset();
+  });
+
+  it('should create, list, fetch, update and delete projects', async () => {
+    const created = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Brake system', systemDescription: { systemName: 'Brake system', components: [{ name: 'Caliper', function: 'Clamps the disc' }] } })
+      .expect(201);
+    const { id } = created.body.project;
+    expect(created.body.project).toMatchObject({ name: 'Brake system', revisions: [] });
+
+    const list = await request(app).get('/api/projects').expect(200);
+    expect(list.body.projects).toContainEqual(expect.objectContaining({ id, revisionCount: 0, latestRevision: null }));
+    expect(list.body.projects[0].revisions).toBeUndefined();
+
+    const updated = await request(app).put(`/api/projects/${id}`).send({ name: 'Hydraulic brakes' }).expect(200);
+    expect(updated.body.project).toMatchObject({ name: 'Hydraulic brakes', systemDescription: { systemName: 'Brake system' } });
+
+    const fetched = await request(app).get(`/api/projects/${id}`).expect(200);
+    expect(fetched.body.project.name).toBe('Hydraulic brakes');
+
+    await request(app).delete(`/api/projects/${id}`).expect(200);
+    await request(app).get(`/api/projects/${id}`).expect(404);
+    await request(app).delete(`/api/projects/${id}`).expect(404);
+  });
+
+  it('should reject invalid projects and unknown ids', async () => {
+    await request(app).post('/api/projects').send({ systemDescription: { systemName: 'No name' } }).expect(400);
+    await request(app).post('/api/projects').send({ name: 'Text', systemDescription: 'not a form' }).expect(400);
+    await request(app).put('/api/projects/00000000-0000-0000-0000-000000000000').send({ name: 'Renamed' }).expect(404);
+    await request(app).get('/api/projects/..%2Fjobs').expect(404);
+  });
+
+  it('should store generated analyses and user edits as revisions', async () => {
+    complete.mockImplementation(respondBySystemPrompt({ FMECA: fmeca }));
+
+    const { body: { project } } = await request(app).post('/api/projects').send({ name: 'Brake system' }).expect(201);
+
+    const generated = await request(app)
+      .post('/api/analysis/generate')
+      .send({ description: 'A brake system for autonomous vehicles with hydraulic components.', projectId: project.id })
+      .expect(200);
+    expect(generated.body.project).toEqual({ id: project.id, revision: 1 });
+
+    const editedFmeca = { ...fmeca, fmecaTable: [row('Piston seizure', 9)] };
+    const edited = await request(app)
+      .post(`/api/projects/${project.id}/revisions`)
+      .send({ results: { fmeca: editedFmeca }, note: 'Raised severity after review' })
+      .expect(201);
+    expect(edited.body.revision).toMatchObject({ number: 2, source: 'edit', basedOn: 1, note: 'Raised severity after review' });
+
+    const { body: { project: stored } } = await request(app).get(`/api/projects/${project.id}`).expect(200);
+    expect(stored.revisions.map(revision => revision.source)).toEqual(['generated', 'edit']);
+    expect(stored.revisions[0].request).toEqual({ description: 'A brake system for autonomous vehicles with hydraulic components.' });
+    expect(stored.revisions[0].results.fmeca.fmecaTable[0].severity).toBe(8);
+    expect(stored.revisions[1].results.fmeca.fmecaTable[0].severity).toBe(9);
+    // The fault trees were not edited, so they are carried over
+    expect(stored.revisions[1].results.fta).toEqual(stored.revisions[0].results.fta);
+
+    // Results of an unsaved analysis can seed a new project as they are
+    const { body: { project: copy } } = await request(app).post('/api/projects').send({ name: 'Copy' }).expect(201);
+    const { results } = generated.body;
+    await request(app)
+      .post(`/api/projects/${copy.id}/revisions`)
+      .send({ results: { fmeca: results.fmeca, fta: results.fta } })
+      .expect(201);
+
+    const single = await request(app).get(`/api/projects/${project.id}/revisions/1`).expect(200);
+    expect(single.body.revision.source).toBe('generated');
+    await request(app).get(`/api/projects/${project.id}/revisions/3`).expect(404);
+  });
+
+  it('should quantify edited fault trees with the settings of the analysis', async () => {
+    complete.mockImplementation(respondBySystemPrompt({ FMECA: fmeca }));
+
+    const { body: { project } } = await request(app).post('/api/projects').send({ name: 'Requantified' }).expect(201);
+    const generated = await request(app)
+      .post('/api/analysis/generate')
+      .send({
+        description: 'A brake system for autonomous vehicles with hydraulic components.',
+        quantification: { missionTime: 100, method: 'rare-event' },
+        projectId: project.id
+      })
+      .expect(200);
+
+    // The edit replaces BE1's probability with a failure rate but keeps the old derived fields
+    const [tree] = generated.body.results.fta.trees;
+    const editedTree = {
+      ...tree,
+      events: tree.events.map(({ probability, ...event }) => (
+        event.id === 'BE1' ? { ...event, failureRate: 0.0001 } : { ...event, probability }
+      ))
+    };
+    const edited = await request(app)
+      .post(`/api/projects/${project.id}/revisions`)
+      .send({ results: { fta: { ...generated.body.results.fta, trees: [editedTree] } } })
+      .expect(201);
+
+    const [requantified] = edited.body.revision.results.fta.trees;
+    expect(requantified.quantification).toMatchObject({ missionTime: 100, method: 'rare-event' });
+    expect(requantified.quantification.topEventProbability).toBeCloseTo(1 - Math.exp(-0.01) + 0.0005, 10);
+    expect(requantified.quantification.topEventProbability).not.toBeCloseTo(tree.quantification.topEventProbability, 6);
+    expect(requantified.cutSets.sets[0]).toMatchObject({ events: ['BE1'] });
+    expect(requantified.mermaidDiagram).not.toEqual(tree.mermaidDiagram);
+    expect(requantified.mitigationRanking).toEqual([expect.objectContaining({ basicEvent: 'BE1' })]);
+  });
+
+  it('should diff two revisions of a project', async () => {
+    const { body: { project } } = await request(app).post('/api/projects').send({ name: 'Diffed' }).expect(201);
+    await request(app).get(`/api/projects/${project.id}/diff`).expect(400);
+
+    const revise = (fmecaTable) => request(app)
+      .post(`/api/projects/${project.id}/revisions`)
+      .send({ results: { fmeca: { ...fmeca, fmecaTable }, fta: { hazards: hazards.hazards, trees: [{ hazardId: 'H1', ...fta }] } } })
+      .expect(201);
+    await revise([row('Piston seizure', 8)]);
+    await revise([row('Piston seizure', 6), row('Seal leak', 5)]);
+
+    const response = await request(app).get(`/api/projects/${project.id}/diff`).expect(200);
+    expect(response.body.diff.from.number).toBe(1);
+    expect(response.body.diff.to.number).toBe(2);
+    expect(response.body.diff.fmeca.summary).toMatchObject({ added: 1, modified: 1, removed: 0 });
+    expect(response.body.diff.fmeca.modified[0].deltas).toMatchObject({ severity: -2, rpn: -12 });
+    expect(response.body.diff.fta).toEqual([expect.objectContaining({ hazardId: 'H1', status: 'unchanged' })]);
+
+    await request(app).get(`/api/projects/${project.id}/diff?from=1&to=5`).expect(404);
+    await request(app).get(`/api/projects/${project.id}/diff?from=abc`).expect(400);
+  });
+
+  it('should refuse to generate for a project that does not exist', async () => {
+    await request(app)
+      .post('/api/analysis/generate')
+      .send({ description: 'A brake system for autonomous vehicles with hydraulic components.', projectId: '00000000-0000-0000-0000-000000000000' })
+      .expect(404);
+    expect(complete).not.toHaveBeenCalled();
+  });
+});
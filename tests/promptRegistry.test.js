@@ -0,0 +1,185 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const { fmeca, hazards, fta, respondBySystemPrompt } = require('./analysisFixtures');
+const { complete } = require('../services/providers');
+const { parseTemplate, reloadTemplates, renderPrompt, getActiveVersions } = require('../services/promptRegistry');
+const app = require('../server');
+
+const body = { description: 'A brake system for autonomous vehicles with hydraulic components.' };
+
+const template = (id, version, user, variables = 'systemInfo') => `---
+id: ${id}
+version: ${version}
+description: Test template
+variables: ${variables}
+---
+--- system ---
+You are an FMECA expert.
+--- user ---
+${user}
+`;
+
+describe('Prompt template files', () => {
+  it('should parse front matter, sections and variables', () => {
+    const parsed = parseTemplate(template('fmeca', '2.0.0', 'Analyse {{systemInfo}} now.'), 'fmeca/2.0.0.prompt');
+
+    expect(parsed).toMatchObject({
+      id: 'fmeca',
+      version: '2.0.0',
+      variables: ['systemInfo'],
+      system: 'You are an FMECA expert.',
+      user: 'Analyse {{systemInfo}} now.'
+    });
+  });
+
+  it('should reject placeholders that are not declared', () => {
+    expect(() => parseTemplate(template('fmeca', '2.0.0', 'Analyse {{system}}.'), 'fmeca/2.0.0.prompt'))
+      .toThrow('uses undeclared variables: system');
+  });
+
+  it('should ship a template for every generator', () => {
+    expect(getActiveVersions()).toEqual({ fmeca: '1.1.0', 'fmeca-criticality': '1.1.0', fmeda: '1.0.0', fta: '1.2.0', hara: '1.0.0', hazards: '1.0.0', hazop: '1.0.0', stpa: '1.0.0', structure: '1.0.0' });
+    expect(() => renderPrompt('hazards', { systemInfo: 'System Description: pumps' })).toThrow('missing variables: maxHazards');
+  });
+});
+
+describe('Template versions', () => {
+  // The admin endpoints are closed without ADMIN_API_KEYS unless opened for development
+  beforeAll(() => {
+    process.env.ADMIN_OPEN_IN_DEVELOPMENT = 'true';
+  });
+
+  afterAll(() => {
+    delete process.env.ADMIN_OPEN_IN_DEVELOPMENT;
+  });
+
+  const originalDir = process.env.PROMPTS_DIR;
+  const originalPins = process.env.PROMPT_TEMPLATE_VERSIONS;
+  let promptsDir;
+
+  beforeAll(() => {
+    // A copy of the shipped templates plus a newer FMECA prompt
+    promptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gensafe-prompts-'));
+    fs.cpSync(path.join(__dirname, '..', 'prompts'), promptsDir, { recursive: true });
+    fs.writeFileSync(path.join(promptsDir, 'fmeca', '1.1.0.prompt'), template('fmeca', '1.1.0', 'Revised FMECA prompt for:\n{{systemInfo}}'));
+    process.env.PROMPTS_DIR = promptsDir;
+    reloadTemplates();
+  });
+
+  beforeEach(() => {
+    complete.mockReset();
+    complete.mockImplementation(respondBySystemPrompt());
+    delete process.env.PROMPT_TEMPLATE_VERSIONS;
+  });
+
+  afterAll(() => {
+    fs.rmSync(promptsDir, { recursive: true, force: true });
+    if (originalDir === undefined) delete process.env.PROMPTS_DIR;
+    else process.env.PROMPTS_DIR = originalDir;
+    if (originalPins === undefined) delete process.env.PROMPT_TEMPLATE_VERSIONS;
+    else process.env.PROMPT_TEMPLATE_VERSIONS = originalPins;
+    reloadTemplates();
+  });
+
+  it('should generate with the newest version and record it on the result', async () => {
+    const response = await request(app).post('/api/analysis/generate').send(body).expect(200);
+
+    const fmecaCall = complete.mock.calls.find(([, { system }]) => system.includes('FMECA'));
+    expect(fmecaCall[1].messages[0].content).toContain('Revised FMECA prompt for:\nSystem Description: A brake system');
+    expect(response.body.results.fmeca.provenance.promptTemplate).toEqual({ id: 'fmeca', version: '1.1.0' });
+    expect(response.body.results.fta.trees[0].provenance.promptTemplate).toEqual({ id: 'fta', version: '1.2.0' });
+  });
+
+  it('should use a pinned version from PROMPT_TEMPLATE_VERSIONS', async () => {
+    process.env.PROMPT_TEMPLATE_VERSIONS = 'fmeca=1.0.0';
+
+    const response = await request(app).post('/api/analysis/generate').send(body).expect(200);
+
+    expect(response.body.results.fmeca.provenance.promptTemplate).toEqual({ id: 'fmeca', version: '1.0.0' });
+  });
+
+  it('should list templates and their versions', async () => {
+    const response = await request(app).get('/api/admin/prompts').expect(200);
+
+    const fmecaTemplate = response.body.templates.find(entry => entry.id === 'fmeca');
+    expect(fmecaTemplate.activeVersion).toBe('1.1.0');
+    expect(fmecaTemplate.versions.map(({ version, active }) => [version, active])).toEqual([['1.0.0', false], ['1.1.0', true]]);
+    expect(response.body.activeVersions).toMatchObject({ fmeca: '1.1.0', fta: '1.2.0' });
+
+    const source = await request(app).get('/api/admin/prompts/fmeca?version=1.0.0').expect(200);
+    expect(source.body.template).toMatchObject({ id: 'fmeca', version: '1.0.0', variables: ['systemInfo'] });
+    expect(source.body.template.user).toContain('{{systemInfo}}');
+  });
+});
+
+describe('Prompt preview API', () => {
+  const originalAdminKeys = process.env.ADMIN_API_KEYS;
+  const originalNodeEnv = process.env.NODE_ENV;
+
+  beforeEach(() => {
+    process.env.ADMIN_OPEN_IN_DEVELOPMENT = 'true';
+  });
+
+  afterEach(() => {
+    delete process.env.ADMIN_OPEN_IN_DEVELOPMENT;
+    process.env.NODE_ENV = originalNodeEnv;
+    if (originalAdminKeys === undefined) delete process.env.ADMIN_API_KEYS;
+    else process.env.ADMIN_API_KEYS = originalAdminKeys;
+  });
+
+  it('should render a prompt from an analysis request', async () => {
+    const response = await request(app)
+      .post('/api/admin/prompts/fta/preview')
+      .send({
+        input: body,
+        hazard: { id: 'H2', title: 'Unintended braking', description: 'Brakes apply without demand', severity: 'critical' }
+      })
+      .expect(200);
+
+    expect(response.body).toMatchObject({ id: 'fta', version: '1.2.0' });
+    expect(response.body.system).toContain('Fault Tree Analysis');
+    expect(response.body.prompt).toContain('Hazard H2: Unintended braking (critical)');
+    expect(response.body.prompt).toContain('1. Use this hazard as the top event');
+    expect(response.body.prompt).not.toContain('{{');
+    expect(complete).not.toHaveBeenCalled();
+  });
+
+  it('should render a prompt from explicit variables', async () => {
+    const response = await request(app)
+      .post('/api/admin/prompts/structure/preview')
+      .send({ variables: { systemName: 'Lidar', description: 'Rotating laser scanner' } })
+      .expect(200);
+
+    expect(response.body.prompt).toContain('System Name: Lidar\nDescription: Rotating laser scanner');
+  });
+
+  it('should report unknown templates, versions and missing variables', async () => {
+    await request(app).post('/api/admin/prompts/nope/preview').send({ variables: {} }).expect(404);
+    await request(app).post('/api/admin/prompts/fmeca/preview').send({ version: '9.9.9', variables: { systemInfo: 'x' } }).expect(404);
+
+    const missing = await request(app).post('/api/admin/prompts/hazards/preview').send({ variables: { systemInfo: 'x' } }).expect(400);
+    expect(missing.body.details).toEqual(['maxHazards']);
+
+    await request(app).post('/api/admin/prompts/fmeca/preview').send({ input: { description: 'short' } }).expect(400);
+  });
+
+  it('should require an admin key when ADMIN_API_KEYS is set', async () => {
+    process.env.ADMIN_API_KEYS = 'admin-secret';
+
+    await request(app).get('/api/admin/prompts').expect(401);
+    await request(app).get('/api/admin/prompts').set('X-API-Key', 'someone-else').expect(401);
+    await request(app).get('/api/admin/prompts').set('X-API-Key', 'admin-secret').expect(200);
+  });
+
+  it('should close the admin endpoints without ADMIN_API_KEYS unless opened for development', async () => {
+    delete process.env.ADMIN_OPEN_IN_DEVELOPMENT;
+    await request(app).get('/api/admin/prompts').expect(403);
+
+    process.env.ADMIN_OPEN_IN_DEVELOPMENT = 'true';
+    process.env.NODE_ENV = 'production';
+    await request(app).get('/api/admin/prompts').expect(403);
+  });
+});
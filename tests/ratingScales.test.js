@@ -0,0 +1,141 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'gensafe-rating-scales-'));
+
+const { respondBySystemPrompt } = require('./analysisFixtures');
+const { complete } = require('../services/providers');
+const { ratingScalesSchema, isHighRiskRPN, toTenPointRating } = require('../services/ratingScales');
+const { createFmecaSchemas, fmecaRowSchema } = require('../services/outputSchemas');
+const app = require('../server');
+
+const scale = name => ({
+  min: 1,
+  max: 5,
+  levels: [1, 2, 3, 4, 5].map(value => ({ value, label: `${name} ${value}`, criteria: `${name} criteria for ${value}` }))
+});
+
+const companyScales = {
+  name: 'Company 1-5 scales',
+  severity: scale('Severity'),
+  occurrence: scale('Occurrence'),
+  detection: scale('Detection'),
+  severityBands: [{ min: 1, level: 'low', label: 'Minor' }, { min: 5, level: 'critical', label: 'Severe' }],
+  rpnBands: [{ min: 1, level: 'low', label: 'Acceptable' }, { min: 40, level: 'high', label: 'Unacceptable' }]
+};
+
+const row = (failureMode, severity, occurrence, detection) => ({
+  itemFunction: 'Brake caliper',
+  failureMode,
+  failureCause: 'Corrosion',
+  localEffect: 'Reduced clamping',
+  systemEffect: 'Reduced braking',
+  endEffect: 'Longer stopping distance',
+  severity,
+  occurrence,
+  detection,
+  rpn: severity * occurrence * detection,
+  recommendedAction: 'Inspect pistons'
+});
+
+const fmeca = {
+  fmecaTable: [row('Piston seizure', 5, 4, 2), row('Pad glazing', 3, 2, 2)],
+  summary: { totalFailureModes: 2, highRiskItems: 0, averageRPN: 26, keyRecommendations: ['Inspect pistons'] }
+};
+
+const fmecaPrompt = () => complete.mock.calls.find(([, { system }]) => system.includes('FMECA'))[1].messages[0].content;
+
+const body = { description: 'A brake system for autonomous vehicles with hydraulic components.' };
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('Rating scale definitions', () => {
+  it('should validate scales and order levels and bands highest first', () => {
+    const { value, error } = ratingScalesSchema.validate(companyScales);
+
+    expect(error).toBeUndefined();
+    expect(value.severity.levels.map(entry => entry.value)).toEqual([5, 4, 3, 2, 1]);
+    expect(value.rpnBands.map(band => band.min)).toEqual([40, 1]);
+    expect(value.criticalityBands).toEqual([]);
+  });
+
+  it('should need criteria for every rating of the range', () => {
+    const gap = { ...companyScales, occurrence: { ...scale('Occurrence'), max: 6 } };
+
+    expect(ratingScalesSchema.validate(gap).error.message).toContain('must define exactly one level for every rating from 1 to 6');
+  });
+
+  it('should bound ratings by the scales and map them onto 1-10', () => {
+    const { fmecaRowSchema: companyRowSchema } = createFmecaSchemas(companyScales);
+
+    expect(companyRowSchema.validate(row('Piston seizure', 5, 4, 2)).error).toBeUndefined();
+    expect(companyRowSchema.validate(row('Piston seizure', 6, 1, 1)).error.message).toContain('severity');
+    expect(fmecaRowSchema.validate(row('Piston seizure', 6, 1, 1)).error).toBeUndefined();
+
+    expect([1, 3, 5].map(value => toTenPointRating(value, 'severity', companyScales))).toEqual([1, 6, 10]);
+    expect(toTenPointRating(7, 'severity')).toBe(7);
+
+    const { value: scales } = ratingScalesSchema.validate(companyScales);
+    expect(isHighRiskRPN(40, scales)).toBe(true);
+    expect(isHighRiskRPN(39, scales)).toBe(false);
+    expect(isHighRiskRPN(100)).toBe(true);
+  });
+});
+
+describe('Rating scales in analysis requests', () => {
+  beforeEach(() => {
+    complete.mockReset();
+    complete.mockImplementation(respondBySystemPrompt({ FMECA: fmeca }));
+  });
+
+  it('should rate against the default criteria', async () => {
+    const defaults = await request(app).get('/api/analysis/rating-scales').expect(200);
+    expect(defaults.body.ratingScales.severity.levels).toHaveLength(10);
+
+    const response = await request(app).post('/api/analysis/generate').send(body).expect(200);
+
+    expect(fmecaPrompt()).toContain('Severity (S), rated 1-10:\n- 10 Hazardous without warning:');
+    expect(response.body.results.fmeca.ratingScales).toEqual(defaults.body.ratingScales);
+    expect(response.body.results.fmeca.summary.highRiskItems).toBe(0);
+  });
+
+  it('should rate against the criteria of the request and count high risk by its thresholds', async () => {
+    const response = await request(app)
+      .post('/api/analysis/generate')
+      .send({ ...body, ratingScales: companyScales })
+      .expect(200);
+
+    expect(fmecaPrompt()).toContain('Occurrence (O), rated 1-5:\n- 5 Occurrence 5: Occurrence criteria for 5');
+    const result = response.body.results.fmeca;
+    expect(result.ratingScales.name).toBe('Company 1-5 scales');
+    expect(result.summary.highRiskItems).toBe(1);
+  });
+
+  it('should use the rating scales of the project', async () => {
+    const created = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Brakes', ratingScales: companyScales })
+      .expect(201);
+    const projectId = created.body.project.id;
+
+    const response = await request(app).post('/api/analysis/generate').send({ ...body, projectId }).expect(200);
+
+    expect(fmecaPrompt()).toContain('- 3 Detection 3: Detection criteria for 3');
+    expect(response.body.results.fmeca.ratingScales.name).toBe('Company 1-5 scales');
+
+    // Edits are held to the scales the FMECA was rated on
+    const edited = { ...response.body.results.fmeca, fmecaTable: [row('Piston seizure', 7, 4, 2)] };
+    const rejected = await request(app)
+      .post(`/api/projects/${projectId}/revisions`)
+      .send({ results: { fmeca: edited } })
+      .expect(400);
+    expect(rejected.body.details[0]).toContain('severity');
+
+    const reset = await request(app).put(`/api/projects/${projectId}`).send({ ratingScales: null }).expect(200);
+    expect(reset.body.project.ratingScales).toBeNull();
+  });
+});
@@ -0,0 +1,119 @@
+const request = require('supertest');
+
+const {
+  reliabilityDiagramSchema,
+  validateReliabilityDiagram,
+  buildReliabilityDiagram,
+  evaluateReliabilityDiagram
+} = require('../services/reliabilityBlockDiagram');
+const app = require('../server');
+
+const component = (id, data) => ({ id, type: 'component', name: `Component ${id}`, ...data });
+const diagramOf = (root) => ({ name: 'Brake system', root });
+
+describe('Reliability block diagram evaluation', () => {
+  it('should combine exponential components in series and in parallel', () => {
+    const series = evaluateReliabilityDiagram(diagramOf({
+      id: 'S1', type: 'series', blocks: [component('C1', { failureRate: 1e-4 }), component('C2', { mtbf: 2500 })]
+    }), { missionTime: 1000 });
+    expect(series.reliability).toBeCloseTo(Math.exp(-0.5), 10);
+    expect(series.mtbf).toBe(2000);
+
+    const parallel = evaluateReliabilityDiagram(diagramOf({
+      id: 'P1', type: 'parallel', blocks: [component('C1', { failureRate: 1e-3 }), component('C2', { failureRate: 1e-3 })]
+    }), { missionTime: 1000 });
+    expect(parallel.reliability).toBeCloseTo(1 - (1 - Math.exp(-1)) ** 2, 10);
+    // 1/λ + 1/λ - 1/2λ
+    expect(parallel.mtbf).toBe(1500);
+  });
+
+  it('should evaluate k-of-n groups and Weibull components', () => {
+    const twoOfThree = evaluateReliabilityDiagram(diagramOf({
+      id: 'K1', type: 'k-of-n', k: 2, blocks: ['C1', 'C2', 'C3'].map(id => component(id, { failureRate: 1e-4 }))
+    }), { missionTime: 1000 });
+    const r = Math.exp(-0.1);
+    expect(twoOfThree.reliability).toBeCloseTo(3 * r ** 2 - 2 * r ** 3, 10);
+    expect(twoOfThree.mtbf).toBe(8333);
+
+    const wearOut = evaluateReliabilityDiagram(diagramOf({
+      id: 'S1', type: 'series', blocks: [component('C1', { weibull: { shape: 2, scale: 1000 } })]
+    }), { missionTime: 500 });
+    expect(wearOut.reliability).toBeCloseTo(Math.exp(-0.25), 10);
+    // η Γ(1 + 1/β) = 1000 × √π / 2
+    expect(wearOut.mtbf).toBe(886.2);
+  });
+
+  it('should report availability, the R(t) curve and the weakest component', () => {
+    const result = evaluateReliabilityDiagram(diagramOf({
+      id: 'S1',
+      type: 'series',
+      blocks: [component('C1', { mtbf: 990, mttr: 10 }), component('C2', { mtbf: 10000 })]
+    }), { missionTime: 100 });
+
+    expect(result.availability).toBeCloseTo(0.99, 10);
+    expect(result.blocks.C1.availability).toBeCloseTo(0.99, 10);
+    expect(result.curve).toHaveLength(51);
+    expect(result.curve[0]).toEqual({ time: 0, reliability: 1 });
+    expect(result.curve[50].time).toBe(Number((2 * result.mtbf).toPrecision(4)));
+    expect(result.summary).toMatchObject({ components: 2, weakestComponent: { id: 'C1' }, withoutRepairTime: ['C2'] });
+  });
+
+  it('should reject components without failure data and inconsistent groups', () => {
+    expect(reliabilityDiagramSchema.validate(diagramOf(component('C1', {}))).error.message)
+      .toContain('must contain at least one of [failureRate, mtbf, weibull]');
+    expect(reliabilityDiagramSchema.validate(diagramOf({ id: 'K1', type: 'k-of-n', blocks: [component('C1', { mtbf: 1 })] })).error.message)
+      .toContain('"root.k" is required');
+
+    expect(validateReliabilityDiagram(diagramOf({
+      id: 'K1', type: 'k-of-n', k: 3, blocks: [component('C1', { mtbf: 1 }), component('C1', { mtbf: 2 })]
+    }))).toEqual([
+      'k-of-n block "K1" needs k between 1 and its number of blocks (2)',
+      'block id "C1" is used more than once'
+    ]);
+  });
+});
+
+describe('Reliability block diagram from the system structure', () => {
+  const components = ['Wheel speed sensor A', 'Wheel speed sensor B', 'Brake ECU', 'Brake actuator', 'Warning lamp'].map(name => ({ name }));
+  const connections = [
+    { from: 'Brake ECU', to: 'Brake actuator', type: 'CAN' },
+    { from: 'Wheel speed sensor A', to: 'Brake ECU', type: 'signal' },
+    { from: 'Wheel speed sensor B', to: 'Brake ECU', type: 'signal' }
+  ];
+
+  it('should put redundant paths in parallel and the stages in series along the connections', () => {
+    const { root } = buildReliabilityDiagram(components, connections, { 'Brake ECU': 2e-6 });
+
+    expect(root.type).toBe('series');
+    expect(root.blocks.map(block => block.id)).toEqual(['P1', 'C3', 'C4', 'C5']);
+    expect(root.blocks[0]).toMatchObject({ type: 'parallel', blocks: [{ name: 'Wheel speed sensor A' }, { name: 'Wheel speed sensor B' }] });
+    expect(root.blocks[1]).toEqual({ id: 'C3', type: 'component', name: 'Brake ECU', failureRate: 2e-6 });
+    expect(root.blocks[2].failureRate).toBeUndefined();
+  });
+
+  it('should build and evaluate diagrams through the API', async () => {
+    const built = await request(app)
+      .post('/api/reliability/diagram')
+      .send({ components, connections })
+      .expect(200);
+    expect(built.body.diagram.root.blocks).toHaveLength(4);
+
+    await request(app).post('/api/reliability/diagram').send({ components: [] }).expect(400);
+
+    // Failure data still missing: the problems are listed per block
+    const incomplete = await request(app)
+      .post('/api/reliability/evaluate')
+      .send({ diagram: built.body.diagram, missionTime: 1000 })
+      .expect(400);
+    expect(incomplete.body.error).toBe('Invalid reliability block diagram');
+    expect(incomplete.body.details.length).toBeGreaterThan(0);
+
+    const evaluated = await request(app)
+      .post('/api/reliability/evaluate')
+      .send({ diagram: diagramOf({ id: 'S1', type: 'series', blocks: [component('C1', { failureRate: 1e-4, mttr: 5 })] }), missionTime: 1000, horizon: 5000 })
+      .expect(200);
+    expect(evaluated.body.reliability).toMatchObject({ missionTime: 1000, mtbf: 10000 });
+    expect(evaluated.body.reliability.reliability).toBeCloseTo(Math.exp(-0.1), 10);
+    expect(evaluated.body.reliability.curve[50].time).toBe(5000);
+  });
+});
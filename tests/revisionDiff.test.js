@@ -0,0 +1,159 @@
+const { diffFMECA, diffFaultTree, diffFTA } = require('../services/revisionDiff');
+
+const row = (itemFunction, failureMode, severity, occurrence, detection, extra = {}) => ({
+  itemFunction,
+  failureMode,
+  failureCause: 'Wear',
+  localEffect: 'Local',
+  systemEffect: 'System',
+  endEffect: 'End',
+  severity,
+  occurrence,
+  detection,
+  rpn: severity * occurrence * detection,
+  recommendedAction: 'Inspect',
+  ...extra
+});
+
+const tree = (overrides = {}) => ({
+  hazardId: 'H1',
+  topEvent: 'Loss of braking',
+  events: [
+    { id: 'TOP', type: 'top', description: 'Loss of braking' },
+    { id: 'BE1', type: 'basic', description: 'Pump failure', probability: 0.01 },
+    { id: 'BE2', type: 'basic', description: 'Valve stuck', probability: 0.02 }
+  ],
+  gates: [{ id: 'G1', type: 'OR', description: 'Any failure' }],
+  edges: [
+    { from: 'TOP', to: 'G1' },
+    { from: 'G1', to: 'BE1' },
+    { from: 'G1', to: 'BE2' }
+  ],
+  ...overrides
+});
+
+describe('FMECA revision diff', () => {
+  it('should report added, removed and modified rows with S/O/D/RPN deltas', () => {
+    const before = [row('Pump', 'Seizure', 8, 3, 4), row('Valve', 'Stuck open', 6, 2, 3), row('Sensor', 'Drift', 4, 4, 4)];
+    const after = [row('Pump', 'seizure', 8, 2, 4), row('Sensor', 'Drift', 4, 4, 4), row('Hose', 'Rupture', 9, 2, 2)];
+
+    const diff = diffFMECA(before, after);
+
+    expect(diff.added.map(({ row: added }) => added.itemFunction)).toEqual(['Hose']);
+    expect(diff.removed.map(({ row: removed }) => removed.itemFunction)).toEqual(['Valve']);
+    expect(diff.modified).toHaveLength(1);
+    expect(diff.modified[0].deltas).toEqual({ severity: 0, occurrence: -1, detection: 0, rpn: -32 });
+    expect(Object.keys(diff.modified[0].changes)).toEqual(['occurrence', 'rpn']);
+    expect(diff.unchanged).toBe(1);
+    expect(diff.summary.totalRPN).toEqual({ before: 96 + 36 + 64, after: 64 + 64 + 36, delta: -32 });
+  });
+
+  it('should pair rows with the same item and failure mode in order', () => {
+    const before = [row('Pump', 'Leak', 5, 2, 2), row('Pump', 'Leak', 5, 3, 2)];
+    const after = [row('Pump', 'Leak', 5, 2, 2)];
+
+    const diff = diffFMECA(before, after);
+
+    expect(diff.unchanged).toBe(1);
+    expect(diff.removed).toEqual([{ index: 1, row: before[1] }]);
+  });
+
+  it('should flag text-only changes without rating deltas', () => {
+    const diff = diffFMECA([row('Pump', 'Seizure', 8, 3, 4)], [row('Pump', 'Seizure', 8, 3, 4, { recommendedAction: 'Replace bearings' })]);
+
+    expect(diff.modified[0].changes).toEqual({ recommendedAction: { before: 'Inspect', after: 'Replace bearings' } });
+    expect(diff.modified[0].deltas.rpn).toBe(0);
+  });
+});
+
+describe('Fault tree revision diff', () => {
+  it('should report events and gates added, removed, modified and rewired', () => {
+    const after = tree({
+      events: [
+        { id: 'TOP', type: 'top', description: 'Loss of braking' },
+        { id: 'BE1', type: 'basic', description: 'Pump failure', probability: 0.005 },
+        { id: 'BE3', type: 'basic', description: 'Backup pump failure', probability: 0.01 },
+        { id: 'BE2', type: 'basic', description: 'Valve stuck', probability: 0.02 }
+      ],
+      gates: [
+        { id: 'G1', type: 'OR', description: 'Any failure' },
+        { id: 'G2', type: 'AND', description: 'Both pumps fail' }
+      ],
+      edges: [
+        { from: 'TOP', to: 'G1' },
+        { from: 'G1', to: 'G2' },
+        { from: 'G1', to: 'BE2' },
+        { from: 'G2', to: 'BE1' },
+        { from: 'G2', to: 'BE3' }
+      ]
+    });
+
+    const diff = diffFaultTree(tree(), after);
+
+    expect(diff.events.added.map(event => event.id)).toEqual(['BE3']);
+    expect(diff.events.removed).toEqual([]);
+    expect(diff.events.modified).toEqual([expect.objectContaining({
+      id: 'BE1',
+      changes: { probability: { before: 0.01, after: 0.005 } }
+    })]);
+    expect(diff.gates.added.map(gate => gate.id)).toEqual(['G2']);
+    expect(diff.rewired).toEqual([expect.objectContaining({ id: 'G1', kind: 'gate', inputsAdded: ['G2'], inputsRemoved: ['BE1'] })]);
+    expect(diff.summary).toMatchObject({ eventsAdded: 1, eventsModified: 1, gatesAdded: 1, rewired: 1 });
+  });
+
+  it('should match renumbered events, gates and hazards of a regeneration by description', () => {
+    // The regeneration lists the same events in another order, so the model numbered them differently
+    const regenerated = tree({
+      hazardId: 'H2',
+      events: [
+        { id: 'TOP', type: 'top', description: 'Loss of braking' },
+        { id: 'BE1', type: 'basic', description: 'Valve stuck', probability: 0.02 },
+        { id: 'BE2', type: 'basic', description: 'Pump failure', probability: 0.01 },
+        { id: 'BE3', type: 'basic', description: 'Brake line rupture', probability: 0.001 }
+      ],
+      gates: [{ id: 'G7', type: 'OR', description: 'Any failure' }],
+      edges: [
+        { from: 'TOP', to: 'G7' },
+        { from: 'G7', to: 'BE1' },
+        { from: 'G7', to: 'BE2' },
+        { from: 'G7', to: 'BE3' }
+      ]
+    });
+
+    const diff = diffFaultTree(tree(), regenerated);
+
+    expect(diff.events.added.map(event => event.description)).toEqual(['Brake line rupture']);
+    expect(diff.events.removed).toEqual([]);
+    expect(diff.events.modified).toEqual([]);
+    expect(diff.gates).toMatchObject({ added: [], removed: [], modified: [] });
+    expect(diff.rewired).toEqual([expect.objectContaining({ id: 'G7', inputsAdded: ['BE3'], inputsRemoved: [] })]);
+
+    const fta = diffFTA(
+      { hazards: [{ id: 'H1', title: 'Loss of braking' }], trees: [tree()] },
+      { hazards: [{ id: 'H1', title: 'Brake fire' }, { id: 'H2', title: 'Loss of braking' }], trees: [tree({ hazardId: 'H1' }), regenerated] }
+    );
+    expect(fta.map(({ hazardId, beforeHazardId, status }) => [hazardId, beforeHazardId, status])).toEqual([
+      ['H1', undefined, 'added'],
+      ['H2', 'H1', 'changed']
+    ]);
+  });
+
+  it('should match fault trees by hazard', () => {
+    const before = { hazards: [{ id: 'H1', title: 'Loss of braking' }, { id: 'H2', title: 'Unintended braking' }], trees: [tree(), tree({ hazardId: 'H2' })] };
+    const after = {
+      hazards: [{ id: 'H1', title: 'Loss of braking' }, { id: 'H3', title: 'Brake fire' }],
+      trees: [tree({ quantification: { topEventProbability: 0.03 } }), tree({ hazardId: 'H3' })]
+    };
+
+    const diff = diffFTA(before, after);
+
+    expect(diff.map(({ hazardId, status }) => [hazardId, status])).toEqual([
+      ['H1', 'changed'],
+      ['H3', 'added'],
+      ['H2', 'removed']
+    ]);
+    expect(diff[0].topEventProbability).toEqual({ before: null, after: 0.03 });
+    expect(diff[1].title).toBe('Brake fire');
+    expect(diff[2].events.removed).toHaveLength(3);
+  });
+});
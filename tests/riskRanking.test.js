@@ -0,0 +1,91 @@
+const request = require('supertest');
+
+const { respondBySystemPrompt } = require('./analysisFixtures');
+const { complete } = require('../services/providers');
+const { actionPriority, rankFMECA } = require('../services/riskRanking');
+const app = require('../server');
+
+const row = (failureMode, severity, occurrence, detection) => ({
+  itemFunction: 'Brake caliper',
+  failureMode,
+  failureCause: 'Corrosion',
+  localEffect: 'Reduced clamping',
+  systemEffect: 'Reduced braking',
+  endEffect: 'Longer stopping distance',
+  severity,
+  occurrence,
+  detection,
+  rpn: severity * occurrence * detection,
+  recommendedAction: 'Inspect pistons'
+});
+
+const fmeca = {
+  fmecaTable: [
+    // RPN 72, but severe and occasional: Action Priority High
+    row('Piston seizure', 9, 4, 2),
+    // RPN 270, yet only Medium
+    row('Pad squeal', 5, 6, 9),
+    row('Dust boot tear', 3, 4, 5)
+  ],
+  summary: { totalFailureModes: 3, highRiskItems: 3, averageRPN: 134, keyRecommendations: ['Inspect pistons'] }
+};
+
+const body = { description: 'A brake system for autonomous vehicles with hydraulic components.' };
+
+describe('AIAG-VDA Action Priority', () => {
+  it('should look up the Action Priority table', () => {
+    expect(actionPriority(10, 10, 10)).toBe('High');
+    expect(actionPriority(9, 4, 1)).toBe('Medium');
+    expect(actionPriority(9, 2, 5)).toBe('Medium');
+    expect(actionPriority(9, 2, 4)).toBe('Low');
+    expect(actionPriority(9, 1, 10)).toBe('Low');
+    expect(actionPriority(8, 6, 1)).toBe('Medium');
+    expect(actionPriority(7, 4, 7)).toBe('High');
+    expect(actionPriority(5, 8, 4)).toBe('Medium');
+    expect(actionPriority(5, 6, 1)).toBe('Low');
+    expect(actionPriority(2, 9, 6)).toBe('Medium');
+    expect(actionPriority(1, 10, 10)).toBe('Low');
+  });
+
+  it('should count high-risk items by the chosen method', () => {
+    const byPriority = rankFMECA(fmeca, 'action-priority');
+    expect(byPriority.fmecaTable.map(entry => entry.actionPriority)).toEqual(['High', 'Medium', 'Low']);
+    expect(byPriority.summary.highRiskItems).toBe(1);
+    expect(byPriority.riskRanking).toEqual({ method: 'action-priority', actionPriorities: { High: 1, Medium: 1, Low: 1 } });
+
+    const byRPN = rankFMECA(fmeca);
+    expect(byRPN.fmecaTable[0].actionPriority).toBeUndefined();
+    expect(byRPN.summary.highRiskItems).toBe(1);
+    expect(byRPN.riskRanking).toEqual({ method: 'rpn' });
+  });
+});
+
+describe('Risk ranking requests', () => {
+  beforeEach(() => {
+    complete.mockReset();
+    complete.mockImplementation(respondBySystemPrompt({ FMECA: fmeca }));
+  });
+
+  it('should rank the FMECA by Action Priority when requested', async () => {
+    const response = await request(app)
+      .post('/api/analysis/generate')
+      .send({ ...body, riskRanking: 'action-priority' })
+      .expect(200);
+
+    const result = response.body.results.fmeca;
+    expect(result.riskRanking.method).toBe('action-priority');
+    expect(result.fmecaTable.map(entry => entry.actionPriority)).toEqual(['High', 'Medium', 'Low']);
+    expect(result.summary.highRiskItems).toBe(1);
+  });
+
+  it('should recount high-risk items by RPN by default', async () => {
+    const response = await request(app).post('/api/analysis/generate').send(body).expect(200);
+
+    expect(response.body.results.fmeca.riskRanking.method).toBe('rpn');
+    expect(response.body.results.fmeca.summary.highRiskItems).toBe(1);
+  });
+
+  it('should reject an unknown ranking method', async () => {
+    await request(app).post('/api/analysis/generate').send({ ...body, riskRanking: 'criticality' }).expect(400);
+  });
+});
@@ -0,0 +1,14 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep files written by the API (usage ledger, projects, jobs) out of the working copy
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gensafe-test-'));
+process.env.DATA_DIR = dataDir;
+
+// Analyses are generated for every request; analysisCache.test.js switches the cache on
+process.env.CACHE_BACKEND = 'none';
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
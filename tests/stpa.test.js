@@ -0,0 +1,132 @@
+const request = require('supertest');
+
+const { respondBySystemPrompt } = require('./analysisFixtures');
+const { complete } = require('../services/providers');
+const { deriveControlStructure, analyzeSTPA } = require('../services/stpa');
+const { createStpaSchema } = require('../services/outputSchemas');
+const app = require('../server');
+
+const components = [
+  { name: 'Brake ECU', function: 'Computes the brake force request' },
+  { name: 'Brake actuator', function: 'Applies the brake force' },
+  { name: 'Wheel speed sensor', function: 'Measures the wheel speed' },
+  { name: 'Vehicle', function: 'Carries the occupants' }
+];
+
+const connections = [
+  { from: 'Brake ECU', to: 'Brake actuator', type: 'CAN data', description: 'Brake pressure command' },
+  { from: 'Wheel speed sensor', to: 'Brake ECU', type: 'CAN data' },
+  { from: 'Brake actuator', to: 'Vehicle', type: 'hydraulic' }
+];
+
+const uca = (id, controlAction, type, hazards = ['H1']) => ({
+  id,
+  controlAction,
+  type,
+  description: `Brake ECU ${type} brake pressure command`,
+  context: 'When an obstacle is ahead',
+  hazards
+});
+
+const stpa = {
+  losses: [{ id: 'L1', description: 'Loss of life or injury' }],
+  hazards: [{ id: 'H1', description: 'Vehicle does not keep a safe distance', losses: ['L1'] }],
+  unsafeControlActions: [uca('UCA1', 'CA1', 'wrong-timing'), uca('UCA2', 'CA1', 'not-provided')],
+  lossScenarios: [{
+    id: 'LS1',
+    uca: 'UCA2',
+    type: 'unsafe-controller-behavior',
+    scenario: 'The ECU believes the vehicle is stationary because the wheel speed is frozen',
+    causalFactors: ['Stale wheel speed signal'],
+    recommendations: ['Detect frozen wheel speed signals']
+  }]
+};
+
+const structuredBody = {
+  systemName: 'Brake system',
+  description: 'Brake-by-wire system with wheel speed feedback',
+  components,
+  connections,
+  stpa: {}
+};
+
+describe('STPA control structure', () => {
+  it('should derive roles, control actions and feedback from the components and connections', () => {
+    const structure = deriveControlStructure(components, connections);
+
+    expect(structure.components.map(component => component.role)).toEqual(['controller', 'actuator', 'sensor', 'controlled-process']);
+    expect(structure.controlActions).toEqual([{ id: 'CA1', controller: 'Brake ECU', target: 'Brake actuator', channel: 'Brake pressure command' }]);
+    expect(structure.feedback).toEqual([{ id: 'F1', from: 'Wheel speed sensor', controller: 'Brake ECU', channel: 'CAN data' }]);
+    expect(structure.links).toEqual([{ from: 'Brake actuator', to: 'Vehicle', channel: 'hydraulic' }]);
+
+    const overridden = deriveControlStructure(components, connections, { 'Brake actuator': 'controller' });
+    expect(overridden.controlActions.map(action => action.controller)).toEqual(['Brake ECU', 'Brake actuator']);
+  });
+
+  it('should order UCAs by control action and category and flag gaps', () => {
+    const structure = deriveControlStructure(components, [...connections, { from: 'Brake ECU', to: 'Vehicle', type: 'Warning lamp' }]);
+    const result = analyzeSTPA(stpa, structure);
+
+    expect(result.unsafeControlActions.map(entry => entry.id)).toEqual(['UCA2', 'UCA1']);
+    expect(result.controlStructure.controlActions.map(action => action.unsafeControlActions)).toEqual([2, 0]);
+    expect(result.summary).toMatchObject({
+      controlActions: 2,
+      unsafeControlActions: 2,
+      lossScenarios: 1,
+      controlActionsWithoutUCAs: ['CA2'],
+      ucasWithoutScenarios: ['UCA1']
+    });
+    expect(result.summary.ucasByType).toEqual({ 'not-provided': 1, provided: 0, 'wrong-timing': 1, 'wrong-duration': 0 });
+  });
+
+  it('should reject unknown control actions and dangling references', () => {
+    const schema = createStpaSchema(deriveControlStructure(components, connections));
+
+    expect(schema.validate(stpa).error).toBeUndefined();
+    expect(schema.validate({ ...stpa, unsafeControlActions: [uca('UCA1', 'CA7', 'provided')] }).error.message).toContain('controlAction');
+    expect(schema.validate({ ...stpa, unsafeControlActions: [uca('UCA2', 'CA1', 'provided', ['H9'])] }).error.message)
+      .toContain('unsafe control action "UCA2" must reference hazard ids from the list');
+    expect(schema.validate({ ...stpa, lossScenarios: [{ ...stpa.lossScenarios[0], uca: 'UCA9' }] }).error.message)
+      .toContain('loss scenario "LS1" must reference an unsafe control action id from the list');
+  });
+});
+
+describe('STPA analysis requests', () => {
+  beforeEach(() => {
+    complete.mockReset();
+    complete.mockImplementation(respondBySystemPrompt({ STPA: stpa }));
+  });
+
+  it('should add the STPA of the control structure when requested', async () => {
+    const response = await request(app).post('/api/analysis/generate').send(structuredBody).expect(200);
+
+    const prompt = complete.mock.calls.find(([, { system }]) => system.includes('STPA'))[1].messages[0].content;
+    expect(prompt).toContain('- Brake ECU (controller): Computes the brake force request');
+    expect(prompt).toContain('- CA1: Brake ECU -> Brake actuator (Brake pressure command)');
+    expect(prompt).toContain('- F1: Wheel speed sensor -> Brake ECU (CAN data)');
+
+    const result = response.body.results.stpa;
+    expect(result.provenance).toMatchObject({ source: 'model', promptTemplate: { id: 'stpa', version: '1.0.0' } });
+    expect(result.unsafeControlActions.map(entry => entry.type)).toEqual(['not-provided', 'wrong-timing']);
+    expect(response.body.metadata.usage.calls).toBe(4);
+  });
+
+  it('should need a control action and skip the STPA unless asked for', async () => {
+    const unconnected = await request(app).post('/api/analysis/generate').send({ ...structuredBody, connections: [] }).expect(400);
+    expect(unconnected.body).toMatchObject({
+      error: 'Invalid structured system description',
+      problems: ['"connections" must contain at least 1 items']
+    });
+    const feedbackOnly = await request(app)
+      .post('/api/analysis/generate')
+      .send({ ...structuredBody, connections: [connections[1]] })
+      .expect(400);
+    expect(feedbackOnly.body.problems).toEqual(['STPA needs at least one connection from a controller to another component']);
+
+    const { stpa: omitted, ...withoutStpa } = structuredBody;
+    const response = await request(app).post('/api/analysis/generate').send(withoutStpa).expect(200);
+    expect(omitted).toEqual({});
+    expect(response.body.results.stpa).toBeUndefined();
+    expect(complete.mock.calls.some(([, { system }]) => system.includes('STPA'))).toBe(false);
+  });
+});
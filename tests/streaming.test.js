@@ -0,0 +1,145 @@
+const http = require('http');
+const request = require('supertest');
+const { respondBySystemPrompt } = require('./analysisFixtures');
+const { complete } = require('../services/providers');
+const { createArrayItemParser } = require('../services/structuredOutput');
+const app = require('../server');
+
+const row = (failureMode, severity) => ({
+  itemFunction: 'Brake caliper',
+  failureMode,
+  failureCause: 'Wear {worn "pads"}',
+  localEffect: 'Reduced clamping',
+  systemEffect: 'Reduced braking',
+  endEffect: 'Longer stopping distance',
+  severity,
+  occurrence: 2,
+  detection: 3,
+  rpn: severity * 6,
+  recommendedAction: 'Inspect pads'
+});
+
+const fmeca = {
+  fmecaTable: [row('Piston seizure', 8), row('Seal leak', 6)],
+  summary: { totalFailureModes: 2, highRiskItems: 0, averageRPN: 42, keyRecommendations: ['Inspect pads'] }
+};
+
+const fta = {
+  topEvent: 'Loss of braking',
+  events: [
+    { id: 'TOP', type: 'top', description: 'Loss of braking' },
+    { id: 'BE1', type: 'basic', description: 'Brake caliper piston seizure', probability: 0.001 },
+    { id: 'BE2', type: 'basic', description: 'Brake caliper seal leak', probability: 0.002 }
+  ],
+  gates: [{ id: 'G1', type: 'OR', description: 'Either failure' }],
+  edges: [
+    { from: 'TOP', to: 'G1' },
+    { from: 'G1', to: 'BE1' },
+    { from: 'G1', to: 'BE2' }
+  ],
+  analysis: { criticalPath: 'Seal leak', recommendations: ['Inspect pads'] }
+};
+
+// Split text into small chunks, like tokens arriving from the provider
+const chunks = (text, size = 7) => text.match(new RegExp(`[\\s\\S]{1,${size}}`, 'g'));
+
+// Parse a raw SSE body into [{ event, data }]
+const parseEvents = (body) => body
+  .split('\n\n')
+  .filter(block => block.startsWith('event:'))
+  .map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+
+const streamRequest = () => request(app)
+  .post('/api/analysis/generate')
+  .set('Accept', 'text/event-stream')
+  .send({ description: 'A brake system for autonomous vehicles with hydraulic components.' })
+  .buffer(true)
+  .parse((res, callback) => {
+    let body = '';
+    res.on('data', chunk => { body += chunk; });
+    res.on('end', () => callback(null, body));
+  });
+
+describe('Streaming analysis', () => {
+  beforeEach(() => {
+    complete.mockReset();
+  });
+
+  it('should report complete array items as the JSON text streams in', () => {
+    const items = [];
+    const parser = createArrayItemParser(item => items.push(item));
+    const text = `Here you go: ${JSON.stringify(fmeca)}`;
+
+    chunks(text, 5).forEach(chunk => parser.push(chunk));
+
+    expect(items).toEqual(fmeca.fmecaTable);
+  });
+
+  it('should stream stage events, FMECA rows and the finished results', async () => {
+    const respond = respondBySystemPrompt({ FMECA: fmeca }, { fta });
+    complete.mockImplementation(async (settings, request) => {
+      const completion = await respond(settings, request);
+      if (request.onText) chunks(completion.text).forEach(request.onText);
+      return completion;
+    });
+
+    const response = await streamRequest().expect(200);
+
+    expect(response.headers['content-type']).toContain('text/event-stream');
+    const events = parseEvents(response.body);
+    const names = events.map(({ event }) => event);
+
+    const rows = events.filter(({ event }) => event === 'fmeca-row');
+    expect(rows.map(({ data }) => data.row.failureMode)).toEqual(['Piston seizure', 'Seal leak']);
+    expect(names.indexOf('fmeca-row')).toBeLessThan(names.indexOf('fmeca'));
+    expect(names).toContain('hazards');
+    expect(names).toContain('fta');
+    expect(events).toContainEqual({ event: 'stage', data: { stage: 'fta', status: 'completed', hazardId: 'H1' } });
+
+    const finished = events[events.length - 1];
+    expect(finished.event).toBe('complete');
+    expect(finished.data.results.fta.trees[0].quantification.topEventProbability).toBeGreaterThan(0);
+    expect(finished.data.metadata.processingTime).toEqual(expect.any(Number));
+  });
+
+  it('should end the stream with an error event when generation fails', async () => {
+    complete.mockResolvedValue({ text: 'no JSON here', model: 'gpt-4', usage: {} });
+
+    const response = await streamRequest().expect(200);
+
+    const events = parseEvents(response.body);
+    const last = events[events.length - 1];
+    expect(last.event).toBe('error');
+    expect(last.data).toMatchObject({ statusCode: 502 });
+    expect(last.data.error).toContain('failed schema validation');
+  });
+
+  it('should abort the model calls when the client disconnects', async () => {
+    const signals = [];
+    complete.mockImplementation((settings, { signal }) => new Promise((resolve, reject) => {
+      signals.push(signal);
+      signal.addEventListener('abort', () => reject(signal.reason));
+    }));
+
+    const server = app.listen(0);
+    const client = http.request({
+      port: server.address().port,
+      method: 'POST',
+      path: '/api/analysis/generate',
+      headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' }
+    });
+    client.on('error', () => {});
+    client.end(JSON.stringify({ description: 'A brake system for autonomous vehicles with hydraulic components.' }));
+
+    await new Promise(resolve => client.on('response', resolve));
+    while (signals.length === 0) await new Promise(resolve => setTimeout(resolve, 10));
+    client.destroy();
+    while (!signals.every(signal => signal.aborted)) await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(signals.length).toBeGreaterThan(0);
+    await new Promise(resolve => server.close(resolve));
+  });
+});
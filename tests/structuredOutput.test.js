@@ -0,0 +1,178 @@
+const request = require('supertest');
+// Replaces the model calls with a jest mock
+require('./analysisFixtures');
+const { complete } = require('../services/providers');
+const { generateStructuredOutput, OutputValidationError } = require('../services/structuredOutput');
+const { fmecaSchema } = require('../services/outputSchemas');
+const app = require('../server');
+
+const llm = { provider: 'openai', model: 'gpt-4' };
+
+const validFMECA = {
+  fmecaTable: [
+    {
+      itemFunction: 'Master Cylinder',
+      failureMode: 'Internal seal leak',
+      failureCause: 'Seal wear',
+      localEffect: 'Pressure loss',
+      systemEffect: 'Reduced braking force',
+      endEffect: 'Increased stopping distance',
+      severity: 9,
+      occurrence: 3,
+      detection: 4,
+      rpn: 108,
+      recommendedAction: 'Add pressure sensor'
+    }
+  ],
+  summary: {
+    totalFailureModes: 1,
+    highRiskItems: 1,
+    averageRPN: 108,
+    keyRecommendations: ['Add pressure sensor']
+  }
+};
+
+const validFTA = {
+  topEvent: 'Loss of braking',
+  events: [
+    { id: 'TOP', type: 'top', description: 'Loss of braking' },
+    { id: 'BE1', type: 'basic', description: 'Seal leak', failureRate: 1e-5 },
+    { id: 'BE2', type: 'basic', description: 'Line rupture', probability: 0.001 }
+  ],
+  gates: [{ id: 'G1', type: 'OR', description: 'Any failure' }],
+  edges: [
+    { from: 'TOP', to: 'G1' },
+    { from: 'G1', to: 'BE1' },
+    { from: 'G1', to: 'BE2' }
+  ],
+  analysis: { criticalPath: 'Seal leak', recommendations: ['Add sensor'] }
+};
+
+const validHazards = {
+  hazards: [{ id: 'H1', title: 'Loss of braking', description: 'Vehicle cannot stop', severity: 'catastrophic' }],
+  sharedBasicEvents: []
+};
+
+const reply = (text) => ({ text, model: 'gpt-4', usage: { promptTokens: 10, completionTokens: 20 } });
+
+describe('Structured LLM output', () => {
+  beforeEach(() => {
+    complete.mockReset();
+  });
+
+  it('should accept a valid response on the first attempt', async () => {
+    complete.mockResolvedValueOnce(reply(JSON.stringify(validFMECA)));
+
+    const result = await generateStructuredOutput(llm, {
+      label: 'FMECA', system: 'system', prompt: 'prompt', schema: fmecaSchema
+    });
+
+    expect(result.attempts).toBe(1);
+    expect(result.data.fmecaTable).toHaveLength(1);
+  });
+
+  it('should send validation errors back to the model and accept the repair', async () => {
+    const badRPN = JSON.parse(JSON.stringify(validFMECA));
+    badRPN.fmecaTable[0].rpn = 100;
+
+    complete
+      .mockResolvedValueOnce(reply(JSON.stringify(badRPN)))
+      .mockResolvedValueOnce(reply(JSON.stringify(validFMECA)));
+
+    const result = await generateStructuredOutput(llm, {
+      label: 'FMECA', system: 'system', prompt: 'prompt', schema: fmecaSchema
+    });
+
+    expect(result.attempts).toBe(2);
+    const repairMessages = complete.mock.calls[1][1].messages;
+    expect(repairMessages).toHaveLength(3);
+    expect(repairMessages[2].content).toContain('severity × occurrence × detection');
+  });
+
+  it('should give up after the repair budget is spent', async () => {
+    complete.mockResolvedValue(reply('not json at all'));
+
+    await expect(generateStructuredOutput(llm, {
+      label: 'FMECA', system: 'system', prompt: 'prompt', schema: fmecaSchema
+    })).rejects.toBeInstanceOf(OutputValidationError);
+    expect(complete).toHaveBeenCalledTimes(3);
+  });
+
+  it('should fail the analysis instead of returning mock data', async () => {
+    complete.mockResolvedValue(reply('{"fmecaTable": []}'));
+
+    const response = await request(app)
+      .post('/api/analysis/generate')
+      .send({
+        description: 'A brake system for autonomous vehicles with hydraulic components.'
+      })
+      .expect(502);
+
+    expect(response.body.error).toContain('failed schema validation');
+    expect(response.body.details.length).toBeGreaterThan(0);
+    expect(response.body).not.toHaveProperty('results');
+  });
+
+  describe('provenance', () => {
+    const originalDegraded = process.env.ALLOW_DEGRADED_RESULTS;
+
+    afterEach(() => {
+      if (originalDegraded === undefined) {
+        delete process.env.ALLOW_DEGRADED_RESULTS;
+      } else {
+        process.env.ALLOW_DEGRADED_RESULTS = originalDegraded;
+      }
+    });
+
+    it('should record model, prompt version and token usage on each result', async () => {
+      complete.mockImplementation(async (settings, { system }) => {
+        if (system.includes('FMECA')) return reply(JSON.stringify(validFMECA));
+        if (system.includes('hazard analysis')) return reply(JSON.stringify(validHazards));
+        return reply(JSON.stringify(validFTA));
+      });
+
+      const response = await request(app)
+        .post('/api/analysis/generate')
+        .send({
+          description: 'A brake system for autonomous vehicles with hydraulic components.'
+        })
+        .expect(200);
+
+      const { provenance } = response.body.results.fmeca;
+      expect(provenance).toMatchObject({
+        source: 'model',
+        degraded: false,
+        provider: 'openai',
+        model: 'gpt-4',
+        promptTemplate: { id: 'fmeca', version: expect.any(String) },
+        temperature: 0.3,
+        usage: { promptTokens: 10, completionTokens: 20, totalTokens: 30 }
+      });
+      expect(provenance).toHaveProperty('startedAt');
+      expect(provenance).toHaveProperty('completedAt');
+      expect(response.body.results.fta.provenance.promptTemplate.id).toBe('hazards');
+      expect(response.body.results.fta.trees[0].provenance.promptTemplate.id).toBe('fta');
+      expect(response.body.results.fta.trees[0].mermaidDiagram).toMatch(/^flowchart TD/);
+      expect(response.body.metadata.degraded).toBe(false);
+    });
+
+    it('should flag mock data when degraded results are allowed', async () => {
+      process.env.ALLOW_DEGRADED_RESULTS = 'true';
+      complete.mockResolvedValue(reply('I cannot produce JSON today.'));
+
+      const response = await request(app)
+        .post('/api/analysis/generate')
+        .send({
+          description: 'A brake system for autonomous vehicles with hydraulic components.'
+        })
+        .expect(200);
+
+      expect(response.body.results.fmeca.provenance).toMatchObject({ source: 'mock', degraded: true });
+      expect(response.body.results.fta.provenance).toMatchObject({ source: 'mock', degraded: true });
+      response.body.results.fta.trees.forEach(tree => {
+        expect(tree.provenance).toMatchObject({ source: 'mock', degraded: true });
+      });
+      expect(response.body.metadata.degraded).toBe(true);
+    });
+  });
+});
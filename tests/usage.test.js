@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+
+const { respondBySystemPrompt } = require('./analysisFixtures');
+const { complete } = require('../services/providers');
+const { estimateCost } = require('../services/pricing');
+const { createUsageMeter, createUsageLedger, getUsageAccount } = require('../services/usage');
+const { createFileStore } = require('../services/fileStore');
+const { analysisJobs } = require('../services/analysisJobs');
+const app = require('../server');
+
+// gpt-4 at $30 / $60 per million tokens: $0.06 per call, three calls (FMECA, hazards, one tree) per analysis
+const respond = respondBySystemPrompt({}, { usage: { promptTokens: 1000, completionTokens: 500 } });
+
+const body = { description: 'A brake system for autonomous vehicles with hydraulic components.' };
+
+describe('Cost estimation', () => {
+  const originalPricing = process.env.LLM_PRICING;
+
+  afterEach(() => {
+    if (originalPricing === undefined) {
+      delete process.env.LLM_PRICING;
+    } else {
+      process.env.LLM_PRICING = originalPricing;
+    }
+  });
+
+  it('should price calls by the longest matching model prefix', () => {
+    expect(estimateCost({ provider: 'openai', model: 'gpt-4' }, { promptTokens: 1000, completionTokens: 500 })).toBe(0.06);
+    expect(estimateCost({ provider: 'openai', model: 'gpt-4o-mini-2024-07-18' }, { promptTokens: 1e6, completionTokens: 0 })).toBe(0.15);
+    expect(estimateCost({ provider: 'local', model: 'llama3' }, { promptTokens: 5000, completionTokens: 5000 })).toBe(0);
+    expect(estimateCost({ provider: 'azure', model: 'my-deployment' }, { promptTokens: 10 })).toBeNull();
+  });
+
+  it('should apply LLM_PRICING overrides', () => {
+    process.env.LLM_PRICING = JSON.stringify({ 'my-deployment': { input: 1, output: 2 } });
+
+    expect(estimateCost({ provider: 'azure', model: 'my-deployment' }, { promptTokens: 1e6, completionTokens: 1e6 })).toBe(3);
+  });
+
+  it('should sum the generations booked on a usage meter and count unpriced ones', () => {
+    const meter = createUsageMeter();
+    expect(meter.totals()).toEqual({ calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, estimatedCost: 0, unpricedCalls: 0 });
+
+    meter.add({ promptTokens: 10, completionTokens: 5, totalTokens: 15, estimatedCost: 0.001 });
+    meter.add({ promptTokens: 20, completionTokens: 10, totalTokens: 30, estimatedCost: null });
+
+    expect(meter.totals()).toEqual({ calls: 2, promptTokens: 30, completionTokens: 15, totalTokens: 45, estimatedCost: 0.001, unpricedCalls: 1 });
+  });
+});
+
+describe('Usage ledger', () => {
+  it('should keep daily and monthly totals per account', async () => {
+    const ledger = createUsageLedger({ store: createFileStore('usage-ledger') });
+    const account = getUsageAccount('secret-key-1234');
+    const usage = { calls: 3, promptTokens: 100, completionTokens: 50, totalTokens: 150, estimatedCost: 0.01 };
+
+    await Promise.all([
+      ledger.record(account, usage, new Date('2024-03-30T10:00:00Z')),
+      ledger.record(account, usage, new Date('2024-03-31T10:00:00Z')),
+      ledger.record(account, usage, new Date('2024-04-01T10:00:00Z'))
+    ]);
+
+    const { daily, monthly } = await ledger.getReport(account, { days: 3, months: 2, at: new Date('2024-04-01T12:00:00Z') });
+    expect(daily.map(day => [day.date, day.calls])).toEqual([['2024-04-01', 3], ['2024-03-31', 3], ['2024-03-30', 3]]);
+    expect(monthly).toEqual([
+      { month: '2024-04', calls: 3, promptTokens: 100, completionTokens: 50, totalTokens: 150, estimatedCost: 0.01, unpricedCalls: 0 },
+      { month: '2024-03', calls: 6, promptTokens: 200, completionTokens: 100, totalTokens: 300, estimatedCost: 0.02, unpricedCalls: 0 }
+    ]);
+
+    // The ledger is keyed by a hash; the key itself is never written to disk
+    const files = fs.readdirSync(path.join(process.env.DATA_DIR, 'usage-ledger'));
+    expect(files).toEqual([`${account.id}.json`]);
+    expect(fs.readFileSync(path.join(process.env.DATA_DIR, 'usage-ledger', files[0]), 'utf8')).not.toContain('secret-key-1234');
+  });
+});
+
+describe('Usage accounting API', () => {
+  const originalBudgets = process.env.USAGE_KEY_BUDGETS;
+  const originalValidKeys = process.env.VALID_API_KEYS;
+  const restore = (name, value) => {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  };
+
+  beforeEach(() => {
+    complete.mockReset();
+    complete.mockImplementation(respond);
+  });
+
+  afterEach(() => {
+    restore('USAGE_KEY_BUDGETS', originalBudgets);
+    restore('VALID_API_KEYS', originalValidKeys);
+  });
+
+  it('should report tokens and cost in the analysis metadata and book them against the API key', async () => {
+    const response = await request(app).post('/api/analysis/generate').set('X-API-Key', 'team-a').send(body).expect(200);
+
+    expect(response.body.metadata.usage).toEqual({
+      calls: 3,
+      promptTokens: 3000,
+      completionTokens: 1500,
+      totalTokens: 4500,
+      estimatedCost: 0.18,
+      unpricedCalls: 0
+    });
+    expect(response.body.results.fmeca.provenance.usage.estimatedCost).toBe(0.06);
+
+    const report = await request(app).get('/api/usage').set('X-API-Key', 'team-a').expect(200);
+    expect(report.body.account).toEqual({ id: expect.stringMatching(/^key-/), keyHint: '…am-a' });
+    expect(report.body.daily[0]).toMatchObject({ date: new Date().toISOString().slice(0, 10), calls: 3, totalTokens: 4500, estimatedCost: 0.18 });
+    expect(report.body.monthly[0]).toMatchObject({ calls: 3, estimatedCost: 0.18 });
+    expect(report.body.budget).toMatchObject({ limit: null, spent: 0.18, remaining: null, exhausted: false });
+
+    const other = await request(app).get('/api/usage?days=7&months=1').set('X-API-Key', 'team-b').expect(200);
+    expect(other.body.daily).toHaveLength(7);
+    expect(other.body.monthly).toEqual([expect.objectContaining({ calls: 0, estimatedCost: 0 })]);
+  });
+
+  it('should book the usage of analyses whose output fails validation', async () => {
+    const originalRepairs = process.env.LLM_MAX_REPAIR_ATTEMPTS;
+    process.env.LLM_MAX_REPAIR_ATTEMPTS = '0';
+    complete.mockResolvedValue({ text: 'no JSON here', model: 'gpt-4', usage: { promptTokens: 1000, completionTokens: 500 } });
+
+    try {
+      await request(app).post('/api/analysis/generate').set('X-API-Key', 'team-failed').send(body).expect(502);
+    } finally {
+      if (originalRepairs === undefined) {
+        delete process.env.LLM_MAX_REPAIR_ATTEMPTS;
+      } else {
+        process.env.LLM_MAX_REPAIR_ATTEMPTS = originalRepairs;
+      }
+    }
+
+    // The FMECA and the hazard identification were both answered before either failed
+    const report = await request(app).get('/api/usage').set('X-API-Key', 'team-failed').expect(200);
+    expect(report.body.monthly[0]).toMatchObject({ calls: 2, totalTokens: 3000, estimatedCost: 0.12 });
+  });
+
+  it('should book usage of background jobs', async () => {
+    await request(app).post('/api/jobs').set('X-API-Key', 'team-jobs').send(body).expect(202);
+    await analysisJobs.idle();
+
+    const report = await request(app).get('/api/usage').set('X-API-Key', 'team-jobs').expect(200);
+    expect(report.body.monthly[0]).toMatchObject({ calls: 3, totalTokens: 4500 });
+  });
+
+  it('should reject requests once the monthly budget is spent', async () => {
+    process.env.USAGE_KEY_BUDGETS = 'team-c:0.1,team-d:5';
+
+    await request(app).post('/api/analysis/generate').set('X-API-Key', 'team-c').send(body).expect(200);
+    const calls = complete.mock.calls.length;
+
+    const rejected = await request(app).post('/api/analysis/generate').set('X-API-Key', 'team-c').send(body).expect(429);
+    expect(rejected.body).toMatchObject({ error: 'Monthly usage budget exhausted', budget: 0.1, spent: 0.18, resetsAt: expect.any(String) });
+    await request(app).post('/api/jobs').set('X-API-Key', 'team-c').send(body).expect(429);
+    expect(complete).toHaveBeenCalledTimes(calls);
+
+    const report = await request(app).get('/api/usage').set('X-API-Key', 'team-c').expect(200);
+    expect(report.body.budget).toMatchObject({ limit: 0.1, spent: 0.18, remaining: 0, exhausted: true });
+
+    // Other keys keep their own allowance
+    await request(app).post('/api/analysis/generate').set('X-API-Key', 'team-d').send(body).expect(200);
+  });
+
+  it('should refuse models without a price for keys with a budget', async () => {
+    process.env.USAGE_KEY_BUDGETS = 'team-e:5';
+    process.env.VALID_API_KEYS = 'team-f';
+    const unpriced = { ...body, llm: { model: 'my-deployment' } };
+
+    const rejected = await request(app).post('/api/analysis/generate').set('X-API-Key', 'team-e').send(unpriced).expect(400);
+    expect(rejected.body).toMatchObject({ error: 'Model has no known price', model: 'my-deployment' });
+    await request(app).post('/api/jobs').set('X-API-Key', 'team-e').send(unpriced).expect(400);
+    expect(complete).not.toHaveBeenCalled();
+
+    // Keys without a budget may use it; the cost is flagged as unknown rather than counted as zero
+    complete.mockImplementation(async (...args) => ({ ...await respond(...args), model: 'my-deployment' }));
+    const response = await request(app).post('/api/analysis/generate').set('X-API-Key', 'team-f').send(unpriced).expect(200);
+    expect(response.body.metadata.usage).toMatchObject({ calls: 3, estimatedCost: 0, unpricedCalls: 3 });
+    const report = await request(app).get('/api/usage').set('X-API-Key', 'team-f').expect(200);
+    expect(report.body.monthly[0]).toMatchObject({ calls: 3, estimatedCost: 0, unpricedCalls: 3 });
+  });
+
+  it('should reject invalid report queries', async () => {
+    await request(app).get('/api/usage?days=0').expect(400);
+  });
+});